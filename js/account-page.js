@@ -0,0 +1,429 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - ACCOUNT PAGE
+   Sign in / create an account, "My bookings" and profile details
+   ========================================= */
+
+/* WHAT'S ON THE PAGE?
+   Signed out: a "Sign in" form and a "Create an account" form
+   Signed in:  - My bookings (upcoming and past), with Cancel and
+                 Reschedule buttons on bookings that can still be changed
+               - Your details: name, driving licence number and an
+                 emergency contact
+
+   The signing in itself is done by js/account.js, and the bookings
+   come from the bookings store (js/bookings.js). This file only draws
+   the page and reacts to clicks.
+
+   HOW TO USE:
+   It's drawn by the router in main.js for #/account:
+   const leave = AccountPage.render(container, { bookings: bookings, availability: availability });
+   leave();  ← when the user goes to another page
+*/
+
+const AccountPage = (function() {
+    /* ===== FUNCTION: formatDate =====
+       "2026-10-23" → "Friday 23 October 2026" */
+
+    function formatDate(isoDate) {
+        return Availability.fromIsoDate(isoDate).toLocaleDateString('en-GB', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    /* ===== SIGNED OUT ===== */
+
+    function renderSignedOut() {
+        return `
+            <section class="page account-page">
+                <h1>Your account</h1>
+                <p>Sign in to see your bookings, or create an account - it only takes a minute.
+                    Bookings made while you're signed in are saved to your account.</p>
+
+                <div class="account-forms">
+                    <form class="account-form" data-form="login" novalidate>
+                        <h2>Sign in</h2>
+                        <label>
+                            <span>Email</span>
+                            <input type="email" name="email" autocomplete="email" data-validate="required email">
+                        </label>
+                        <label>
+                            <span>Password</span>
+                            <input type="password" name="password" autocomplete="current-password" data-validate="required">
+                        </label>
+                        <p class="account-error" role="alert"></p>
+                        <button type="submit">Sign in</button>
+                    </form>
+
+                    <form class="account-form" data-form="register" novalidate>
+                        <h2>Create an account</h2>
+                        <label>
+                            <span>Full name</span>
+                            <input type="text" name="name" autocomplete="name" data-validate="required">
+                        </label>
+                        <label>
+                            <span>Email</span>
+                            <input type="email" name="email" autocomplete="email" data-validate="required email">
+                        </label>
+                        <label>
+                            <span>Password</span>
+                            <input type="password" name="password" autocomplete="new-password" data-validate="required minLength:8">
+                        </label>
+                        <p class="account-error" role="alert"></p>
+                        <button type="submit">Create account</button>
+                    </form>
+                </div>
+            </section>
+        `;
+    }
+
+    /* ===== SIGNED IN ===== */
+
+    function renderBooking(booking) {
+        const isCancelled = booking.status === 'cancelled';
+        let actions = '';
+
+        if (Bookings.canChange(booking)) {
+            actions = `
+                <div class="account-booking-actions">
+                    <button type="button" data-action="reschedule" data-reference="${escapeHtml(booking.reference)}">Reschedule</button>
+                    <button type="button" data-action="cancel" data-reference="${escapeHtml(booking.reference)}">Cancel</button>
+                </div>
+            `;
+        } else if (!isCancelled && Bookings.isUpcoming(booking)) {
+            actions = `<p class="account-note">It's too close to the day to change this online -
+                please contact us if you need to.</p>`;
+        }
+
+        return `
+            <li class="account-booking${isCancelled ? ' is-cancelled' : ''}">
+                <div>
+                    <h3>${escapeHtml(booking.car)}${isCancelled ? ' <span class="account-status">Cancelled</span>' : ''}</h3>
+                    <p>${escapeHtml(formatDate(booking.date))} at ${escapeHtml(booking.time)}</p>
+                    <p>Reference <strong>${escapeHtml(booking.reference)}</strong> &middot;
+                        Total ${Currency.priceHtml(booking.total)}</p>
+                </div>
+                ${actions}
+                ${!isCancelled && Bookings.isUpcoming(booking) ? CalendarExport.renderActions(booking) : ''}
+            </li>
+        `;
+    }
+
+    function renderBookingList(list, emptyText) {
+        return list.length === 0
+            ? `<p class="account-empty">${emptyText}</p>`
+            : `<ul class="account-bookings">${list.map(renderBooking).join('')}</ul>`;
+    }
+
+    function renderSignedIn(user, list) {
+        const profile = user.profile;
+        const contact = profile.emergencyContact;
+
+        const upcoming = list.filter(b => Bookings.isUpcoming(b));
+        const past = list.filter(b => !Bookings.isUpcoming(b)).reverse();
+        /* Upcoming: soonest first. Past: most recent first */
+
+        return `
+            <section class="page account-page">
+                <div class="account-header">
+                    <h1>Hello, ${escapeHtml(profile.name || user.email)}</h1>
+                    <button type="button" data-action="logout">Sign out</button>
+                </div>
+
+                <h2>My bookings</h2>
+                <h3 class="account-subheading">Upcoming</h3>
+                ${renderBookingList(upcoming, 'No upcoming sessions. <a href="#/racing">See what\'s available</a>.')}
+                <h3 class="account-subheading">Past</h3>
+                ${renderBookingList(past, 'Your past sessions will appear here.')}
+
+                <h2>Your details</h2>
+                <form class="account-form account-profile" data-form="profile" novalidate>
+                    <label>
+                        <span>Full name</span>
+                        <input type="text" name="name" autocomplete="name" data-validate="required"
+                            value="${escapeHtml(profile.name)}">
+                    </label>
+                    <label>
+                        <span>Email</span>
+                        <input type="email" name="email" value="${escapeHtml(user.email)}" readonly>
+                    </label>
+                    <label>
+                        <span>Driving licence number</span>
+                        <input type="text" name="licence" autocomplete="off" data-validate="licence"
+                            value="${escapeHtml(profile.licence)}">
+                    </label>
+                    <fieldset>
+                        <legend>Emergency contact</legend>
+                        <label>
+                            <span>Name</span>
+                            <input type="text" name="contactName" value="${escapeHtml(contact.name)}">
+                        </label>
+                        <label>
+                            <span>Phone</span>
+                            <input type="tel" name="contactPhone" data-validate="ukPhone"
+                                value="${escapeHtml(contact.phone)}">
+                        </label>
+                    </fieldset>
+                    <p class="account-error" role="alert"></p>
+                    <button type="submit">Save details</button>
+                </form>
+            </section>
+        `;
+    }
+
+    /* ===== DIALOGS: cancel and reschedule ===== */
+
+    function dialogContent(booking, extraHtml, confirmLabel, confirmAction) {
+        return `
+            <p><strong>${escapeHtml(booking.car)}</strong><br>
+                ${escapeHtml(formatDate(booking.date))} at ${escapeHtml(booking.time)}
+                (${escapeHtml(booking.reference)})</p>
+            ${extraHtml}
+            <p class="account-error" role="alert"></p>
+            <div class="account-dialog-actions">
+                <button type="button" data-action="keep">Keep it as it is</button>
+                <button type="button" data-action="${confirmAction}">${confirmLabel}</button>
+            </div>
+        `;
+    }
+
+    function confirmCancel(booking, bookings, opener) {
+        const dialog = Modal.open({
+            title: 'Cancel this booking?',
+            className: 'account-modal',
+            opener: opener,
+            content: dialogContent(booking,
+                '<p>Once it\'s cancelled, the place goes back on sale and can\'t be held for you.</p>' +
+                (booking.voucher && booking.voucher.amount
+                    ? '<p>The ' + Currency.priceHtml(booking.voucher.amount) + ' paid with your gift voucher goes back on it.</p>'
+                    : ''),
+                'Cancel booking', 'confirm-cancel')
+        });
+        /* The first button ("Keep it as it is") gets focus - the safe choice */
+
+        const error = dialog.body.querySelector('.account-error');
+
+        dialog.body.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.action === 'keep') {
+                dialog.close();
+                return;
+            }
+
+            button.disabled = true;
+            bookings.cancel(booking.reference, Account.currentUser()).then(() => {
+                dialog.close();
+                Toast.success('Booking ' + booking.reference + ' has been cancelled.');
+            }).catch(problem => {
+                if (problem.code === 'VOUCHER_NOT_REFUNDED') {
+                    dialog.close();
+                    Toast.error(problem.message, { sticky: true });
+                    return;
+                    /* The booking IS cancelled - only the voucher needs sorting out */
+                }
+
+                error.textContent = problem.message;
+                button.disabled = false;
+            });
+        });
+    }
+
+    function openReschedule(booking, bookings, availability, opener) {
+        let chosen = null;
+        let calendar = null;
+
+        const dialog = Modal.open({
+            title: 'Move this booking',
+            className: 'account-modal',
+            opener: opener,
+            content: dialogContent(booking,
+                '<p>Choose a new day and session:</p><div class="account-calendar"></div>',
+                'Move booking', 'confirm-move'),
+            onClose: () => calendar.destroy()
+        });
+
+        const error = dialog.body.querySelector('.account-error');
+        const moveButton = dialog.body.querySelector('[data-action="confirm-move"]');
+        moveButton.disabled = true;
+        /* Nothing to move to until a session is picked */
+
+        calendar = AvailabilityCalendar.create(dialog.body.querySelector('.account-calendar'), {
+            source: availability,
+            carIds: booking.carIds,
+            places: booking.drivers || 1,
+            onSelect: function(date, time) {
+                chosen = { date: date, time: time };
+                moveButton.disabled = !time;
+                /* No time = a new day was picked, but no session on it yet */
+                error.textContent = '';
+            }
+        });
+        /* Only sessions with room for the booking's drivers in every car can be picked */
+
+        dialog.body.addEventListener('click', function(e) {
+            const button = e.target.closest('button[data-action]');
+            if (!button || button.closest('.account-calendar')) {
+                return;
+            }
+
+            if (button.dataset.action === 'keep') {
+                dialog.close();
+                return;
+            }
+
+            moveButton.disabled = true;
+            bookings.reschedule(booking.reference, chosen.date, chosen.time, Account.currentUser()).then(() => {
+                dialog.close();
+                Toast.success('Booking moved to ' + formatDate(chosen.date) + ' at ' + chosen.time + '.');
+            }).catch(problem => {
+                error.textContent = problem.message;
+                calendar.refresh();
+                /* Someone may have just taken that session - show fresh numbers */
+            });
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: render ===== */
+
+    function render(container, pageOptions) {
+        const bookings = pageOptions.bookings;
+        const availability = pageOptions.availability;
+
+        let hasLeft = false;
+        let shownUserId;        /* Whose page is on screen (null = signed out) */
+        let shownBookings = [];
+
+        function draw() {
+            const user = Account.currentUser();
+            const userId = user ? user.id : null;
+
+            const finish = (html, list) => {
+                if (hasLeft) {
+                    return;
+                    /* The user went to another page while we were waiting */
+                }
+
+                container.innerHTML = html;
+                shownBookings = list;
+                container.querySelectorAll('form').forEach(form => FormValidation.attach(form));
+
+                if (shownUserId !== undefined && shownUserId !== userId) {
+                    container.querySelector('h1').setAttribute('tabindex', '-1');
+                    container.querySelector('h1').focus();
+                    /* Just signed in or out - start from the new heading */
+                }
+                shownUserId = userId;
+            };
+
+            if (!user) {
+                finish(renderSignedOut(), []);
+                return;
+            }
+
+            bookings.forAccount(user).then(list => finish(renderSignedIn(user, list), list));
+        }
+
+        /* ----- Forms ----- */
+
+        function handleSubmit(e) {
+            const form = e.target;
+            const blocked = e.defaultPrevented;
+            /* FormValidation runs first and cancels the submit if a field is wrong */
+
+            e.preventDefault();
+            if (blocked) {
+                return;
+            }
+
+            const fields = form.elements;
+            const error = form.querySelector('.account-error');
+            const button = form.querySelector('button[type="submit"]');
+            let action;
+
+            error.textContent = '';
+            button.disabled = true;
+
+            if (form.dataset.form === 'login') {
+                action = Account.login(fields.email.value, fields.password.value).then(user => {
+                    Toast.success('Welcome back' + (user.profile.name ? ', ' + user.profile.name : '') + '!');
+                });
+            } else if (form.dataset.form === 'register') {
+                action = Account.register({
+                    email: fields.email.value,
+                    password: fields.password.value,
+                    profile: { name: fields.name.value }
+                }).then(() => {
+                    Toast.success('Your account is ready.');
+                });
+            } else {
+                action = Account.updateProfile({
+                    name: fields.name.value,
+                    licence: fields.licence.value,
+                    emergencyContact: {
+                        name: fields.contactName.value,
+                        phone: fields.contactPhone.value
+                    }
+                }).then(() => {
+                    Toast.success('Your details have been saved.');
+                });
+            }
+
+            action.catch(problem => {
+                error.textContent = problem.message;
+                button.disabled = false;
+            });
+            /* On success the page redraws itself (Account.subscribe below),
+               so there's no button left to switch back on */
+        }
+
+        /* ----- Buttons ----- */
+
+        function handleClick(e) {
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+
+            const booking = shownBookings.find(b => b.reference === button.dataset.reference);
+
+            if (button.dataset.action === 'logout') {
+                Account.logout().then(() => Toast.info('You\'ve signed out.'));
+            } else if (button.dataset.action === 'cancel' && booking) {
+                confirmCancel(booking, bookings, button);
+            } else if (button.dataset.action === 'reschedule' && booking) {
+                openReschedule(booking, bookings, availability, button);
+            } else if (button.dataset.action === 'calendar' && booking) {
+                CalendarExport.download(booking);
+            }
+        }
+
+        container.addEventListener('submit', handleSubmit);
+        container.addEventListener('click', handleClick);
+
+        const stopAccount = Account.subscribe(draw);
+        const stopBookings = bookings.subscribe(draw);
+        /* Redraw on sign in/out, and when a booking changes (here or in another tab) */
+
+        container.innerHTML = '<section class="page account-page"><h1>Your account</h1><p>Loading...</p></section>';
+        Account.whenReady().then(draw);
+        /* Wait until we know whether they're still signed in from last time */
+
+        return function leave() {
+            hasLeft = true;
+            stopAccount();
+            stopBookings();
+            container.removeEventListener('submit', handleSubmit);
+            container.removeEventListener('click', handleClick);
+        };
+    }
+
+    return {
+        render: render
+    };
+})();
@@ -0,0 +1,175 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - ACCOUNT
+   Who's signed in, and signing up, in and out
+   ========================================= */
+
+/* WHAT DOES THIS FILE DO?
+   It keeps track of the signed-in customer and talks to an
+   "auth backend" - the server that checks passwords and stores
+   profiles. The pages for all this are in js/account-page.js.
+
+   WHAT IS A "PLUGGABLE" BACKEND?
+   This file never checks a password itself. It calls five functions
+   on whatever backend it's given (they're listed at the top of
+   js/mock-auth-backend.js). Right now that's MockAuthBackend, which
+   pretends to be a server inside the browser. Later, a backend that
+   calls a real server can be plugged in with no other changes:
+
+   Account.init({ backend: MockAuthBackend.create() });
+
+   STAYING SIGNED IN:
+   Signing in gives us a "token" (a long random string that proves
+   who you are). We keep it in localStorage, so the next visit can
+   ask the backend "who is this token?" and sign you straight back in.
+
+   HOW TO USE:
+   Account.init({ backend: someBackend });
+   Account.whenReady().then(user => ...)     ← user, or null if signed out
+   Account.currentUser()                     ← same, once ready
+   Account.register({ email, password, profile: { name } })   → Promise of user
+   Account.login(email, password)            → Promise of user
+   Account.logout()                          → Promise
+   Account.updateProfile(profile)            → Promise of user
+   Account.subscribe(function(user) { ... }) ← runs on every sign in/out/profile change
+*/
+
+const Account = (function() {
+    const SESSION_KEY = 'fse.session';
+
+    let backend = null;
+    let token = null;
+    let user = null;
+    let ready = Promise.resolve(null);
+    const listeners = [];
+
+    /* ===== STORAGE ===== */
+
+    let storage = null;
+
+    function getStorage() {
+        if (!storage) {
+            storage = BrowserStorage.get();
+        }
+        return storage;
+    }
+
+    /* ===== FUNCTION: setSession =====
+       Remember (or forget, with nulls) who's signed in, and tell everyone */
+
+    function setSession(newToken, newUser) {
+        token = newToken;
+        user = newUser;
+
+        if (token) {
+            getStorage().setItem(SESSION_KEY, token);
+        } else {
+            getStorage().removeItem(SESSION_KEY);
+        }
+
+        listeners.slice().forEach(listener => listener(user));
+        return user;
+    }
+
+    /* ===== FUNCTION: handleError =====
+       If the backend says the session has run out, sign out here too,
+       then pass the error on so the page can show its message */
+
+    function handleError(error) {
+        if (error.code === 'SESSION_EXPIRED') {
+            setSession(null, null);
+        }
+        throw error;
+    }
+
+    /* ===== FUNCTION: restore =====
+       Sign back in with the saved token, if there is one */
+
+    function restore() {
+        const saved = getStorage().getItem(SESSION_KEY);
+
+        if (!saved) {
+            if (user) {
+                setSession(null, null);
+                /* Signed out in another tab */
+            }
+            return Promise.resolve(null);
+        }
+
+        return backend.getUser(saved)
+            .then(found => setSession(saved, found))
+            .catch(() => setSession(null, null));
+            /* Expired or unknown token - just start signed out */
+    }
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(accountOptions) {
+        const settings = accountOptions || {};
+        backend = settings.backend || MockAuthBackend.create();
+        ready = restore();
+        return ready;
+    }
+
+    /* ===== PUBLIC FUNCTIONS: the account actions ===== */
+
+    function whenReady() {
+        return ready;
+    }
+
+    function currentUser() {
+        return user;
+    }
+
+    function register(details) {
+        return backend.register(details).then(result => setSession(result.token, result.user));
+    }
+
+    function login(email, password) {
+        return backend.login(email, password).then(result => setSession(result.token, result.user));
+    }
+
+    function logout() {
+        const oldToken = token;
+        setSession(null, null);
+        /* Signed out straight away here, even if the backend is slow */
+
+        return oldToken ? backend.logout(oldToken).catch(() => {}) : Promise.resolve();
+    }
+
+    function updateProfile(profile) {
+        return backend.updateProfile(token, profile)
+            .then(updated => setSession(token, updated))
+            .catch(handleError);
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+
+        return function unsubscribe() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /* ===== OTHER TABS =====
+       Signing in or out in one tab does the same in the others */
+
+    window.addEventListener('storage', function(e) {
+        if (e.key === SESSION_KEY && backend) {
+            ready = restore();
+        }
+    });
+
+    return {
+        init: init,
+        whenReady: whenReady,
+        currentUser: currentUser,
+        register: register,
+        login: login,
+        logout: logout,
+        updateProfile: updateProfile,
+        subscribe: subscribe
+    };
+})();
@@ -0,0 +1,632 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - STAFF PAGE
+   The front desk's view of the day: bookings, check-in and the fleet
+   ========================================= */
+
+/* WHAT'S ON THE PAGE?
+   - A timeline of bookings per car, for one track day or a whole week
+   - Arrivals: every driver booked that day, with a Check in button,
+     whether they've signed their waiver and what's left to pay
+   - Places: how many drivers each car can take in each session -
+     staff can change it for one session (e.g. 0 to close it, or 2
+     when a car is running two-up)
+   - Fleet: take a car out of service - it disappears from the
+     calendars and the booking wizard until it's put back
+   - Export the day's manifest as a CSV file, for the pit wall
+   - Import lap times from the timing system, for the leaderboard
+     (only into this browser for now - see js/lap-times.js)
+
+   WHO CAN SEE IT?
+   Only accounts with role 'staff' (see STAFF ACCOUNTS in
+   js/mock-auth-backend.js). Everyone else gets "Staff only".
+
+   IT'S A MOCK:
+   That check happens here in the browser, on a user saved in
+   localStorage - anyone can edit it and get in. And everything on
+   the page is only this browser's copy of the data. So it's for
+   trying the page out (staff can only sign in on localhost), not
+   for running the track: that needs a server that checks who's
+   staff before handing over or changing any bookings.
+
+   WHERE DOES THE DATA COME FROM?
+   The same bookings store and availability source as the public site
+   (js/bookings.js, js/availability.js), so a booking made in the
+   wizard shows up here straight away - even from another tab.
+
+   HOW TO USE:
+   It's drawn by the router in main.js for #/admin:
+   const leave = AdminPage.render(container, { bookings: bookings, availability: availability, laps: lapTimes });
+   leave();  ← when the user goes to another page
+*/
+
+const AdminPage = (function() {
+    /* ===== DATES =====
+       All "YYYY-MM-DD", like everywhere else */
+
+    function addDays(isoDate, days) {
+        const date = Availability.fromIsoDate(isoDate);
+        date.setDate(date.getDate() + days);
+        return Availability.toIsoDate(date);
+    }
+
+    /* The next track day from isoDate (itself, if it is one), going
+       forward (step 1) or back (step -1) */
+    function nearestTrackDay(isoDate, step) {
+        let date = isoDate;
+
+        for (let i = 0; i < 7 && !Availability.isTrackDay(date); i++) {
+            date = addDays(date, step);
+        }
+        return date;
+    }
+
+    /* Monday to Sunday around isoDate */
+    function weekOf(isoDate) {
+        const daysSinceMonday = (Availability.fromIsoDate(isoDate).getDay() + 6) % 7;
+        /* getDay(): Sunday = 0, Monday = 1... so Monday becomes 0 here */
+
+        const from = addDays(isoDate, -daysSinceMonday);
+        return { from: from, to: addDays(from, 6) };
+    }
+
+    /* "2026-10-23" → "Friday 23 October 2026" (long: false → "Fri 23 Oct") */
+    function formatDate(isoDate, long) {
+        return Availability.fromIsoDate(isoDate).toLocaleDateString('en-GB', long === false
+            ? { weekday: 'short', day: 'numeric', month: 'short' }
+            : { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /* An ISO timestamp → "09:12" */
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /* ===== BOOKING DETAILS ===== */
+
+    function carNames(booking) {
+        return booking.carIds.map(Fleet.getById).filter(Boolean).map(Fleet.displayName).join(', ');
+    }
+
+    function hasWaiver(booking) {
+        return Waiver.forBooking(booking.reference).length > 0;
+    }
+
+    /* The session a booking has one of its cars in ('' if that car isn't in it).
+       Each car in a package has its own session - see Availability.schedule */
+    function sessionOf(booking, carId) {
+        const item = (Availability.schedule(booking.carIds, booking.time) || []).find(s => s.carId === carId);
+        return item ? item.time : '';
+    }
+
+    /* Bookings in one car's session */
+    function bookingsIn(list, carId, date, time) {
+        return list.filter(b => b.date === date && sessionOf(b, carId) === time);
+    }
+
+    /* ===== THE MANIFEST (CSV) ===== */
+
+    const MANIFEST_COLUMNS = ['Date', 'Session', 'Cars', 'Drivers', 'Reference', 'Driver', 'Email', 'Phone',
+        'Waiver signed', 'Paid (GBP)', 'Left to pay (GBP)', 'Checked in'];
+
+    /* ===== FUNCTION: csvCell =====
+       One value, made safe for a CSV file:
+       - Commas, quotes or new lines inside → wrap it in quotes, and
+         double any quotes inside ("Sam ""Speedy"" Adams")
+       - Starts with = + - or @ → put a ' in front. Spreadsheets treat
+         those as formulas, and a driver could type one as their name.
+         Numbers and phone numbers (+44 ...) are left alone. */
+
+    function csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        if (/^[=+\-@]/.test(text) && !/^[+-]?[\d\s().]+$/.test(text)) {
+            text = '\'' + text;
+        }
+
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    function manifestCsv(list) {
+        const rows = list.map(booking => [
+            booking.date,
+            booking.carIds.map(carId => sessionOf(booking, carId)).join(', '),
+            carNames(booking),
+            booking.drivers || 1,
+            booking.reference,
+            booking.driver.name,
+            booking.driver.email,
+            booking.driver.phone,
+            hasWaiver(booking) ? 'Yes' : 'No',
+            booking.payment ? booking.payment.amount.toFixed(2) : '0.00',
+            typeof booking.balanceDue === 'number' ? booking.balanceDue.toFixed(2) : '',
+            booking.checkedInAt ? formatTime(booking.checkedInAt) : ''
+        ]);
+
+        return [MANIFEST_COLUMNS].concat(rows)
+            .map(row => row.map(csvCell).join(','))
+            .join('\r\n') + '\r\n';
+        /* \r\n line endings - what the CSV standard (RFC 4180) and Excel expect */
+    }
+
+    /* ===== STAFF ONLY ===== */
+
+    function renderStaffOnly(user) {
+        return `
+            <section class="page admin-page">
+                <h1>Staff only</h1>
+                <p>${user
+                    ? 'You\'re signed in as ' + escapeHtml(user.email) + ', which isn\'t a staff account.'
+                    : 'Please sign in with your staff account to see bookings and the fleet.'}</p>
+                <p><a href="#/account">${user ? 'Go to your account' : 'Sign in'}</a></p>
+            </section>
+        `;
+    }
+
+    /* ===== THE PAGE AROUND THE BOARD ===== */
+
+    function renderShell() {
+        return `
+            <section class="page admin-page">
+                <h1>Staff: bookings and fleet</h1>
+                <p class="admin-mock-note">This is a practice version of the staff page. It only
+                    shows bookings made in this browser, and it isn't protected - don't use it for
+                    real customers' details.</p>
+                <div class="admin-toolbar">
+                    <div class="admin-views" role="group" aria-label="Show">
+                        <button type="button" data-action="view" data-view="day">Day</button>
+                        <button type="button" data-action="view" data-view="week">Week</button>
+                    </div>
+                    <button type="button" data-action="previous">&larr; Previous</button>
+                    <label>
+                        <span>Date</span>
+                        <input type="date" name="date">
+                    </label>
+                    <button type="button" data-action="next">Next &rarr;</button>
+                    <button type="button" data-action="today">Today</button>
+                    <button type="button" class="page-button" data-action="export">Export manifest (CSV)</button>
+                </div>
+                <div class="admin-board" aria-live="polite"></div>
+
+                <h2>Lap times</h2>
+                <p>Lap times are only saved in this browser for now, so the leaderboard
+                    and shared personal-best links won't show them on any other device.</p>
+                <form class="lap-import-form">
+                    <label>
+                        <span>CSV export from the timing system</span>
+                        <input type="file" name="file" accept=".csv,text/csv">
+                    </label>
+                    <button type="submit">Import laps</button>
+                    <div class="lap-import-status" role="status"></div>
+                </form>
+            </section>
+        `;
+    }
+
+    /* ===== FLEET STATUS ===== */
+
+    function renderFleet(outOfService) {
+        return `
+            <h2>Fleet</h2>
+            <ul class="admin-fleet">
+                ${Fleet.getAll().map(car => {
+                    const name = escapeHtml(Fleet.displayName(car));
+                    const isOut = outOfService.indexOf(car.id) !== -1;
+
+                    if (!car.available) {
+                        return `<li><span>${name}</span> <span class="admin-flag">Off the road (js/fleet.js)</span></li>`;
+                        /* Taken off in the fleet data itself - not something staff can undo here */
+                    }
+
+                    return `
+                        <li class="${isOut ? 'is-out-of-service' : ''}">
+                            <span>${name}</span>
+                            <span class="admin-flag">${isOut ? 'Out of service' : 'In service'}</span>
+                            <button type="button" data-action="service" data-car-id="${escapeHtml(car.id)}"
+                                data-key="service:${escapeHtml(car.id)}">${isOut ? 'Put back in service' : 'Take out of service'}</button>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /* ===== DAY VIEW ===== */
+
+    function renderBookingChip(booking, time) {
+        const drivers = booking.drivers > 1 ? ' (' + booking.drivers + ' drivers)' : '';
+
+        return `
+            <span class="admin-booking${booking.checkedInAt ? ' is-checked-in' : ''}">
+                ${time ? escapeHtml(time) + ' ' : ''}${escapeHtml(booking.driver.name + drivers)}
+                <small>${escapeHtml(booking.reference)}${booking.checkedInAt ? ' &middot; arrived' : ''}</small>
+            </span>
+        `;
+    }
+
+    function renderDayTimeline(day, list, outOfService) {
+        const cars = Fleet.getAll();
+
+        return `
+            <div class="admin-scroll">
+                <table class="admin-timeline">
+                    <thead>
+                        <tr>
+                            <th scope="col">Car</th>
+                            ${day.sessions.map(session => `<th scope="col">${escapeHtml(session.time)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cars.map(car => {
+                            const offRoad = !car.available || outOfService.indexOf(car.id) !== -1;
+                            /* No places at all - capacity can't be changed until it's back */
+
+                            return `
+                            <tr class="${offRoad ? 'is-out-of-service' : ''}">
+                                <th scope="row">
+                                    ${escapeHtml(Fleet.displayName(car))}
+                                    ${offRoad ? '<span class="admin-flag">Out of service</span>' : ''}
+                                </th>
+                                ${day.sessions.map(session => {
+                                    const slot = session.cars[car.id];
+
+                                    return `
+                                        <td class="${slot.left === 0 ? 'is-full' : ''}${slot.overridden ? ' is-overridden' : ''}">
+                                            ${bookingsIn(list, car.id, day.date, session.time).map(b => renderBookingChip(b, '')).join('')}
+                                            <label class="admin-capacity">
+                                                <span>${slot.booked} of</span>
+                                                <input type="number" min="0" max="20" value="${slot.capacity}"
+                                                    ${offRoad ? 'disabled' : ''}
+                                                    data-car-id="${escapeHtml(car.id)}" data-time="${escapeHtml(session.time)}"
+                                                    data-key="capacity:${escapeHtml(car.id)}:${escapeHtml(session.time)}"
+                                                    aria-label="Places in ${escapeHtml(Fleet.displayName(car))} at ${escapeHtml(session.time)}">
+                                            </label>
+                                            ${slot.overridden ? `<button type="button" class="admin-link" data-action="reset-capacity"
+                                                data-car-id="${escapeHtml(car.id)}" data-time="${escapeHtml(session.time)}"
+                                                data-key="reset:${escapeHtml(car.id)}:${escapeHtml(session.time)}">Back to normal</button>` : ''}
+                                        </td>
+                                    `;
+                                }).join('')}
+                            </tr>
+                        `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        /* "1 of [2]" = 1 driver booked, 2 places. The booked number comes
+           from the availability source, so it includes sessions being
+           paid for right now, which aren't bookings yet */
+    }
+
+    function renderArrivals(list) {
+        if (list.length === 0) {
+            return '<h2>Arrivals</h2><p>No bookings on this day.</p>';
+        }
+
+        const arrived = list.filter(b => b.checkedInAt).length;
+
+        return `
+            <h2>Arrivals</h2>
+            <p class="admin-summary">${arrived} of ${list.length} checked in.</p>
+            <div class="admin-scroll">
+                <table class="admin-arrivals">
+                    <thead>
+                        <tr>
+                            <th scope="col">Session</th>
+                            <th scope="col">Driver</th>
+                            <th scope="col">Cars</th>
+                            <th scope="col">Reference</th>
+                            <th scope="col">Waiver</th>
+                            <th scope="col">Left to pay</th>
+                            <th scope="col">Check in</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${list.map(booking => `
+                            <tr class="${booking.checkedInAt ? 'is-checked-in' : ''}">
+                                <td>${escapeHtml(booking.time)}</td>
+                                <td>${escapeHtml(booking.driver.name)}<br><small>${escapeHtml(booking.driver.phone || '')}</small></td>
+                                <td>${escapeHtml(carNames(booking))}</td>
+                                <td>${escapeHtml(booking.reference)}</td>
+                                <td>${hasWaiver(booking) ? 'Signed' : '<strong>Not signed</strong>'}</td>
+                                <td>${booking.balanceDue ? Currency.priceHtml(booking.balanceDue) : 'Nothing'}</td>
+                                <td>
+                                    <button type="button" data-action="check-in" data-reference="${escapeHtml(booking.reference)}"
+                                        data-key="check-in:${escapeHtml(booking.reference)}"
+                                        aria-pressed="${Boolean(booking.checkedInAt)}">${booking.checkedInAt
+                                            ? 'Checked in ' + escapeHtml(formatTime(booking.checkedInAt))
+                                            : 'Check in'}</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        /* aria-pressed: the button stays "on" once they're checked in.
+           Pressing it again undoes a check-in made by mistake. */
+    }
+
+    function renderDay(date, data) {
+        const day = data.days[0];
+
+        if (!day) {
+            return `
+                <h2>${escapeHtml(formatDate(date))}</h2>
+                <p>The track is closed - track days are Friday, Saturday and Sunday.</p>
+                ${renderFleet(data.outOfService)}
+            `;
+        }
+
+        return `
+            <h2>${escapeHtml(formatDate(date))}</h2>
+            ${renderDayTimeline(day, data.list, data.outOfService)}
+            ${renderArrivals(data.list)}
+            ${renderFleet(data.outOfService)}
+        `;
+    }
+
+    /* ===== WEEK VIEW =====
+       One column per track day - each heading opens that day */
+
+    function renderWeek(range, data) {
+        return `
+            <h2>${escapeHtml(formatDate(range.from, false))} to ${escapeHtml(formatDate(range.to, false))}</h2>
+            <div class="admin-scroll">
+                <table class="admin-timeline admin-week">
+                    <thead>
+                        <tr>
+                            <th scope="col">Car</th>
+                            ${data.days.map(day => `
+                                <th scope="col">
+                                    <button type="button" class="admin-link" data-action="open-day" data-date="${escapeHtml(day.date)}"
+                                        data-key="open-day:${escapeHtml(day.date)}">${escapeHtml(formatDate(day.date, false))}</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${Fleet.getAll().map(car => `
+                            <tr>
+                                <th scope="row">${escapeHtml(Fleet.displayName(car))}</th>
+                                ${data.days.map(day => {
+                                    const booked = day.sessions.reduce((sum, s) => sum + s.cars[car.id].booked, 0);
+                                    const places = day.sessions.reduce((sum, s) => sum + s.cars[car.id].capacity, 0);
+
+                                    return `
+                                        <td class="${places > 0 && booked >= places ? 'is-full' : ''}">
+                                            ${data.list.filter(b => b.date === day.date && sessionOf(b, car.id))
+                                                .map(b => renderBookingChip(b, sessionOf(b, car.id))).join('')}
+                                            <span class="admin-count">${booked} of ${places} booked</span>
+                                        </td>
+                                    `;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${renderFleet(data.outOfService)}
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: render ===== */
+
+    function render(container, pageOptions) {
+        const bookings = pageOptions.bookings;
+        const availability = pageOptions.availability;
+
+        const state = {
+            view: 'day',
+            date: nearestTrackDay(Availability.toIsoDate(new Date()), 1)
+            /* Start on today, or the next track day if the track's closed today */
+        };
+
+        let hasLeft = false;
+        let request = 0;
+        /* Counts redraws - a slow one that finishes after a newer one
+           has started is thrown away (like the fleet filters) */
+        let shown = null;
+        /* The bookings on screen, for the export and Check in buttons */
+
+        function range() {
+            return state.view === 'week' ? weekOf(state.date) : { from: state.date, to: state.date };
+        }
+
+        /* ----- Drawing ----- */
+
+        function draw() {
+            const user = Account.currentUser();
+
+            if (!user || user.role !== 'staff') {
+                container.innerHTML = renderStaffOnly(user);
+                shown = null;
+                return;
+            }
+
+            if (!container.querySelector('.admin-board')) {
+                container.innerHTML = renderShell();
+                Leaderboard.createImporter(container.querySelector('.lap-import-form'), { store: pageOptions.laps });
+            }
+
+            container.querySelectorAll('[data-action="view"]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.view === state.view));
+            });
+            container.querySelector('input[name="date"]').value = state.date;
+            container.querySelector('[data-action="export"]').hidden = state.view !== 'day';
+            /* The manifest is for one day */
+
+            const dates = range();
+            const thisRequest = ++request;
+
+            Promise.all([
+                availability.getDays(dates.from, dates.to),
+                bookings.between(dates.from, dates.to),
+                availability.outOfService()
+            ]).then(results => {
+                if (hasLeft || thisRequest !== request) {
+                    return;
+                }
+
+                const data = { days: results[0], list: results[1], outOfService: results[2] };
+                const board = container.querySelector('.admin-board');
+                const focused = document.activeElement;
+                const focusKey = focused && board.contains(focused) ? focused.dataset.key : null;
+
+                shown = data;
+                board.innerHTML = state.view === 'week' ? renderWeek(dates, data) : renderDay(state.date, data);
+
+                if (focusKey) {
+                    const again = board.querySelector('[data-key="' + focusKey + '"]');
+                    if (again) {
+                        again.focus();
+                    }
+                    /* Keyboard users stay on the button they pressed,
+                       even though it's been drawn again */
+                }
+            });
+        }
+
+        function moveTo(date, view) {
+            state.date = date;
+            state.view = view || state.view;
+            draw();
+        }
+
+        /* ----- Buttons ----- */
+
+        function handleClick(e) {
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+
+            const action = button.dataset.action;
+            const step = state.view === 'week' ? 7 : 1;
+
+            if (action === 'view') {
+                moveTo(button.dataset.view === 'day' ? nearestTrackDay(state.date, 1) : state.date, button.dataset.view);
+            } else if (action === 'previous') {
+                moveTo(state.view === 'week' ? addDays(state.date, -step) : nearestTrackDay(addDays(state.date, -1), -1));
+            } else if (action === 'next') {
+                moveTo(state.view === 'week' ? addDays(state.date, step) : nearestTrackDay(addDays(state.date, 1), 1));
+            } else if (action === 'today') {
+                moveTo(Availability.toIsoDate(new Date()));
+            } else if (action === 'open-day') {
+                moveTo(button.dataset.date, 'day');
+            } else if (action === 'export' && shown) {
+                downloadFile('manifest-' + state.date + '.csv', '\uFEFF' + manifestCsv(shown.list), 'text/csv');
+                /* \uFEFF = an invisible marker at the start that tells Excel
+                   the file is UTF-8, so "£" and accents in names come out right.
+                   downloadFile() is at the bottom of main.js */
+            } else if (action === 'check-in') {
+                checkIn(button.dataset.reference);
+            } else if (action === 'service') {
+                toggleService(button.dataset.carId);
+            } else if (action === 'reset-capacity') {
+                availability.setCapacity({
+                    carId: button.dataset.carId,
+                    date: state.date,
+                    time: button.dataset.time,
+                    capacity: null
+                }).catch(problem => Toast.error(problem.message));
+            }
+        }
+
+        function checkIn(reference) {
+            const booking = shown && shown.list.find(b => b.reference === reference);
+            if (!booking) {
+                return;
+            }
+
+            bookings.setCheckedIn(reference, !booking.checkedInAt).then(updated => {
+                Toast.success(updated.checkedInAt
+                    ? updated.driver.name + ' is checked in.'
+                    : 'Check-in undone for ' + updated.driver.name + '.');
+            }).catch(problem => Toast.error(problem.message));
+            /* The bookings store tells us it changed, and the page redraws */
+        }
+
+        function toggleService(carId) {
+            const car = Fleet.getById(carId);
+            const takingOut = shown.outOfService.indexOf(carId) === -1;
+
+            availability.setOutOfService(carId, takingOut)
+                .then(() => takingOut
+                    ? bookings.between(Availability.toIsoDate(new Date()), '9999-12-31')
+                    : [])
+                .then(upcoming => {
+                    const affected = upcoming.filter(b => b.carIds.indexOf(carId) !== -1).length;
+
+                    if (!takingOut) {
+                        Toast.success(Fleet.displayName(car) + ' is back in service.');
+                    } else if (affected > 0) {
+                        Toast.warning(Fleet.displayName(car) + ' is out of service. ' + affected +
+                            (affected === 1 ? ' upcoming booking still uses it' : ' upcoming bookings still use it') +
+                            ' - please contact the drivers to move them.', { duration: 10000 });
+                    } else {
+                        Toast.success(Fleet.displayName(car) + ' is out of service. It can\'t be booked until it\'s back.');
+                    }
+                })
+                .catch(problem => Toast.error(problem.message));
+        }
+
+        /* ----- Fields ----- */
+
+        function handleChange(e) {
+            const field = e.target;
+
+            if (field.name === 'date' && field.value) {
+                moveTo(field.value);
+                return;
+            }
+
+            if (!field.matches('.admin-capacity input')) {
+                return;
+            }
+
+            const capacity = Number(field.value);
+
+            if (field.value === '' || !(capacity >= 0)) {
+                draw();
+                return;
+                /* Emptied or nonsense - just put the real number back */
+            }
+
+            availability.setCapacity({
+                carId: field.dataset.carId,
+                date: state.date,
+                time: field.dataset.time,
+                capacity: capacity
+            }).catch(problem => {
+                Toast.error(problem.message);
+                draw();
+            });
+        }
+
+        container.addEventListener('click', handleClick);
+        container.addEventListener('change', handleChange);
+
+        const stopAccount = Account.subscribe(draw);
+        const stopBookings = bookings.subscribe(draw);
+        const stopAvailability = availability.subscribe(draw);
+        /* Redraw when someone signs in or out, a booking is made or
+           checked in, or places change - here or in another tab */
+
+        container.innerHTML = '<section class="page admin-page"><h1>Staff</h1><p>Loading...</p></section>';
+        Account.whenReady().then(draw);
+
+        return function leave() {
+            hasLeft = true;
+            stopAccount();
+            stopBookings();
+            stopAvailability();
+            container.removeEventListener('click', handleClick);
+            container.removeEventListener('change', handleChange);
+        };
+    }
+
+    return {
+        render: render
+    };
+})();
@@ -0,0 +1,147 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - APPEARANCE
+   Light or dark theme, and less motion for those who want it
+   ========================================= */
+
+/* THEME:
+   Phones and computers have a "dark mode" setting, which the browser
+   shares with websites (prefers-color-scheme). We follow it, unless the
+   visitor presses the theme button in the navbar - their choice is then
+   saved with their other preferences (js/preferences.js):
+
+   fse.preferences = { "theme": "dark", ... }
+
+   The theme is shown by an attribute on the <html> element, which the
+   stylesheet keys off (see DARK THEME at the top of the CSS):
+
+   <html data-theme="dark">
+
+   REDUCED MOTION:
+   Some people get dizzy or unwell from things sliding and zooming, and
+   switch on "reduce motion" on their device (prefers-reduced-motion).
+   The CSS turns its own animations off for them. Animations done from
+   JavaScript (main.js) ask Appearance.reducedMotion() first.
+
+   WHY IS THIS FILE LOADED IN THE <head>?
+   Every other script is at the bottom of the page. This one has to set
+   the theme BEFORE the page is drawn, or dark-mode visitors would see
+   a flash of white first. It only needs js/storage.js and
+   js/preferences.js, which are loaded just before it.
+
+   HOW TO USE:
+   Appearance.theme()              → 'light' or 'dark' (what's showing)
+   Appearance.setTheme('dark')
+   Appearance.initToggle(button)   ← makes a button switch between them
+   Appearance.reducedMotion()      → true if the visitor wants less motion
+   Appearance.scrollBehavior()     → 'smooth', or 'auto' (jump) for less motion
+*/
+
+const Appearance = (function() {
+    const THEMES = ['light', 'dark'];
+
+    const darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    /* The same questions as CSS @media rules, asked from JavaScript.
+       Very old browsers have no matchMedia - they get the light theme
+       and full motion, as before. */
+
+    /* ===== FUNCTION: deviceTheme =====
+       What the visitor's device is set to */
+
+    function deviceTheme() {
+        return darkQuery && darkQuery.matches ? 'dark' : 'light';
+    }
+
+    /* ===== PUBLIC FUNCTION: theme ===== */
+
+    function theme() {
+        const chosen = Preferences.get('theme', null);
+        return THEMES.indexOf(chosen) !== -1 ? chosen : deviceTheme();
+    }
+
+    /* ===== PUBLIC FUNCTION: setTheme =====
+       Choosing the same theme as the device saves "no choice" instead,
+       so if they later switch their device to the other mode, the site
+       follows it again. */
+
+    function setTheme(newTheme) {
+        Preferences.set('theme', newTheme === deviceTheme() ? null : newTheme);
+    }
+
+    /* ===== PUBLIC FUNCTION: reducedMotion ===== */
+
+    function reducedMotion() {
+        return Boolean(motionQuery && motionQuery.matches);
+    }
+
+    /* ===== PUBLIC FUNCTION: scrollBehavior =====
+       For scrollTo() and scrollIntoView(): glide, or just jump there */
+
+    function scrollBehavior() {
+        return reducedMotion() ? 'auto' : 'smooth';
+    }
+
+    /* ===== FUNCTION: apply =====
+       Put the theme on <html>, where the CSS can see it */
+
+    function apply() {
+        document.documentElement.dataset.theme = theme();
+    }
+
+    /* ===== PUBLIC FUNCTION: initToggle =====
+       A button that switches between light and dark.
+       aria-pressed="true" = dark is on, for screen readers. */
+
+    function initToggle(button) {
+        if (!button) {
+            return;
+        }
+
+        function draw() {
+            const isDark = theme() === 'dark';
+            button.setAttribute('aria-pressed', String(isDark));
+            button.title = isDark ? 'Switch to the light theme' : 'Switch to the dark theme';
+        }
+
+        button.addEventListener('click', function() {
+            setTheme(theme() === 'dark' ? 'light' : 'dark');
+        });
+
+        Preferences.subscribe(function(key) {
+            if (key === 'theme') {
+                draw();
+            }
+        });
+        if (darkQuery && darkQuery.addEventListener) {
+            darkQuery.addEventListener('change', draw);
+        }
+
+        draw();
+        button.hidden = false;
+        /* Hidden in the HTML, so there's no dead button if this never runs */
+    }
+
+    /* ===== KEEP IT UP TO DATE ===== */
+
+    Preferences.subscribe(function(key) {
+        if (key === 'theme') {
+            apply();
+            /* The button was pressed - here or in another tab */
+        }
+    });
+
+    if (darkQuery && darkQuery.addEventListener) {
+        darkQuery.addEventListener('change', apply);
+        /* Their device switched mode (many do at sunset) */
+    }
+
+    apply();
+
+    return {
+        theme: theme,
+        setTheme: setTheme,
+        reducedMotion: reducedMotion,
+        scrollBehavior: scrollBehavior,
+        initToggle: initToggle
+    };
+})();
@@ -0,0 +1,321 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - AVAILABILITY CALENDAR
+   A month calendar of track days, with the sessions on each day
+   ========================================= */
+
+/* WHAT DOES IT LOOK LIKE?
+   ‹  October 2026  ›
+   Mo Tu We Th Fr Sa Su
+             1  2  3  4      ← track days (Fri/Sat/Sun) are clickable
+   ...                         days with no places left are greyed out
+
+   Sessions on Saturday 3 October:
+   [09:00 - 1 place left] [11:00 - Fully booked] ...
+
+   HOW TO USE:
+   const calendar = AvailabilityCalendar.create(someDiv, {
+       source: Availability.createLocalSource(),   ← where the data comes from
+       carId: 'mclaren-720s',                       ← only count places in this car
+       carIds: ['mclaren-720s', 'audi-r8-v10-plus'],← ...or a package: the first car in the session
+                                                      picked, the next in the session after (see
+                                                      Availability.schedule)
+       places: 2,                                   ← optional: drivers coming, so places needed
+                                                      in each car (1 if left out)
+       selectedDate: '2026-10-03',                  ← optional: start with a day chosen
+       selectedTime: '11:00',                       ← optional: start with a session chosen
+       onSelect: function(date, time) { ... }       ← runs when a session is picked - and with
+                                                      time '' when another day is chosen,
+                                                      because the old session no longer applies
+   });
+
+   Without a carId (or carIds), each session lists the places left in every car.
+
+   calendar.destroy() stops it listening for changes when you're done.
+*/
+
+const AvailabilityCalendar = (function() {
+    const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+    /* ===== FUNCTION: placesLeft =====
+       Places left when starting in one session: for the chosen car(s),
+       or for all cars added up.
+       With several cars, each is in its own session (one after another),
+       and it's the car with the FEWEST places that counts - a package
+       needs room in every one of them. */
+
+    function placesLeft(day, session, carIds) {
+        if (carIds) {
+            const cars = Availability.schedule(carIds, session.time);
+
+            if (!cars) {
+                return 0;
+                /* Too late in the day to fit every car in */
+            }
+
+            return Math.min.apply(null, cars.map(item => {
+                const carSession = day.sessions.find(s => s.time === item.time);
+                return carSession && carSession.cars[item.carId] ? carSession.cars[item.carId].left : 0;
+            }));
+        }
+
+        return Object.keys(session.cars).reduce((total, id) => total + session.cars[id].left, 0);
+    }
+
+    /* ===== FUNCTION: describePlaces =====
+       places = how many are needed. Fewer than that left counts as full. */
+
+    function describePlaces(left, places) {
+        if (left === 0) {
+            return 'Fully booked';
+        }
+        if (left < places) {
+            return 'Only ' + left + (left === 1 ? ' place' : ' places') + ' left - not enough';
+        }
+        return left + (left === 1 ? ' place left' : ' places left');
+    }
+
+    /* ===== PUBLIC FUNCTION: create ===== */
+
+    function create(container, calendarOptions) {
+        const settings = calendarOptions || {};
+        const source = settings.source;
+        const today = Availability.toIsoDate(new Date());
+        const carIds = settings.carIds || (settings.carId ? [settings.carId] : null);
+        const places = settings.places || 1;
+
+        let selectedDate = settings.selectedDate || '';
+        let selectedTime = settings.selectedTime || '';
+        let viewMonth = Availability.fromIsoDate(selectedDate || today);
+        viewMonth.setDate(1);
+        /* The month on screen - always kept on the 1st of the month */
+
+        let days = {};
+        /* Track days for the month on screen, looked up by date:
+           { '2026-10-03': { date, sessions }, ... } */
+
+        /* ----- Drawing ----- */
+
+        function renderDayCell(isoDate) {
+            const day = days[isoDate];
+            const label = Availability.fromIsoDate(isoDate).toLocaleDateString('en-GB', {
+                weekday: 'long', day: 'numeric', month: 'long'
+            });
+            const number = Number(isoDate.slice(-2));
+
+            if (!day || isoDate < today) {
+                return `<span class="calendar-day is-closed" aria-label="${label}, closed">${number}</span>`;
+            }
+
+            const left = day.sessions
+                .map(s => placesLeft(day, s, carIds))
+                .filter(sessionLeft => sessionLeft >= places)
+                .reduce((total, sessionLeft) => total + sessionLeft, 0);
+            /* Only sessions with room for everyone count */
+            const classes = ['calendar-day', 'is-track-day'];
+
+            if (left === 0) {
+                classes.push('is-full');
+            }
+            if (isoDate === selectedDate) {
+                classes.push('is-selected');
+            }
+
+            return `
+                <button type="button" class="${classes.join(' ')}" data-date="${isoDate}"
+                    aria-pressed="${isoDate === selectedDate}"
+                    aria-label="${label}, ${describePlaces(left, places)}"
+                    ${left === 0 ? 'disabled' : ''}>${number}</button>
+            `;
+        }
+
+        function renderGrid() {
+            const cells = WEEKDAYS.map(name => `<span class="calendar-weekday" aria-hidden="true">${name}</span>`);
+
+            const leadingBlanks = (viewMonth.getDay() + 6) % 7;
+            /* How many empty cells before the 1st.
+               getDay() says Sunday = 0, but our weeks start on Monday,
+               so we shift everything along by 6 (and wrap with % 7). */
+
+            for (let i = 0; i < leadingBlanks; i++) {
+                cells.push('<span class="calendar-blank"></span>');
+            }
+
+            const cursor = new Date(viewMonth);
+            while (cursor.getMonth() === viewMonth.getMonth()) {
+                cells.push(renderDayCell(Availability.toIsoDate(cursor)));
+                cursor.setDate(cursor.getDate() + 1);
+            }
+
+            return cells.join('');
+        }
+
+        function renderSessionButton(session, index, sessions) {
+            const day = days[selectedDate];
+            const left = placesLeft(day, session, carIds);
+            const isFull = left < places;
+            const isSelected = session.time === selectedTime;
+
+            let detail = describePlaces(left, places);
+
+            if (carIds && carIds.length > 1) {
+                const later = sessions.slice(index + 1, index + carIds.length).map(s => s.time);
+
+                detail = later.length === carIds.length - 1
+                    ? 'Then ' + later.join(', ') + ' - ' + detail
+                    : 'Not enough sessions left for every car';
+            }
+
+            if (!carIds) {
+                /* No car chosen yet: list the places left in each car */
+                detail = Fleet.getAll()
+                    .filter(car => session.cars[car.id])
+                    .map(car => escapeHtml(Fleet.displayName(car)) + ': ' + session.cars[car.id].left)
+                    .join(', ');
+            }
+
+            return `
+                <button type="button"
+                    class="calendar-session${isFull ? ' is-full' : ''}${isSelected ? ' is-selected' : ''}"
+                    data-time="${session.time}" aria-pressed="${isSelected}"
+                    ${isFull ? 'disabled' : ''}>
+                    <strong>${session.time}</strong>
+                    <span>${detail}</span>
+                </button>
+            `;
+        }
+
+        function renderSessions() {
+            const day = days[selectedDate];
+
+            if (!day) {
+                return '<p class="calendar-hint">Choose a highlighted track day to see its sessions.</p>';
+            }
+
+            const heading = Availability.fromIsoDate(selectedDate).toLocaleDateString('en-GB', {
+                weekday: 'long', day: 'numeric', month: 'long'
+            });
+
+            return `
+                <h4>Sessions on ${heading}</h4>
+                <div class="calendar-session-list">${day.sessions.map(renderSessionButton).join('')}</div>
+            `;
+        }
+
+        /* The button to put keyboard focus back on after a redraw, as
+           something we can find again: '[data-date="2026-10-03"]' */
+        function focusSelector(element) {
+            const button = element && element.closest && element.closest('[data-calendar], [data-date], [data-time]');
+
+            if (!button || !container.contains(button)) {
+                return '';
+            }
+            if (button.dataset.calendar) {
+                return '[data-calendar="' + button.dataset.calendar + '"]';
+            }
+            return button.dataset.date
+                ? '[data-date="' + button.dataset.date + '"]'
+                : '[data-time="' + button.dataset.time + '"]';
+        }
+
+        /* ===== FUNCTION: render =====
+           Draw the whole calendar. focusOn = the button that was just
+           clicked (if any) - replacing the HTML throws away the button
+           that had keyboard focus, so the same one in the new HTML gets it */
+
+        function render(focusOn) {
+            const selector = focusSelector(focusOn || document.activeElement);
+            const monthLabel = viewMonth.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+            const isCurrentMonth = Availability.toIsoDate(viewMonth) <= today.slice(0, 8) + '01';
+
+            container.innerHTML = `
+                <div class="availability-calendar">
+                    <div class="calendar-header">
+                        <button type="button" data-calendar="prev" aria-label="Previous month"
+                            ${isCurrentMonth ? 'disabled' : ''}>&lsaquo;</button>
+                        <h4 aria-live="polite">${monthLabel}</h4>
+                        <button type="button" data-calendar="next" aria-label="Next month">&rsaquo;</button>
+                    </div>
+                    <div class="calendar-grid">${renderGrid()}</div>
+                    <div class="calendar-sessions">${renderSessions()}</div>
+                </div>
+            `;
+
+            let focusTarget = selector ? container.querySelector(selector) : null;
+
+            if (focusTarget && focusTarget.disabled) {
+                focusTarget = container.querySelector('[data-calendar="next"]');
+                /* e.g. back at this month, where "previous" is switched off */
+            }
+            if (focusTarget) {
+                focusTarget.focus();
+            }
+        }
+
+        /* ----- Loading a month from the source ----- */
+
+        function load(focusOn) {
+            const first = Availability.toIsoDate(viewMonth);
+            const last = Availability.toIsoDate(new Date(viewMonth.getFullYear(), viewMonth.getMonth() + 1, 0));
+            /* Day 0 of next month = the last day of this month */
+
+            return source.getDays(first, last).then(list => {
+                days = {};
+                list.forEach(day => { days[day.date] = day; });
+                render(focusOn);
+            });
+        }
+
+        /* ----- Clicks (one listener for the whole calendar) ----- */
+
+        function handleClick(e) {
+            const monthButton = e.target.closest('[data-calendar]');
+            const dayButton = e.target.closest('[data-date]');
+            const sessionButton = e.target.closest('[data-time]');
+
+            if (monthButton) {
+                viewMonth.setMonth(viewMonth.getMonth() + (monthButton.dataset.calendar === 'next' ? 1 : -1));
+                load(monthButton);
+            } else if (dayButton) {
+                const isNewDay = dayButton.dataset.date !== selectedDate;
+
+                if (isNewDay) {
+                    selectedDate = dayButton.dataset.date;
+                    selectedTime = '';
+                    /* A different day means the old session no longer applies */
+                }
+                render(dayButton);
+
+                if (isNewDay && typeof settings.onSelect === 'function') {
+                    settings.onSelect(selectedDate, '');
+                    /* ...so tell the page, or it would still book the old one */
+                }
+            } else if (sessionButton) {
+                selectedTime = sessionButton.dataset.time;
+                render(sessionButton);
+
+                if (typeof settings.onSelect === 'function') {
+                    settings.onSelect(selectedDate, selectedTime);
+                }
+            }
+        }
+
+        container.addEventListener('click', handleClick);
+
+        const unsubscribe = source.subscribe(() => load());
+        /* Redraw with fresh numbers whenever someone else books */
+
+        load();
+
+        return {
+            refresh: load,
+            destroy: function() {
+                unsubscribe();
+                container.removeEventListener('click', handleClick);
+            }
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
@@ -0,0 +1,496 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - AVAILABILITY
+   Track days, session slots and how many places are left per car
+   ========================================= */
+
+/* WHAT DOES THIS FILE DO?
+   It answers two questions:
+   1. "Which days and sessions can I still book for this car?"
+   2. "Please hold this car in this session for me" (a reservation)
+
+   WHAT IS AN AVAILABILITY "SOURCE"?
+   The place the answers come from. Right now that's the browser's own
+   localStorage, so the site works with no server at all. Later it could
+   be a real booking server. Any object with these six functions can be
+   used as a source:
+
+   source.getDays(fromDate, toDate)
+       → Promise of a list of track days between the two dates:
+         [{ date: '2026-10-23', sessions: [
+             { time: '09:00', cars: { 'mclaren-720s': { capacity: 1, booked: 0, left: 1 } } }
+         ] }]
+
+   source.reserve({ reference, carId, date, time, places, hold })
+       → Promise of the saved reservation. places = how many drivers
+         are coming in that car (optional, 1 if left out)
+       → hold: true = only a 'pending' reservation, while they pay (see HOLDS)
+       → REJECTS with error.code = 'SLOT_FULL' if there aren't that many places left
+
+   source.confirm(reference)
+       → Promise, turns that reference's held places into real bookings
+       → REJECTS with error.code = 'HOLD_EXPIRED' if the hold ran out AND
+         someone else has taken the place since
+
+   source.release(reference)
+       → Promise, resolves once the reservation is removed
+
+   source.reschedule(reference, date, time)
+       → Promise, moves every reservation with that reference to
+         another session (all of them, or none if there's no room).
+         For a package, time is its FIRST session - the other cars
+         stay one session after another, as they were booked.
+       → REJECTS with error.code = 'SLOT_FULL' if any car has no place left
+
+   source.subscribe(listener)
+       → calls listener() whenever availability changes (e.g. a booking
+         made in another browser tab). Returns a function that stops listening.
+
+   STAFF FUNCTIONS (used by the staff page, js/admin-page.js - only the
+   local source has these so far):
+
+   source.setOutOfService(carId, outOfService)
+       → Promise. true takes the car off the road: it has no places in
+         any session until it's set back to false. Bookings already made
+         for it are kept - staff need to contact those drivers.
+
+   source.outOfService()
+       → Promise of the ids of cars that are off the road
+
+   source.setCapacity({ carId, date, time, capacity })
+       → Promise. Changes how many drivers one car can take in one
+         session (0 = closed). capacity: null goes back to normal.
+       → REJECTS with error.code = 'BELOW_BOOKED' if more drivers have
+         already booked than the new capacity
+
+   Each car in getDays() also says overridden: true when staff have
+   changed its capacity in that session.
+
+   HOLDS:
+   The booking wizard holds the places before taking payment, so nobody
+   else can take them mid-checkout. A hold lasts HOLD_MINUTES. If the
+   payment never happens (the tab is closed, the connection drops) the
+   hold simply runs out: after that it's ignored, as if it had never
+   been made, and the places are free again.
+
+   PACKAGES OF SEVERAL CARS:
+   Nobody can drive two cars at once, so each car in a package gets its
+   own session, one after another on the same day:
+   Availability.schedule(['mclaren-720s', 'audi-r8-v10-plus'], '11:00')
+       → [{ carId: 'mclaren-720s', time: '11:00' }, { carId: 'audi-r8-v10-plus', time: '13:00' }]
+       → null if the day runs out of sessions first (4 cars from 15:00)
+
+   WHY PROMISES?
+   A real server takes time to answer. By making even the local source
+   return Promises, code that uses it (the calendar, the booking wizard)
+   won't need changing when we swap in a server.
+*/
+
+const Availability = (function() {
+    /* ===== SETTINGS ===== */
+
+    const TRACK_DAYS = [5, 6, 0];
+    /* Days of the week the track is open: 5 = Friday, 6 = Saturday, 0 = Sunday
+       (JavaScript's getDay() counts Sunday as 0) */
+
+    const SESSION_TIMES = ['09:00', '11:00', '13:00', '15:00'];
+    /* Start time of each session on a track day */
+
+    const DEFAULT_CAPACITY = 1;
+    /* Drivers per car per session. 1 = only one person can book
+       the same car in the same session. */
+
+    const HOLD_MINUTES = 15;
+    /* How long a 'pending' reservation keeps its places while they pay */
+
+    const STORAGE_KEY = 'fse.reservations';
+    const OVERRIDES_KEY = 'fse.track-overrides';
+    /* Staff changes: { outOfService: ['carId', ...], capacity: { 'date|time|carId': 2 } } */
+
+    /* ===== FUNCTION: toIsoDate =====
+       A Date → "YYYY-MM-DD" in local time
+
+       WHY NOT date.toISOString()?
+       toISOString() uses UTC, so just after midnight in summer it
+       would give yesterday's date. We want the date on the user's clock. */
+
+    function toIsoDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+
+        return date.getFullYear() + '-' + month + '-' + day;
+    }
+
+    /* ===== FUNCTION: fromIsoDate =====
+       "YYYY-MM-DD" → a Date at midnight local time */
+
+    function fromIsoDate(isoDate) {
+        const parts = isoDate.split('-').map(Number);
+        return new Date(parts[0], parts[1] - 1, parts[2]);
+    }
+
+    /* ===== FUNCTION: isTrackDay ===== */
+
+    function isTrackDay(isoDate) {
+        return TRACK_DAYS.includes(fromIsoDate(isoDate).getDay());
+    }
+
+    /* ===== FUNCTION: isLive =====
+       Does this reservation still take up its places? Confirmed ones
+       do (and ones saved before holds existed, which have no status);
+       pending ones only until their hold runs out. */
+
+    function isLive(reservation) {
+        return reservation.status !== 'pending' || new Date(reservation.expiresAt) > new Date();
+    }
+
+    /* ===== PUBLIC FUNCTION: schedule =====
+       Which session each car in a booking is driven in: the first car
+       at firstTime, the next car in the session after, and so on.
+       null if there aren't enough sessions left that day. */
+
+    function schedule(carIds, firstTime) {
+        const first = SESSION_TIMES.indexOf(firstTime);
+
+        if (first === -1 || first + carIds.length > SESSION_TIMES.length) {
+            return null;
+        }
+
+        return carIds.map((carId, index) => ({ carId: carId, time: SESSION_TIMES[first + index] }));
+    }
+
+    /* ===== PUBLIC FUNCTION: createLocalSource =====
+       An availability source that keeps reservations in the browser
+
+       OPTIONS (all optional):
+       - storage  = where to save (default: localStorage, or memory)
+       - capacity = drivers per car per session (default: 1)
+       - cars     = the fleet (default: Fleet.getAll())
+
+       DOUBLE-BOOKING PROTECTION:
+       reserve() reads the saved reservations again immediately before
+       saving, so if another tab has taken the last place since the
+       calendar was drawn, the booking is refused with 'SLOT_FULL'. */
+
+    function createLocalSource(sourceOptions) {
+        const settings = sourceOptions || {};
+        const storage = settings.storage || BrowserStorage.get();
+        const capacity = settings.capacity || DEFAULT_CAPACITY;
+        const listeners = [];
+
+        const getCars = () => settings.cars || Fleet.getAll();
+
+        /* ----- Reading and writing the saved reservations ----- */
+
+        function load() {
+            try {
+                return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                return [];
+                /* Saved data was damaged - start again rather than crash */
+            }
+        }
+
+        function save(reservations) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(reservations));
+            notify();
+        }
+
+        function notify() {
+            listeners.forEach(listener => listener());
+        }
+
+        function loadOverrides() {
+            try {
+                const overrides = JSON.parse(storage.getItem(OVERRIDES_KEY)) || {};
+                return {
+                    outOfService: overrides.outOfService || [],
+                    capacity: overrides.capacity || {}
+                };
+            } catch (error) {
+                return { outOfService: [], capacity: {} };
+            }
+        }
+
+        function saveOverrides(overrides) {
+            storage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+            notify();
+        }
+
+        /* ----- Counting places ----- */
+
+        /* Drivers booked into one car's session. Reservations saved before
+           'places' was added are for one driver each, and holds that
+           have run out don't count. */
+        function countBooked(reservations, carId, date, time) {
+            return reservations
+                .filter(r => r.carId === carId && r.date === date && r.time === time && isLive(r))
+                .reduce((total, r) => total + (r.places || 1), 0);
+        }
+
+        function slotKey(carId, date, time) {
+            return date + '|' + time + '|' + carId;
+        }
+
+        /* Places one car has in one session, after any staff changes */
+        function capacityOf(overrides, carId, date, time) {
+            const car = getCars().find(c => c.id === carId);
+
+            if (!car || !car.available || overrides.outOfService.indexOf(carId) !== -1) {
+                return 0;
+                /* A car that's off the road has no places at all */
+            }
+
+            const override = overrides.capacity[slotKey(carId, date, time)];
+            return typeof override === 'number' ? override : capacity;
+        }
+
+        function buildDay(reservations, overrides, isoDate) {
+            return {
+                date: isoDate,
+                sessions: SESSION_TIMES.map(time => {
+                    const cars = {};
+
+                    getCars().forEach(car => {
+                        const booked = countBooked(reservations, car.id, isoDate, time);
+                        const carCapacity = capacityOf(overrides, car.id, isoDate, time);
+
+                        cars[car.id] = {
+                            capacity: carCapacity,
+                            booked: booked,
+                            left: Math.max(carCapacity - booked, 0),
+                            overridden: slotKey(car.id, isoDate, time) in overrides.capacity
+                        };
+                    });
+
+                    return { time: time, cars: cars };
+                })
+            };
+        }
+
+        /* ----- The source functions (see the top of this file) ----- */
+
+        function getDays(fromDate, toDate) {
+            const reservations = load();
+            const overrides = loadOverrides();
+            const days = [];
+            const cursor = fromIsoDate(fromDate);
+            const end = fromIsoDate(toDate);
+
+            while (cursor <= end) {
+                const isoDate = toIsoDate(cursor);
+
+                if (isTrackDay(isoDate)) {
+                    days.push(buildDay(reservations, overrides, isoDate));
+                }
+
+                cursor.setDate(cursor.getDate() + 1);
+            }
+
+            return Promise.resolve(days);
+        }
+
+        function reserve(request) {
+            const reservations = load().filter(isLive);
+            /* Fresh read - see DOUBLE-BOOKING PROTECTION above. Holds that
+               have run out are dropped while we're saving anyway */
+
+            const places = Math.max(Math.floor(request.places) || 1, 1);
+            const left = capacityOf(loadOverrides(), request.carId, request.date, request.time) -
+                countBooked(reservations, request.carId, request.date, request.time);
+
+            if (!isTrackDay(request.date) || !SESSION_TIMES.includes(request.time) || left < places) {
+                const error = new Error('Sorry, that session has just been taken. Please choose another.');
+                error.code = 'SLOT_FULL';
+                return Promise.reject(error);
+            }
+
+            const reservation = {
+                reference: request.reference,
+                carId: request.carId,
+                date: request.date,
+                time: request.time,
+                places: places,
+                status: request.hold ? 'pending' : 'confirmed',
+                createdAt: new Date().toISOString()
+            };
+
+            if (request.hold) {
+                reservation.expiresAt = new Date(Date.now() + HOLD_MINUTES * 60000).toISOString();
+                /* 60000 = milliseconds in a minute */
+            }
+
+            reservations.push(reservation);
+            save(reservations);
+
+            return Promise.resolve(reservation);
+        }
+
+        function confirm(reference) {
+            const reservations = load();
+            const own = reservations.filter(r => r.reference === reference);
+            const others = reservations.filter(r => r.reference !== reference);
+            const overrides = loadOverrides();
+
+            const stillFits = own.length > 0 && own.every(r => isLive(r) ||
+                countBooked(others, r.carId, r.date, r.time) + (r.places || 1) <= capacityOf(overrides, r.carId, r.date, r.time));
+            /* A hold that ran out can still be confirmed - as long as
+               nobody has taken the place in the meantime */
+
+            if (!stillFits) {
+                const error = new Error('Sorry, we could only hold your session for ' + HOLD_MINUTES +
+                    ' minutes, and someone else has booked it since.');
+                error.code = 'HOLD_EXPIRED';
+                return Promise.reject(error);
+            }
+
+            own.forEach(r => {
+                r.status = 'confirmed';
+                delete r.expiresAt;
+            });
+            save(reservations);
+
+            return Promise.resolve(own);
+        }
+
+        function release(reference) {
+            save(load().filter(r => r.reference !== reference));
+            return Promise.resolve();
+        }
+
+        function reschedule(reference, date, time) {
+            const reservations = load();
+            const own = reservations.filter(r => r.reference === reference);
+            const others = reservations.filter(r => r.reference !== reference);
+            /* Places are counted WITHOUT this booking's own reservations,
+               so they don't get in their own way */
+
+            if (own.length === 0) {
+                const error = new Error('We couldn\'t find that booking.');
+                error.code = 'NOT_FOUND';
+                return Promise.reject(error);
+            }
+
+            const shift = SESSION_TIMES.indexOf(time) -
+                Math.min.apply(null, own.map(r => SESSION_TIMES.indexOf(r.time)));
+            const newTime = r => SESSION_TIMES[SESSION_TIMES.indexOf(r.time) + shift];
+            /* Every car moves by the same number of sessions, so a package
+               keeps its cars one after another */
+
+            const overrides = loadOverrides();
+            const fits = isTrackDay(date) && SESSION_TIMES.includes(time) &&
+                own.every(r => newTime(r) && countBooked(others, r.carId, date, newTime(r)) + (r.places || 1) <=
+                    capacityOf(overrides, r.carId, date, newTime(r)));
+
+            if (!fits) {
+                const error = new Error('Sorry, that session is full. Please choose another.');
+                error.code = 'SLOT_FULL';
+                return Promise.reject(error);
+            }
+
+            own.forEach(r => {
+                r.time = newTime(r);
+                r.date = date;
+            });
+            save(reservations);
+            /* own holds the same objects as reservations, so this saves the changes */
+
+            return Promise.resolve(own);
+        }
+
+        /* ----- The staff functions ----- */
+
+        function setOutOfService(carId, outOfService) {
+            const overrides = loadOverrides();
+            overrides.outOfService = overrides.outOfService.filter(id => id !== carId);
+
+            if (outOfService) {
+                overrides.outOfService.push(carId);
+            }
+
+            saveOverrides(overrides);
+            return Promise.resolve();
+        }
+
+        function outOfService() {
+            return Promise.resolve(loadOverrides().outOfService.slice());
+        }
+
+        function setCapacity(change) {
+            const overrides = loadOverrides();
+            const key = slotKey(change.carId, change.date, change.time);
+
+            if (change.capacity === null || change.capacity === undefined) {
+                delete overrides.capacity[key];
+            } else {
+                const booked = countBooked(load(), change.carId, change.date, change.time);
+
+                if (!(change.capacity >= 0)) {
+                    const error = new Error('Capacity must be 0 or more.');
+                    error.code = 'INVALID';
+                    return Promise.reject(error);
+                }
+                if (change.capacity < booked) {
+                    const error = new Error(booked + (booked === 1 ? ' driver has' : ' drivers have') +
+                        ' already booked this session - move or cancel a booking first.');
+                    error.code = 'BELOW_BOOKED';
+                    return Promise.reject(error);
+                }
+
+                overrides.capacity[key] = Math.floor(change.capacity);
+            }
+
+            saveOverrides(overrides);
+            return Promise.resolve();
+        }
+
+        /* Another tab changed our saved reservations → tell our listeners
+           (the 'storage' event only fires in OTHER tabs, never the one that saved) */
+        function handleStorage(e) {
+            if (e.key === STORAGE_KEY || e.key === OVERRIDES_KEY) {
+                notify();
+            }
+        }
+
+        function subscribe(listener) {
+            if (listeners.length === 0) {
+                window.addEventListener('storage', handleStorage);
+            }
+            listeners.push(listener);
+
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+                if (listeners.length === 0) {
+                    window.removeEventListener('storage', handleStorage);
+                }
+            };
+        }
+        /* Only listen for other tabs while someone is listening to us -
+           so every source that's made doesn't add one more 'storage'
+           listener to the page for good */
+
+        return {
+            getDays: getDays,
+            reserve: reserve,
+            confirm: confirm,
+            release: release,
+            reschedule: reschedule,
+            subscribe: subscribe,
+            setOutOfService: setOutOfService,
+            outOfService: outOfService,
+            setCapacity: setCapacity
+        };
+    }
+
+    return {
+        SESSION_TIMES: SESSION_TIMES,
+        HOLD_MINUTES: HOLD_MINUTES,
+        toIsoDate: toIsoDate,
+        fromIsoDate: fromIsoDate,
+        isTrackDay: isTrackDay,
+        schedule: schedule,
+        createLocalSource: createLocalSource
+    };
+})();
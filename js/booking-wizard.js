@@ -0,0 +1,899 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - BOOKING WIZARD
+   Step-by-step booking: car, date & time, driver, review, confirm
+   ========================================= */
+
+/* WHAT IS A WIZARD?
+   A form split into small steps, shown one at a time, with
+   "Back" and "Next" buttons to move between them.
+
+   OUR STEPS:
+   1. Car       = pick a car from the fleet
+   2. Date/time = choose a track day and a session slot
+   3. Driver    = name, email and phone number
+   4. Review    = check everything before confirming
+   5. Confirmed = show the booking reference number
+   (Between 4 and 5 the checkout takes payment - see PAYMENT below)
+
+   WHERE DO THE DATES COME FROM?
+   The date/time step shows the availability calendar
+   (js/availability-calendar.js), so only sessions with a place left
+   in the chosen car can be picked. Confirming reserves that place
+   through the availability source - if someone else got there first,
+   the user is sent back to pick another session.
+
+   CAN THEY DRIVE IT?
+   The driver step also asks for date of birth, licence, height and
+   weight, and checks them against the rules of every car in the booking
+   (Eligibility.reasonsFor, js/eligibility.js) on the day they'd drive.
+   Anyone who can't is stopped there, not turned away at the track.
+   These answers are only used for the check - they aren't saved with
+   the booking.
+
+   PRICE AND GIFT VOUCHERS:
+   A session is LAPS_PER_SESSION laps, priced at the car's price per lap.
+   The review step has a box for a gift voucher code (js/vouchers.js).
+   Applying it only works out the discount - the voucher is actually
+   spent once the booking is confirmed, so a failed booking never
+   uses up someone's present.
+
+   PAYMENT:
+   "Confirm and pay" HOLDS the session first (a 'pending' reservation),
+   so nobody else can take it, then hands over to the checkout
+   (js/checkout.js) for a deposit or the full amount. Once paid, the
+   hold is confirmed. If they close the checkout without paying, the
+   session is released again - and if they just leave, the hold runs
+   out by itself (Availability.HOLD_MINUTES). A voucher that covers the
+   whole price skips the checkout.
+
+   PACKAGES:
+   A quote from the package builder (js/package-builder.js) can be
+   passed in as 'package'. The car step is skipped (the package already
+   says which cars). Each car gets its own session, one after another on
+   the same day (Availability.schedule), so the calendar only offers a
+   first session that leaves room for every car after it - and room for
+   every driver, as each driver takes one place in each car. Confirming
+   reserves them all together - if any one is taken, none of them are kept.
+
+   HOW DOES IT KEEP ITS STATE?
+   Everything the user has chosen lives in one 'state' object.
+   Each time the user leaves a step (forwards OR backwards) we copy the
+   form values into that object, and each time a step is drawn we copy
+   them back out. So going back never loses what was typed.
+
+   HOW TO USE:
+   BookingWizard.open({
+       cars: Fleet.getAll(),
+       availability: Availability.createLocalSource(),
+       mount: someModal.body,                 ← where to draw it
+       onComplete: function(booking) { console.log(booking.reference); },
+       onClose: function() { someModal.close(); },  ← Cancel / Done was pressed
+       voucherCode: 'FSE-GIFT-7K3M-Q9PX',           ← optional: voucher to apply
+       package: PackageBuilder.current()            ← optional: book a package
+   });
+*/
+
+const BookingWizard = (function() {
+    /* ===== CONSTANTS ===== */
+
+    const STEPS = ['car', 'datetime', 'driver', 'review', 'confirmed'];
+    /* The order the steps appear in - state.step is an index into this list */
+
+    const STEP_TITLES = {
+        car: 'Choose your car',
+        datetime: 'Pick a date and time',
+        driver: 'Driver details',
+        review: 'Review your booking',
+        confirmed: 'Booking confirmed'
+    };
+
+    const LAPS_PER_SESSION = 3;
+
+    /* ===== PRIVATE VARIABLES =====
+       These are only visible inside this file (the function wrapping
+       everything keeps them private). Other files use the public
+       functions returned at the bottom. */
+
+    let state = null;       /* The booking in progress */
+    let panel = null;       /* The <div> the wizard is drawn into */
+    let options = {};       /* Options passed to open() */
+    let calendar = null;    /* The availability calendar, while the date step is showing */
+    let isSubmitting = false;  /* True while a reservation is being saved */
+
+    /* ===== FUNCTION: createState =====
+       A fresh, empty booking - or one already filled in from a package */
+
+    function createState(bookingPackage) {
+        const fresh = {
+            step: 0,
+            booking: {
+                carId: '',
+                carIds: [],        /* Every car to reserve - just [carId] unless it's a package */
+                car: '',
+                date: '',
+                time: '',          /* The first session - a package's other cars follow on */
+                laps: LAPS_PER_SESSION,
+                drivers: 1,        /* Places to reserve in each car */
+                price: 0,
+                voucherCode: '',   /* What was typed in the voucher box */
+                voucher: null,     /* { code, amount, message } once applied */
+                package: null,     /* The package builder's quote, if booking a package */
+                driver: {
+                    name: '',
+                    email: '',
+                    phone: ''
+                },
+                eligibility: {     /* Only for the check on the driver step - never saved */
+                    dob: '',
+                    licenceIssued: '',
+                    licenceCountry: 'GB',
+                    heightCm: '',
+                    weightKg: ''
+                }
+            }
+        };
+
+        if (bookingPackage) {
+            const booking = fresh.booking;
+            const cars = bookingPackage.selection.cars.map(item => Fleet.getById(item.carId));
+
+            booking.package = bookingPackage;
+            booking.carIds = cars.map(car => car.id);
+            booking.carId = booking.carIds[0];
+            booking.car = cars.map(car => Fleet.displayName(car)).join(' + ');
+            booking.laps = bookingPackage.selection.cars.reduce((total, item) => total + item.laps, 0);
+            booking.drivers = bookingPackage.selection.drivers;
+            booking.price = bookingPackage.total;
+
+            fresh.step = STEPS.indexOf('datetime');
+            /* The package has already chosen the cars */
+        }
+
+        return fresh;
+    }
+
+    /* ===== FUNCTION: firstStep =====
+       Where "Back" stops: the car step, or the date step for a package */
+
+    function firstStep() {
+        return state.booking.package ? STEPS.indexOf('datetime') : 0;
+    }
+
+    /* ===== FUNCTION: createReference =====
+       Make a booking reference like "FSE-LQ3K9-4TZ"
+
+       HOW?
+       - Date.now().toString(36) = current time written in base 36
+         (digits 0-9 plus letters a-z), so references sort by time
+       - Math.random() part = stops two bookings in the same
+         millisecond getting the same reference */
+
+    function createReference() {
+        const time = Date.now().toString(36).toUpperCase();
+        const random = Math.random().toString(36).slice(2, 5).toUpperCase();
+
+        return 'FSE-' + time.slice(-5) + '-' + random;
+    }
+
+    /* ===== FUNCTION: formatDate =====
+       "2026-10-19" → "Monday 19 October 2026" */
+
+    function formatDate(isoDate) {
+        return new Date(isoDate + 'T00:00:00').toLocaleDateString('en-GB', {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    /* ===== STEP RENDERERS =====
+       Each function returns the HTML for one step.
+       escapeHtml() (from main.js) stops anything the user typed
+       being treated as HTML. */
+
+    function renderCarStep(booking) {
+        const choices = options.cars.map(car => `
+            <label class="wizard-choice">
+                <input type="radio" name="car" value="${escapeHtml(car.id)}"
+                    ${car.id === booking.carId ? 'checked' : ''}
+                    ${car.available ? '' : 'disabled'}>
+                <span>${escapeHtml(Fleet.displayName(car))}</span>
+                ${car.available ? '' : '<small>Currently unavailable</small>'}
+            </label>
+        `).join('');
+        /* Cars that are off the road are shown, but can't be picked */
+
+        return `<fieldset><legend>Our fleet</legend>${choices}</fieldset>`;
+    }
+
+    function renderDateTimeStep(booking) {
+        const drivers = booking.drivers === 1 ? 'a place' : 'places for ' + booking.drivers + ' drivers';
+        const intro = booking.package
+            ? 'Each car in your package has its own session, one after another. Pick the first - ' +
+              'showing sessions with ' + drivers + ' in'
+            : 'Showing places left in the';
+
+        return `
+            <p>${escapeHtml(intro)} <strong>${escapeHtml(booking.car)}</strong>.</p>
+            <div class="wizard-calendar"></div>
+        `;
+        /* Just an empty box - mountCalendar() fills it once it's on the page */
+    }
+
+    function renderDriverStep(booking) {
+        const driver = booking.driver;
+        const about = booking.eligibility;
+        const countries = Eligibility.licenceCountries()
+            .concat({ code: 'other', name: 'Another country' })
+            .map(country => `<option value="${escapeHtml(country.code)}"${country.code === about.licenceCountry ? ' selected' : ''}>
+                ${escapeHtml(country.name)}</option>`)
+            .join('');
+
+        return `
+            <label class="wizard-field">
+                <span>Full name</span>
+                <input type="text" name="name" autocomplete="name" data-validate="required"
+                    value="${escapeHtml(driver.name)}">
+            </label>
+            <label class="wizard-field">
+                <span>Email</span>
+                <input type="email" name="email" autocomplete="email" data-validate="required email"
+                    value="${escapeHtml(driver.email)}">
+            </label>
+            <label class="wizard-field">
+                <span>Phone</span>
+                <input type="tel" name="phone" autocomplete="tel" data-validate="required ukPhone"
+                    value="${escapeHtml(driver.phone)}">
+            </label>
+            <fieldset>
+                <legend>Can you drive ${booking.carIds.length > 1 ? 'them' : 'it'}?</legend>
+                <p>Each car has its own rules for who can drive it. We check them now,
+                    so nobody's turned away on the day. These aren't saved.</p>
+                <label class="wizard-field">
+                    <span>Date of birth</span>
+                    <input type="date" name="dob" autocomplete="bday" data-validate="required pastDate"
+                        value="${escapeHtml(about.dob)}">
+                </label>
+                <label class="wizard-field">
+                    <span>Full licence since</span>
+                    <input type="date" name="licenceIssued" data-validate="required pastDate"
+                        value="${escapeHtml(about.licenceIssued)}">
+                </label>
+                <label class="wizard-field">
+                    <span>Licence issued in</span>
+                    <select name="licenceCountry">${countries}</select>
+                </label>
+                <label class="wizard-field">
+                    <span>Height (cm)</span>
+                    <input type="number" name="height" inputmode="numeric" min="120" max="230"
+                        data-validate="required between:120-230" value="${escapeHtml(String(about.heightCm))}">
+                </label>
+                <label class="wizard-field">
+                    <span>Weight (kg)</span>
+                    <input type="number" name="weight" inputmode="numeric" min="35" max="250"
+                        data-validate="required between:35-250" value="${escapeHtml(String(about.weightKg))}">
+                </label>
+            </fieldset>
+        `;
+    }
+
+    function renderReviewStep(booking) {
+        const discount = booking.voucher ? booking.voucher.amount : 0;
+
+        return `
+            <dl class="wizard-summary">
+                <dt>Car</dt><dd>${escapeHtml(booking.car)}</dd>
+                <dt>Date</dt><dd>${escapeHtml(formatDate(booking.date))}</dd>
+                <dt>Session</dt><dd>${renderSessions(booking)}</dd>
+                <dt>Driver</dt><dd>${escapeHtml(booking.driver.name)}</dd>
+                <dt>Email</dt><dd>${escapeHtml(booking.driver.email)}</dd>
+                <dt>Phone</dt><dd>${escapeHtml(booking.driver.phone)}</dd>
+                ${booking.package ? renderPackageLines(booking.package) : `
+                    <dt>${booking.laps} laps</dt><dd>${Currency.priceHtml(booking.price)}</dd>
+                `}
+                ${discount ? `<dt>Gift voucher</dt><dd>${Currency.priceHtml(-discount)}</dd>` : ''}
+                <dt class="wizard-total">Total</dt><dd class="wizard-total">${Currency.priceHtml(booking.price - discount)}</dd>
+                ${booking.price - discount > 0 ? `
+                    <dt>Deposit</dt><dd>${Currency.priceHtml(Checkout.depositFor(booking.price - discount))} secures it - or pay in full</dd>
+                ` : ''}
+            </dl>
+            <div class="wizard-voucher">
+                <label class="wizard-field">
+                    <span>Gift voucher code</span>
+                    <input type="text" name="voucher" autocomplete="off" value="${escapeHtml(booking.voucherCode)}">
+                </label>
+                <button type="button" data-action="apply-voucher">Apply</button>
+            </div>
+            ${booking.voucher ? `<p class="wizard-voucher-applied">${escapeHtml(booking.voucher.message)}</p>` : ''}
+        `;
+    }
+
+    /* "11:00", or a package's cars in turn: "11:00 McLaren 720S, 13:00 Audi R8" */
+    function renderSessions(booking) {
+        if (booking.carIds.length < 2) {
+            return escapeHtml(booking.time);
+        }
+
+        return (Availability.schedule(booking.carIds, booking.time) || [])
+            .map(item => escapeHtml(item.time + ' ' + Fleet.displayName(Fleet.getById(item.carId))))
+            .join(', ');
+    }
+
+    /* The itemised package quote, in place of the single "3 laps" line */
+    function renderPackageLines(quote) {
+        return quote.lines.concat(quote.discounts.map(discount => ({ label: discount.label, amount: -discount.amount })))
+            .map(line => `<dt>${escapeHtml(line.label)}</dt><dd>${Currency.priceHtml(line.amount)}</dd>`)
+            .join('');
+    }
+
+    function renderConfirmedStep(booking) {
+        return `
+            <p>Thanks ${escapeHtml(booking.driver.name)}, you're booked in!</p>
+            <p class="wizard-reference">Your reference: <strong>${escapeHtml(booking.reference)}</strong></p>
+            <p>Total${booking.voucher ? ' after your gift voucher' : ''}: <strong>${Currency.priceHtml(booking.total)}</strong></p>
+            ${booking.payment ? `
+                <p>Paid today: <strong>${Currency.priceHtml(booking.payment.amount)}</strong>
+                    on your ${escapeHtml(booking.payment.card.brand)} ending ${escapeHtml(booking.payment.card.last4)}</p>
+            ` : ''}
+            ${booking.balanceDue > 0 ? `
+                <p>Left to pay at the track on the day: <strong>${Currency.priceHtml(booking.balanceDue)}</strong></p>
+            ` : ''}
+            <p>Please quote this reference if you contact us about your booking.</p>
+            ${CalendarExport.renderActions(booking)}
+            <p>Every driver needs to sign a risk waiver before their session -
+                <a href="#/waiver">sign it now</a> to save time on the day.</p>
+        `;
+    }
+
+    const RENDERERS = {
+        car: renderCarStep,
+        datetime: renderDateTimeStep,
+        driver: renderDriverStep,
+        review: renderReviewStep,
+        confirmed: renderConfirmedStep
+    };
+
+    /* ===== FUNCTION: readStep =====
+       Copy the values on screen into the state object.
+       Called whenever the user leaves a step, in either direction. */
+
+    function readStep() {
+        const form = panel.querySelector('form');
+        const booking = state.booking;
+        const stepName = STEPS[state.step];
+
+        const checked = name => {
+            const input = form.querySelector('input[name="' + name + '"]:checked');
+            return input ? input.value : '';
+        };
+        const value = name => {
+            const input = form.querySelector('[name="' + name + '"]');
+            return input ? input.value.trim() : '';
+        };
+
+        if (stepName === 'car') {
+            const car = Fleet.getById(checked('car'));
+            const carId = car ? car.id : '';
+
+            if (carId !== booking.carId) {
+                booking.date = '';
+                booking.time = '';
+                /* A session picked for a different car may not be free in this one */
+            }
+
+            booking.carId = carId;
+            booking.carIds = carId ? [carId] : [];
+            booking.car = car ? Fleet.displayName(car) : '';
+            /* Keep the id for code and the full name for showing to the user */
+
+            booking.price = car ? car.pricePerLap * booking.laps : 0;
+            booking.voucher = null;
+            /* A new car means a new price, so any voucher has to be re-applied */
+        } else if (stepName === 'driver') {
+            booking.driver.name = value('name');
+            booking.driver.email = value('email');
+            booking.driver.phone = value('phone');
+            booking.eligibility = {
+                dob: value('dob'),
+                licenceIssued: value('licenceIssued'),
+                licenceCountry: value('licenceCountry'),
+                heightCm: Number(value('height')) || '',
+                weightKg: Number(value('weight')) || ''
+            };
+        } else if (stepName === 'review') {
+            booking.voucherCode = value('voucher');
+        }
+        /* (The date step has no inputs to read - the calendar writes the
+           chosen date and time straight into the state as they're picked) */
+    }
+
+    /* ===== FUNCTION: validateStep =====
+       Returns an error message, or '' if the step is complete */
+
+    function validateStep() {
+        const booking = state.booking;
+        const stepName = STEPS[state.step];
+
+        if (stepName === 'car' && !booking.car) {
+            return 'Please choose a car.';
+        }
+
+        if (stepName === 'datetime') {
+            if (!booking.date) {
+                return 'Please choose a track day.';
+            }
+            if (booking.date < Availability.toIsoDate(new Date())) {
+                /* "YYYY-MM-DD" strings sort the same way as the dates they hold */
+                return 'Please choose a date that is not in the past.';
+            }
+            if (!booking.time) {
+                return 'Please choose a session.';
+            }
+        }
+
+        /* (Driver details are checked by FormValidation, using the
+           data-validate rules on each input - see renderDriverStep) */
+
+        if (stepName === 'driver') {
+            const onDate = Availability.fromIsoDate(booking.date);
+            /* Their age and licence on the day they'd drive, not today */
+
+            const problems = booking.carIds.map(Fleet.getById).filter(Boolean).map(car => ({
+                car: car,
+                reasons: Eligibility.reasonsFor(car, booking.eligibility, onDate)
+            })).filter(problem => problem.reasons.length > 0);
+
+            if (problems.length > 0) {
+                return problems.map(problem => 'Sorry, you can\'t drive the ' + Fleet.displayName(problem.car) +
+                    ': ' + problem.reasons.join(' ')).join(' ') +
+                    (booking.package ? '' : ' You can go back and choose another car.');
+            }
+        }
+
+        return '';
+    }
+
+    /* ===== FUNCTION: render =====
+       Draw the current step into the panel */
+
+    function render(errorMessage) {
+        unmountCalendar();
+
+        const stepName = STEPS[state.step];
+        const isFirst = state.step === firstStep();
+        const isReview = stepName === 'review';
+        const isDone = stepName === 'confirmed';
+
+        panel.innerHTML = `
+            <form class="booking-wizard-form" novalidate>
+                <p class="wizard-progress">Step ${Math.min(state.step + 1, 4)} of 4</p>
+                <h3 tabindex="-1">${STEP_TITLES[stepName]}</h3>
+                <div class="wizard-body">${RENDERERS[stepName](state.booking)}</div>
+                <p class="wizard-error" role="alert">${errorMessage ? escapeHtml(errorMessage) : ''}</p>
+                <div class="wizard-actions">
+                    ${isDone ? '<button type="button" data-action="close">Done</button>' : `
+                        <button type="button" data-action="cancel">Cancel</button>
+                        ${isFirst ? '' : '<button type="button" data-action="back">Back</button>'}
+                        <button type="submit">${isReview ? 'Confirm and pay' : 'Next'}</button>
+                    `}
+                </div>
+            </form>
+        `;
+
+        if (stepName === 'datetime') {
+            mountCalendar();
+        }
+
+        FormValidation.attach(panel.querySelector('form'));
+        /* Inline messages for any fields with data-validate rules */
+
+        /* Move keyboard/screen-reader focus to the new step's heading */
+        panel.querySelector('h3').focus();
+    }
+
+    /* ===== CALENDAR =====
+       The calendar draws itself into the empty .wizard-calendar box.
+       It must be "unmounted" before the panel is redrawn, so it stops
+       listening for availability changes on a box that's gone. */
+
+    function mountCalendar() {
+        const booking = state.booking;
+
+        calendar = AvailabilityCalendar.create(panel.querySelector('.wizard-calendar'), {
+            source: options.availability,
+            carIds: booking.carIds,
+            places: booking.drivers,
+            selectedDate: booking.date,
+            selectedTime: booking.time,
+            onSelect: function(date, time) {
+                booking.date = date;
+                booking.time = time;
+            }
+        });
+    }
+
+    function unmountCalendar() {
+        if (calendar) {
+            calendar.destroy();
+            calendar = null;
+        }
+    }
+
+    /* ===== FUNCTION: showError =====
+       Show a message without redrawing the step (so inline field
+       messages and anything typed stay as they are) */
+
+    function showError(message) {
+        panel.querySelector('.wizard-error').textContent = message;
+    }
+
+    /* ===== NAVIGATION ===== */
+
+    function next() {
+        readStep();
+
+        const error = validateStep();
+        if (error) {
+            showError(error);
+            return;
+        }
+
+        if (STEPS[state.step] === 'review') {
+            confirmBooking();
+            return;
+        }
+
+        state.step++;
+
+        render();
+
+        if (STEPS[state.step] === 'review' && state.booking.voucherCode && !state.booking.voucher) {
+            applyVoucher(true);
+            /* A code from a ?voucher= link - try it straight away */
+        }
+    }
+
+    /* ===== FUNCTION: applyVoucher =====
+       Work out what the code in the voucher box takes off the price.
+       Nothing is spent yet - that happens in confirmBooking(). */
+
+    function applyVoucher(isAutomatic) {
+        const booking = state.booking;
+
+        if (!booking.voucherCode) {
+            booking.voucher = null;
+            render(isAutomatic ? '' : 'Please enter a voucher code.');
+            return;
+        }
+
+        const applyButton = panel.querySelector('[data-action="apply-voucher"]');
+        applyButton.disabled = true;
+        /* Until the voucher server answers */
+
+        Vouchers.quote(booking.voucherCode, booking).then(result => {
+            if (!state || state.booking !== booking || STEPS[state.step] !== 'review') {
+                return;
+                /* They've moved on (or closed the wizard) while we were checking */
+            }
+
+            booking.voucher = result.ok
+                ? { code: result.code, amount: result.amount, message: result.message }
+                : null;
+
+            render(result.ok ? '' : result.message);
+        });
+    }
+
+    function back() {
+        readStep();
+        /* Save what was typed even though we're going backwards */
+
+        if (state.step > firstStep()) {
+            state.step--;
+        }
+        render();
+    }
+
+    /* ===== FUNCTION: reserveCars =====
+       Reserve every car in the booking in its own session, with a
+       place for each driver. If one fails, the ones already reserved
+       are released again (they all share the booking reference), so
+       a package is booked completely or not at all. */
+
+    function reserveCars(booking) {
+        const cars = Availability.schedule(booking.carIds, booking.time);
+
+        if (!cars) {
+            const error = new Error('There aren\'t enough sessions left that day for every car - please choose an earlier one.');
+            error.code = 'SLOT_FULL';
+            return Promise.reject(error);
+        }
+
+        const reserveAll = cars.reduce((chain, item) => chain.then(() =>
+            options.availability.reserve({
+                reference: booking.reference,
+                carId: item.carId,
+                date: booking.date,
+                time: item.time,
+                places: booking.drivers,
+                hold: true
+            })
+        ), Promise.resolve());
+
+        return reserveAll.catch(error =>
+            options.availability.release(booking.reference).then(() => {
+                throw error;
+                /* Pass the original "session taken" error on to confirmBooking */
+            })
+        );
+    }
+
+    /* ===== FUNCTION: confirmBooking =====
+       Reserve the session, take payment, then turn the wizard state
+       into a finished booking object
+
+       WHY CAN THIS FAIL?
+       Someone else may have booked the same car and session while this
+       user was typing their details. The availability source refuses
+       the second booking, and we send the user back to the calendar. */
+
+    function confirmBooking() {
+        if (isSubmitting) {
+            return;
+            /* Already saving - ignore double-clicks on "Confirm" */
+        }
+
+        const booking = Object.assign({}, state.booking, {
+            reference: createReference(),
+            carIds: state.booking.carIds.slice(),
+            driver: Object.assign({}, state.booking.driver),
+            total: state.booking.price,
+            createdAt: new Date().toISOString()
+        });
+        delete booking.eligibility;
+        /* Only needed for the check on the driver step - see CAN THEY DRIVE IT? */
+
+        const submitButton = panel.querySelector('button[type="submit"]');
+
+        isSubmitting = true;
+        submitButton.disabled = true;
+
+        reserveCars(booking).then(() => {
+            const amount = booking.price - (booking.voucher ? booking.voucher.amount : 0);
+
+            if (amount <= 0) {
+                confirmHold(booking, null);
+                /* The voucher pays for all of it */
+                return;
+            }
+
+            Checkout.open({
+                amount: amount,
+                reference: booking.reference,
+                description: booking.car + ', ' + formatDate(booking.date) + ' at ' + booking.time,
+                allowDeposit: true,
+                opener: submitButton,
+                onPaid: payment => confirmHold(booking, payment),
+                onCancel: () => {
+                    const tryAgain = () => {
+                        isSubmitting = false;
+                        render('Payment wasn\'t completed, so your session hasn\'t been booked. You can try again.');
+                    };
+
+                    options.availability.release(booking.reference).then(tryAgain, tryAgain);
+                    /* Even if releasing fails, the hold runs out by itself -
+                       never leave the wizard stuck on "saving" */
+                }
+            });
+        }).catch(error => {
+            isSubmitting = false;
+            state.booking.time = '';
+            state.step = STEPS.indexOf('datetime');
+            render(error.message);
+        });
+    }
+
+    /* ===== FUNCTION: confirmHold =====
+       Paid (or a voucher covers it): turn the held places into a real
+       booking. This only fails if the hold ran out while they were
+       paying AND someone else has booked the session since. */
+
+    function confirmHold(booking, payment) {
+        options.availability.confirm(booking.reference).then(() => {
+            finishBooking(booking, payment);
+        }).catch(error => {
+            isSubmitting = false;
+            state.booking.time = '';
+            state.step = STEPS.indexOf('datetime');
+            render(error.message + (payment
+                ? ' Your payment (' + payment.id + ') has been taken - please contact us with that reference and we\'ll refund it.'
+                : ' Please choose another.'));
+            /* The voucher hasn't been spent yet - that happens in finishBooking */
+        });
+    }
+
+    /* ===== FUNCTION: finishBooking =====
+       The session's reserved and paid for (or a voucher covers it):
+       spend the voucher and show the confirmation */
+
+    function finishBooking(booking, payment) {
+        const spendVoucher = booking.voucher
+            ? Vouchers.redeem(booking.voucher.code, booking)
+            : Promise.resolve(null);
+
+        spendVoucher.then(redeemed => {
+            if (redeemed && redeemed.ok) {
+                booking.voucher = { code: redeemed.code, amount: redeemed.amount, message: redeemed.message };
+                booking.total = booking.price - redeemed.amount;
+            } else if (redeemed) {
+                booking.voucher = null;
+                Toast.warning('Your gift voucher couldn\'t be used: ' + redeemed.message);
+                /* e.g. it was spent on another device since it was applied */
+            }
+
+            showConfirmed(booking, payment);
+        });
+    }
+
+    function showConfirmed(booking, payment) {
+        isSubmitting = false;
+
+        booking.payment = payment
+            ? { id: payment.id, plan: payment.plan, amount: payment.amount, card: payment.card }
+            : null;
+        booking.balanceDue = Math.max(0, Math.round((booking.total - (payment ? payment.amount : 0)) * 100) / 100);
+        /* The rest of a deposit booking - or what a voucher that failed
+           at the last moment was going to cover */
+
+        state.booking = booking;
+        state.step = STEPS.indexOf('confirmed');
+        render();
+
+        if (typeof options.onComplete === 'function') {
+            options.onComplete(booking);
+        }
+    }
+
+    /* ===== FUNCTION: close =====
+       Hide the wizard. An unfinished booking is kept so reopening
+       carries on where the user left off; a finished one is cleared. */
+
+    function close() {
+        if (!panel || panel.hidden) {
+            return;
+            /* Not open - nothing to do (this also stops onClose, which
+               usually closes the modal, from looping back round to here) */
+        }
+
+        panel.hidden = true;
+        unmountCalendar();
+
+        if (STEPS[state.step] === 'confirmed') {
+            state = null;
+        }
+
+        if (typeof options.onClose === 'function') {
+            options.onClose();
+        }
+    }
+
+    /* ===== FUNCTION: createPanel =====
+       Build the wizard container once and listen for its buttons.
+       We listen on the panel itself (event delegation) because the
+       buttons inside are replaced every time a step is drawn. */
+
+    function createPanel() {
+        const element = document.createElement('div');
+        element.className = 'booking-wizard';
+        element.setAttribute('role', 'region');
+        element.setAttribute('aria-label', 'Book your experience');
+
+        element.addEventListener('submit', function(e) {
+            const blocked = e.defaultPrevented;
+            /* FormValidation (listening on the form itself) runs before
+               this listener and cancels the submit if a field is wrong */
+
+            e.preventDefault();
+
+            if (e.target.querySelector('[name="voucher"]') === document.activeElement) {
+                readStep();
+                applyVoucher(false);
+                return;
+                /* Enter in the voucher box means "Apply", not "Confirm booking" */
+            }
+
+            if (blocked) {
+                showError('Please check the highlighted details.');
+                return;
+            }
+            next();
+        });
+
+        element.addEventListener('input', function(e) {
+            if (e.target.name !== 'voucher' || !state.booking.voucher) {
+                return;
+            }
+
+            const caret = e.target.selectionStart;
+
+            readStep();
+            state.booking.voucher = null;
+            render('The voucher has been taken off - press Apply to use this code.');
+            /* Otherwise the old voucher would still be spent on Confirm,
+               while the box shows a different code */
+
+            const input = panel.querySelector('[name="voucher"]');
+            input.focus();
+            input.setSelectionRange(caret, caret);
+            /* Carry on typing where they were */
+        });
+
+        element.addEventListener('click', function(e) {
+            if (e.target.closest('a[href^="#/"]')) {
+                close();
+                return;
+                /* A link to another page (the waiver) - it opens behind
+                   the dialog, so get the dialog out of the way */
+            }
+
+            const button = e.target.closest('button[data-action]');
+            if (!button) {
+                return;
+            }
+
+            const action = button.dataset.action;
+            if (action === 'back') {
+                back();
+            } else if (action === 'apply-voucher') {
+                readStep();
+                applyVoucher(false);
+            } else if (action === 'calendar') {
+                CalendarExport.download(state.booking);
+            } else if (action === 'cancel' || action === 'close') {
+                close();
+            }
+        });
+
+        return element;
+    }
+
+    /* ===== PUBLIC FUNCTION: open =====
+       Show the wizard (creating it the first time) */
+
+    function open(openOptions) {
+        options = openOptions || {};
+        options.cars = options.cars || [];
+        options.availability = options.availability || Availability.createLocalSource();
+
+        if (!panel) {
+            panel = createPanel();
+        }
+
+        (options.mount || document.body).appendChild(panel);
+        /* appendChild MOVES the panel if it's already somewhere else -
+           each open can put it in a different (new) modal */
+
+        if (options.package) {
+            state = createState(options.package);
+            /* A package always starts a new booking */
+        } else if (!state || state.booking.package) {
+            state = createState();
+            /* Carry on with an unfinished booking - but not an unfinished
+               package, since this time they didn't come from the builder */
+        }
+
+        if (options.voucherCode && !state.booking.voucherCode) {
+            state.booking.voucherCode = options.voucherCode;
+        }
+
+        panel.hidden = false;
+        render();
+    }
+
+    /* Only these are visible outside this file */
+    return {
+        open: open,
+        close: close
+    };
+})();
@@ -0,0 +1,272 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - BOOKINGS
+   Every confirmed booking, so customers can see, cancel and move them
+   ========================================= */
+
+/* WHAT'S THE DIFFERENCE FROM AVAILABILITY?
+   js/availability.js only knows "this car is taken in this session".
+   This file keeps the WHOLE booking - who's driving, what they paid,
+   the reference - so the "My bookings" page (js/account-page.js) can
+   list them. Cancelling or moving a booking goes through here, and
+   this file tells the availability source to free or move the places.
+
+   WHAT DOES A SAVED BOOKING LOOK LIKE?
+   Everything the booking wizard finished with, plus:
+   {
+       reference: 'FSE-LQ3K9-4TZ',
+       carIds: ['mclaren-720s'], date: '2026-10-23', time: '11:00',
+                                    ← time = the first car's session; any others
+                                      follow on (see Availability.schedule)
+       drivers: 1,                  ← places taken in each car
+       driver: { name, email, phone },
+       total: 297,
+       accountId: 'user-...',       ← if they were signed in, otherwise null
+       status: 'confirmed',         ← or 'cancelled'
+       checkedInAt: '2026-10-23T...', ← set by staff when the driver arrives
+       ...
+   }
+
+   HOW TO USE:
+   const bookings = Bookings.createStore({ availability: availability, vouchers: Vouchers });
+   bookings.add(booking)                        → Promise
+   bookings.forAccount(user)                    → Promise of their bookings, soonest first
+   bookings.cancel('FSE-LQ3K9-4TZ', user)       → Promise
+   bookings.reschedule('FSE-LQ3K9-4TZ', '2026-10-30', '13:00', user)  → Promise
+   bookings.canChange(booking)                  → true if it can still be cancelled or moved
+
+   WHOSE BOOKINGS?
+   Only ones made while signed in to that account (accountId). The email
+   typed into a booking is never checked, so matching on it would show
+   - and let someone cancel - a stranger's booking, just by signing up
+   with their address. cancel() and reschedule() check the user too, and
+   reject with error.code = 'NOT_YOURS' if it isn't their booking.
+
+   CANCELLING A BOOKING PAID WITH A GIFT VOUCHER:
+   What the voucher paid goes back on it (vouchers.refund). If that
+   fails the booking is still cancelled, but the Promise rejects with
+   error.code = 'VOUCHER_NOT_REFUNDED' so the page can say so.
+
+   For the staff page (js/admin-page.js):
+   bookings.between('2026-10-23', '2026-10-25') → Promise of confirmed bookings on those days, earliest first
+   bookings.setCheckedIn('FSE-LQ3K9-4TZ', true) → Promise of the booking (false undoes it)
+
+   Like availability, everything returns a Promise so a real server
+   can replace localStorage later without changing the pages.
+*/
+
+const Bookings = (function() {
+    const STORAGE_KEY = 'fse.bookings';
+
+    const CHANGE_NOTICE_DAYS = 2;
+    /* Bookings can be cancelled or moved until this many days before the
+       track day - after that the place can't be offered to anyone else */
+
+    /* ===== FUNCTION: daysUntil =====
+       Whole days from today to "YYYY-MM-DD" (0 = today, negative = past) */
+
+    function daysUntil(isoDate) {
+        const today = Availability.fromIsoDate(Availability.toIsoDate(new Date()));
+        return Math.round((Availability.fromIsoDate(isoDate) - today) / 86400000);
+        /* 86400000 = milliseconds in a day. Math.round() smooths over the
+           clocks going forward or back an hour in between */
+    }
+
+    /* ===== PUBLIC FUNCTION: canChange ===== */
+
+    function canChange(booking) {
+        return booking.status === 'confirmed' && daysUntil(booking.date) >= CHANGE_NOTICE_DAYS;
+    }
+
+    /* ===== PUBLIC FUNCTION: isUpcoming ===== */
+
+    function isUpcoming(booking) {
+        return daysUntil(booking.date) >= 0;
+    }
+
+    /* ===== PUBLIC FUNCTION: createStore ===== */
+
+    function createStore(storeOptions) {
+        const settings = storeOptions || {};
+        const availability = settings.availability;
+        const vouchers = settings.vouchers || null;
+        const storage = settings.storage || BrowserStorage.get();
+        const listeners = [];
+
+        /* ----- Saving and loading ----- */
+
+        function load() {
+            try {
+                return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        function save(bookings) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(bookings));
+            listeners.forEach(listener => listener());
+        }
+
+        /* Change one booking, found by its reference.
+           Throws (so the Promise rejects) if it isn't there. */
+        function update(reference, changes) {
+            const bookings = load();
+            const booking = bookings.find(b => b.reference === reference);
+
+            if (!booking) {
+                const error = new Error('We couldn\'t find booking ' + reference + '.');
+                error.code = 'NOT_FOUND';
+                throw error;
+            }
+
+            Object.assign(booking, changes);
+            save(bookings);
+            return booking;
+        }
+
+        /* Load a booking and check it's this user's and can still be changed */
+        function findChangeable(reference, user) {
+            const booking = load().find(b => b.reference === reference);
+
+            if (!booking) {
+                const error = new Error('We couldn\'t find booking ' + reference + '.');
+                error.code = 'NOT_FOUND';
+                return Promise.reject(error);
+            }
+
+            if (!user || !booking.accountId || booking.accountId !== user.id) {
+                const error = new Error('Booking ' + reference + ' isn\'t on your account.');
+                error.code = 'NOT_YOURS';
+                return Promise.reject(error);
+            }
+            if (!canChange(booking)) {
+                const error = new Error('Bookings can only be changed up to ' + CHANGE_NOTICE_DAYS +
+                    ' days before the track day. Please contact us if you need help.');
+                error.code = 'TOO_LATE';
+                return Promise.reject(error);
+            }
+
+            return Promise.resolve(booking);
+        }
+
+        /* ----- The store functions (see the top of this file) ----- */
+
+        function add(booking) {
+            const bookings = load();
+            const saved = Object.assign({ accountId: null }, booking, {
+                carIds: booking.carIds && booking.carIds.length ? booking.carIds : [booking.carId],
+                status: 'confirmed'
+            });
+
+            bookings.push(saved);
+            save(bookings);
+            return Promise.resolve(saved);
+        }
+
+        function get(reference) {
+            return Promise.resolve(load().find(b => b.reference === reference) || null);
+        }
+
+        function forAccount(user) {
+            const mine = load().filter(b => b.accountId && b.accountId === user.id);
+            /* Only bookings made while signed in - see WHOSE BOOKINGS? above */
+
+            mine.sort((a, b) => (a.date + a.time < b.date + b.time ? -1 : 1));
+            return Promise.resolve(mine);
+        }
+
+        function between(fromDate, toDate) {
+            const found = load().filter(b =>
+                b.status === 'confirmed' && b.date >= fromDate && b.date <= toDate
+            );
+            /* "YYYY-MM-DD" dates sort like text, so >= and <= just work */
+
+            found.sort((a, b) => (a.date + a.time < b.date + b.time ? -1 : 1));
+            return Promise.resolve(found);
+        }
+
+        function setCheckedIn(reference, checkedIn) {
+            return new Promise(resolve => {
+                resolve(update(reference, {
+                    checkedInAt: checkedIn ? new Date().toISOString() : null
+                }));
+                /* update() throws if the booking isn't there - inside a
+                   Promise that becomes a rejection, like everything else here */
+            });
+        }
+
+        /* Put what a cancelled booking spent back on its gift voucher */
+        function refundVoucher(booking) {
+            if (!booking.voucher || !booking.voucher.amount || !vouchers) {
+                return Promise.resolve(booking);
+            }
+
+            return vouchers.refund(booking.voucher.code, booking.reference).then(() => booking, () => {
+                const error = new Error('Booking ' + booking.reference + ' has been cancelled, but we couldn\'t put ' +
+                    formatCurrency(booking.voucher.amount) + ' back on gift voucher ' + booking.voucher.code +
+                    '. Please contact us and we\'ll sort it out.');
+                error.code = 'VOUCHER_NOT_REFUNDED';
+                throw error;
+            });
+        }
+
+        function cancel(reference, user) {
+            return findChangeable(reference, user)
+                .then(() => availability.release(reference))
+                .then(() => update(reference, {
+                    status: 'cancelled',
+                    cancelledAt: new Date().toISOString()
+                }))
+                .then(refundVoucher);
+            /* The voucher last, so a booking is never left half-cancelled */
+        }
+
+        function reschedule(reference, date, time, user) {
+            return findChangeable(reference, user)
+                .then(() => availability.reschedule(reference, date, time))
+                .then(() => update(reference, {
+                    date: date,
+                    time: time,
+                    rescheduledAt: new Date().toISOString()
+                }));
+            /* If the new session is full, availability.reschedule() rejects
+               and the booking is left exactly as it was */
+        }
+
+        function subscribe(listener) {
+            listeners.push(listener);
+
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        }
+
+        window.addEventListener('storage', function(e) {
+            if (e.key === STORAGE_KEY) {
+                listeners.forEach(listener => listener());
+            }
+        });
+
+        return {
+            add: add,
+            get: get,
+            forAccount: forAccount,
+            cancel: cancel,
+            reschedule: reschedule,
+            canChange: canChange,
+            between: between,
+            setCheckedIn: setCheckedIn,
+            subscribe: subscribe
+        };
+    }
+
+    return {
+        CHANGE_NOTICE_DAYS: CHANGE_NOTICE_DAYS,
+        canChange: canChange,
+        isUpcoming: isUpcoming,
+        createStore: createStore
+    };
+})();
@@ -0,0 +1,320 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - ADD TO CALENDAR
+   Booked sessions as calendar events: an .ics file, or a Google or
+   Outlook link
+   ========================================= */
+
+/* WHY?
+   People book weeks ahead and then forget their session time. One tap
+   puts it in their calendar, with the arrival time, the address, the
+   car and their booking reference - and a reminder the day before.
+
+   THREE WAYS IN:
+   - An .ics file - the standard calendar format (RFC 5545). Apple
+     Calendar, the Outlook app, Thunderbird and phones all open it.
+   - A Google Calendar link and an Outlook.com link, which open the
+     "new event" page of those sites with everything filled in
+
+   WHAT'S IN AN EVENT?
+   It starts at the ARRIVAL time - ARRIVE_EARLY minutes before the
+   session, for signing in and the safety briefing - and ends when the
+   session does. A package with several cars has one event per car,
+   at that car's own session (only the first one starts early):
+   an .ics file can hold them all, but a Google or Outlook link can
+   only carry one, so there's a pair of links per car.
+
+   TIME ZONES:
+   Sessions are at UK time, wherever the customer lives (or is when
+   they open their calendar). The .ics file says so by naming the
+   Europe/London time zone and describing its rules (GMT in winter,
+   BST in summer). A customer in Spain then sees their 09:00 session
+   at 10:00, which is right.
+
+   HOW TO USE:
+   CalendarExport.renderActions(booking)  → HTML for an "Add to calendar" menu
+   CalendarExport.download(booking)       ← save the .ics file (call it when the
+                                            menu's button with data-action="calendar"
+                                            is clicked - the page knows the booking)
+   CalendarExport.ics(booking)            → the .ics file's text
+   CalendarExport.events(booking)         → [{ uid, title, date, start, end, location, description }]
+*/
+
+const CalendarExport = (function() {
+    const ARRIVE_EARLY = 30;
+    /* Minutes before the session starts */
+
+    const TIME_ZONE = 'Europe/London';
+
+    const VENUE = 'Fermanagh Supercar Experience, Lisnaskea Road, Enniskillen, County Fermanagh, BT74 4EH, United Kingdom';
+    /* Shown in the event, and used by map apps to give directions. The
+       full address with its postcode - a town or county on its own puts
+       the pin in the middle of it, not at the gate. */
+
+    const DOMAIN = 'sammycodes.com';
+    /* Every event needs an id that's unique in the whole world (its UID).
+       Ours are the booking reference @ our domain. */
+
+    const VTIMEZONE = [
+        'BEGIN:VTIMEZONE',
+        'TZID:' + TIME_ZONE,
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0000',
+        'TZOFFSETTO:+0100',
+        'TZNAME:BST',
+        'DTSTART:19700329T010000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0000',
+        'TZNAME:GMT',
+        'DTSTART:19701025T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+    /* The UK's rules: clocks go forward at 01:00 on the last Sunday in
+       March, and back at 02:00 (BST) on the last Sunday in October.
+       -1SU = "the last Sunday" */
+
+    /* ===== TIMES ===== */
+
+    function toMinutes(time) {
+        const parts = time.split(':').map(Number);
+        return parts[0] * 60 + parts[1];
+    }
+
+    function fromMinutes(minutes) {
+        return String(Math.floor(minutes / 60)).padStart(2, '0') + ':' + String(minutes % 60).padStart(2, '0');
+    }
+
+    /* How long a session is: until the next one starts */
+    function sessionLength() {
+        const times = Availability.SESSION_TIMES;
+        return toMinutes(times[1]) - toMinutes(times[0]);
+    }
+
+    /* "2026-10-23", "08:30" → "20261023T083000" (calendar "local time") */
+    function compactLocal(isoDate, time) {
+        return isoDate.replace(/-/g, '') + 'T' + time.replace(':', '') + '00';
+    }
+
+    /* A Date → "20261019T143000Z" (calendar UTC time) */
+    function compactUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /* The last Sunday of a month, at 01:00 UTC - when the UK's clocks change */
+    function lastSundayUtc(year, month) {
+        const date = new Date(Date.UTC(year, month + 1, 0, 1));
+        /* Day 0 of next month = the last day of this one */
+
+        date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+        return date.getTime();
+    }
+
+    /* ===== FUNCTION: londonToUtc =====
+       A UK date and time → the real moment, as a Date.
+       The Outlook link needs UTC; the .ics file and Google don't. */
+
+    function londonToUtc(isoDate, time) {
+        const parts = isoDate.split('-').map(Number);
+        const minutes = toMinutes(time);
+        const asIfUtc = Date.UTC(parts[0], parts[1] - 1, parts[2], Math.floor(minutes / 60), minutes % 60);
+
+        const isSummer = asIfUtc >= lastSundayUtc(parts[0], 2) && asIfUtc < lastSundayUtc(parts[0], 9);
+        /* Months count from 0: 2 = March, 9 = October. (Exactly right
+           except in the hour the clocks change, in the middle of the night) */
+
+        return new Date(asIfUtc - (isSummer ? 3600000 : 0));
+    }
+
+    /* ===== PUBLIC FUNCTION: events =====
+       One event per car in the booking, each at its own session
+       (a package's cars are driven one after another) */
+
+    function events(booking) {
+        const arrive = toMinutes(booking.time) - ARRIVE_EARLY;
+        const carIds = booking.carIds && booking.carIds.length ? booking.carIds : [booking.carId];
+        const sessions = Availability.schedule(carIds, booking.time) || carIds.map(carId => ({ carId: carId, time: booking.time }));
+        const waiverLink = location.origin + location.pathname + '#/waiver';
+
+        return sessions.map((item, index) => {
+            const car = Fleet.getById(item.carId);
+            const carName = car ? Fleet.displayName(car) : booking.car;
+            const start = toMinutes(item.time);
+
+            return {
+                uid: booking.reference + '-' + (index + 1) + '@' + DOMAIN,
+                title: 'Supercar experience: ' + carName,
+                date: booking.date,
+                start: fromMinutes(index === 0 ? arrive : start),
+                end: fromMinutes(start + sessionLength()),
+                /* Only the first event includes arriving early - for the
+                   rest they're already there */
+                location: VENUE,
+                description: [
+                    'Your ' + item.time + ' session in the ' + carName + '.',
+                    'Please arrive by ' + fromMinutes(arrive) + ' to sign in and for the safety briefing.',
+                    carIds.length > 1 ? 'Car ' + (index + 1) + ' of ' + carIds.length + ' in your package.' : '',
+                    'Booking reference: ' + booking.reference,
+                    'Bring your driving licence. Sign your risk waiver before the day: ' + waiverLink
+                ].filter(Boolean).join('\n')
+            };
+        });
+    }
+
+    /* ===== ICS TEXT HELPERS ===== */
+
+    /* Commas, semicolons and backslashes mean something in .ics files,
+       so they get a \ in front. New lines are written as \n. */
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /* ===== FUNCTION: fold =====
+       Lines in an .ics file can't be longer than 75 bytes. Longer ones
+       carry on on the next line, which starts with a space.
+       Bytes, not letters: "£" is 2 bytes in UTF-8, so we count them
+       and never split one letter in half. */
+
+    function fold(line) {
+        const lines = [];
+        let current = '';
+        let bytes = 0;
+
+        Array.from(line).forEach(letter => {
+            const code = letter.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+
+            if (bytes + size > 75) {
+                lines.push(current);
+                current = ' ';
+                bytes = 1;
+                /* The space at the start counts too */
+            }
+
+            current += letter;
+            bytes += size;
+        });
+
+        lines.push(current);
+        return lines.join('\r\n');
+    }
+
+    /* ===== PUBLIC FUNCTION: ics ===== */
+
+    function ics(booking) {
+        const stamp = compactUtc(new Date());
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Fermanagh Supercar Experience//Bookings//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ].concat(VTIMEZONE);
+
+        events(booking).forEach(event => {
+            lines.push(
+                'BEGIN:VEVENT',
+                'UID:' + event.uid,
+                'DTSTAMP:' + stamp,
+                'DTSTART;TZID=' + TIME_ZONE + ':' + compactLocal(event.date, event.start),
+                'DTEND;TZID=' + TIME_ZONE + ':' + compactLocal(event.date, event.end),
+                'SUMMARY:' + escapeText(event.title),
+                'LOCATION:' + escapeText(event.location),
+                'DESCRIPTION:' + escapeText(event.description),
+                'STATUS:CONFIRMED',
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                'DESCRIPTION:' + escapeText(event.title),
+                'TRIGGER:-P1D',
+                'END:VALARM',
+                'END:VEVENT'
+            );
+            /* VALARM = a reminder, the day before (-P1D = "1 day earlier") */
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(fold).join('\r\n') + '\r\n';
+        /* \r\n line endings - the .ics standard insists on them */
+    }
+
+    /* ===== WEB LINKS ===== */
+
+    function googleUrl(event) {
+        return 'https://calendar.google.com/calendar/render?' + new URLSearchParams({
+            action: 'TEMPLATE',
+            text: event.title,
+            dates: compactLocal(event.date, event.start) + '/' + compactLocal(event.date, event.end),
+            ctz: TIME_ZONE,
+            /* ctz = the times above are UK time - Google does the rest */
+            details: event.description,
+            location: event.location
+        });
+    }
+
+    function outlookUrl(event) {
+        return 'https://outlook.live.com/calendar/0/deeplink/compose?' + new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.title,
+            startdt: londonToUtc(event.date, event.start).toISOString(),
+            enddt: londonToUtc(event.date, event.end).toISOString(),
+            /* Outlook has no time zone setting in the link - so the
+               times are in UTC (the Z on the end), which can't be misread */
+            body: event.description,
+            location: event.location
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: renderActions =====
+       The "Add to calendar" menu. <details> opens and closes by itself,
+       with the keyboard too - no JavaScript needed for that part. */
+
+    function renderActions(booking) {
+        const list = events(booking);
+        const several = list.length > 1;
+
+        return `
+            <details class="calendar-actions">
+                <summary>Add to calendar</summary>
+                <ul>
+                    <li>
+                        <button type="button" data-action="calendar" data-reference="${escapeHtml(booking.reference)}">
+                            Download${several ? ' all ' + list.length + ' sessions' : ''} (.ics)</button>
+                        <small>Apple Calendar, the Outlook app, phones</small>
+                    </li>
+                    ${list.map(event => {
+                        const carName = several ? ': ' + escapeHtml(event.title.replace('Supercar experience: ', '')) : '';
+
+                        return `
+                            <li><a href="${escapeHtml(googleUrl(event))}" target="_blank" rel="noopener">Google Calendar${carName}</a></li>
+                            <li><a href="${escapeHtml(outlookUrl(event))}" target="_blank" rel="noopener">Outlook.com${carName}</a></li>
+                        `;
+                    }).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: download ===== */
+
+    function download(booking) {
+        downloadFile('fermanagh-supercars-' + booking.reference + '.ics', ics(booking), 'text/calendar');
+        /* downloadFile() is at the bottom of main.js */
+    }
+
+    return {
+        events: events,
+        ics: ics,
+        renderActions: renderActions,
+        download: download
+    };
+})();
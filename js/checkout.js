@@ -0,0 +1,418 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - CHECKOUT
+   Take a card payment: a deposit or the full amount
+   ========================================= */
+
+/* WHO USES THIS?
+   Anything that needs paying for hands over to the checkout:
+   - the booking wizard, once the session has been reserved
+   - buying a gift voucher
+   It opens in its own dialog, on top of whatever opened it.
+
+   DEPOSIT OR FULL PAYMENT?
+   Bookings can be secured with a deposit - DEPOSIT_RATE of the total,
+   but at least MIN_DEPOSIT - with the rest paid at the track on the
+   day. Gift vouchers are always paid in full (allowDeposit: false).
+
+   WHAT CAN HAPPEN WHEN "PAY" IS PRESSED?
+   - Paid      → the dialog closes and onPaid(payment) runs
+   - Declined  → the message from the bank is shown; they can try
+                 another card
+   - Bank check (3-D Secure) → the bank's "is it really you?" step is
+                 shown in the dialog, then it's paid or declined
+   - No answer (connection dropped) → they can press Pay again. Every
+     attempt carries an "idempotency key", and a retry sends the SAME
+     key, so the gateway never charges twice (see js/mock-payment-gateway.js)
+
+   Double-clicks can't charge twice either: Pay is switched off while
+   a payment is on its way, and it would carry the same key anyway.
+
+   WHAT IS A "PROVIDER"?
+   This file never talks to a bank itself. It calls the two functions
+   listed at the top of js/mock-payment-gateway.js on whatever
+   provider it's given - right now the mock one. A real gateway can
+   be plugged in later with no other changes:
+
+   Checkout.init({ provider: MockPaymentGateway.create() });
+
+   MONEY:
+   Amounts are in pounds, and we always CHARGE in pounds. They're
+   SHOWN with formatCurrency(), in the visitor's chosen currency - with
+   the amount in pounds alongside if that's something else.
+
+   HOW TO USE:
+   Checkout.open({
+       amount: 237,                       ← the total, in pounds
+       reference: 'FSE-LQ3K9-4TZ',
+       description: 'McLaren 720S, Friday 23 October 2026 at 11:00',
+       allowDeposit: true,                ← offer "pay a deposit now"
+       opener: theButtonThatWasClicked,   ← gets focus back on close
+       onPaid: function(payment) { ... payment.plan = 'deposit' or 'full' },
+       onCancel: function() { ... }       ← closed without paying
+   });
+   Checkout.depositFor(237)   → 59.25
+*/
+
+const Checkout = (function() {
+    const DEPOSIT_RATE = 0.25;      /* 25% of the total */
+    const MIN_DEPOSIT = 50;         /* in pounds - or the full amount, if that's less */
+
+    let provider = null;
+
+    /* ===== CARD RULES =====
+       Extra rules for FormValidation (js/form-validation.js), used by
+       data-validate on the card fields below */
+
+    FormValidation.addRule('cardNumber', value => {
+        const digits = value.replace(/[\s-]/g, '');
+
+        if (!/^\d{12,19}$/.test(digits)) {
+            return 'Please enter the long number on the front of your card.';
+        }
+
+        /* THE LUHN CHECK:
+           The last digit of every card number is a "check digit".
+           Double every second digit from the right (taking 9 off
+           anything over 9), add everything up, and a real card
+           number always gives a multiple of 10. It catches almost
+           every typo. */
+        const sum = digits.split('').reverse().reduce((total, character, index) => {
+            let digit = Number(character);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            return total + digit;
+        }, 0);
+
+        return sum % 10 === 0 ? '' : 'That card number isn\'t quite right - please check it.';
+    });
+
+    FormValidation.addRule('cardExpiry', value => {
+        const match = /^(\d{1,2})\s*\/\s*(\d{2})$/.exec(value);
+        if (!match || Number(match[1]) < 1 || Number(match[1]) > 12) {
+            return 'Please enter the expiry date as MM/YY, like 08/28.';
+        }
+
+        const endOfMonth = new Date(2000 + Number(match[2]), Number(match[1]), 1);
+        /* Month numbers in Date start at 0, so month "08" here is
+           the 1st of September - the moment an 08/28 card runs out */
+
+        return endOfMonth > new Date() ? '' : 'This card has expired.';
+    });
+
+    FormValidation.addRule('cvc', value =>
+        (/^\d{3,4}$/.test(value) ? '' : 'Please enter the 3 digits on the back of your card (4 on the front for Amex).'));
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(checkoutSettings) {
+        provider = checkoutSettings.provider;
+    }
+
+    /* ===== PUBLIC FUNCTION: depositFor =====
+       The deposit on a total, in pounds (rounded to whole pence) */
+
+    function depositFor(total) {
+        const deposit = Math.max(MIN_DEPOSIT, Math.round(total * DEPOSIT_RATE * 100) / 100);
+        return Math.min(total, deposit);
+    }
+
+    /* ===== FUNCTION: createKey =====
+       A new idempotency key - random, so two attempts never share one */
+
+    function createKey() {
+        return 'pay-' + Array.from(crypto.getRandomValues(new Uint8Array(12)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /* ===== FUNCTION: renderForm ===== */
+
+    function renderForm(settings) {
+        const deposit = depositFor(settings.amount);
+        const offerDeposit = settings.allowDeposit && deposit < settings.amount;
+
+        return `
+            <form class="checkout-form" novalidate>
+                <p class="checkout-what">${escapeHtml(settings.description || '')}</p>
+                ${offerDeposit ? `
+                    <fieldset class="checkout-plans">
+                        <legend>How much would you like to pay now?</legend>
+                        <label class="checkout-plan">
+                            <input type="radio" name="plan" value="deposit" checked>
+                            <span>Deposit of ${Currency.chargedPriceHtml(deposit)} now,
+                                ${Currency.priceHtml(settings.amount - deposit)} at the track on the day</span>
+                        </label>
+                        <label class="checkout-plan">
+                            <input type="radio" name="plan" value="full">
+                            <span>The full ${Currency.chargedPriceHtml(settings.amount)} now</span>
+                        </label>
+                    </fieldset>
+                ` : `
+                    <p class="checkout-amount">To pay: <strong>${Currency.chargedPriceHtml(settings.amount)}</strong></p>
+                `}
+                <div class="checkout-card">
+                    <label class="checkout-field">
+                        <span>Name on card</span>
+                        <input type="text" name="cardName" autocomplete="cc-name" data-validate="required">
+                    </label>
+                    <label class="checkout-field">
+                        <span>Card number</span>
+                        <input type="text" name="cardNumber" inputmode="numeric" autocomplete="cc-number"
+                            data-validate="required cardNumber">
+                    </label>
+                    <div class="checkout-row">
+                        <label class="checkout-field">
+                            <span>Expiry date</span>
+                            <input type="text" name="cardExpiry" inputmode="numeric" autocomplete="cc-exp"
+                                placeholder="MM/YY" data-validate="required cardExpiry">
+                        </label>
+                        <label class="checkout-field">
+                            <span>Security code</span>
+                            <input type="text" name="cardCvc" inputmode="numeric" autocomplete="cc-csc"
+                                data-label="Security code" data-validate="required cvc">
+                        </label>
+                    </div>
+                </div>
+                <div class="checkout-challenge" hidden>
+                    <p>Your bank would like to check it's really you.</p>
+                    <div class="checkout-bank"></div>
+                </div>
+                <p class="checkout-error" role="alert"></p>
+                <div class="checkout-actions">
+                    <button type="button" data-action="cancel">Cancel</button>
+                    <button type="submit"></button>
+                </div>
+                ${provider.testMode ? `
+                    <p class="checkout-test">Test mode - no real money is taken.
+                        Use card 4242 4242 4242 4242, any future expiry date and any security code.</p>
+                ` : ''}
+            </form>
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: open ===== */
+
+    function open(checkoutOptions) {
+        const settings = Object.assign({ allowDeposit: false }, checkoutOptions);
+
+        let stage = 'form';
+        /* 'form'      = waiting for them to press Pay
+           'sending'   = a payment is on its way to the gateway
+           'challenge' = the bank's check is showing
+           'done'      = paid, or given up */
+
+        let idempotencyKey = null;
+        let lastRequest = '';
+        /* The key is kept for as long as the SAME payment is being
+           retried - it only changes when the details do, or the card
+           was declined and they're trying again */
+
+        let closedWhilePaying = false;
+        let stopListening = null;
+
+        const dialog = Modal.open({
+            title: 'Payment',
+            className: 'checkout-modal',
+            opener: settings.opener,
+            content: renderForm(settings),
+            onClose: function() {
+                stopListening();
+
+                if (stage === 'sending') {
+                    closedWhilePaying = true;
+                    /* Too late to stop it - see what the gateway says, below */
+                } else if (stage !== 'done') {
+                    stage = 'done';
+                    cancelled();
+                }
+            }
+        });
+
+        const form = dialog.body.querySelector('form');
+        const payButton = form.querySelector('button[type="submit"]');
+        const cardFields = form.querySelector('.checkout-card');
+        const challenge = form.querySelector('.checkout-challenge');
+
+        function amountDue() {
+            const plan = form.elements.plan ? form.elements.plan.value : 'full';
+            return plan === 'deposit' ? depositFor(settings.amount) : settings.amount;
+        }
+
+        function drawPayButton() {
+            payButton.innerHTML = 'Pay ' + escapeHtml(formatCurrency(amountDue()));
+        }
+
+        function showError(message) {
+            form.querySelector('.checkout-error').textContent = message;
+        }
+
+        function setBusy(isBusy) {
+            payButton.disabled = isBusy;
+            form.querySelectorAll('input').forEach(input => {
+                input.readOnly = isBusy;
+            });
+            form.setAttribute('aria-busy', String(isBusy));
+        }
+
+        function cancelled() {
+            if (typeof settings.onCancel === 'function') {
+                settings.onCancel();
+            }
+        }
+
+        function paid(payment) {
+            stage = 'done';
+            dialog.close();
+
+            if (typeof settings.onPaid === 'function') {
+                settings.onPaid(Object.assign({}, payment, {
+                    plan: payment.amount < settings.amount ? 'deposit' : 'full'
+                }));
+            }
+        }
+
+        /* ----- The bank's check (3-D Secure) ----- */
+
+        function authenticate(payment) {
+            if (closedWhilePaying) {
+                return payment;
+                /* Nowhere to show the check - an unchecked payment isn't taken */
+            }
+
+            stage = 'challenge';
+            cardFields.hidden = true;
+            challenge.hidden = false;
+            payButton.hidden = true;
+
+            return provider.authenticate(payment.id, challenge.querySelector('.checkout-bank')).then(result => {
+                if (stage === 'challenge') {
+                    stage = 'sending';
+                    cardFields.hidden = false;
+                    challenge.hidden = true;
+                    payButton.hidden = false;
+                }
+                return result;
+            });
+        }
+
+        /* ----- Pay ----- */
+
+        function pay() {
+            if (stage !== 'form') {
+                return;
+                /* Already paying - ignore double-clicks */
+            }
+
+            const fields = form.elements;
+            const request = {
+                amount: amountDue(),
+                currency: Currency.BASE_CURRENCY,
+                reference: settings.reference || '',
+                description: (amountDue() < settings.amount ? 'Deposit: ' : '') + (settings.description || ''),
+                card: {
+                    name: fields.cardName.value.trim(),
+                    number: fields.cardNumber.value.replace(/[\s-]/g, ''),
+                    expiry: fields.cardExpiry.value.trim(),
+                    cvc: fields.cardCvc.value.trim()
+                }
+            };
+
+            const signature = JSON.stringify(request);
+            if (!idempotencyKey || signature !== lastRequest) {
+                idempotencyKey = createKey();
+                lastRequest = signature;
+            }
+
+            stage = 'sending';
+            setBusy(true);
+            showError('');
+
+            provider.createPayment(Object.assign({ idempotencyKey: idempotencyKey }, request))
+                .then(payment => (payment.status === 'requires_action' ? authenticate(payment) : payment))
+                .then(payment => {
+                    if (stage === 'done') {
+                        return;
+                        /* Closed during the bank's check - already cancelled */
+                    }
+
+                    if (payment.status === 'succeeded') {
+                        paid(payment);
+                        return;
+                    }
+
+                    idempotencyKey = null;
+                    /* That attempt is over - trying again is a new payment */
+
+                    if (closedWhilePaying) {
+                        stage = 'done';
+                        cancelled();
+                        return;
+                    }
+
+                    stage = 'form';
+                    showError(payment.declineMessage || 'Your card was declined. Please try another card.');
+                    fields.cardNumber.focus();
+                })
+                .catch(error => {
+                    if (closedWhilePaying) {
+                        stage = 'done';
+                        cancelled();
+                        return;
+                    }
+
+                    stage = 'form';
+                    showError(error.code === 'NETWORK'
+                        ? 'We didn\'t hear back from the payment service. Please check your connection and press Pay again - you won\'t be charged twice.'
+                        : error.message);
+                })
+                .then(() => {
+                    if (stage === 'form') {
+                        setBusy(false);
+                    }
+                });
+        }
+
+        /* ----- Listen ----- */
+
+        FormValidation.attach(form);
+        /* Before our submit listener, so it can cancel a submit with mistakes */
+
+        form.addEventListener('submit', function(e) {
+            if (e.defaultPrevented) {
+                return;
+            }
+            e.preventDefault();
+            pay();
+        });
+
+        form.addEventListener('change', function(e) {
+            if (e.target.name === 'plan') {
+                drawPayButton();
+            }
+        });
+
+        form.querySelector('[data-action="cancel"]').addEventListener('click', function() {
+            dialog.close();
+        });
+
+        stopListening = Preferences.subscribe(function(key) {
+            if (key === 'currency') {
+                drawPayButton();
+            }
+        });
+        /* The prices inside redraw themselves (Currency.priceHtml) - the Pay button needs a hand */
+
+        drawPayButton();
+        return dialog;
+    }
+
+    return {
+        init: init,
+        open: open,
+        depositFor: depositFor
+    };
+})();
@@ -0,0 +1,419 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - COMPARE CARS
+   Pick up to three cars and see their specs side by side
+   ========================================= */
+
+/* HOW DOES IT WORK?
+   1. Every car card gets a "Compare" button
+   2. Chosen cars collect in a tray stuck to the bottom of the screen
+   3. The tray's Compare button opens the comparison page (#/compare):
+      one column per car, with the best figure in each row highlighted
+
+   The chosen cars are saved in localStorage (fse.compare), so the tray
+   is still there after a reload - and in other open tabs.
+
+   SHARING:
+   The comparison page puts the cars in the address:
+   ?compare=mclaren-720s,lamborghini-huracan#/compare
+   Opening that link fills the tray with those cars.
+
+   HOW TO USE:
+   Compare.initTray();               ← once, to add the tray to the page
+   Compare.decorate(someCarList);    ← add Compare buttons to its cards
+   const leave = Compare.renderPage(someDiv);   ← the comparison page
+
+   Compare.get()          → ['mclaren-720s', ...] (in the order they were added)
+   Compare.toggle('mclaren-720s')
+   Compare.subscribe(function(carIds) { ... })   ← returns a function to stop
+*/
+
+const Compare = (function() {
+    const STORAGE_KEY = 'fse.compare';
+    const MAX_CARS = 3;
+    /* More than three columns don't fit on a phone */
+
+    const SPECS = [
+        { key: 'horsepower', label: 'Power', best: 'highest', format: car => car.horsepower + ' bhp' },
+        { key: 'torque', label: 'Torque', best: 'highest', format: car => car.torque + ' lb-ft' },
+        { key: 'zeroToSixty', label: '0-60 mph', best: 'lowest', format: car => car.zeroToSixty.toFixed(1) + 's' },
+        { key: 'topSpeed', label: 'Top speed', best: 'highest', format: car => car.topSpeed + ' mph' },
+        { key: 'weight', label: 'Weight', best: 'lowest', format: car => car.weight.toLocaleString('en-GB') + ' kg' },
+        { key: 'pricePerLap', label: 'Price per lap', best: 'lowest', format: car => Currency.priceHtml(car.pricePerLap) }
+    ];
+    /* best = which end wins: more power is better, a quicker 0-60
+       (a lower number) is better, and so is a lower price.
+       format returns HTML - escape anything that isn't a number. */
+
+    const listeners = [];
+
+    /* ===== STORAGE ===== */
+
+    let storage = null;
+
+    function getStorage() {
+        if (!storage) {
+            storage = BrowserStorage.get();
+        }
+        return storage;
+    }
+
+    /* ===== FUNCTION: clean =====
+       Only real cars, each once, at most MAX_CARS - whatever was saved
+       or typed into a link */
+
+    function clean(carIds) {
+        const unique = [];
+
+        (Array.isArray(carIds) ? carIds : []).forEach(id => {
+            if (Fleet.getById(id) && unique.indexOf(id) === -1) {
+                unique.push(id);
+            }
+        });
+
+        return unique.slice(0, MAX_CARS);
+    }
+
+    function load() {
+        try {
+            return clean(JSON.parse(getStorage().getItem(STORAGE_KEY)));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function notify() {
+        const carIds = load();
+        listeners.slice().forEach(listener => listener(carIds));
+    }
+
+    /* ===== PUBLIC FUNCTION: get ===== */
+
+    function get() {
+        return load();
+    }
+
+    /* ===== PUBLIC FUNCTION: set =====
+       Replace the whole selection. Returns what was actually kept. */
+
+    function set(carIds) {
+        const chosen = clean(carIds);
+
+        if (chosen.join(',') === load().join(',')) {
+            return chosen;
+            /* Nothing changed - don't make everything redraw */
+        }
+
+        try {
+            getStorage().setItem(STORAGE_KEY, JSON.stringify(chosen));
+        } catch (error) {
+            storage = BrowserStorage.createMemory();
+            storage.setItem(STORAGE_KEY, JSON.stringify(chosen));
+            /* Storage full or blocked - remember it for this visit at least */
+        }
+
+        notify();
+        return chosen;
+    }
+
+    /* ===== PUBLIC FUNCTION: toggle =====
+       Add a car, or take it out if it's already there.
+       Returns false if the tray is full and the car couldn't be added. */
+
+    function toggle(carId) {
+        const carIds = load();
+
+        if (carIds.indexOf(carId) !== -1) {
+            set(carIds.filter(id => id !== carId));
+            return true;
+        }
+
+        if (carIds.length >= MAX_CARS) {
+            return false;
+        }
+
+        set(carIds.concat(carId));
+        return true;
+    }
+
+    /* ===== PUBLIC FUNCTION: subscribe ===== */
+
+    function subscribe(listener) {
+        listeners.push(listener);
+
+        return function unsubscribe() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    window.addEventListener('storage', function(e) {
+        if (e.key === STORAGE_KEY) {
+            notify();
+            /* Chosen in another tab */
+        }
+    });
+
+    /* ===== FUNCTION: toggleAndTell =====
+       toggle(), with a message if the tray is already full */
+
+    function toggleAndTell(carId) {
+        if (!toggle(carId)) {
+            Toast.info('You can compare up to ' + MAX_CARS + ' cars. Remove one to add another.');
+        }
+    }
+
+    /* ===== PUBLIC FUNCTION: decorate =====
+       Give every card in a car list a Compare button - including cards
+       drawn later (the fleet filters redraw the list) */
+
+    function decorate(list) {
+        function addButtons() {
+            const carIds = load();
+
+            list.querySelectorAll('li[data-car-id]').forEach(item => {
+                let button = item.querySelector('.compare-toggle');
+
+                if (!button) {
+                    const car = Fleet.getById(item.dataset.carId);
+                    if (!car) {
+                        return;
+                    }
+
+                    button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'compare-toggle';
+                    button.textContent = 'Compare';
+                    button.setAttribute('aria-label', 'Compare ' + Fleet.displayName(car));
+                    item.appendChild(button);
+                }
+
+                button.setAttribute('aria-pressed', String(carIds.indexOf(item.dataset.carId) !== -1));
+                /* aria-pressed = a button that stays "on" or "off", like a switch */
+            });
+        }
+
+        list.addEventListener('click', function(e) {
+            const button = e.target.closest('.compare-toggle');
+            if (button) {
+                toggleAndTell(button.closest('li').dataset.carId);
+            }
+        });
+        /* One listener on the list for every card, old or new */
+
+        if ('MutationObserver' in window) {
+            new MutationObserver(addButtons).observe(list, { childList: true });
+            /* Cards replaced → give the new ones their buttons */
+        }
+
+        subscribe(addButtons);
+        addButtons();
+    }
+
+    /* ===== PUBLIC FUNCTION: initTray =====
+       The bar along the bottom of the screen with the chosen cars */
+
+    function initTray() {
+        const tray = document.createElement('aside');
+        tray.className = 'compare-tray';
+        tray.setAttribute('aria-label', 'Cars to compare');
+        document.body.appendChild(tray);
+
+        function draw() {
+            const cars = load().map(Fleet.getById);
+
+            tray.hidden = cars.length === 0 || location.hash.indexOf('#/compare') === 0;
+            /* Nothing chosen, or already looking at the comparison */
+
+            tray.innerHTML = `
+                <ul class="compare-tray-cars">
+                    ${cars.map(car => `
+                        <li>
+                            ${escapeHtml(Fleet.displayName(car))}
+                            <button type="button" class="compare-tray-remove" data-car-id="${escapeHtml(car.id)}"
+                                aria-label="Remove ${escapeHtml(Fleet.displayName(car))} from comparison">×</button>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${cars.length >= 2
+                    ? `<a class="compare-tray-go" href="#/compare">Compare ${cars.length} cars</a>`
+                    : '<p class="compare-tray-hint">Choose another car to compare</p>'}
+                <button type="button" class="compare-tray-clear">Clear</button>
+            `;
+        }
+
+        tray.addEventListener('click', function(e) {
+            const remove = e.target.closest('.compare-tray-remove');
+
+            if (remove) {
+                toggle(remove.dataset.carId);
+            } else if (e.target.closest('.compare-tray-clear')) {
+                set([]);
+            }
+        });
+
+        subscribe(draw);
+        window.addEventListener('hashchange', draw);
+        draw();
+    }
+
+    /* ===== FUNCTION: bestIds =====
+       The car(s) with the best figure for one spec - more than one if
+       they tie. Nobody "wins" when there's only one car. */
+
+    function bestIds(cars, spec) {
+        if (cars.length < 2) {
+            return [];
+        }
+
+        const values = cars.map(car => car[spec.key]);
+        const best = spec.best === 'highest' ? Math.max.apply(null, values) : Math.min.apply(null, values);
+
+        if (values.every(value => value === best)) {
+            return [];
+            /* All the same - nothing to highlight */
+        }
+
+        return cars.filter(car => car[spec.key] === best).map(car => car.id);
+    }
+
+    /* ===== FUNCTION: renderTable ===== */
+
+    function renderTable(cars) {
+        return `
+            <div class="compare-scroll">
+                <table class="compare-table">
+                    <caption class="visually-hidden">Specifications, with the best in each row highlighted</caption>
+                    <thead>
+                        <tr>
+                            <td></td>
+                            ${cars.map(car => `
+                                <th scope="col">
+                                    ${escapeHtml(Fleet.displayName(car))}
+                                    <button type="button" class="compare-remove" data-car-id="${escapeHtml(car.id)}"
+                                        aria-label="Remove ${escapeHtml(Fleet.displayName(car))}">Remove</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${SPECS.map(spec => {
+                            const best = bestIds(cars, spec);
+
+                            return `
+                                <tr>
+                                    <th scope="row">${spec.label}</th>
+                                    ${cars.map(car => best.indexOf(car.id) !== -1
+                                        ? `<td class="is-best">${spec.format(car)} <span class="compare-best">Best</span></td>`
+                                        : `<td>${spec.format(car)}</td>`).join('')}
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /* ===== FUNCTION: shareLink ===== */
+
+    function shareLink(carIds) {
+        return location.origin + location.pathname + '?compare=' + carIds.map(encodeURIComponent).join(',') + '#/compare';
+    }
+
+    /* ===== PUBLIC FUNCTION: renderPage =====
+       The comparison page. Returns a function to call when leaving it. */
+
+    function renderPage(container) {
+        const shared = getUrlParameter('compare');
+        /* Opened from a shared link: ?compare=id,id#/compare */
+
+        if (shared) {
+            const requested = shared.split(',');
+            const kept = set(requested);
+
+            if (kept.length < requested.length) {
+                Toast.info('Some of the cars in that link aren\'t in our fleet any more.');
+            }
+        }
+
+        container.innerHTML = `
+            <section class="page compare-page">
+                <h1>Compare cars</h1>
+                <div class="compare-content"></div>
+            </section>
+        `;
+
+        const content = container.querySelector('.compare-content');
+
+        function draw() {
+            const carIds = load();
+            const cars = carIds.map(Fleet.getById);
+
+            setUrlParameter('compare', carIds.join(','));
+            /* Keep the address matching, so it can be copied and shared */
+
+            if (cars.length === 0) {
+                content.innerHTML = `
+                    <p>You haven't chosen any cars yet. Press <strong>Compare</strong> on up to
+                        ${MAX_CARS} cars in <a href="#cars">Our Cars</a>, and they'll appear here side by side.</p>
+                `;
+                return;
+            }
+
+            content.innerHTML = `
+                ${renderTable(cars)}
+                ${cars.length < MAX_CARS ? '<p><a href="#cars">Add another car</a></p>' : ''}
+                <button type="button" class="page-button compare-share">${navigator.share ? 'Share' : 'Copy link'}</button>
+            `;
+        }
+
+        content.addEventListener('click', function(e) {
+            const remove = e.target.closest('.compare-remove');
+
+            if (remove) {
+                toggle(remove.dataset.carId);
+                container.querySelector('h1').focus();
+                /* The button has gone - don't leave keyboard focus nowhere */
+                return;
+            }
+
+            if (e.target.closest('.compare-share')) {
+                const link = shareLink(load());
+
+                if (navigator.share) {
+                    navigator.share({ title: 'Compare cars', url: link }).catch(() => {});
+                } else if (navigator.clipboard) {
+                    navigator.clipboard.writeText(link).then(
+                        () => Toast.success('Link copied.'),
+                        () => Toast.error('Sorry, we couldn\'t copy the link. Copy it from the address bar instead.')
+                    );
+                }
+            }
+        });
+
+        container.querySelector('h1').setAttribute('tabindex', '-1');
+
+        const stop = subscribe(draw);
+        draw();
+
+        return function leave() {
+            stop();
+            setUrlParameter('compare', '');
+            /* Otherwise an old ?compare= would replace the tray the next
+               time the comparison page is opened */
+        };
+    }
+
+    return {
+        MAX_CARS: MAX_CARS,
+        get: get,
+        set: set,
+        toggle: toggle,
+        subscribe: subscribe,
+        decorate: decorate,
+        initTray: initTray,
+        renderPage: renderPage
+    };
+})();
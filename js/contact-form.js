@@ -0,0 +1,196 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - CONTACT FORM
+   The enquiry form behind the "Contact Us" button
+   ========================================= */
+
+/* HOW DOES IT WORK?
+   1. The form is already in index.html, but hidden
+   2. Clicking "Contact Us" calls ContactForm.open(), which moves the
+      form into a modal dialog (js/modal.js) and shows it
+   3. On submit, the form validation in main.js runs FIRST -
+      if a field is wrong it cancels the submit (e.preventDefault())
+   4. If nothing was cancelled, we hand the data to Transport.send(),
+      which POSTs it to the endpoint given to init()
+   5. On success the dialog closes and a toast (js/toast.js) says so.
+      On error, the message appears under the form so they can retry.
+
+   WHERE DOES IT SEND TO?
+   The endpoint passed to init() (TRACK_ENDPOINTS.enquiries in main.js).
+   The site is static - there's no server to take enquiries yet - so
+   for now it's null. Then nothing is POSTed: instead, the message
+   under the form offers an email link with their enquiry already
+   filled in, so it still reaches us.
+
+   HOW TO USE:
+   ContactForm.init(document.querySelector('.contact-form'), {
+       endpoint: null,                     ← where to send it (null = nowhere yet)
+       email: 'enquiries@example.com'      ← who to email instead
+   });
+   ContactForm.open(theButtonThatWasClicked);
+*/
+
+const ContactForm = (function() {
+    let form = null;
+    let status = null;      /* The message area under the form */
+    let home = null;        /* Where the form lives in the page when it's not in a dialog */
+    let dialog = null;      /* The open modal, if any */
+    let endpoint = null;    /* Where enquiries are sent - null = nowhere yet */
+    let email = '';         /* Who to email when there's nowhere to send them */
+
+    /* ===== FUNCTION: fillCarOptions =====
+       Add one <option> per car to the "Preferred car" list */
+
+    function fillCarOptions() {
+        const select = form.querySelector('select[name="car"]');
+        if (!select) {
+            return;
+        }
+
+        Fleet.getAll().forEach(car => {
+            const option = document.createElement('option');
+            option.value = car.id;
+            option.textContent = Fleet.displayName(car);
+            select.appendChild(option);
+        });
+    }
+
+    /* ===== FUNCTION: showStatus =====
+       type = 'success', 'error', 'pending' or 'idle' (no message) */
+
+    function showStatus(type, message) {
+        status.className = 'form-status is-' + type;
+        status.textContent = message;
+    }
+
+    /* ===== FUNCTION: showEmailLink =====
+       No endpoint: a mailto: link with the enquiry already written,
+       so it opens in their email app ready to send */
+
+    function showEmailLink(data) {
+        const car = Fleet.getById(data.car);
+        const body = [
+            data.message,
+            '',
+            data.name,
+            data.phone,
+            car ? 'Preferred car: ' + Fleet.displayName(car) : ''
+        ].filter((line, i) => i < 2 || line).join('\n');
+        /* Keep the blank line after the message, drop empty extras */
+
+        const link = document.createElement('a');
+        link.href = 'mailto:' + email
+            + '?subject=' + encodeURIComponent('Enquiry from ' + data.name)
+            + '&body=' + encodeURIComponent(body);
+        link.textContent = 'email it to ' + email;
+
+        status.className = 'form-status is-idle';
+        status.textContent = 'We can\'t take enquiries through the website yet - please ';
+        status.appendChild(link);
+        status.appendChild(document.createTextNode(' instead. We\'ve filled your message in for you.'));
+    }
+
+    /* ===== FUNCTION: readForm =====
+       Turn the form fields into a plain object:
+       { name: 'Sam', email: 'sam@example.com', ... } */
+
+    function readForm() {
+        const data = {};
+
+        new FormData(form).forEach((value, key) => {
+            data[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        data.sentAt = new Date().toISOString();
+        return data;
+    }
+
+    /* ===== FUNCTION: handleSubmit ===== */
+
+    function handleSubmit(e) {
+        if (e.defaultPrevented) {
+            return;
+            /* Validation in main.js found a problem and cancelled the submit */
+        }
+
+        e.preventDefault();
+        /* Stop the browser's normal submit (which would load a new page) -
+           we send the data ourselves below */
+
+        if (!endpoint) {
+            showEmailLink(readForm());
+            return;
+        }
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        showStatus('pending', 'Sending your enquiry...');
+
+        Transport.send(endpoint, readForm()).then(result => {
+            form.reset();
+            showStatus('idle', '');
+            /* Clear "Sending..." - the toast below says how it went */
+
+            if (dialog) {
+                dialog.close();
+            }
+
+            if (result.status === 'queued') {
+                Toast.info('You seem to be offline. Your enquiry is saved and will be sent as soon as you\'re back online.');
+            } else {
+                Toast.success('Thanks! Your enquiry has been sent - we\'ll be in touch soon.');
+            }
+        }).catch(error => {
+            showStatus('error', error.message);
+            Toast.error('Your enquiry wasn\'t sent.');
+        }).then(() => {
+            submitButton.disabled = false;
+            /* .then() after .catch() runs either way - like "finally" */
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: init =====
+       Get the form ready. Call this AFTER main.js has added its
+       validation listener, so validation gets to run first. */
+
+    function init(formElement, contactOptions) {
+        const settings = contactOptions || {};
+
+        form = formElement;
+        endpoint = settings.endpoint || null;
+        email = settings.email || '';
+        status = form.querySelector('.form-status');
+        home = { parent: form.parentNode, next: form.nextSibling };
+
+        fillCarOptions();
+        form.addEventListener('submit', handleSubmit);
+    }
+
+    /* ===== PUBLIC FUNCTION: open =====
+       Show the form in a dialog. When the dialog closes, the form is
+       hidden and put back in its place in the page, ready for next time. */
+
+    function open(opener) {
+        if (!form || dialog) {
+            return;
+        }
+
+        form.hidden = false;
+
+        dialog = Modal.open({
+            title: 'Send us an enquiry',
+            content: form,
+            className: 'contact-modal',
+            opener: opener,
+            onClose: function() {
+                form.hidden = true;
+                home.parent.insertBefore(form, home.next);
+                dialog = null;
+            }
+        });
+    }
+
+    return {
+        init: init,
+        open: open
+    };
+})();
@@ -0,0 +1,196 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - CURRENCY
+   Which currency prices are shown in, and the exchange rates
+   ========================================= */
+
+/* HOW PRICES WORK:
+   Every price in the site's data (fleet.js, vouchers, bookings) is in
+   POUNDS STERLING - that's what we charge. When a visitor picks another
+   currency, we CONVERT for display using the rates table below, and
+   formatCurrency() (main.js) shows it the way that country writes money:
+
+   95 pounds → "£95.00"   (GBP, en-GB)
+             → "€109.25"  (EUR, en-IE)
+             → "$123.50"  (USD, en-US)
+
+   CHANGING THE RATES:
+   Edit CURRENCIES below, or from code (e.g. after fetching today's rates):
+   Currency.setRates({ EUR: 1.16, USD: 1.31 });
+   rate = how many of that currency you get for £1
+
+   KEEPING EVERY PRICE UP TO DATE:
+   Put the price in POUNDS in a data-price attribute when drawing it:
+   <span data-price="95">£95.00</span>
+   ...or use Currency.priceHtml(95), which writes exactly that.
+   When the currency (or a rate) changes, renderPrices() redraws every
+   data-price element on the page.
+
+   ADDING A CURRENCY:
+   Add it to CURRENCIES - the selector in the navbar picks it up.
+   The code must be a real ISO 4217 code (GBP, EUR, USD, ...)
+   because the browser's Intl.NumberFormat uses it.
+*/
+
+const Currency = (function() {
+    const BASE_CURRENCY = 'GBP';
+
+    const CURRENCIES = {
+        GBP: { name: 'Pound sterling', locale: 'en-GB', rate: 1 },
+        EUR: { name: 'Euro', locale: 'en-IE', rate: 1.15 },
+        USD: { name: 'US dollar', locale: 'en-US', rate: 1.30 }
+    };
+
+    const formatters = {};
+    /* Intl.NumberFormat objects are slow to create - make one per currency and reuse it */
+
+    /* ===== PUBLIC FUNCTION: isSupported ===== */
+
+    function isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+    }
+
+    /* ===== PUBLIC FUNCTION: current =====
+       The visitor's chosen currency, or pounds if they haven't chosen */
+
+    function current() {
+        const code = Preferences.get('currency', BASE_CURRENCY);
+        return isSupported(code) ? code : BASE_CURRENCY;
+    }
+
+    /* ===== PUBLIC FUNCTION: set ===== */
+
+    function set(code) {
+        if (!isSupported(code)) {
+            throw new Error('Sorry, we can\'t show prices in "' + code + '".');
+        }
+        Preferences.set('currency', code);
+        /* renderPrices() runs from the subscription at the bottom */
+    }
+
+    /* ===== PUBLIC FUNCTION: list =====
+       [{ code: 'GBP', name: 'Pound sterling', symbol: '£' }, ...] */
+
+    function list() {
+        return Object.keys(CURRENCIES).map(code => {
+            const symbolPart = formatter(code).formatToParts(0).find(part => part.type === 'currency');
+            return {
+                code: code,
+                name: CURRENCIES[code].name,
+                symbol: symbolPart ? symbolPart.value : code
+            };
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: convert =====
+       Pounds → another currency, using the rates table */
+
+    function convert(amountInPounds, code) {
+        return amountInPounds * CURRENCIES[code || current()].rate;
+    }
+
+    /* ===== PUBLIC FUNCTION: formatter =====
+       The Intl.NumberFormat for a currency (used by formatCurrency) */
+
+    function formatter(code) {
+        if (!formatters[code]) {
+            formatters[code] = new Intl.NumberFormat(CURRENCIES[code].locale, {
+                style: 'currency',
+                currency: code
+            });
+        }
+        return formatters[code];
+    }
+
+    /* ===== PUBLIC FUNCTION: setRates =====
+       Update exchange rates. Unknown currencies and silly rates
+       (zero, negative, not a number) are ignored. */
+
+    function setRates(rates) {
+        Object.keys(rates || {}).forEach(code => {
+            const rate = Number(rates[code]);
+            if (isSupported(code) && code !== BASE_CURRENCY && isFinite(rate) && rate > 0) {
+                CURRENCIES[code].rate = rate;
+            }
+        });
+        renderPrices(document);
+    }
+
+    /* ===== PUBLIC FUNCTION: priceHtml =====
+       HTML for a price that updates itself when the currency changes */
+
+    function priceHtml(amountInPounds) {
+        return `<span class="price" data-price="${escapeHtml(amountInPounds)}">${escapeHtml(formatCurrency(amountInPounds))}</span>`;
+    }
+
+    /* ===== PUBLIC FUNCTION: chargedPriceHtml =====
+       For what they're about to pay: "€68.14 (£59.25)" - the pounds
+       we'll actually charge alongside, if they're not already shown.
+       (The pounds part doesn't redraw itself - redraw it all when the
+       currency changes.) */
+
+    function chargedPriceHtml(amountInPounds) {
+        const inPounds = current() === BASE_CURRENCY
+            ? ''
+            : ' <span class="price-base">(' + escapeHtml(formatCurrency(amountInPounds, BASE_CURRENCY)) + ')</span>';
+
+        return priceHtml(amountInPounds) + inPounds;
+    }
+
+    /* ===== PUBLIC FUNCTION: renderPrices =====
+       Redraw every data-price element inside root */
+
+    function renderPrices(root) {
+        (root || document).querySelectorAll('[data-price]').forEach(element => {
+            element.textContent = formatCurrency(element.dataset.price);
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: initSelector =====
+       Fill a <select> with the currencies and keep it in step */
+
+    function initSelector(select) {
+        list().forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency.code;
+            option.textContent = currency.symbol + ' ' + currency.code;
+            option.title = currency.name;
+            select.appendChild(option);
+        });
+
+        select.value = current();
+
+        select.addEventListener('change', function() {
+            set(select.value);
+        });
+
+        Preferences.subscribe(function(key) {
+            if (key === 'currency') {
+                select.value = current();
+                /* Changed in another tab - move the selector to match */
+            }
+        });
+    }
+
+    /* ===== REDRAW ON CHANGE ===== */
+
+    Preferences.subscribe(function(key) {
+        if (key === 'currency') {
+            renderPrices(document);
+        }
+    });
+
+    return {
+        BASE_CURRENCY: BASE_CURRENCY,
+        isSupported: isSupported,
+        current: current,
+        set: set,
+        list: list,
+        convert: convert,
+        formatter: formatter,
+        setRates: setRates,
+        priceHtml: priceHtml,
+        chargedPriceHtml: chargedPriceHtml,
+        renderPrices: renderPrices,
+        initSelector: initSelector
+    };
+})();
@@ -0,0 +1,284 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - DRIVER ELIGIBILITY
+   Which of our cars someone is allowed to drive, and why not
+   ========================================= */
+
+/* WHY?
+   Every car has its own rules - age, how long you've held a licence,
+   where the licence is from, and whether you fit in the seat. People
+   used to find out at the track, on the day, and be turned away.
+   Now they can check before they book.
+
+   The rules live with each car, in js/fleet.js (see 'driver' there).
+   This file only does the checking, so a new car or a changed rule
+   never needs a change here.
+
+   A DRIVER LOOKS LIKE:
+   {
+       dob: '1990-04-12',           ← date of birth
+       licenceIssued: '2015-06-01', ← when they passed their test
+       licenceCountry: 'GB',        ← two-letter code ('other' = not on our list)
+       heightCm: 183,
+       weightKg: 85
+   }
+   Leave out anything you don't know, and that rule isn't checked.
+
+   HOW TO USE:
+   Eligibility.check(driver)
+     → { eligible: [car, ...], excluded: [{ car: car, reasons: ['...'] }, ...] }
+   Eligibility.reasonsFor(car, driver)  → ['...'] (empty = they can drive it)
+   Eligibility.licenceCountries()       → [{ code: 'GB', name: 'United Kingdom' }, ...]
+                                          every country a car takes licences from
+
+   Eligibility.init(form, { list: document.querySelector('.vehicle-info ul') });
+     ← the "Can I drive them?" form: greys out the cards they can't drive
+
+   Nothing typed into the form is saved or sent anywhere - the checking
+   all happens on the visitor's own device.
+*/
+
+const Eligibility = (function() {
+    const countryNames = window.Intl && Intl.DisplayNames
+        ? new Intl.DisplayNames(['en-GB'], { type: 'region' })
+        : null;
+    /* Turns 'IE' into 'Ireland'. Older browsers just show the code. */
+
+    /* ===== HELPERS ===== */
+
+    /* Whole years from "YYYY-MM-DD" to the date given - an age, or how
+       long a licence has been held */
+    function yearsSince(isoDate, onDate) {
+        const start = Availability.fromIsoDate(isoDate);
+        let years = onDate.getFullYear() - start.getFullYear();
+
+        if (onDate.getMonth() < start.getMonth() ||
+            (onDate.getMonth() === start.getMonth() && onDate.getDate() < start.getDate())) {
+            years--;
+            /* Not reached this year's anniversary yet */
+        }
+
+        return years;
+    }
+
+    function countryName(code) {
+        try {
+            return countryNames ? countryNames.of(code) : code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /* 188 → "6 ft 2 in" - most of our customers still think in feet */
+    function feetAndInches(cm) {
+        const inches = Math.round(cm / 2.54);
+        return Math.floor(inches / 12) + ' ft ' + (inches % 12) + ' in';
+    }
+
+    /* 110 → "17 st 5 lb" */
+    function stonesAndPounds(kg) {
+        const pounds = Math.round(kg * 2.20462);
+        return Math.floor(pounds / 14) + ' st ' + (pounds % 14) + ' lb';
+    }
+
+    function plural(count, word) {
+        return count + ' ' + word + (count === 1 ? '' : 's');
+    }
+
+    /* ===== PUBLIC FUNCTION: reasonsFor =====
+       Every rule of this car that the driver doesn't meet, as
+       sentences ready to show. onDate = the day they'd drive
+       (today if left out) - someone might be old enough by then. */
+
+    function reasonsFor(car, driver, onDate) {
+        const rules = car.driver || {};
+        const day = onDate || new Date();
+        const reasons = [];
+
+        if (driver.dob && rules.minAge && yearsSince(driver.dob, day) < rules.minAge) {
+            reasons.push('Drivers must be ' + rules.minAge + ' or over.');
+        }
+
+        if (driver.licenceIssued && rules.minLicenceYears &&
+            yearsSince(driver.licenceIssued, day) < rules.minLicenceYears) {
+            reasons.push('You need to have held a full licence for at least ' +
+                plural(rules.minLicenceYears, 'year') + '.');
+        }
+
+        if (driver.licenceCountry && rules.licenceCountries &&
+            rules.licenceCountries.indexOf(driver.licenceCountry) === -1) {
+            reasons.push('Our insurance for this car doesn\'t cover a licence issued in your country' +
+                (driver.licenceCountry === 'other' ? '.' : ' (' + countryName(driver.licenceCountry) + ').'));
+        }
+
+        if (driver.heightCm && rules.maxHeightCm && driver.heightCm > rules.maxHeightCm) {
+            reasons.push('Drivers taller than ' + rules.maxHeightCm + ' cm (' +
+                feetAndInches(rules.maxHeightCm) + ') can\'t fit safely with a helmet on.');
+        }
+
+        if (driver.weightKg && rules.maxWeightKg && driver.weightKg > rules.maxWeightKg) {
+            reasons.push('The seat is rated for drivers up to ' + rules.maxWeightKg + ' kg (' +
+                stonesAndPounds(rules.maxWeightKg) + ').');
+        }
+
+        return reasons;
+    }
+
+    /* ===== PUBLIC FUNCTION: check =====
+       Sort the whole fleet into cars they can and can't drive */
+
+    function check(driver, onDate) {
+        const result = { eligible: [], excluded: [] };
+
+        Fleet.getAll().forEach(car => {
+            const reasons = reasonsFor(car, driver, onDate);
+
+            if (reasons.length === 0) {
+                result.eligible.push(car);
+            } else {
+                result.excluded.push({ car: car, reasons: reasons });
+            }
+        });
+
+        return result;
+    }
+
+    /* ===== FUNCTION: licenceCountries =====
+       Every country any car accepts, for the form's drop-down -
+       the UK first, then A to Z by name */
+
+    function licenceCountries() {
+        const codes = new Set();
+
+        Fleet.getAll().forEach(car => {
+            (car.driver && car.driver.licenceCountries || []).forEach(code => codes.add(code));
+        });
+
+        return Array.from(codes)
+            .map(code => ({ code: code, name: countryName(code) }))
+            .sort((a, b) => (a.code === 'GB' ? -1 : b.code === 'GB' ? 1 : a.name.localeCompare(b.name)));
+    }
+
+    /* ===== FORM RULES =====
+       Extra rules for FormValidation (js/form-validation.js), used by
+       data-validate on the form's fields */
+
+    FormValidation.addRule('pastDate', (value, param, label) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return 'Please enter a date.';
+        }
+        return value <= Availability.toIsoDate(new Date()) ? '' : label + ' can\'t be in the future.';
+    });
+
+    FormValidation.addRule('between', (value, param, label) => {
+        const range = param.split('-').map(Number);
+        const number = Number(value);
+
+        return number >= range[0] && number <= range[1]
+            ? ''
+            : label + ' must be a number between ' + range[0] + ' and ' + range[1] + '.';
+    });
+    /* "between:120-230" = from 120 to 230, both included */
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(form, eligibilityOptions) {
+        if (!form) {
+            return;
+        }
+
+        const list = eligibilityOptions.list;
+        const status = form.querySelector('.eligibility-result');
+        const countrySelect = form.elements.licenceCountry;
+        let result = null;
+        /* The last check, or null before the first (and after Clear) */
+
+        licenceCountries().forEach(country => {
+            countrySelect.add(new Option(country.name, country.code));
+        });
+        countrySelect.add(new Option('Another country', 'other'));
+        /* Taken from the fleet, so a car that takes a new country's
+           licences adds it here without touching the HTML */
+
+        /* ===== Grey out the cards ===== */
+
+        function markCards() {
+            list.querySelectorAll('li[data-car-id]').forEach(item => {
+                const excluded = result && result.excluded.find(entry => entry.car.id === item.dataset.carId);
+                let note = item.querySelector('.car-eligibility');
+
+                item.classList.toggle('is-ineligible', Boolean(excluded));
+
+                if (!excluded) {
+                    if (note) {
+                        note.remove();
+                    }
+                    return;
+                }
+
+                if (!note) {
+                    note = document.createElement('p');
+                    note.className = 'car-eligibility';
+                    item.querySelector('.car-specs').after(note);
+                }
+
+                note.innerHTML = '<strong>You can\'t drive this car:</strong> ' +
+                    excluded.reasons.map(escapeHtml).join(' ');
+            });
+        }
+
+        if ('MutationObserver' in window) {
+            new MutationObserver(markCards).observe(list, { childList: true });
+            /* The fleet filters draw new cards → grey out the new ones too */
+        }
+
+        /* ===== Check ===== */
+
+        function readDriver() {
+            return {
+                dob: form.elements.dob.value,
+                licenceIssued: form.elements.licenceIssued.value,
+                licenceCountry: countrySelect.value,
+                heightCm: Number(form.elements.height.value),
+                weightKg: Number(form.elements.weight.value)
+            };
+        }
+
+        form.addEventListener('submit', function(e) {
+            if (e.defaultPrevented) {
+                return;
+                /* Validation found a problem and has already shown it */
+            }
+            e.preventDefault();
+            /* Nothing to send - just check, right here */
+
+            result = check(readDriver());
+            markCards();
+
+            const total = result.eligible.length + result.excluded.length;
+
+            if (result.eligible.length === total) {
+                status.textContent = 'Good news - you can drive every car in our fleet.';
+            } else if (result.eligible.length === 0) {
+                status.textContent = 'Sorry - you can\'t drive any of our cars yet. Each car below says why.';
+            } else {
+                status.textContent = 'You can drive ' + result.eligible.length + ' of our ' + total +
+                    ' cars: ' + result.eligible.map(Fleet.displayName).join(', ') +
+                    '. The others are greyed out below, with the reason.';
+            }
+            /* role="status" on this paragraph, so screen readers read it out */
+        });
+
+        form.addEventListener('reset', function() {
+            result = null;
+            markCards();
+            status.textContent = '';
+        });
+    }
+
+    return {
+        check: check,
+        reasonsFor: reasonsFor,
+        licenceCountries: licenceCountries,
+        init: init
+    };
+})();
@@ -0,0 +1,285 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - FLEET FILTERS
+   Search, filter and sort the "Our Cars" list
+   ========================================= */
+
+/* WHAT CAN YOU FILTER BY?
+   - Search   free text, matched against make and model
+              ("mclaren", "911 turbo" - every word has to match)
+   - Make     Ferrari, Lamborghini...
+   - Price    per lap, in bands ("Under £85", "£85 - £95", "£95 and over")
+   - Power    at least 600 / 650 / 700 bhp
+   - Date     only cars with a place left in a session that day
+   And sort by price (either way) or by 0-60 time.
+
+   THE ADDRESS BAR:
+   Whatever is chosen is written into the address, e.g.
+   ?make=Ferrari&sort=price-asc#/
+   so the link can be shared (or bookmarked) and opens the same list.
+   Anything left at its default is taken out to keep the address short.
+
+   HOW TO USE:
+   FleetFilters.init(document.querySelector('.fleet-filters'), {
+       list: document.querySelector('.vehicle-info ul'),  ← where the cards go
+       availability: availability                         ← for the date filter
+   });
+
+   The form is in index.html. Its fields' names are the names used in
+   the address (q, make, price, hp, date, sort).
+*/
+
+const FleetFilters = (function() {
+    const PRICE_BANDS = [
+        { value: '0-85', min: 0, max: 85 },
+        { value: '85-95', min: 85, max: 95 },
+        { value: '95-', min: 95, max: Infinity }
+    ];
+    /* min is included, max isn't: an £85 car is in "£85 - £95", not "Under £85" */
+
+    const SORTS = {
+        'featured': null,                                           /* the order in js/fleet.js */
+        'price-asc': (a, b) => a.pricePerLap - b.pricePerLap,
+        'price-desc': (a, b) => b.pricePerLap - a.pricePerLap,
+        'zero-to-sixty': (a, b) => a.zeroToSixty - b.zeroToSixty    /* quickest first */
+    };
+
+    const DEFAULTS = { q: '', make: '', price: '', hp: '', date: '', sort: 'featured' };
+    const FIELDS = Object.keys(DEFAULTS);
+
+    const SEARCH_DELAY = 300;
+    /* ms to wait after the last key press before searching */
+
+    /* ===== FUNCTION: normalise =====
+       "Huracán " → "huracan" - so searches don't care about
+       capitals or accents */
+
+    function normalise(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    /* ===== FUNCTION: matchesSearch ===== */
+
+    function matchesSearch(car, query) {
+        const words = normalise(query).split(/\s+/).filter(Boolean);
+        const haystack = normalise(car.make + ' ' + car.model + ' ' + car.id);
+
+        return words.every(word => haystack.includes(word));
+    }
+
+    /* ===== FUNCTION: priceBandLabel =====
+       Written out in the visitor's currency, so redrawn when it changes */
+
+    function priceBandLabel(band) {
+        if (band.min === 0) {
+            return 'Under ' + formatCurrency(band.max);
+        }
+        if (band.max === Infinity) {
+            return formatCurrency(band.min) + ' and over';
+        }
+        return formatCurrency(band.min) + ' - ' + formatCurrency(band.max);
+    }
+
+    /* ===== FUNCTION: filterCars =====
+       The cars that pass every filter except the date, in the chosen order */
+
+    function filterCars(state) {
+        const band = PRICE_BANDS.find(b => b.value === state.price);
+        const minHorsepower = Number(state.hp) || 0;
+
+        const cars = Fleet.getAll().filter(car =>
+            (!state.q || matchesSearch(car, state.q)) &&
+            (!state.make || car.make === state.make) &&
+            (!band || (car.pricePerLap >= band.min && car.pricePerLap < band.max)) &&
+            car.horsepower >= minHorsepower
+        );
+
+        const compare = SORTS[state.sort];
+        return compare ? cars.sort(compare) : cars;
+        /* Fleet.getAll() gives us a copy, so sorting it is safe */
+    }
+
+    /* ===== FUNCTION: carsFreeOn =====
+       Promise of the ids of cars with a place left in at least one
+       session on that date (none at all if the track is closed) */
+
+    function carsFreeOn(availability, isoDate) {
+        return availability.getDays(isoDate, isoDate).then(days => {
+            const free = new Set();
+
+            days.forEach(day => day.sessions.forEach(session => {
+                Object.keys(session.cars).forEach(carId => {
+                    if (session.cars[carId].left > 0) {
+                        free.add(carId);
+                    }
+                });
+            }));
+
+            return free;
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(form, filterOptions) {
+        if (!form) {
+            return null;
+        }
+
+        const list = filterOptions.list;
+        const availability = filterOptions.availability;
+        const status = form.parentElement.querySelector('.fleet-results');
+
+        const makeSelect = form.elements.make;
+        const priceSelect = form.elements.price;
+        let request = 0;
+        /* Counts updates - a slow date check that finishes after a newer
+           one has started is ignored, so the list can't go back in time */
+
+        /* ===== Fill in the choices ===== */
+
+        Array.from(new Set(Fleet.getAll().map(car => car.make))).sort().forEach(make => {
+            makeSelect.add(new Option(make, make));
+        });
+        /* Taken from the fleet, so a new make appears without touching the HTML */
+
+        PRICE_BANDS.forEach(band => {
+            priceSelect.add(new Option(priceBandLabel(band), band.value));
+        });
+
+        form.elements.date.min = Availability.toIsoDate(new Date());
+
+        /* ===== Read and write the filters ===== */
+
+        function readForm() {
+            const state = {};
+            FIELDS.forEach(name => {
+                state[name] = form.elements[name].value.trim();
+            });
+            return state;
+        }
+
+        function fillForm() {
+            FIELDS.forEach(name => {
+                const field = form.elements[name];
+                field.value = getUrlParameter(name) || DEFAULTS[name];
+
+                if (field.tagName === 'SELECT' && field.selectedIndex === -1) {
+                    field.value = DEFAULTS[name];
+                    /* Not one of the choices (an old or mistyped link) - ignore it */
+                }
+            });
+        }
+
+        function writeUrl(state) {
+            FIELDS.forEach(name => {
+                setUrlParameter(name, state[name] === DEFAULTS[name] ? '' : state[name]);
+            });
+        }
+
+        /* ===== Draw the list ===== */
+
+        function showResults(cars, state) {
+            Fleet.render(list, cars);
+
+            if (cars.length === 0) {
+                status.textContent = state.date
+                    ? 'No cars match - try another date, or clear some filters.'
+                    : 'No cars match - try clearing some filters.';
+            } else {
+                status.textContent = 'Showing ' + cars.length + ' of ' + Fleet.getAll().length + ' cars';
+            }
+            /* role="status" on this paragraph, so screen readers announce the new count */
+        }
+
+        function update() {
+            const state = readForm();
+            const cars = filterCars(state);
+            const thisRequest = ++request;
+
+            writeUrl(state);
+            form.querySelector('.fleet-filters-reset').hidden = FIELDS.every(name => state[name] === DEFAULTS[name]);
+
+            if (!state.date) {
+                showResults(cars, state);
+                return;
+            }
+
+            list.setAttribute('aria-busy', 'true');
+
+            carsFreeOn(availability, state.date).then(free => {
+                if (thisRequest !== request) {
+                    return;
+                }
+                showResults(cars.filter(car => car.available && free.has(car.id)), state);
+            }).catch(() => {
+                if (thisRequest === request) {
+                    status.textContent = 'Sorry, we couldn\'t check that date. Please try again.';
+                }
+            }).then(() => {
+                if (thisRequest === request) {
+                    list.removeAttribute('aria-busy');
+                }
+            });
+        }
+
+        /* ===== Listen for changes ===== */
+
+        const searchLater = debounce(update, SEARCH_DELAY);
+        /* Typing "lamborghini" shouldn't redraw the list eleven times -
+           debounce (bottom of main.js) waits until they stop typing */
+
+        form.addEventListener('input', function(e) {
+            if (e.target.name === 'q') {
+                searchLater();
+            }
+        });
+
+        form.addEventListener('change', function(e) {
+            if (e.target.name !== 'q') {
+                update();
+            }
+            /* Drop-downs and the date apply straight away */
+        });
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+            update();
+            /* Enter in the search box: search now, don't reload the page */
+        });
+
+        form.addEventListener('reset', function() {
+            setTimeout(update, 0);
+            /* The reset event fires BEFORE the fields are cleared - wait for it */
+        });
+
+        availability.subscribe(function() {
+            if (form.elements.date.value) {
+                update();
+                /* A booking (maybe in another tab) might have taken the last place */
+            }
+        });
+
+        Preferences.subscribe(function(key) {
+            if (key === 'currency') {
+                Array.from(priceSelect.options).forEach(option => {
+                    const band = PRICE_BANDS.find(b => b.value === option.value);
+                    if (band) {
+                        option.textContent = priceBandLabel(band);
+                    }
+                });
+            }
+        });
+
+        fillForm();
+        update();
+        /* Start from whatever the address says (a shared link) */
+
+        return {
+            update: update
+        };
+    }
+
+    return {
+        init: init
+    };
+})();
@@ -0,0 +1,235 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - FLEET DATA
+   One record per car, and the code that draws the "Our Cars" list
+   ========================================= */
+
+/* WHY KEEP THE CARS IN JAVASCRIPT?
+   The cars used to be typed straight into index.html as <li> items.
+   That meant adding a car, or changing a price, meant editing HTML,
+   and other code (like the booking wizard) had to read car names back
+   out of the page.
+
+   Now every car is a "record" (an object) in the FLEET list below.
+   The "Our Cars" list is drawn from these records, so:
+   - To add a car: add one object to FLEET. No HTML changes.
+   - Other code asks Fleet.getAll() / Fleet.getById() for car details.
+
+   WHAT'S IN A RECORD?
+   id            = short unique name used in code and URLs ('mclaren-720s')
+   make, model   = manufacturer and model name
+   horsepower    = engine power (bhp)
+   torque        = pulling power (lb-ft)
+   zeroToSixty   = 0-60 mph time in seconds
+   topSpeed      = top speed in mph
+   weight        = dry weight in kg (no fuel or driver)
+   pricePerLap   = price of one lap, in pounds
+   image         = path to the car's photo, or null - we don't have
+                   photos yet. When we do, they go in images/cars/
+                   ('images/cars/mclaren-720s.jpg') and the card shows them.
+   available     = false while a car is off the road
+   driver        = who's allowed to drive it (checked by js/eligibility.js):
+       minAge            youngest age allowed
+       minLicenceYears   how long they must have held a full licence
+       licenceCountries  where the licence can be from (null = anywhere)
+       maxHeightCm       tallest driver who fits safely, in cm
+       maxWeightKg       heaviest driver the seat is rated for, in kg
+*/
+
+const Fleet = (function() {
+    /* ===== LICENCES OUR INSURER ACCEPTS =====
+       Two-letter country codes ('GB' is the whole UK, Northern Ireland too) */
+
+    const UK_AND_IRELAND = ['GB', 'IE'];
+    const EUROPE = UK_AND_IRELAND.concat([
+        'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IS', 'IT',
+        'LV', 'LI', 'LT', 'LU', 'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'CH'
+    ]);
+
+    /* ===== THE FLEET ===== */
+
+    const FLEET = [
+        {
+            id: 'ferrari-488-gtb',
+            make: 'Ferrari',
+            model: '488 GTB',
+            horsepower: 661,
+            torque: 561,
+            zeroToSixty: 3.0,
+            topSpeed: 205,
+            weight: 1475,
+            pricePerLap: 95,
+            image: null,
+            available: true,
+            driver: {
+                minAge: 21,
+                minLicenceYears: 2,
+                licenceCountries: EUROPE,
+                maxHeightCm: 196,
+                maxWeightKg: 120
+            }
+        },
+        {
+            id: 'lamborghini-huracan',
+            make: 'Lamborghini',
+            model: 'Huracan',
+            horsepower: 602,
+            torque: 413,
+            zeroToSixty: 3.2,
+            topSpeed: 201,
+            weight: 1422,
+            pricePerLap: 89,
+            image: null,
+            available: true,
+            driver: {
+                minAge: 21,
+                minLicenceYears: 2,
+                licenceCountries: EUROPE,
+                maxHeightCm: 193,
+                maxWeightKg: 120
+            }
+        },
+        {
+            id: 'porsche-911-turbo-s',
+            make: 'Porsche',
+            model: '911 Turbo S',
+            horsepower: 641,
+            torque: 590,
+            zeroToSixty: 2.6,
+            topSpeed: 205,
+            weight: 1640,
+            pricePerLap: 85,
+            image: null,
+            available: true,
+            driver: {
+                minAge: 21,
+                minLicenceYears: 1,
+                licenceCountries: null,
+                maxHeightCm: 198,
+                maxWeightKg: 130
+            }
+        },
+        {
+            id: 'audi-r8-v10-plus',
+            make: 'Audi',
+            model: 'R8 V10 Plus',
+            horsepower: 602,
+            torque: 413,
+            zeroToSixty: 3.2,
+            topSpeed: 205,
+            weight: 1555,
+            pricePerLap: 79,
+            image: null,
+            available: true,
+            driver: {
+                minAge: 21,
+                minLicenceYears: 1,
+                licenceCountries: null,
+                maxHeightCm: 198,
+                maxWeightKg: 130
+            }
+        },
+        {
+            id: 'mclaren-720s',
+            make: 'McLaren',
+            model: '720S',
+            horsepower: 710,
+            torque: 568,
+            zeroToSixty: 2.8,
+            topSpeed: 212,
+            weight: 1419,
+            pricePerLap: 99,
+            image: null,
+            available: true,
+            driver: {
+                minAge: 25,
+                minLicenceYears: 3,
+                licenceCountries: UK_AND_IRELAND,
+                maxHeightCm: 188,
+                maxWeightKg: 110
+            }
+            /* The 720S sits very low: taller drivers' helmets touch the
+               roof, and our insurer only covers older, experienced drivers */
+        }
+    ];
+
+    /* ===== PUBLIC FUNCTION: getAll =====
+       Every car, in the order they're listed above.
+       We return a copy of the list so other code can sort or filter
+       it without changing the original. */
+
+    function getAll() {
+        return FLEET.slice();
+    }
+
+    /* ===== PUBLIC FUNCTION: getById =====
+       Find one car by its id. Returns null if there's no such car. */
+
+    function getById(id) {
+        return FLEET.find(car => car.id === id) || null;
+    }
+
+    /* ===== PUBLIC FUNCTION: displayName =====
+       "Ferrari" + "488 GTB" → "Ferrari 488 GTB" */
+
+    function displayName(car) {
+        return car.make + ' ' + car.model;
+    }
+
+    /* ===== FUNCTION: renderCard =====
+       The HTML inside one car's <li>
+
+       The photo (if the car has one yet) uses data-src instead of src so
+       the lazy loader (js/lazy-images.js) only downloads it when it
+       scrolls into view. */
+
+    function renderCard(car) {
+        const name = escapeHtml(displayName(car));
+
+        return `
+            ${car.image ? `<img data-src="${escapeHtml(car.image)}" alt="${name}">` : ''}
+            <h3>${name}</h3>
+            <dl class="car-specs">
+                <dt>Power</dt><dd>${car.horsepower} bhp</dd>
+                <dt>0-60</dt><dd>${car.zeroToSixty.toFixed(1)}s</dd>
+                <dt>Top speed</dt><dd>${car.topSpeed} mph</dd>
+                <dt>Per lap</dt><dd>${Currency.priceHtml(car.pricePerLap)}</dd>
+                <dt>Min. age</dt><dd>${car.driver.minAge}</dd>
+            </dl>
+            ${car.available ? '' : '<p class="car-status">Currently unavailable</p>'}
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: render =====
+       Fill a <ul> with one <li> per car
+
+       HOW TO USE:
+       Fleet.render(document.querySelector('.vehicle-info ul'));
+
+       Each <li> gets data-car-id="..." so other code can tell which
+       car a card belongs to. */
+
+    function render(list, cars) {
+        list.innerHTML = '';
+        /* Clear out whatever was there before */
+
+        (cars || FLEET).forEach(car => {
+            const item = document.createElement('li');
+            item.className = 'car-card';
+            item.dataset.carId = car.id;
+
+            if (!car.available) {
+                item.classList.add('is-unavailable');
+            }
+
+            item.innerHTML = renderCard(car);
+            list.appendChild(item);
+        });
+    }
+
+    return {
+        getAll: getAll,
+        getById: getById,
+        displayName: displayName,
+        render: render
+    };
+})();
@@ -0,0 +1,369 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - FORM VALIDATION
+   Declarative rules, inline error messages, screen reader announcements
+   ========================================= */
+
+/* WHAT IS "DECLARATIVE" VALIDATION?
+   Instead of writing if-statements for every field, each field SAYS
+   which rules it must pass, and this file does the checking:
+
+   <input name="email" data-validate="required email">
+   <input name="dob" type="date" data-validate="required minAge:21">
+
+   "minAge:21" = the rule 'minAge' with the value 21
+
+   Or, for forms built in JavaScript, pass a "schema" (field name → rules):
+   FormValidation.attach(form, {
+       email: 'required email',
+       licence: 'required licence'
+   });
+
+   AVAILABLE RULES:
+   required    = must not be empty
+   email       = looks like an email address
+   ukPhone     = UK phone number (07700 900123, +44 28 6632 1234, ...)
+   ukPostcode  = UK postcode (BT74 7AA, SW1A 1AA, ...)
+   futureDate  = a date after today
+   minAge:N    = date of birth of someone at least N years old
+   licence     = UK driving licence number (16 characters)
+   minLength:N = at least N characters (passwords, for example)
+
+   Every rule except 'required' lets an empty field through - so an
+   optional phone number can be left blank, but if it's filled in it
+   must be a valid one.
+
+   WHEN DOES IT CHECK?
+   - When the user leaves a field (the 'blur' event)
+   - While they fix a field that's showing an error (the 'input' event)
+   - When the form is submitted - if anything is wrong, the submit is
+     cancelled and the cursor goes to the first problem
+
+   ACCESSIBILITY:
+   - Each error appears right under its field and is linked to it with
+     aria-describedby, and the field gets aria-invalid="true"
+   - A hidden "live region" reads out a summary when a submit fails,
+     so screen reader users know why nothing happened
+
+   FIELDS YOU CAN'T FOCUS:
+   A hidden input (like the waiver's signature, filled in from a
+   drawing) can't take the cursor. data-focus="otherField" names the
+   field to go to instead, and that field is linked to the error too:
+   <input type="hidden" name="signature" data-validate="required" data-focus="typedSignature">
+*/
+
+const FormValidation = (function() {
+    /* ===== HELPERS ===== */
+
+    function todayIso() {
+        return Availability.toIsoDate(new Date());
+    }
+
+    /* Age in whole years on today's date, from "YYYY-MM-DD" */
+    function ageFrom(isoDate) {
+        const birth = Availability.fromIsoDate(isoDate);
+        const now = new Date();
+        let age = now.getFullYear() - birth.getFullYear();
+
+        const hadBirthday = now.getMonth() > birth.getMonth() ||
+            (now.getMonth() === birth.getMonth() && now.getDate() >= birth.getDate());
+
+        if (!hadBirthday) {
+            age--;
+            /* Not had this year's birthday yet */
+        }
+
+        return age;
+    }
+
+    /* ===== THE RULES =====
+       Each rule gets (value, param, label) and returns an error
+       message, or '' if the value is fine. */
+
+    const RULES = {
+        required: (value, param, label) =>
+            (value === '' ? label + ' is required.' : ''),
+
+        email: (value) =>
+            (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? '' : 'Please enter a valid email address, like name@example.com.'),
+
+        ukPhone: (value) => {
+            const digits = value.replace(/[\s\-().]/g, '');
+            /* Ignore spaces, dashes, brackets and dots people type in phone numbers */
+
+            return /^(?:(?:\+|00)44|0)(?:[1-3]\d{8,9}|7\d{9}|8\d{9})$/.test(digits)
+                ? ''
+                : 'Please enter a UK phone number, like 07700 900123.';
+        },
+
+        ukPostcode: (value) =>
+            (/^(?:[A-Z]{1,2}\d[A-Z\d]?|GIR) ?\d[A-Z]{2}$/i.test(value) ? '' : 'Please enter a UK postcode, like BT74 7AA.'),
+
+        futureDate: (value) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return 'Please enter a date.';
+            }
+            return value > todayIso() ? '' : 'Please choose a date after today.';
+        },
+
+        minAge: (value, param) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return 'Please enter your date of birth.';
+            }
+            return ageFrom(value) >= Number(param)
+                ? ''
+                : 'You must be at least ' + param + ' years old.';
+        },
+
+        minLength: (value, param, label) =>
+            (value.length >= Number(param) ? '' : label + ' must be at least ' + param + ' characters.'),
+
+        licence: (value) => {
+            const licence = value.replace(/\s/g, '').toUpperCase();
+
+            /* UK licence numbers are 16 characters:
+               SMITH 606153 JD 9 AB
+               - 5 letters of surname (short names padded with 9s)
+               - 6 digits from the date of birth (the month has 5 added for women,
+                 so the month's first digit is 0, 1, 5 or 6)
+               - 2 initials (padded with 9), 1 digit, 2 check characters */
+            const pattern = /^[A-Z9]{5}\d[0156]\d{4}[A-Z9]{2}\d[A-Z0-9]{2}$/;
+
+            return pattern.test(licence)
+                ? ''
+                : 'Please enter your 16-character driving licence number, as shown on your licence.';
+        }
+    };
+
+    /* ===== FUNCTION: parseRules =====
+       "required minAge:21" → [{ name: 'required' }, { name: 'minAge', param: '21' }] */
+
+    function parseRules(text) {
+        return String(text || '').split(/\s+/).filter(Boolean).map(part => {
+            const colon = part.indexOf(':');
+            return colon === -1
+                ? { name: part }
+                : { name: part.slice(0, colon), param: part.slice(colon + 1) };
+        });
+    }
+
+    /* ===== FUNCTION: labelFor =====
+       The human name for a field, used in messages like "Email is required."
+       Uses data-label="..." if set, otherwise the field's <label> text. */
+
+    function labelFor(field) {
+        if (field.dataset.label) {
+            return field.dataset.label;
+        }
+
+        const label = field.closest('label') ||
+            (field.id && field.form && field.form.querySelector('label[for="' + field.id + '"]'));
+        const text = label ? (label.querySelector('span') || label).textContent.trim() : '';
+
+        return text || 'This field';
+    }
+
+    /* ===== FUNCTION: focusTargetFor =====
+       Where the cursor goes when this field is wrong: the field in
+       data-focus="..." if it has one, otherwise the field itself */
+
+    function focusTargetFor(field) {
+        const target = field.dataset.focus && field.form && field.form.elements[field.dataset.focus];
+        return target || field;
+    }
+
+    /* ===== FUNCTION: errorElementFor =====
+       Find (or create) the message <span> under a field, and link them */
+
+    let idCounter = 0;
+
+    function errorElementFor(field) {
+        if (!field.id) {
+            idCounter++;
+            field.id = 'field-' + idCounter;
+        }
+
+        const errorId = field.id + '-error';
+        let errorElement = document.getElementById(errorId);
+
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.id = errorId;
+            errorElement.className = 'field-error';
+            errorElement.setAttribute('aria-live', 'polite');
+
+            const container = field.closest('label') || field;
+            container.insertAdjacentElement('afterend', errorElement);
+
+            const target = focusTargetFor(field);
+
+            (target === field ? [field] : [field, target]).forEach(item => {
+                const describedBy = item.getAttribute('aria-describedby');
+                item.setAttribute('aria-describedby', describedBy ? describedBy + ' ' + errorId : errorId);
+            });
+            /* The focus target too, so the error is read out when it's focused */
+        }
+
+        return errorElement;
+    }
+
+    /* ===== PUBLIC FUNCTION: validateField =====
+       Check one field, show or clear its message.
+       Returns the error message ('' = valid). */
+
+    function validateField(field) {
+        const rules = parseRules(field.dataset.validate);
+        if (rules.length === 0) {
+            return '';
+        }
+
+        const value = field.type === 'checkbox'
+            ? (field.checked ? field.value : '')
+            : field.value.trim();
+        const label = labelFor(field);
+        let message = '';
+
+        for (const rule of rules) {
+            const check = RULES[rule.name];
+
+            if (!check) {
+                console.warn('Unknown validation rule "' + rule.name + '" on', field);
+                continue;
+            }
+            if (value === '' && rule.name !== 'required') {
+                continue;
+                /* Empty optional field - only 'required' complains about that */
+            }
+
+            message = check(value, rule.param, label);
+            if (message) {
+                break;
+                /* Show one problem at a time - the first one found */
+            }
+        }
+
+        const errorElement = errorElementFor(field);
+        errorElement.textContent = message;
+        field.setAttribute('aria-invalid', message ? 'true' : 'false');
+        field.classList.toggle('is-invalid', Boolean(message));
+        field.classList.toggle('is-valid', !message);
+
+        return message;
+    }
+
+    /* ===== FUNCTION: fieldsOf =====
+       Every field in the form that has rules */
+
+    function fieldsOf(form) {
+        return Array.from(form.querySelectorAll('[data-validate]'));
+    }
+
+    /* ===== FUNCTION: announcerFor =====
+       The hidden live region that reads out the summary */
+
+    function announcerFor(form) {
+        let announcer = form.querySelector('.validation-announcer');
+
+        if (!announcer) {
+            announcer = document.createElement('div');
+            announcer.className = 'validation-announcer visually-hidden';
+            announcer.setAttribute('aria-live', 'assertive');
+            announcer.setAttribute('role', 'alert');
+            form.appendChild(announcer);
+        }
+
+        return announcer;
+    }
+
+    /* ===== PUBLIC FUNCTION: validateForm =====
+       Check every field. Returns true if they all pass. */
+
+    function validateForm(form) {
+        const problems = fieldsOf(form)
+            .map(field => ({ field: field, message: validateField(field) }))
+            .filter(result => result.message);
+
+        const announcer = announcerFor(form);
+
+        if (problems.length === 0) {
+            announcer.textContent = '';
+            return true;
+        }
+
+        announcer.textContent = problems.length === 1
+            ? 'There is 1 problem with this form: ' + problems[0].message
+            : 'There are ' + problems.length + ' problems with this form. The first is: ' + problems[0].message;
+
+        focusTargetFor(problems[0].field).focus();
+        /* Take the user straight to the first thing that needs fixing */
+
+        return false;
+    }
+
+    /* ===== PUBLIC FUNCTION: attach =====
+       Start validating a form. Safe to call more than once.
+
+       schema (optional) = { fieldName: 'rules', ... } - copied onto
+       the matching fields as data-validate, so both ways of adding
+       rules end up working the same way. */
+
+    function attach(form, schema) {
+        if (schema) {
+            Object.keys(schema).forEach(name => {
+                const field = form.elements[name];
+                if (field && field.dataset) {
+                    field.dataset.validate = schema[name];
+                }
+            });
+        }
+
+        if (form.dataset.validationAttached) {
+            return;
+        }
+        form.dataset.validationAttached = 'true';
+
+        form.addEventListener('blur', function(e) {
+            if (e.target.dataset && e.target.dataset.validate) {
+                validateField(e.target);
+            }
+        }, true);
+        /* 'blur' doesn't bubble, so we listen in the "capture" phase
+           (the true at the end) to hear it for every field in the form */
+
+        form.addEventListener('input', function(e) {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                validateField(e.target);
+                /* Clear the message as soon as the problem is fixed */
+            }
+        });
+
+        form.addEventListener('change', function(e) {
+            if (e.target.type === 'checkbox' && e.target.dataset.validate) {
+                validateField(e.target);
+                /* Tick boxes don't really "blur" - check them when ticked */
+            }
+        });
+
+        form.addEventListener('submit', function(e) {
+            if (!validateForm(form)) {
+                e.preventDefault();
+                /* Don't submit - listeners added after this one see
+                   e.defaultPrevented and know not to send anything */
+            }
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: addRule =====
+       Add a new rule, e.g.
+       FormValidation.addRule('over18', value => ...); */
+
+    function addRule(name, check) {
+        RULES[name] = check;
+    }
+
+    return {
+        attach: attach,
+        validateField: validateField,
+        validateForm: validateForm,
+        addRule: addRule
+    };
+})();
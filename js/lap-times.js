@@ -0,0 +1,393 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - LAP TIMES
+   Importing timing data, and working out everyone's best laps
+   ========================================= */
+
+/* WHERE DO LAP TIMES COME FROM?
+   Every car carries a transponder (a little radio box) that the track's
+   timing system picks up as it crosses the line. After a track day we
+   EXPORT the timing data as a CSV file (a spreadsheet saved as plain
+   text) and import it here. One row per lap:
+
+   date,session,transponder,driver,email,car,layout,level,lap,lap_time
+   2026-10-23,09:00,T-104,Sam Adams,sam@example.com,mclaren-720s,full,novice,2,1:23.456
+
+   - car      = a car id from js/fleet.js, or its name ("McLaren 720S")
+   - layout   = which version of the track was used (see TRACK_LAYOUTS)
+   - level    = the driver's experience (see EXPERIENCE_LEVELS)
+   - lap_time = m:ss.mmm, or just seconds ("83.456")
+   - email is optional, the rest must be filled in
+   The columns can be in any order - they're found by their headings.
+
+   Importing the same file twice is safe: each lap has an id made from
+   its date, session, transponder and lap number, and laps we already
+   have are skipped. Staff import on the staff page (js/admin-page.js).
+
+   WHERE ARE THEY SAVED?
+   Only in the browser they were imported into (localStorage). So for
+   now the leaderboard, and personal-best links (?lap=...#/racing), are
+   empty on every other device. Sharing them for real needs a server:
+   a store with the same functions as createStore() below, passed to
+   the Racing and staff pages in main.js instead.
+
+   HOW TO USE:
+   const laps = LapTimes.createStore();
+   laps.importCsv(text)      → Promise of { added, skipped, errors: [{ line, message }] }
+   laps.leaderboard({ carId, layout, level, when })
+                             → Promise of each driver's best lap, fastest first
+                               (when = '' for all time, '2026-10' for a month,
+                                '2026-10-23' for a day - leave any filter out to match everything)
+   laps.personalBest(lapId)  → Promise of { lap, position, drivers } - that driver's best
+                               in the same car on the same layout, and their place
+   laps.get(lapId)           → Promise of one lap, or null
+   laps.dates()              → Promise of every date that has laps, newest first
+   laps.subscribe(listener)  → runs after every import
+
+   LapTimes.format(83456)    → "1:23.456"  (times are kept in milliseconds)
+*/
+
+const TRACK_LAYOUTS = {
+    full: 'Full circuit',
+    club: 'Club circuit'
+};
+
+const EXPERIENCE_LEVELS = {
+    novice: 'Novice',
+    intermediate: 'Intermediate',
+    experienced: 'Experienced'
+};
+
+const LapTimes = (function() {
+    const STORAGE_KEY = 'fse.laps';
+
+    const REQUIRED_COLUMNS = ['date', 'session', 'transponder', 'driver', 'car', 'layout', 'level', 'lap', 'lap_time'];
+
+    const COLUMN_NAMES = {
+        lap_time: ['lap_time', 'laptime', 'time'],
+        driver: ['driver', 'driver_name', 'name'],
+        session: ['session', 'session_time', 'start'],
+        lap: ['lap', 'lap_number', 'lap_no']
+    };
+    /* Other spellings of a heading we also accept. A column not listed
+       here must be called exactly what REQUIRED_COLUMNS says (or 'email') */
+
+    /* ===== PUBLIC FUNCTION: format =====
+       Milliseconds → "m:ss.mmm", e.g. 83456 → "1:23.456" */
+
+    function format(ms) {
+        if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) {
+            return '–';
+        }
+
+        const whole = Math.round(ms);
+        const minutes = Math.floor(whole / 60000);
+        const seconds = Math.floor(whole / 1000) % 60;
+        const millis = whole % 1000;
+
+        return minutes + ':' + String(seconds).padStart(2, '0') + '.' + String(millis).padStart(3, '0');
+    }
+
+    /* ===== PUBLIC FUNCTION: parseTime =====
+       "1:23.456" or "83.456" → 83456. Returns null if it isn't a time. */
+
+    function parseTime(text) {
+        const match = /^(?:(\d+):)?(\d+)(?:\.(\d{1,3}))?$/.exec(String(text).trim());
+        /* (minutes:) seconds (.fraction) */
+
+        if (!match) {
+            return null;
+        }
+
+        const minutes = Number(match[1] || 0);
+        const seconds = Number(match[2]);
+        const millis = Number((match[3] || '').padEnd(3, '0'));
+        /* ".4" means 400ms, not 4ms - so pad it out to 3 digits */
+
+        if (match[1] !== undefined && seconds >= 60) {
+            return null;
+            /* "1:75.000" isn't a time */
+        }
+
+        const total = minutes * 60000 + seconds * 1000 + millis;
+        return total > 0 ? total : null;
+    }
+
+    /* ===== PUBLIC FUNCTION: parseCsv =====
+       CSV text → a list of rows, each a list of cells.
+       Handles "quoted, cells" and "cells with ""quotes"" in them". */
+
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                    /* Windows line endings are \r\n - treat them as one */
+                }
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+            /* The last line, if the file doesn't end with a newline */
+        }
+
+        return rows;
+    }
+
+    /* ===== FUNCTION: findCar =====
+       A car id or a car name from the timing export → a car from the fleet */
+
+    function findCar(text) {
+        const wanted = String(text).trim().toLowerCase();
+
+        return Fleet.getAll().find(car =>
+            car.id === wanted || Fleet.displayName(car).toLowerCase() === wanted
+        ) || null;
+    }
+
+    /* ===== FUNCTION: readLaps =====
+       Turn the rows of a timing export into laps, collecting a message
+       for every row that can't be used (rather than giving up on the file) */
+
+    function readLaps(text) {
+        const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+        /* \uFEFF = an invisible marker some spreadsheet programs put at the start */
+
+        const errors = [];
+        const laps = [];
+        const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+
+        const column = {};
+        REQUIRED_COLUMNS.concat('email').forEach(name => {
+            const names = COLUMN_NAMES[name] || [name];
+            column[name] = header.findIndex(heading => names.indexOf(heading) !== -1);
+        });
+
+        const missing = REQUIRED_COLUMNS.filter(name => column[name] === -1);
+        if (missing.length > 0) {
+            errors.push({ line: 1, message: 'Missing column' + (missing.length === 1 ? ': ' : 's: ') + missing.join(', ') });
+            return { laps: laps, errors: errors };
+        }
+
+        rows.forEach((row, index) => {
+            const line = index + 2;
+            /* +1 for the header, +1 because people count lines from 1 */
+
+            if (row.every(cell => cell.trim() === '')) {
+                return;
+                /* Skip blank lines */
+            }
+
+            const value = name => (column[name] === -1 ? '' : String(row[column[name]] || '').trim());
+            const car = findCar(value('car'));
+            const ms = parseTime(value('lap_time'));
+            const lapNumber = Number(value('lap'));
+            let problem = '';
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value('date'))) {
+                problem = 'Date should look like 2026-10-23';
+            } else if (!/^\d{2}:\d{2}$/.test(value('session'))) {
+                problem = 'Session should look like 09:00';
+            } else if (!value('transponder') || !value('driver')) {
+                problem = 'Transponder and driver are needed';
+            } else if (!car) {
+                problem = 'Unknown car "' + value('car') + '"';
+            } else if (!TRACK_LAYOUTS[value('layout').toLowerCase()]) {
+                problem = 'Unknown track layout "' + value('layout') + '"';
+            } else if (!EXPERIENCE_LEVELS[value('level').toLowerCase()]) {
+                problem = 'Unknown experience level "' + value('level') + '"';
+            } else if (!Number.isInteger(lapNumber) || lapNumber < 1) {
+                problem = 'Lap number should be 1 or more';
+            } else if (ms === null) {
+                problem = 'Lap time "' + value('lap_time') + '" should look like 1:23.456';
+            }
+
+            if (problem) {
+                errors.push({ line: line, message: problem });
+                return;
+            }
+
+            laps.push({
+                id: [value('date'), value('session'), value('transponder'), lapNumber].join('_'),
+                date: value('date'),
+                session: value('session'),
+                transponder: value('transponder'),
+                driver: value('driver'),
+                email: value('email').toLowerCase(),
+                carId: car.id,
+                layout: value('layout').toLowerCase(),
+                level: value('level').toLowerCase(),
+                lap: lapNumber,
+                ms: ms
+            });
+        });
+
+        return { laps: laps, errors: errors };
+    }
+
+    /* ===== FUNCTION: driverKey =====
+       Who a lap belongs to. The email if we have it (two people can share
+       a name), otherwise the name. */
+
+    function driverKey(lap) {
+        return lap.email || lap.driver.toLowerCase();
+    }
+
+    /* ===== PUBLIC FUNCTION: createStore ===== */
+
+    function createStore(storeOptions) {
+        const settings = storeOptions || {};
+        const storage = settings.storage || BrowserStorage.get();
+        const listeners = [];
+
+        function load() {
+            try {
+                return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        function save(laps) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(laps));
+            listeners.forEach(listener => listener());
+        }
+
+        /* ----- The store functions (see the top of this file) ----- */
+
+        function importCsv(text) {
+            const result = readLaps(text);
+            const laps = load();
+            const known = new Set(laps.map(lap => lap.id));
+            let skipped = 0;
+
+            result.laps.forEach(lap => {
+                if (known.has(lap.id)) {
+                    skipped++;
+                    return;
+                }
+                known.add(lap.id);
+                laps.push(lap);
+            });
+
+            const added = laps.length - load().length;
+            if (added > 0) {
+                save(laps);
+            }
+
+            return Promise.resolve({ added: added, skipped: skipped, errors: result.errors });
+        }
+
+        function leaderboard(filters) {
+            const chosen = filters || {};
+            const best = new Map();
+            /* driver → their fastest matching lap */
+
+            load().forEach(lap => {
+                if ((chosen.carId && lap.carId !== chosen.carId) ||
+                    (chosen.layout && lap.layout !== chosen.layout) ||
+                    (chosen.level && lap.level !== chosen.level) ||
+                    (chosen.when && lap.date.indexOf(chosen.when) !== 0)) {
+                    return;
+                }
+                /* when = '2026-10' matches every date starting with it */
+
+                const key = driverKey(lap);
+                const current = best.get(key);
+                if (!current || lap.ms < current.ms) {
+                    best.set(key, lap);
+                }
+            });
+
+            const rows = Array.from(best.values()).sort((a, b) => a.ms - b.ms || (a.date < b.date ? -1 : 1));
+            /* Same time? Whoever set it first goes higher */
+
+            return Promise.resolve(rows.map((lap, index) => Object.assign({ position: index + 1 }, lap)));
+        }
+
+        /* The driver's best lap in the same car on the same layout as
+           this one, and where it puts them on that all-time leaderboard */
+        function personalBest(lapId) {
+            const lap = load().find(l => l.id === lapId);
+
+            if (!lap) {
+                return Promise.resolve(null);
+            }
+
+            return leaderboard({ carId: lap.carId, layout: lap.layout }).then(rows => {
+                const best = rows.find(row => driverKey(row) === driverKey(lap));
+                return { lap: best, position: best.position, drivers: rows.length };
+            });
+        }
+
+        function get(lapId) {
+            return Promise.resolve(load().find(lap => lap.id === lapId) || null);
+        }
+
+        function dates() {
+            const unique = Array.from(new Set(load().map(lap => lap.date)));
+            return Promise.resolve(unique.sort().reverse());
+        }
+
+        function subscribe(listener) {
+            listeners.push(listener);
+
+            return function unsubscribe() {
+                const index = listeners.indexOf(listener);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            };
+        }
+
+        window.addEventListener('storage', function(e) {
+            if (e.key === STORAGE_KEY) {
+                listeners.forEach(listener => listener());
+            }
+        });
+
+        return {
+            importCsv: importCsv,
+            leaderboard: leaderboard,
+            personalBest: personalBest,
+            get: get,
+            dates: dates,
+            subscribe: subscribe
+        };
+    }
+
+    return {
+        format: format,
+        parseTime: parseTime,
+        parseCsv: parseCsv,
+        createStore: createStore
+    };
+})();
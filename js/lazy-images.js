@@ -0,0 +1,237 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - LAZY IMAGES
+   Photos only download when they're about to scroll into view
+   ========================================= */
+
+/* HOW DO I MAKE AN IMAGE LAZY?
+   Put the address in data-src instead of src:
+
+   <img data-src="images/cars/mclaren-720s.jpg" alt="McLaren 720S">
+
+   RESPONSIVE IMAGES (different sizes for different screens):
+   data-srcset and data-sizes become srcset and sizes, so the browser
+   picks the smallest file that still looks sharp:
+
+   <img data-src="images/backstory-800.jpg"
+        data-srcset="images/backstory-800.jpg 800w, images/backstory-1600.jpg 1600w"
+        data-sizes="(max-width: 900px) 100vw, 900px" alt="...">
+
+   Inside a <picture>, the <source data-srcset="..."> tags are switched
+   on too - e.g. to offer a smaller WebP file to browsers that can show it:
+
+   <picture>
+       <source type="image/webp" data-srcset="images/backstory.webp">
+       <img data-src="images/backstory.jpg" alt="...">
+   </picture>
+
+   BLUR-UP PLACEHOLDER:
+   data-placeholder="a tiny (e.g. 20px wide) version" is shown straight
+   away, blurred, and sharpens into the real photo once it's arrived.
+
+   IF AN IMAGE IS MISSING:
+   It's swapped for a "Photo coming soon" graphic (or your own
+   fallbackSrc) and gets the class is-broken - no broken-image icon.
+
+   Images added to the page LATER (like the car cards js/fleet.js
+   draws) are noticed automatically by a MutationObserver.
+
+   HOW TO USE:
+   LazyImages.init({
+       rootMargin: '300px 0px',                  ← start loading 300px before it's on screen
+       fallbackSrc: 'images/photo-missing.svg'   ← optional
+   });
+*/
+
+const LazyImages = (function() {
+    const SELECTOR = 'img[data-src], img[data-srcset]';
+
+    const DEFAULT_FALLBACK = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 320 180">' +
+        '<rect width="320" height="180" fill="#f5f5f5"/>' +
+        '<text x="160" y="96" font-family="Arial, sans-serif" font-size="16" fill="#999999" text-anchor="middle">Photo coming soon</text>' +
+        '</svg>'
+    );
+    /* A grey box with "Photo coming soon" written in it, built right
+       here so it can't go missing itself */
+
+    let settings = {};
+    let observer = null;    /* IntersectionObserver, or null if the browser has none */
+
+    /* ===== FUNCTION: isPlaceholder =====
+       Is the image currently showing its blur-up placeholder?
+       (Its load and error events mean nothing to us) */
+
+    function isPlaceholder(img) {
+        const placeholder = img.dataset.placeholder;
+        return Boolean(placeholder) && (img.currentSrc || img.src) === new URL(placeholder, document.baseURI).href;
+    }
+
+    /* ===== FUNCTION: handleLoad ===== */
+
+    function handleLoad(e) {
+        const img = e.target;
+
+        if (img.dataset.lazyState !== 'loading' || isPlaceholder(img)) {
+            return;
+        }
+
+        img.dataset.lazyState = 'loaded';
+        img.classList.remove('is-blurred');
+        img.classList.add('is-loaded');
+        /* In the CSS, taking off is-blurred fades the blur away */
+    }
+
+    /* ===== FUNCTION: handleError =====
+       Show the fallback instead of a broken-image icon */
+
+    function handleError(e) {
+        const img = e.target;
+
+        if (img.dataset.lazyState !== 'loading' || isPlaceholder(img)) {
+            return;
+            /* Already showing the fallback - if THAT fails, stop, or it would go round forever */
+        }
+
+        img.dataset.lazyState = 'error';
+
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            picture.querySelectorAll('source').forEach(source => source.removeAttribute('srcset'));
+        }
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        /* Otherwise the browser would keep choosing the missing file from them */
+
+        img.src = settings.fallbackSrc;
+        img.classList.remove('is-blurred');
+        img.classList.add('is-broken');
+    }
+
+    /* ===== PUBLIC FUNCTION: load =====
+       Download an image now - moves the data- attributes into the real ones */
+
+    function load(img) {
+        if (img.dataset.lazyState) {
+            return;
+            /* Already loading, loaded or given up */
+        }
+
+        img.dataset.lazyState = 'loading';
+        img.addEventListener('load', handleLoad);
+        img.addEventListener('error', handleError);
+
+        const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+        if (picture) {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                if (source.dataset.sizes) {
+                    source.sizes = source.dataset.sizes;
+                }
+                source.srcset = source.dataset.srcset;
+            });
+        }
+        /* Sources first - the browser chooses between them when the <img> changes */
+
+        if (img.dataset.sizes) {
+            img.sizes = img.dataset.sizes;
+        }
+        if (img.dataset.srcset) {
+            img.srcset = img.dataset.srcset;
+        }
+        if (img.dataset.src) {
+            img.src = img.dataset.src;
+        }
+    }
+
+    /* ===== FUNCTION: watch =====
+       Get one image ready, and load it now or when it comes near the screen */
+
+    function watch(img) {
+        if (img.dataset.lazyState || img.classList.contains('lazy-image')) {
+            return;
+        }
+
+        img.classList.add('lazy-image');
+
+        if (img.dataset.placeholder) {
+            img.src = img.dataset.placeholder;
+            img.classList.add('is-blurred');
+        }
+
+        if (observer) {
+            observer.observe(img);
+        } else {
+            load(img);
+            /* No IntersectionObserver (very old browser): load everything
+               straight away. Slower, but far better than no photos at all. */
+        }
+    }
+
+    /* ===== PUBLIC FUNCTION: scan =====
+       Watch every lazy image inside 'root' (and root itself, if it's one) */
+
+    function scan(root) {
+        if (root.nodeType !== Node.ELEMENT_NODE && root.nodeType !== Node.DOCUMENT_NODE) {
+            return;
+            /* Text, comments etc. can't contain images */
+        }
+
+        if (root.matches && root.matches(SELECTOR)) {
+            watch(root);
+        }
+        root.querySelectorAll(SELECTOR).forEach(watch);
+    }
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(lazyOptions) {
+        settings = Object.assign({
+            rootMargin: '200px 0px',
+            fallbackSrc: DEFAULT_FALLBACK
+        }, lazyOptions);
+
+        if ('IntersectionObserver' in window) {
+            observer = new IntersectionObserver(function(entries) {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        load(entry.target);
+                    }
+                });
+            }, {
+                rootMargin: settings.rootMargin
+                /* Grow the "visible" area, so loading starts a little
+                   BEFORE the image scrolls on screen and it's ready in time */
+            });
+        }
+
+        scan(document);
+
+        if ('MutationObserver' in window) {
+            new MutationObserver(function(mutations) {
+                mutations.forEach(mutation => {
+                    mutation.addedNodes.forEach(scan);
+
+                    if (observer) {
+                        mutation.removedNodes.forEach(node => {
+                            if (node.nodeType !== Node.ELEMENT_NODE) {
+                                return;
+                            }
+                            if (node.matches('img.lazy-image')) {
+                                observer.unobserve(node);
+                            }
+                            node.querySelectorAll('img.lazy-image').forEach(img => observer.unobserve(img));
+                        });
+                        /* Stop watching images that were taken off the page */
+                    }
+                });
+            }).observe(document.body, { childList: true, subtree: true });
+            /* childList + subtree = tell us about elements added or removed anywhere */
+        }
+    }
+
+    return {
+        init: init,
+        scan: scan,
+        load: load
+    };
+})();
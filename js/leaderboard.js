@@ -0,0 +1,389 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - LEADERBOARD
+   The fastest laps table on the Racing page, and personal-best cards
+   ========================================= */
+
+/* WHAT'S IN HERE?
+   - create()           the leaderboard: filters, a table you can sort by
+                        clicking its headings, and Previous/Next pages
+   - openPersonalBest() a pop-up "personal best" card with a link to share
+   - renderCard()       just the card, e.g. for someone opening a shared link
+   - createImporter()   the staff form that imports a timing CSV
+
+   The laps themselves (and all the sums) come from js/lap-times.js.
+   Sorting and paging happen here in the browser - the store hands
+   over every matching driver, which is only ever a few hundred rows.
+
+   HOW TO USE:
+   const board = Leaderboard.create(someDiv, { store: lapTimes });
+   board.destroy();   ← when the page goes away
+
+   Leaderboard.openPersonalBest(lapTimes, 'lap-id', buttonThatWasClicked);
+   Leaderboard.createImporter(someForm, { store: lapTimes });
+*/
+
+const Leaderboard = (function() {
+    const PAGE_SIZE = 10;
+
+    const COLUMNS = [
+        { key: 'position', label: 'Pos' },
+        { key: 'driver', label: 'Driver' },
+        { key: 'ms', label: 'Best lap' },
+        { key: 'carId', label: 'Car' },
+        { key: 'layout', label: 'Layout' },
+        { key: 'level', label: 'Level' },
+        { key: 'date', label: 'Date' }
+    ];
+
+    /* ===== HELPERS ===== */
+
+    function carName(carId) {
+        const car = Fleet.getById(carId);
+        return car ? Fleet.displayName(car) : carId;
+    }
+
+    function formatDate(isoDate) {
+        return Availability.fromIsoDate(isoDate).toLocaleDateString('en-GB', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric'
+        });
+    }
+
+    function formatMonth(yearMonth) {
+        return Availability.fromIsoDate(yearMonth + '-01').toLocaleDateString('en-GB', {
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    /* What a column is sorted by. Cars sort by their name, not their id. */
+    function sortValue(row, key) {
+        if (key === 'carId') {
+            return carName(row.carId).toLowerCase();
+        }
+        if (key === 'driver') {
+            return row.driver.toLowerCase();
+        }
+        return row[key];
+    }
+
+    function shareLink(lap) {
+        return location.origin + location.pathname + '?lap=' + encodeURIComponent(lap.id) + '#/racing';
+    }
+
+    /* ===== PUBLIC FUNCTION: renderCard =====
+       The personal-best card. 'best' is what store.personalBest() gives. */
+
+    function renderCard(best) {
+        const lap = best.lap;
+
+        return `
+            <div class="pb-card">
+                <p class="pb-card-label">Personal best</p>
+                <p class="pb-card-time">${LapTimes.format(lap.ms)}</p>
+                <p class="pb-card-driver">${escapeHtml(lap.driver)}</p>
+                <p>${escapeHtml(carName(lap.carId))} &middot; ${escapeHtml(TRACK_LAYOUTS[lap.layout] || lap.layout)}</p>
+                <p>${escapeHtml(formatDate(lap.date))} &middot;
+                    P${best.position} of ${best.drivers} ${best.drivers === 1 ? 'driver' : 'drivers'}</p>
+            </div>
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: openPersonalBest ===== */
+
+    function openPersonalBest(store, lapId, opener) {
+        return store.personalBest(lapId).then(best => {
+            if (!best) {
+                Toast.error('Sorry, we couldn\'t find that lap.');
+                return;
+            }
+
+            const link = shareLink(best.lap);
+            const text = 'My best lap at Fermanagh Supercar Experience: ' + LapTimes.format(best.lap.ms) +
+                ' in the ' + carName(best.lap.carId) + '!';
+
+            const dialog = Modal.open({
+                title: best.lap.driver + '\'s personal best',
+                opener: opener,
+                focusTitle: true,
+                content: `
+                    ${renderCard(best)}
+                    <label class="pb-link">
+                        <span>Share this link:</span>
+                        <input type="text" readonly value="${escapeHtml(link)}">
+                    </label>
+                    <button type="button" class="pb-share">${navigator.share ? 'Share' : 'Copy link'}</button>
+                `
+            });
+
+            const input = dialog.body.querySelector('.pb-link input');
+
+            dialog.body.querySelector('.pb-share').addEventListener('click', function() {
+                if (navigator.share) {
+                    navigator.share({ title: 'My personal best', text: text, url: link }).catch(() => {});
+                    /* The phone's own share menu. Rejects if they close it - that's fine. */
+                    return;
+                }
+
+                input.select();
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(link).then(() => Toast.success('Link copied.'));
+                }
+            });
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: create ===== */
+
+    function create(container, boardOptions) {
+        const store = boardOptions.store;
+
+        let rows = [];
+        let sortKey = 'position';
+        let ascending = true;
+        let page = 1;
+        let isDestroyed = false;
+
+        const optionsHtml = (items, allLabel) => `<option value="">${allLabel}</option>` +
+            items.map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(item.label)}</option>`).join('');
+
+        container.innerHTML = `
+            <form class="leaderboard-filters">
+                <label>
+                    <span>Car</span>
+                    <select name="carId">${optionsHtml(Fleet.getAll().map(car => ({ value: car.id, label: Fleet.displayName(car) })), 'All cars')}</select>
+                </label>
+                <label>
+                    <span>Layout</span>
+                    <select name="layout">${optionsHtml(Object.keys(TRACK_LAYOUTS).map(id => ({ value: id, label: TRACK_LAYOUTS[id] })), 'All layouts')}</select>
+                </label>
+                <label>
+                    <span>When</span>
+                    <select name="when"><option value="">All time</option></select>
+                </label>
+                <label>
+                    <span>Experience</span>
+                    <select name="level">${optionsHtml(Object.keys(EXPERIENCE_LEVELS).map(id => ({ value: id, label: EXPERIENCE_LEVELS[id] })), 'All levels')}</select>
+                </label>
+            </form>
+
+            <div class="leaderboard-scroll">
+                <table class="leaderboard">
+                    <caption class="visually-hidden">Fastest lap by each driver</caption>
+                    <thead>
+                        <tr>
+                            ${COLUMNS.map(column => `
+                                <th scope="col"><button type="button" data-sort="${column.key}">${column.label}</button></th>
+                            `).join('')}
+                            <th scope="col"><span class="visually-hidden">Share</span></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+            <p class="leaderboard-empty" hidden>No lap times match those filters yet.</p>
+
+            <nav class="leaderboard-pages" aria-label="Leaderboard pages">
+                <button type="button" data-page="-1">Previous</button>
+                <span class="leaderboard-page-count" aria-live="polite"></span>
+                <button type="button" data-page="1">Next</button>
+            </nav>
+        `;
+        /* WHY BUTTONS INSIDE THE HEADINGS?
+           So sorting works with the keyboard and screen readers announce it */
+
+        const filters = container.querySelector('.leaderboard-filters');
+        const whenSelect = filters.elements.when;
+        const tbody = container.querySelector('tbody');
+        const empty = container.querySelector('.leaderboard-empty');
+        const pages = container.querySelector('.leaderboard-pages');
+
+        /* ----- Fill the "When" list with the months and days we have laps for ----- */
+
+        function renderWhenOptions() {
+            return store.dates().then(dates => {
+                const chosen = whenSelect.value;
+                const months = Array.from(new Set(dates.map(date => date.slice(0, 7))));
+                /* '2026-10-23' → '2026-10' */
+
+                whenSelect.innerHTML = `
+                    <option value="">All time</option>
+                    <optgroup label="Month">
+                        ${months.map(month => `<option value="${month}">${escapeHtml(formatMonth(month))}</option>`).join('')}
+                    </optgroup>
+                    <optgroup label="Track day">
+                        ${dates.map(date => `<option value="${date}">${escapeHtml(formatDate(date))}</option>`).join('')}
+                    </optgroup>
+                `;
+
+                if (dates.indexOf(chosen) !== -1 || months.indexOf(chosen) !== -1) {
+                    whenSelect.value = chosen;
+                    /* Keep what they'd picked, if it's still there */
+                }
+            });
+        }
+
+        /* ----- Draw the current page of the table ----- */
+
+        function renderTable() {
+            const sorted = rows.slice().sort((a, b) => {
+                const first = sortValue(a, sortKey);
+                const second = sortValue(b, sortKey);
+                const order = first < second ? -1 : first > second ? 1 : a.position - b.position;
+                /* Ties keep leaderboard order */
+
+                return first === second ? order : (ascending ? order : -order);
+            });
+
+            const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+            page = Math.min(page, pageCount);
+
+            tbody.innerHTML = sorted.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(row => `
+                <tr>
+                    <td>${row.position}</td>
+                    <td>${escapeHtml(row.driver)}</td>
+                    <td class="lap-time">${LapTimes.format(row.ms)}</td>
+                    <td>${escapeHtml(carName(row.carId))}</td>
+                    <td>${escapeHtml(TRACK_LAYOUTS[row.layout] || row.layout)}</td>
+                    <td>${escapeHtml(EXPERIENCE_LEVELS[row.level] || row.level)}</td>
+                    <td>${escapeHtml(formatDate(row.date))}</td>
+                    <td><button type="button" class="leaderboard-share" data-lap-id="${escapeHtml(row.id)}"
+                        aria-label="Share ${escapeHtml(row.driver)}'s personal best">Share</button></td>
+                </tr>
+            `).join('');
+
+            container.querySelectorAll('th button[data-sort]').forEach(button => {
+                const th = button.parentElement;
+                if (button.dataset.sort === sortKey) {
+                    th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+                } else {
+                    th.removeAttribute('aria-sort');
+                }
+            });
+
+            empty.hidden = rows.length > 0;
+            pages.hidden = pageCount === 1;
+            pages.querySelector('.leaderboard-page-count').textContent = 'Page ' + page + ' of ' + pageCount;
+            pages.querySelector('[data-page="-1"]').disabled = page === 1;
+            pages.querySelector('[data-page="1"]').disabled = page === pageCount;
+        }
+
+        /* ----- Ask the store for the drivers that match the filters ----- */
+
+        function load() {
+            const chosen = {
+                carId: filters.elements.carId.value,
+                layout: filters.elements.layout.value,
+                level: filters.elements.level.value,
+                when: whenSelect.value
+            };
+
+            return store.leaderboard(chosen).then(result => {
+                if (!isDestroyed) {
+                    rows = result;
+                    renderTable();
+                }
+            });
+        }
+
+        function refresh() {
+            renderWhenOptions().then(load);
+        }
+
+        /* ----- Clicks and changes ----- */
+
+        function handleClick(e) {
+            const sortButton = e.target.closest('button[data-sort]');
+            const pageButton = e.target.closest('button[data-page]');
+            const shareButton = e.target.closest('.leaderboard-share');
+
+            if (sortButton) {
+                const key = sortButton.dataset.sort;
+                ascending = key === sortKey ? !ascending : key !== 'date';
+                /* Click again to flip it. Dates start newest first, everything else A-Z / fastest first */
+                sortKey = key;
+                page = 1;
+                renderTable();
+            } else if (pageButton) {
+                page += Number(pageButton.dataset.page);
+                renderTable();
+            } else if (shareButton) {
+                openPersonalBest(store, shareButton.dataset.lapId, shareButton);
+            }
+        }
+
+        function handleChange() {
+            page = 1;
+            load();
+        }
+
+        container.addEventListener('click', handleClick);
+        filters.addEventListener('change', handleChange);
+        filters.addEventListener('submit', e => e.preventDefault());
+
+        const unsubscribe = store.subscribe(refresh);
+        /* New laps imported (here or in another tab) → redraw */
+
+        refresh();
+
+        return {
+            refresh: refresh,
+            destroy: function() {
+                isDestroyed = true;
+                unsubscribe();
+                container.removeEventListener('click', handleClick);
+            }
+        };
+    }
+
+    /* ===== PUBLIC FUNCTION: createImporter =====
+       The form has a file input (name="file") and a role="status" paragraph */
+
+    function createImporter(form, importOptions) {
+        const store = importOptions.store;
+        const status = form.querySelector('.lap-import-status');
+
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            const file = form.elements.file.files[0];
+            if (!file) {
+                status.textContent = 'Choose a CSV file from the timing system first.';
+                return;
+            }
+
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+            status.textContent = 'Importing...';
+
+            file.text()
+                .then(text => store.importCsv(text))
+                .then(result => {
+                    const problems = result.errors.slice(0, 10)
+                        .map(error => `<li>Line ${error.line}: ${escapeHtml(error.message)}</li>`)
+                        .join('');
+                    const more = result.errors.length > 10 ? `<li>...and ${result.errors.length - 10} more</li>` : '';
+
+                    status.innerHTML = `
+                        Added ${result.added} ${result.added === 1 ? 'lap' : 'laps'}${result.skipped ? ', skipped ' + result.skipped + ' already imported' : ''}.
+                        ${result.errors.length ? `<br>${result.errors.length} ${result.errors.length === 1 ? 'row' : 'rows'} couldn't be read:<ul>${problems}${more}</ul>` : ''}
+                    `;
+                    form.reset();
+                })
+                .catch(() => {
+                    status.textContent = 'Sorry, that file couldn\'t be read.';
+                })
+                .then(() => {
+                    button.disabled = false;
+                });
+        });
+    }
+
+    return {
+        create: create,
+        renderCard: renderCard,
+        openPersonalBest: openPersonalBest,
+        createImporter: createImporter
+    };
+})();
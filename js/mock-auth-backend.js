@@ -0,0 +1,397 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - MOCK AUTH BACKEND
+   A pretend sign-in server that lives in the browser
+   ========================================= */
+
+/* WHAT IS THIS FOR?
+   Customer accounts (js/account.js) need a server to check passwords
+   and remember who's signed in. We don't have one yet, so this file
+   PRETENDS to be one, saving everything in localStorage.
+
+   It's for development and testing ONLY. Anyone with the browser's
+   developer tools can read localStorage, so real accounts must live
+   on a real server. When there is one, write a backend with the same
+   five functions that calls it with fetch(), and pass it to
+   Account.init() instead - nothing else needs to change.
+
+   THE FIVE FUNCTIONS (every backend must have these):
+   register({ email, password, profile })  → Promise of { token, user }
+   login(email, password)                  → Promise of { token, user }
+   logout(token)                           → Promise
+   getUser(token)                          → Promise of user
+   updateProfile(token, profile)           → Promise of user
+
+   A 'user' looks like:
+   {
+       id: 'user-k3j9x2',
+       email: 'sam@example.com',
+       role: 'customer',            ← or 'staff' (can open the staff page, #/admin)
+       profile: {
+           name: 'Sam Adams',
+           licence: 'ADAMS606153SA9AB',
+           emergencyContact: { name: 'Jo Adams', phone: '07700 900123' }
+       },
+       createdAt: '2026-10-19T...'
+   }
+   (The password is never part of the user - it can't leak out by accident)
+
+   ERRORS:
+   Failed calls REJECT with an Error that has a 'code':
+   EMAIL_TAKEN, BAD_CREDENTIALS, SESSION_EXPIRED or INVALID
+
+   HOW TO USE:
+   const backend = MockAuthBackend.create();
+   const backend = MockAuthBackend.create({ latency: 400 });  ← feel like a slow network
+   const backend = MockAuthBackend.create({ storage: BrowserStorage.createMemory() });  ← tests
+   const backend = MockAuthBackend.create({
+       staff: [{ email: 'desk@example.com', password: '...', name: 'Front desk' }]
+   });  ← staff accounts, made the first time if they don't exist yet
+
+   CHECKING IT STILL WORKS:
+   node tools/check-mocks.js signs up, in and out, reloads, edits a
+   profile and tries the staff accounts against it, offline, without
+   a browser.
+
+   STAFF ACCOUNTS:
+   Nobody can sign up as staff - only the accounts listed in 'staff'
+   are, and a staff account that's no longer listed is removed (with
+   its sessions) the next time the page loads.
+
+   MockAuthBackend.localStaff() is a staff account for trying the staff
+   page on your own computer, with a password YOU choose - none is
+   written in the site. In the browser's console, on localhost:
+       localStorage.setItem('fse.local-staff-password', 'something-long')
+   then reload and sign in as staff@example.com with that password.
+   (Change it the same way; removeItem() removes the account.)
+   main.js only asks for it on localhost, so the live site has NO
+   staff accounts until there's a real server.
+
+   THIS IS NOT SECURITY:
+   The staff page (js/admin-page.js) just checks user.role, and the
+   user comes from localStorage - anyone can edit that in the browser's
+   developer tools and make themselves staff. With a real server, who's
+   staff is decided on the server, and the server refuses staff-only
+   requests from anyone else.
+*/
+
+const MockAuthBackend = (function() {
+    const STORAGE_KEY = 'fse.mock-auth';
+    const SESSION_DAYS = 30;
+    /* How long you stay signed in without signing in again */
+
+    const PASSWORD_ITERATIONS = 100000;
+    /* How many times the password is hashed over - makes guessing slow */
+
+    const LOCAL_STAFF_EMAIL = 'staff@example.com';
+    const LOCAL_STAFF_PASSWORD_KEY = 'fse.local-staff-password';
+    /* Only for localhost - see STAFF ACCOUNTS above */
+
+    /* ===== HELPERS ===== */
+
+    function fail(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return Promise.reject(error);
+    }
+
+    function randomId(bytes) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        /* Each random byte → 2 hex characters, e.g. 255 → "ff" */
+    }
+
+    /* ===== FUNCTION: hashPassword =====
+       Never store the password itself - store a "hash" of it.
+       The same password + salt always gives the same hash, but the
+       hash can't be turned back into the password.
+
+       salt = random text added per user, so two people with the same
+       password still get different hashes */
+
+    function hashPassword(password, salt) {
+        const encoder = new TextEncoder();
+
+        return crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits'])
+            .then(key => crypto.subtle.deriveBits({
+                name: 'PBKDF2',
+                salt: encoder.encode(salt),
+                iterations: PASSWORD_ITERATIONS,
+                hash: 'SHA-256'
+            }, key, 256))
+            .then(bits => Array.from(new Uint8Array(bits))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join(''));
+    }
+
+    /* ===== PUBLIC FUNCTION: localStaff =====
+       The staff account for trying the staff page on your own computer,
+       ready for create({ staff }) - or no account, if you haven't set
+       a password for it */
+
+    function localStaff(storageToUse) {
+        const password = (storageToUse || BrowserStorage.get()).getItem(LOCAL_STAFF_PASSWORD_KEY);
+
+        return password
+            ? [{ email: LOCAL_STAFF_EMAIL, password: password, name: 'Front desk' }]
+            : [];
+    }
+
+    /* ===== PUBLIC FUNCTION: create ===== */
+
+    function create(backendOptions) {
+        const settings = backendOptions || {};
+        const latency = settings.latency || 0;
+        const storage = settings.storage || BrowserStorage.get();
+
+        /* ----- The pretend database ----- */
+
+        function load() {
+            try {
+                const data = JSON.parse(storage.getItem(STORAGE_KEY));
+                return data && data.users ? data : { users: [], sessions: {} };
+            } catch (error) {
+                return { users: [], sessions: {} };
+            }
+        }
+
+        function save(data) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        }
+
+        /* Wait 'latency' ms, like a real network would */
+        function delay(value) {
+            return new Promise(resolve => setTimeout(() => resolve(value), latency));
+        }
+
+        /* The user as the outside world sees it - no password hash or salt */
+        function publicUser(record) {
+            return {
+                id: record.id,
+                email: record.email,
+                role: record.role || 'customer',
+                profile: JSON.parse(JSON.stringify(record.profile)),
+                createdAt: record.createdAt
+            };
+        }
+
+        function normaliseEmail(email) {
+            return String(email || '').trim().toLowerCase();
+        }
+
+        function cleanProfile(profile) {
+            const given = profile || {};
+            const contact = given.emergencyContact || {};
+
+            return {
+                name: String(given.name || '').trim(),
+                licence: String(given.licence || '').replace(/\s/g, '').toUpperCase(),
+                emergencyContact: {
+                    name: String(contact.name || '').trim(),
+                    phone: String(contact.phone || '').trim()
+                }
+            };
+        }
+
+        function startSession(data, record) {
+            const token = randomId(24);
+            const expires = new Date();
+            expires.setDate(expires.getDate() + SESSION_DAYS);
+
+            data.sessions[token] = { userId: record.id, expiresAt: expires.toISOString() };
+            save(data);
+
+            return { token: token, user: publicUser(record) };
+        }
+
+        /* The user a token belongs to, or null if it's unknown or expired */
+        function userForToken(data, token) {
+            const session = data.sessions[token];
+
+            if (!session || new Date(session.expiresAt) < new Date()) {
+                return null;
+            }
+            return data.users.find(u => u.id === session.userId) || null;
+        }
+
+        /* ----- Staff accounts ----- */
+
+        function addStaff(account) {
+            const email = normaliseEmail(account.email);
+            const existing = load().users.find(u => u.email === email);
+
+            if (existing && existing.role !== 'staff') {
+                return Promise.resolve();
+                /* A customer signed up with this email - leave them be */
+            }
+
+            const salt = existing ? existing.salt : randomId(16);
+
+            return Promise.resolve()
+                .then(() => hashPassword(String(account.password), salt))
+                /* Inside .then(), so a browser that can't hash gives a
+                   rejected Promise instead of an error while the page loads */
+                .then(hash => {
+                    if (existing && existing.passwordHash === hash) {
+                        return;
+                        /* Made on an earlier visit, with the same password */
+                    }
+
+                    const data = load();
+                    const record = existing && data.users.find(u => u.id === existing.id);
+
+                    if (record) {
+                        record.passwordHash = hash;
+                        Object.keys(data.sessions).forEach(token => {
+                            if (data.sessions[token].userId === record.id) {
+                                delete data.sessions[token];
+                            }
+                        });
+                        /* The password was changed - sign out everywhere */
+                    } else {
+                        data.users.push({
+                            id: 'user-' + randomId(6),
+                            email: email,
+                            passwordHash: hash,
+                            salt: salt,
+                            role: 'staff',
+                            profile: cleanProfile({ name: account.name }),
+                            createdAt: new Date().toISOString()
+                        });
+                    }
+                    save(data);
+                });
+        }
+
+        /* Staff accounts that aren't listed any more, e.g. the local
+           staff account once its password is removed - signed out and removed */
+        function removeUnlistedStaff() {
+            const listed = (settings.staff || []).map(account => normaliseEmail(account.email));
+            const data = load();
+            const unlisted = data.users
+                .filter(u => u.role === 'staff' && listed.indexOf(u.email) === -1)
+                .map(u => u.id);
+
+            if (unlisted.length === 0) {
+                return;
+            }
+
+            data.users = data.users.filter(u => unlisted.indexOf(u.id) === -1);
+            Object.keys(data.sessions).forEach(token => {
+                if (unlisted.indexOf(data.sessions[token].userId) !== -1) {
+                    delete data.sessions[token];
+                }
+            });
+            save(data);
+        }
+
+        removeUnlistedStaff();
+
+        const staffReady = Promise.all((settings.staff || []).map(addStaff)).catch(error => {
+            console.warn('Staff accounts could not be made: ' + error.message);
+        });
+        /* Signing up or in waits for this, so nobody can sign up with a
+           staff email address before its account has been made */
+
+        /* ----- The five backend functions ----- */
+
+        function register(details) {
+            return staffReady.then(() => registerCustomer(details));
+        }
+
+        function registerCustomer(details) {
+            const email = normaliseEmail(details.email);
+            const password = String(details.password || '');
+
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || password.length < 8) {
+                return fail('INVALID', 'Please enter an email address and a password of at least 8 characters.');
+            }
+            if (load().users.some(u => u.email === email)) {
+                return fail('EMAIL_TAKEN', 'There\'s already an account for ' + email + '. Try signing in instead.');
+            }
+
+            const salt = randomId(16);
+
+            return hashPassword(password, salt).then(hash => {
+                const data = load();
+                /* Load again - something may have changed while hashing */
+
+                const record = {
+                    id: 'user-' + randomId(6),
+                    email: email,
+                    passwordHash: hash,
+                    salt: salt,
+                    profile: cleanProfile(details.profile),
+                    createdAt: new Date().toISOString()
+                };
+
+                data.users.push(record);
+                return delay(startSession(data, record));
+            });
+        }
+
+        function login(email, password) {
+            return staffReady.then(() => checkPassword(email, password));
+        }
+
+        function checkPassword(email, password) {
+            const record = load().users.find(u => u.email === normaliseEmail(email));
+            const badCredentials = () => fail('BAD_CREDENTIALS', 'That email and password don\'t match an account.');
+            /* Same message whether the email or the password was wrong,
+               so nobody can use this to find out who has an account */
+
+            if (!record) {
+                return delay().then(badCredentials);
+            }
+
+            return hashPassword(String(password || ''), record.salt).then(hash => {
+                if (hash !== record.passwordHash) {
+                    return delay().then(badCredentials);
+                }
+                return delay(startSession(load(), record));
+            });
+        }
+
+        function logout(token) {
+            const data = load();
+            delete data.sessions[token];
+            save(data);
+            return delay();
+        }
+
+        function getUser(token) {
+            const record = userForToken(load(), token);
+
+            if (!record) {
+                return delay().then(() => fail('SESSION_EXPIRED', 'Please sign in again.'));
+            }
+            return delay(publicUser(record));
+        }
+
+        function updateProfile(token, profile) {
+            const data = load();
+            const record = userForToken(data, token);
+
+            if (!record) {
+                return delay().then(() => fail('SESSION_EXPIRED', 'Please sign in again.'));
+            }
+
+            record.profile = cleanProfile(profile);
+            save(data);
+            return delay(publicUser(record));
+        }
+
+        return {
+            register: register,
+            login: login,
+            logout: logout,
+            getUser: getUser,
+            updateProfile: updateProfile
+        };
+    }
+
+    return {
+        create: create,
+        localStaff: localStaff
+    };
+})();
@@ -0,0 +1,289 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - MOCK PAYMENT GATEWAY
+   A pretend card payment service that lives in the browser
+   ========================================= */
+
+/* WHAT IS THIS FOR?
+   Taking a card payment (js/checkout.js) needs a "payment gateway" -
+   a company like Stripe or Worldpay that talks to the banks. We don't
+   have an account with one yet, so this file PRETENDS to be one.
+   No money moves, and nothing leaves the browser.
+
+   When we sign up with a real gateway, write a provider with the same
+   two functions that calls it, and pass it to Checkout.init() instead.
+   (A real one will also draw its own card boxes, so card numbers never
+   touch our page - that's the one part of js/checkout.js to change.)
+
+   THE TWO FUNCTIONS (every provider must have these):
+   createPayment(request)          → Promise of a payment
+   authenticate(paymentId, box)    → Promise of the payment, after the
+                                     bank's "is it really you?" check
+   (and optionally testMode: true, so the checkout says no real money is taken)
+
+   request = {
+       idempotencyKey: 'pay-...',   ← the same key twice = the same payment (see below)
+       amount: 59.25,               ← in pounds
+       currency: 'GBP',
+       reference: 'FSE-LQ3K9-4TZ',  ← our booking or order reference
+       description: 'Deposit: McLaren 720S, ...',
+       card: { name, number, expiry, cvc }
+   }
+
+   A 'payment' looks like:
+   {
+       id: 'pay_9f2c41d0a7b3',
+       status: 'succeeded',         ← or 'declined', or 'requires_action'
+       amount: 59.25,
+       currency: 'GBP',
+       reference: 'FSE-LQ3K9-4TZ',
+       card: { brand: 'Visa', last4: '4242' },
+       declineMessage: '',          ← why, if declined
+       createdAt: '2026-10-19T...'
+   }
+   (The full card number is never kept - only the last 4 digits)
+
+   WHAT IS "requires_action"? (3-D Secure)
+   Some banks want the cardholder to prove it's them - with a code by
+   text, or a tap in their banking app - before they'll pay. The
+   gateway answers 'requires_action', and authenticate() shows the
+   bank's check in 'box' and says how it went.
+
+   WHAT IS AN IDEMPOTENCY KEY?
+   A label for ONE attempt to pay. If the same key arrives again (a
+   double-click, or a retry after the connection dropped before the
+   answer came back), the gateway hands back the payment it already
+   made instead of charging the card a second time.
+
+   ERRORS:
+   Failed calls REJECT with an Error that has a 'code':
+   INVALID, IDEMPOTENCY_MISMATCH, NOT_FOUND or NETWORK
+   (A declined card is NOT an error - it's a payment with status 'declined')
+
+   TEST CARDS (any name, any expiry date in the future, any CVC):
+   4242 4242 4242 4242   → paid
+   4000 0000 0000 0002   → declined
+   4000 0000 0000 9995   → declined, not enough money
+   4000 0027 6000 3184   → the bank asks to check it's you
+   Any other real-looking card number is paid.
+
+   HOW TO USE:
+   const gateway = MockPaymentGateway.create();
+   const gateway = MockPaymentGateway.create({ latency: 600 });  ← feel like a slow network
+   const gateway = MockPaymentGateway.create({                    ← tests
+       storage: BrowserStorage.createMemory(),
+       outcome: 'challenge',         ← every payment: 'success', 'decline', 'challenge'
+                                       or 'timeout' (paid, but the answer gets lost)
+       challengeResult: 'approve'    ← answer the bank's check without showing it ('reject' to fail)
+   });
+
+   CHECKING IT STILL WORKS:
+   node tools/check-mocks.js runs it through every outcome above,
+   offline, without a browser.
+*/
+
+const MockPaymentGateway = (function() {
+    const STORAGE_KEY = 'fse.mock-payments';
+
+    const TEST_CARDS = {
+        '4000000000000002': { outcome: 'decline', message: 'Your card was declined.' },
+        '4000000000009995': { outcome: 'decline', message: 'Your card was declined - there isn\'t enough money available.' },
+        '4000002760003184': { outcome: 'challenge' }
+    };
+
+    /* ===== HELPERS ===== */
+
+    function fail(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return Promise.reject(error);
+    }
+
+    function randomId(bytes) {
+        return Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /* ===== FUNCTION: cardBrand =====
+       Which scheme a card number belongs to, from its first digits */
+
+    function cardBrand(number) {
+        if (/^4/.test(number)) {
+            return 'Visa';
+        }
+        if (/^(5[1-5]|2[2-7])/.test(number)) {
+            return 'Mastercard';
+        }
+        if (/^3[47]/.test(number)) {
+            return 'American Express';
+        }
+        return 'Card';
+    }
+
+    /* ===== PUBLIC FUNCTION: create ===== */
+
+    function create(gatewayOptions) {
+        const settings = gatewayOptions || {};
+        const latency = settings.latency || 0;
+        const storage = settings.storage || BrowserStorage.get();
+
+        /* ----- The pretend database ----- */
+
+        function load() {
+            try {
+                const data = JSON.parse(storage.getItem(STORAGE_KEY));
+                return data && data.payments ? data : { payments: [] };
+            } catch (error) {
+                return { payments: [] };
+            }
+        }
+
+        function save(data) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(data));
+        }
+
+        /* Wait 'latency' ms, like a real network would */
+        function delay(value) {
+            return new Promise(resolve => setTimeout(() => resolve(value), latency));
+        }
+
+        /* The payment as the outside world sees it - no idempotency key */
+        function publicPayment(record) {
+            return {
+                id: record.id,
+                status: record.status,
+                amount: record.amount,
+                currency: record.currency,
+                reference: record.reference,
+                card: Object.assign({}, record.card),
+                declineMessage: record.declineMessage,
+                createdAt: record.createdAt
+            };
+        }
+
+        /* ----- The two provider functions ----- */
+
+        function createPayment(request) {
+            const amount = Math.round(Number(request.amount) * 100) / 100;
+            const number = String((request.card && request.card.number) || '').replace(/\D/g, '');
+
+            if (!request.idempotencyKey) {
+                return fail('INVALID', 'Every payment needs an idempotency key.');
+            }
+            if (!(amount > 0)) {
+                return fail('INVALID', 'There\'s nothing to pay.');
+            }
+
+            const data = load();
+            const earlier = data.payments.find(p => p.idempotencyKey === request.idempotencyKey);
+
+            if (earlier) {
+                if (earlier.amount !== amount || earlier.reference !== request.reference) {
+                    return delay().then(() => fail('IDEMPOTENCY_MISMATCH',
+                        'This payment was already started with different details. Please start again.'));
+                }
+                return delay(publicPayment(earlier));
+                /* Seen this key before - the same answer, and no second charge */
+            }
+
+            const testCard = TEST_CARDS[number] || {};
+            const outcome = settings.outcome || testCard.outcome || 'success';
+
+            const record = {
+                id: 'pay_' + randomId(6),
+                idempotencyKey: request.idempotencyKey,
+                status: outcome === 'decline' ? 'declined'
+                    : outcome === 'challenge' ? 'requires_action'
+                    : 'succeeded',
+                amount: amount,
+                currency: request.currency || 'GBP',
+                reference: request.reference || '',
+                description: request.description || '',
+                card: { brand: cardBrand(number), last4: number.slice(-4) },
+                declineMessage: outcome === 'decline' ? (testCard.message || 'Your card was declined.') : '',
+                createdAt: new Date().toISOString()
+            };
+
+            data.payments.push(record);
+            save(data);
+            /* Saved straight away, BEFORE the pretend network delay - so a
+               second click during the delay already finds this key */
+
+            if (outcome === 'timeout') {
+                return delay().then(() => fail('NETWORK', 'The connection to the payment service was lost.'));
+                /* The card WAS charged - only the answer went missing.
+                   Trying again with the same key finds it (see above). */
+            }
+
+            return delay(publicPayment(record));
+        }
+
+        function authenticate(paymentId, box) {
+            const record = load().payments.find(p => p.id === paymentId);
+
+            if (!record) {
+                return fail('NOT_FOUND', 'We couldn\'t find that payment.');
+            }
+            if (record.status !== 'requires_action') {
+                return delay(publicPayment(record));
+                /* Nothing to check */
+            }
+
+            function finish(approved) {
+                const data = load();
+                const saved = data.payments.find(p => p.id === paymentId);
+
+                if (saved.status === 'requires_action') {
+                    saved.status = approved ? 'succeeded' : 'declined';
+                    saved.declineMessage = approved ? '' : 'Your bank couldn\'t confirm it was you, so the payment was cancelled.';
+                    save(data);
+                }
+                return delay(publicPayment(saved));
+            }
+
+            if (settings.challengeResult) {
+                return finish(settings.challengeResult === 'approve');
+            }
+
+            return new Promise(resolve => {
+                box.innerHTML = `
+                    <div class="mock-bank">
+                        <p class="mock-bank-name">Mock Bank &middot; secure check</p>
+                        <p>Approve a payment of <strong>${escapeHtml(formatCurrency(record.amount, record.currency))}</strong>
+                            to Fermanagh Supercar Experience on your ${escapeHtml(record.card.brand)}
+                            ending ${escapeHtml(record.card.last4)}?</p>
+                        <div class="mock-bank-actions">
+                            <button type="button" data-answer="reject">Reject</button>
+                            <button type="button" data-answer="approve">Approve</button>
+                        </div>
+                    </div>
+                `;
+                /* A real bank shows its own page here - this stands in for it.
+                   The amount is in pounds, as the bank would show it. */
+
+                box.addEventListener('click', function answer(e) {
+                    const button = e.target.closest('button[data-answer]');
+                    if (!button) {
+                        return;
+                    }
+
+                    box.removeEventListener('click', answer);
+                    box.innerHTML = '';
+                    resolve(finish(button.dataset.answer === 'approve'));
+                });
+
+                box.querySelector('button[data-answer="approve"]').focus();
+            });
+        }
+
+        return {
+            createPayment: createPayment,
+            authenticate: authenticate,
+            testMode: true
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
@@ -0,0 +1,221 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - MOCK VOUCHER BACKEND
+   A pretend voucher server that lives in the browser
+   ========================================= */
+
+/* WHAT IS THIS FOR?
+   Gift vouchers are bought on one device and spent on ANOTHER - the
+   buyer's laptop, then the recipient's phone. So the list of vouchers
+   has to live on a server both of them can reach. We don't have that
+   server yet, so this file PRETENDS to be it, in this browser's storage.
+
+   THAT MEANS, FOR NOW:
+   A voucher only works in the browser it was bought in. Its link opened
+   anywhere else says "We couldn't find a voucher". That's fine for
+   trying the site out, NOT for selling real vouchers - swap this for
+   a backend that calls the real server first (same functions, passed
+   to Vouchers.init() in main.js).
+
+   THE FUNCTIONS (every backend must have these, all return Promises):
+   issue(details, payment)        → the new voucher
+   find(code)                     → the voucher, or null if there's no such code
+   spend(code, { reference, amount })  → the voucher, with amount taken off
+   refund(code, reference)        → the voucher, with what that booking spent put back
+
+   THE SERVER'S JOB, NOT THE PAGE'S:
+   - Making the code - the page never chooses one
+   - Only issuing a voucher for a successful payment of its full value.
+     (This pretend one can only look at the payment it's handed. A real
+     one asks the payment gateway about payment.id itself.)
+   - Spending: refusing if the balance has gone down since the page
+     last looked (spent on another device in the meantime)
+
+   ERRORS:
+   Failed calls REJECT with an Error that has a 'code':
+   INVALID, PAYMENT_REQUIRED, NOT_FOUND, EXPIRED or NOT_ENOUGH
+
+   HOW TO USE:
+   const backend = MockVoucherBackend.create();
+   const backend = MockVoucherBackend.create({ latency: 400 });   ← feel like a slow network
+   const backend = MockVoucherBackend.create({ storage: BrowserStorage.createMemory() });  ← tests
+*/
+
+const MockVoucherBackend = (function() {
+    const STORAGE_KEY = 'fse.vouchers';
+    const VALID_MONTHS = 12;
+    const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    /* No 0/O or 1/I - they're too easy to mix up when typing a code in */
+
+    /* ===== HELPERS ===== */
+
+    function fail(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return Promise.reject(error);
+    }
+
+    /* Round to whole pence */
+    function toPence(amount) {
+        return Math.round(Number(amount) * 100) / 100;
+    }
+
+    /* ===== FUNCTION: generateCode =====
+       8 random characters from CODE_ALPHABET.
+
+       WHY crypto.getRandomValues()?
+       Math.random() is fine for booking references, but voucher codes
+       are worth money - they must not be guessable. The crypto version
+       is designed to be unpredictable. */
+
+    function generateCode() {
+        const values = new Uint32Array(8);
+        window.crypto.getRandomValues(values);
+
+        const characters = Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]);
+        return 'FSE-GIFT-' + characters.slice(0, 4).join('') + '-' + characters.slice(4).join('');
+    }
+
+    /* ===== PUBLIC FUNCTION: create ===== */
+
+    function create(backendOptions) {
+        const settings = backendOptions || {};
+        const latency = settings.latency || 0;
+        const storage = settings.storage || BrowserStorage.get();
+
+        /* ----- The pretend database ----- */
+
+        function load() {
+            try {
+                return JSON.parse(storage.getItem(STORAGE_KEY)) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        function save(vouchers) {
+            storage.setItem(STORAGE_KEY, JSON.stringify(vouchers));
+        }
+
+        /* Wait 'latency' ms, like a real network would */
+        function delay(value) {
+            return new Promise(resolve => setTimeout(() => resolve(value), latency));
+        }
+
+        /* A copy, so changing it on the page can't change what's saved */
+        function copy(voucher) {
+            return JSON.parse(JSON.stringify(voucher));
+        }
+
+        /* ----- The functions ----- */
+
+        function issue(details, payment) {
+            const value = toPence(details.value);
+
+            if (!(value > 0)) {
+                return fail('INVALID', 'A voucher needs a value.');
+            }
+            if (!payment || payment.status !== 'succeeded' || toPence(payment.amount) < value) {
+                return fail('PAYMENT_REQUIRED', 'A voucher can only be made once it\'s been paid for in full.');
+            }
+
+            const vouchers = load();
+
+            if (vouchers.some(v => v.paymentId === payment.id)) {
+                return fail('INVALID', 'That payment has already been used for a voucher.');
+                /* One payment, one voucher */
+            }
+
+            let code = generateCode();
+            while (vouchers.some(v => v.code === code)) {
+                code = generateCode();
+                /* Astronomically unlikely, but never hand out the same code twice */
+            }
+
+            const now = new Date();
+            const expires = new Date(now);
+            expires.setMonth(expires.getMonth() + VALID_MONTHS);
+
+            const voucher = {
+                code: code,
+                type: details.type === 'experience' ? 'experience' : 'value',
+                carId: details.type === 'experience' ? details.carId : null,
+                laps: details.type === 'experience' ? Number(details.laps) : null,
+                value: value,
+                balance: value,
+                recipient: details.recipient || '',
+                purchaserEmail: details.purchaserEmail || '',
+                paymentId: payment.id,
+                createdAt: now.toISOString(),
+                expiresAt: expires.toISOString(),
+                redemptions: []
+            };
+
+            vouchers.push(voucher);
+            save(vouchers);
+
+            return delay(copy(voucher));
+        }
+
+        function find(code) {
+            const voucher = load().find(v => v.code === code);
+            return delay(voucher ? copy(voucher) : null);
+        }
+
+        function spend(code, redemption) {
+            const vouchers = load();
+            const voucher = vouchers.find(v => v.code === code);
+            const amount = toPence(redemption.amount);
+
+            if (!voucher) {
+                return delay().then(() => fail('NOT_FOUND', 'We couldn\'t find a voucher with that code.'));
+            }
+            if (new Date(voucher.expiresAt) < new Date()) {
+                return delay().then(() => fail('EXPIRED', 'This voucher has expired.'));
+            }
+            if (!(amount > 0) || amount > voucher.balance) {
+                return delay().then(() => fail('NOT_ENOUGH', 'There isn\'t enough left on this voucher.'));
+            }
+
+            voucher.balance = toPence(voucher.balance - amount);
+            voucher.redemptions = (voucher.redemptions || []).concat({
+                reference: redemption.reference,
+                amount: amount,
+                at: new Date().toISOString()
+            });
+
+            save(vouchers);
+            return delay(copy(voucher));
+        }
+
+        function refund(code, reference) {
+            const vouchers = load();
+            const voucher = vouchers.find(v => v.code === code);
+
+            if (!voucher) {
+                return delay().then(() => fail('NOT_FOUND', 'We couldn\'t find a voucher with that code.'));
+            }
+
+            (voucher.redemptions || []).forEach(redemption => {
+                if (redemption.reference === reference && !redemption.refundedAt) {
+                    voucher.balance = toPence(voucher.balance + redemption.amount);
+                    redemption.refundedAt = new Date().toISOString();
+                }
+            });
+            /* refundedAt = never put the same money back twice */
+
+            save(vouchers);
+            return delay(copy(voucher));
+        }
+
+        return {
+            issue: issue,
+            find: find,
+            spend: spend,
+            refund: refund
+        };
+    }
+
+    return {
+        create: create
+    };
+})();
@@ -0,0 +1,198 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - MODAL DIALOGS
+   Accessible pop-up windows that sit on top of the page
+   ========================================= */
+
+/* WHAT IS A MODAL?
+   A box that opens over the page and has to be dealt with before
+   going back to the page (the page behind is dimmed).
+
+   WHAT MAKES IT "ACCESSIBLE"?
+   - role="dialog" + aria-modal="true" tell screen readers it's a dialog
+   - Its title is linked with aria-labelledby, so it's read out on open
+   - Focus moves INTO the dialog when it opens
+   - Focus is TRAPPED: pressing Tab at the last button wraps round to
+     the first, instead of wandering off into the page behind
+   - Escape closes it
+   - When it closes, focus goes BACK to whatever opened it
+     (so keyboard users don't lose their place on the page)
+
+   HOW TO USE:
+   const dialog = Modal.open({
+       title: 'Book your experience',
+       content: someElement,           ← an element, or an HTML string
+       opener: buttonThatWasClicked,   ← optional: gets focus back on close
+       onClose: function() { ... }     ← optional
+   });
+
+   dialog.body   = the element to put more content into
+   dialog.close() = close it from code
+*/
+
+const Modal = (function() {
+    const FOCUSABLE = [
+        'a[href]',
+        'button:not([disabled])',
+        'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])',
+        'textarea:not([disabled])',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+    /* Everything keyboard users can Tab to */
+
+    const openDialogs = [];
+    /* Dialogs currently open, newest last - Escape only closes the newest */
+
+    let idCounter = 0;
+
+    /* ===== PUBLIC FUNCTION: focusableIn =====
+       The visible, Tab-able elements inside a container */
+
+    function focusableIn(container) {
+        return Array.from(container.querySelectorAll(FOCUSABLE))
+            .filter(element => !element.closest('[hidden]') && element.getClientRects().length > 0);
+            /* getClientRects() is empty for things hidden with display: none */
+    }
+
+    /* ===== PUBLIC FUNCTION: trapFocus =====
+       Keep Tab / Shift+Tab inside a container.
+       Returns a function that switches the trap off again.
+
+       Also used by the mobile menu, which needs the same behaviour. */
+
+    function trapFocus(container) {
+        function handleKeydown(e) {
+            if (e.key !== 'Tab') {
+                return;
+            }
+
+            const focusable = focusableIn(container);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+                /* Shift+Tab on the first element → wrap to the last */
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+                /* Tab on the last element → wrap to the first */
+            }
+        }
+
+        container.addEventListener('keydown', handleKeydown);
+
+        return function release() {
+            container.removeEventListener('keydown', handleKeydown);
+        };
+    }
+
+    /* ===== PUBLIC FUNCTION: open ===== */
+
+    function open(modalOptions) {
+        const settings = modalOptions || {};
+        const opener = settings.opener || document.activeElement;
+        /* Remember who had focus before, to give it back on close */
+
+        idCounter++;
+        const titleId = 'modal-title-' + idCounter;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal ${escapeHtml(settings.className || '')}" role="dialog" aria-modal="true" aria-labelledby="${titleId}">
+                <div class="modal-header">
+                    <h2 id="${titleId}" tabindex="-1">${escapeHtml(settings.title || '')}</h2>
+                    <button type="button" class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+            </div>
+        `;
+
+        const dialogElement = overlay.querySelector('.modal');
+        const body = overlay.querySelector('.modal-body');
+
+        if (typeof settings.content === 'string') {
+            body.innerHTML = settings.content;
+        } else if (settings.content) {
+            body.appendChild(settings.content);
+        }
+
+        let isOpen = true;
+        const releaseFocus = trapFocus(dialogElement);
+
+        const dialog = {
+            element: dialogElement,
+            body: body,
+            close: close
+        };
+
+        function close() {
+            if (!isOpen) {
+                return;
+                /* Already closed - closing twice must be harmless */
+            }
+            isOpen = false;
+
+            releaseFocus();
+            openDialogs.splice(openDialogs.indexOf(dialog), 1);
+
+            if (typeof settings.onClose === 'function') {
+                settings.onClose();
+                /* Run this BEFORE removing the overlay, so code can move
+                   its content somewhere else first */
+            }
+
+            overlay.remove();
+
+            if (openDialogs.length === 0) {
+                document.body.classList.remove('modal-open');
+            }
+
+            if (opener && typeof opener.focus === 'function' && document.contains(opener)) {
+                opener.focus();
+            }
+        }
+
+        overlay.querySelector('.modal-close').addEventListener('click', close);
+
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) {
+                close();
+                /* Clicked the dimmed background, not the dialog itself */
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.body.classList.add('modal-open');
+        openDialogs.push(dialog);
+
+        const firstField = focusableIn(body)[0];
+        (settings.focusTitle || !firstField ? overlay.querySelector('h2') : firstField).focus();
+        /* Start in the first field, or on the title if there isn't one */
+
+        return dialog;
+    }
+
+    /* ===== ESCAPE KEY =====
+       One listener for the whole page closes the newest dialog */
+
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && openDialogs.length > 0) {
+            e.preventDefault();
+            openDialogs[openDialogs.length - 1].close();
+        }
+    });
+
+    return {
+        open: open,
+        trapFocus: trapFocus,
+        focusableIn: focusableIn
+    };
+})();
@@ -0,0 +1,160 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - PACKAGE BUILDER
+   "How much for 3 laps in the Huracán plus a passenger ride?"
+   ========================================= */
+
+/* WHAT DOES IT DO?
+   The "Build Your Package" form lets people pick:
+   - how many laps in each car (0 = not that one)
+   - extras like a passenger ride or in-car video
+   - how many drivers are coming
+   and shows an itemised quote that updates as they choose.
+
+   The prices and discounts come from js/pricing.js - this file only
+   draws the form and the quote. "Book this package" hands the quote
+   to the booking wizard, which books each car in it into its own
+   session, one after another, with a place in each car for every driver.
+   So a package can't have more cars than a track day has sessions.
+
+   HOW TO USE:
+   PackageBuilder.init(document.querySelector('.package-builder'), {
+       onBook: function(quote) { ... open the booking wizard ... }
+   });
+*/
+
+const PackageBuilder = (function() {
+    let form = null;
+    let quoteBox = null;     /* Where the itemised quote is drawn */
+    let settings = {};
+
+    /* ===== FUNCTION: renderChoices =====
+       Fill the empty fieldsets with one row per car and one tick box per extra */
+
+    function renderChoices() {
+        const lapOptions = PRICING_RULES.lapOptions
+            .map(laps => `<option value="${laps}">${laps === 0 ? 'None' : laps + (laps === 1 ? ' lap' : ' laps')}</option>`)
+            .join('');
+
+        form.querySelector('.package-cars').insertAdjacentHTML('beforeend', Fleet.getAll()
+            .filter(car => car.available)
+            .map(car => `
+                <label class="package-car">
+                    <span>${escapeHtml(Fleet.displayName(car))}
+                        <small>${Currency.priceHtml(car.pricePerLap)} per lap</small></span>
+                    <select name="laps" data-car-id="${escapeHtml(car.id)}">${lapOptions}</select>
+                </label>
+            `).join(''));
+        /* Cars that are off the road are left out altogether */
+
+        form.querySelector('.package-extras').insertAdjacentHTML('beforeend', Object.keys(PRICING_RULES.extras)
+            .map(id => {
+                const extra = PRICING_RULES.extras[id];
+                const per = extra.per === 'booking' ? '' : ' per ' + extra.per;
+
+                return `
+                    <label class="package-extra">
+                        <input type="checkbox" name="extras" value="${escapeHtml(id)}">
+                        <span>${escapeHtml(extra.name)} <small>${Currency.priceHtml(extra.price)}${per}</small>
+                            <em>${escapeHtml(extra.description)}</em></span>
+                    </label>
+                `;
+            }).join(''));
+    }
+
+    /* ===== FUNCTION: readSelection =====
+       The form's current choices, in the shape Pricing.quote() expects */
+
+    function readSelection() {
+        return {
+            cars: Array.from(form.querySelectorAll('select[name="laps"]')).map(select => ({
+                carId: select.dataset.carId,
+                laps: Number(select.value)
+            })),
+            extras: Array.from(form.querySelectorAll('input[name="extras"]:checked')).map(box => box.value),
+            drivers: form.elements.drivers.value
+        };
+    }
+
+    /* ===== FUNCTION: renderQuote ===== */
+
+    function renderQuote(quote) {
+        if (quote.selection.cars.length === 0) {
+            quoteBox.className = 'package-quote is-empty';
+            quoteBox.innerHTML = '<p>Choose some laps in at least one car to see your price.</p>';
+            return;
+        }
+
+        const row = (label, amount, className) =>
+            `<dt${className ? ' class="' + className + '"' : ''}>${escapeHtml(label)}</dt>` +
+            `<dd${className ? ' class="' + className + '"' : ''}>${Currency.priceHtml(amount)}</dd>`;
+
+        quoteBox.className = 'package-quote';
+        quoteBox.innerHTML = `
+            <h3>Your quote</h3>
+            <dl>
+                ${quote.lines.map(line => row(line.label, line.amount)).join('')}
+                ${quote.discounts.map(discount => row(discount.label, -discount.amount, 'package-discount')).join('')}
+                ${row('Total', quote.total, 'package-total')}
+            </dl>
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: current =====
+       The quote for whatever is chosen right now */
+
+    function current() {
+        return Pricing.quote(readSelection());
+    }
+
+    /* ===== FUNCTION: handleSubmit ===== */
+
+    function handleSubmit(e) {
+        e.preventDefault();
+
+        const quote = current();
+
+        if (quote.selection.cars.length === 0) {
+            quoteBox.className = 'package-quote is-error';
+            quoteBox.innerHTML = '<p role="alert">Please choose some laps in at least one car.</p>';
+            form.querySelector('select[name="laps"]').focus();
+            return;
+        }
+
+        if (quote.selection.cars.length > Availability.SESSION_TIMES.length) {
+            quoteBox.className = 'package-quote is-error';
+            quoteBox.innerHTML = `<p role="alert">Each car is driven in its own session, and a track day has
+                ${Availability.SESSION_TIMES.length} - please choose ${Availability.SESSION_TIMES.length} cars or fewer.</p>`;
+            form.querySelector('select[name="laps"]').focus();
+            return;
+        }
+
+        if (typeof settings.onBook === 'function') {
+            settings.onBook(quote, form.querySelector('button[type="submit"]'));
+            /* The button goes along too, so focus can come back to it */
+        }
+    }
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(formElement, builderOptions) {
+        form = formElement;
+        settings = builderOptions || {};
+        quoteBox = form.querySelector('.package-quote');
+
+        form.elements.drivers.max = PRICING_RULES.maxDrivers;
+
+        renderChoices();
+
+        const update = () => renderQuote(current());
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        form.addEventListener('submit', handleSubmit);
+
+        update();
+    }
+
+    return {
+        init: init,
+        current: current
+    };
+})();
@@ -0,0 +1,123 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - PREFERENCES
+   Remembers the visitor's choices (currency, ...) between visits
+   ========================================= */
+
+/* WHAT IS A PREFERENCE?
+   A setting the visitor picks once and expects us to remember,
+   like "show me prices in euro". They're all saved together in
+   localStorage under one key:
+
+   fse.preferences = { "currency": "EUR" }
+
+   HOW TO USE:
+   Preferences.get('currency', 'GBP')   → 'EUR' (or 'GBP' if never set)
+   Preferences.set('currency', 'EUR')
+
+   const stop = Preferences.subscribe(function(key, value) {
+       ... runs whenever a preference changes, in this tab or another one
+   });
+   stop();  ← stop listening
+*/
+
+const Preferences = (function() {
+    const STORAGE_KEY = 'fse.preferences';
+
+    const listeners = [];
+
+    /* ===== STORAGE ===== */
+
+    let storage = null;
+
+    function getStorage() {
+        if (!storage) {
+            storage = BrowserStorage.get();
+        }
+        return storage;
+    }
+
+    function load() {
+        try {
+            return JSON.parse(getStorage().getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+            /* Missing or broken JSON - start with no preferences */
+        }
+    }
+
+    function notify(key, value) {
+        listeners.slice().forEach(listener => listener(key, value));
+        /* slice() = a copy, so a listener can unsubscribe while we loop */
+    }
+
+    /* ===== PUBLIC FUNCTION: get ===== */
+
+    function get(key, fallback) {
+        const saved = load();
+        return Object.prototype.hasOwnProperty.call(saved, key) ? saved[key] : fallback;
+    }
+
+    /* ===== PUBLIC FUNCTION: set ===== */
+
+    function set(key, value) {
+        const saved = load();
+        if (saved[key] === value) {
+            return;
+            /* Nothing changed - don't make everything redraw */
+        }
+
+        saved[key] = value;
+
+        try {
+            getStorage().setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            storage = BrowserStorage.createMemory();
+            storage.setItem(STORAGE_KEY, JSON.stringify(saved));
+            /* Storage full or blocked - remember it for this visit at least */
+        }
+
+        notify(key, value);
+    }
+
+    /* ===== PUBLIC FUNCTION: subscribe ===== */
+
+    function subscribe(listener) {
+        listeners.push(listener);
+
+        return function unsubscribe() {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+
+    /* ===== OTHER TABS =====
+       Changing currency in one tab updates every open tab */
+
+    let lastSeen = load();
+
+    window.addEventListener('storage', function(e) {
+        if (e.key !== STORAGE_KEY) {
+            return;
+        }
+
+        const now = load();
+        Object.keys(Object.assign({}, lastSeen, now)).forEach(key => {
+            if (JSON.stringify(lastSeen[key]) !== JSON.stringify(now[key])) {
+                notify(key, now[key]);
+            }
+        });
+        lastSeen = now;
+    });
+
+    subscribe(function() {
+        lastSeen = load();
+    });
+
+    return {
+        get: get,
+        set: set,
+        subscribe: subscribe
+    };
+})();
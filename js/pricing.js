@@ -0,0 +1,212 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - PRICING
+   The price list for packages, and the sums that turn it into a quote
+   ========================================= */
+
+/* WHERE DO PRICES LIVE?
+   - Lap prices are on each car in js/fleet.js (pricePerLap)
+   - EVERYTHING ELSE (extras, discounts, limits) is in PRICING_RULES below
+   Change a number here and every quote on the site follows.
+   All amounts are in pounds (formatCurrency() converts for display).
+
+   WHAT GOES INTO A QUOTE?
+   Pricing.quote({
+       cars: [{ carId: 'lamborghini-huracan', laps: 3 }],
+       extras: ['passengerRide', 'inCarVideo'],
+       drivers: 2
+   })
+   → {
+       lines: [
+           { label: 'Lamborghini Huracán: 3 laps × 2 drivers', amount: 534 },
+           { label: 'Passenger ride', amount: 45 },
+           { label: 'In-car video (1 car)', amount: 35 }
+       ],
+       discounts: [],       ← e.g. { label: 'Group discount (10%)', amount: 53.4 }
+       subtotal: 614,
+       total: 614,
+       selection: { ... }   ← the tidied-up choices, ready for booking
+   }
+
+   HOW DISCOUNTS WORK:
+   - Multi-car = driving more than one car in the package
+   - Group     = several drivers booking together
+   Each uses the BEST tier that matches (not all of them added up),
+   and both are a percentage of the DRIVING only - extras are full price.
+*/
+
+const PRICING_RULES = {
+    lapOptions: [0, 1, 2, 3, 5, 10],
+    /* Laps per car to choose from (0 = not driving that car) */
+
+    maxDrivers: 12,
+
+    extras: {
+        passengerRide: {
+            name: 'Passenger ride',
+            description: 'Bring a friend along for a lap in the passenger seat',
+            price: 45,
+            per: 'booking'
+        },
+        inCarVideo: {
+            name: 'In-car video',
+            description: 'Your laps filmed from inside the car',
+            price: 35,
+            per: 'car'
+        },
+        insuranceWaiver: {
+            name: 'Insurance excess waiver',
+            description: 'No damage excess to pay if something goes wrong',
+            price: 25,
+            per: 'driver'
+        },
+        instructorHotLap: {
+            name: 'Hot lap with an instructor',
+            description: 'One flat-out lap with our instructor at the wheel',
+            price: 40,
+            per: 'booking'
+        }
+    },
+    /* per = what the price is multiplied by:
+       'booking' = once, 'car' = for each car driven, 'driver' = for each driver */
+
+    discounts: {
+        multiCar: [
+            { min: 3, percent: 10 },
+            { min: 2, percent: 5 }
+        ],
+        group: [
+            { min: 8, percent: 15 },
+            { min: 4, percent: 10 }
+        ]
+    }
+    /* min = cars (multiCar) or drivers (group) needed for that percentage */
+};
+
+const Pricing = (function() {
+    /* ===== FUNCTION: roundPence ===== */
+
+    function roundPence(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /* ===== FUNCTION: bestTier =====
+       The highest discount whose minimum has been reached, or null */
+
+    function bestTier(tiers, count) {
+        return tiers
+            .filter(tier => count >= tier.min)
+            .sort((a, b) => b.percent - a.percent)[0] || null;
+    }
+
+    /* ===== PUBLIC FUNCTION: normalise =====
+       Tidy up a selection: drop unknown or unavailable cars, cars with
+       0 laps and unknown extras, and keep numbers within the limits.
+       Everything else in this file works on the tidied version. */
+
+    function normalise(selection) {
+        const chosen = selection || {};
+        const maxLaps = Math.max.apply(null, PRICING_RULES.lapOptions);
+
+        const cars = (chosen.cars || [])
+            .map(item => ({
+                carId: item.carId,
+                laps: Math.min(Math.floor(Number(item.laps)) || 0, maxLaps)
+            }))
+            .filter(item => {
+                const car = Fleet.getById(item.carId);
+                return car && car.available && item.laps > 0;
+            });
+
+        const extras = (chosen.extras || []).filter((id, index, list) =>
+            Object.prototype.hasOwnProperty.call(PRICING_RULES.extras, id) && list.indexOf(id) === index
+        );
+        /* indexOf check = ignore an extra listed twice */
+
+        const drivers = Math.min(Math.max(Math.floor(Number(chosen.drivers)) || 1, 1), PRICING_RULES.maxDrivers);
+
+        return { cars: cars, extras: extras, drivers: drivers };
+    }
+
+    /* ===== PUBLIC FUNCTION: quote ===== */
+
+    function quote(selection) {
+        const chosen = normalise(selection);
+        const lines = [];
+        const driverText = chosen.drivers === 1 ? '' : ' × ' + chosen.drivers + ' drivers';
+
+        /* ----- Driving ----- */
+
+        let driving = 0;
+
+        chosen.cars.forEach(item => {
+            const car = Fleet.getById(item.carId);
+            const amount = roundPence(car.pricePerLap * item.laps * chosen.drivers);
+
+            driving += amount;
+            lines.push({
+                type: 'car',
+                carId: item.carId,      /* So a gift voucher for this car can find its price */
+                label: Fleet.displayName(car) + ': ' + item.laps + (item.laps === 1 ? ' lap' : ' laps') + driverText,
+                amount: amount
+            });
+        });
+
+        /* ----- Extras ----- */
+
+        chosen.extras.forEach(id => {
+            const extra = PRICING_RULES.extras[id];
+            const count = extra.per === 'car'
+                ? chosen.cars.length
+                : extra.per === 'driver' ? chosen.drivers : 1;
+
+            if (count === 0) {
+                return;
+                /* e.g. in-car video with no cars chosen yet */
+            }
+
+            let label = extra.name;
+            if (extra.per === 'car') {
+                label += ' (' + count + (count === 1 ? ' car)' : ' cars)');
+            } else if (extra.per === 'driver' && count > 1) {
+                label += ' (' + count + ' drivers)';
+            }
+
+            lines.push({ type: 'extra', id: id, label: label, amount: roundPence(extra.price * count) });
+        });
+
+        /* ----- Discounts ----- */
+
+        const discounts = [];
+        const multiCar = bestTier(PRICING_RULES.discounts.multiCar, chosen.cars.length);
+        const group = bestTier(PRICING_RULES.discounts.group, chosen.drivers);
+
+        if (multiCar && driving > 0) {
+            discounts.push({
+                label: 'Multi-car discount (' + multiCar.percent + '%)',
+                amount: roundPence(driving * multiCar.percent / 100)
+            });
+        }
+        if (group && driving > 0) {
+            discounts.push({
+                label: 'Group discount (' + group.percent + '%)',
+                amount: roundPence(driving * group.percent / 100)
+            });
+        }
+
+        const subtotal = roundPence(lines.reduce((sum, line) => sum + line.amount, 0));
+        const saved = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+        return {
+            lines: lines,
+            discounts: discounts,
+            subtotal: subtotal,
+            total: roundPence(subtotal - saved),
+            selection: chosen
+        };
+    }
+
+    return {
+        normalise: normalise,
+        quote: quote
+    };
+})();
@@ -0,0 +1,350 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - REAL USER MONITORING
+   How fast the site REALLY is for the people using it
+   ========================================= */
+
+/* WHAT IS "REAL USER MONITORING" (RUM)?
+   Testing the site on our own fast computer only tells us how it feels
+   for us. RUM measures every visit (or a sample of them) in the
+   visitor's own browser, on their own phone and connection, and sends
+   the numbers to a "collector" so we can see how the site does for
+   everyone.
+
+   WHAT DOES IT MEASURE?
+   The "Core Web Vitals" Google uses to judge a page, plus two more:
+   - LCP  Largest Contentful Paint - when the biggest thing on screen
+          (usually the hero) finished drawing. Good: under 2.5s
+   - CLS  Cumulative Layout Shift - how much things jump around while
+          loading. 0 = nothing moved. Good: under 0.1
+   - INP  Interaction to Next Paint - after a click or key press, how
+          long until the screen changes. Good: under 200ms
+   - TTFB Time To First Byte - how long the server took to start
+          answering. Good: under 800ms
+   - Navigation - the load broken into steps (DNS, connecting, DOM
+          ready, fully loaded) from the Navigation Timing API
+
+   HOW IS IT SENT?
+   Metrics are collected in a batch and sent in ONE request when the
+   page is hidden (tab switched, app closed, browser minimised).
+   navigator.sendBeacon() is made for exactly this: the browser
+   promises to deliver it even if the page is closing.
+   If the user comes back and more changes, the next hide sends
+   only what changed.
+
+   SAMPLING:
+   sampleRate: 0.1 = only send from 1 visit in 10. Plenty for averages,
+   and a tenth of the traffic for the collector.
+
+   HOW TO USE:
+   Rum.init({
+       endpoint: 'https://example.com/rum',  ← where to send (null = don't send)
+       sampleRate: 0.1,                      ← 0 to 1 (default 1 = every visit)
+       debug: true                           ← show the numbers in a box on the page
+   });
+
+   For testing without a server, run the stand-in collector:
+   node tools/rum-collector.js   (see the top of that file)
+*/
+
+const Rum = (function() {
+    const THRESHOLDS = {
+        LCP: [2500, 4000],
+        CLS: [0.1, 0.25],
+        INP: [200, 500],
+        TTFB: [800, 1800]
+    };
+    /* [good up to, poor from] - anything between "needs improvement".
+       The same limits Google uses (web.dev/vitals) */
+
+    let settings = {};
+    let isSampled = false;
+    let overlay = null;
+
+    const pageId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    /* A random id for this page view, so the collector can tell
+       apart two batches from the same visit and from different ones */
+
+    const metrics = {};     /* Latest value of every metric */
+    let pending = {};       /* Metrics that changed since the last send */
+
+    /* ===== FUNCTION: rate ===== */
+
+    function rate(name, value) {
+        const limits = THRESHOLDS[name];
+        if (!limits) {
+            return undefined;
+        }
+        return value <= limits[0] ? 'good' : value <= limits[1] ? 'needs-improvement' : 'poor';
+    }
+
+    /* ===== FUNCTION: record =====
+       Save a new value for a metric, and mark it as waiting to be sent */
+
+    function record(name, value, details) {
+        const metric = Object.assign({
+            name: name,
+            value: name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value),
+            rating: rate(name, value)
+        }, details);
+
+        metrics[name] = metric;
+        pending[name] = metric;
+        drawOverlay();
+    }
+
+    /* ===== FUNCTION: observe =====
+       Listen for one type of performance entry.
+
+       buffered: true = also hand over the entries that happened BEFORE
+       we started listening (the page was already loading by then).
+       Browsers that don't know an entry type throw - we just skip it. */
+
+    function observe(type, callback, extraOptions) {
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe(Object.assign({ type: type, buffered: true }, extraOptions));
+            return observer;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /* ===== FUNCTION: describeElement =====
+       <img class="hero" src="..."> → "img.hero" - enough to find it */
+
+    function describeElement(element) {
+        if (!element) {
+            return undefined;
+        }
+        return element.tagName.toLowerCase() +
+            (element.id ? '#' + element.id : '') +
+            (element.classList.length ? '.' + Array.from(element.classList).join('.') : '');
+    }
+
+    /* ===== THE METRICS ===== */
+
+    function watchLcp() {
+        observe('largest-contentful-paint', entries => {
+            const latest = entries[entries.length - 1];
+            record('LCP', latest.startTime, { element: describeElement(latest.element) });
+            /* The browser sends a new entry each time something bigger is
+               drawn - the last one is the largest so far */
+        });
+    }
+
+    function watchCls() {
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+        let worst = 0;
+
+        observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) {
+                    return;
+                    /* Things moving because you clicked are expected, not a problem */
+                }
+
+                if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+                    sessionValue = 0;
+                    sessionStart = entry.startTime;
+                }
+                /* Shifts are grouped into "sessions": a new one starts after a
+                   1 second gap, or once a session is 5 seconds long.
+                   CLS is the WORST session, so a long visit isn't punished
+                   for small shifts adding up over time. */
+
+                sessionValue += entry.value;
+                lastShift = entry.startTime;
+                worst = Math.max(worst, sessionValue);
+            });
+
+            record('CLS', worst);
+        });
+    }
+
+    function watchInp() {
+        const interactions = new Map();
+        /* interactionId → the longest event in that interaction
+           (one tap fires pointerdown, pointerup and click - they're one interaction) */
+
+        function handle(entries) {
+            entries.forEach(entry => {
+                if (!entry.interactionId) {
+                    return;
+                    /* Not from a click, tap or key press (e.g. mouse movement) */
+                }
+                interactions.set(entry.interactionId,
+                    Math.max(entry.duration, interactions.get(entry.interactionId) || 0));
+            });
+
+            const slowest = Array.from(interactions.values()).sort((a, b) => b - a);
+            if (slowest.length === 0) {
+                return;
+            }
+
+            const index = Math.min(slowest.length - 1, Math.floor(slowest.length / 50));
+            record('INP', slowest[index], { interactions: slowest.length });
+            /* INP is the slowest interaction - but on very busy pages one
+               in every 50 is ignored as a fluke (roughly the 98th percentile) */
+        }
+
+        observe('event', handle, { durationThreshold: 40 });
+        /* Only events that took 40ms or more - faster ones can't be the worst */
+        observe('first-input', handle);
+    }
+
+    function readNavigation() {
+        const entry = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        /* Navigation Timing Level 2: times in ms from when the page was requested */
+
+        if (!entry) {
+            return;
+        }
+
+        record('TTFB', Math.max(entry.responseStart - (entry.activationStart || 0), 0));
+        /* activationStart is after 0 if the page was prerendered in the background */
+
+        record('Navigation', entry.loadEventEnd || entry.duration, {
+            type: entry.type,                                   /* navigate, reload, back_forward */
+            dns: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+            connect: Math.round(entry.connectEnd - entry.connectStart),
+            response: Math.round(entry.responseEnd - entry.responseStart),
+            domInteractive: Math.round(entry.domInteractive),
+            domContentLoaded: Math.round(entry.domContentLoadedEventEnd),
+            load: Math.round(entry.loadEventEnd),
+            transferSize: entry.transferSize
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: flush =====
+       Send everything that changed since last time, in one request */
+
+    function flush() {
+        const batch = Object.keys(pending).map(name => pending[name]);
+        pending = {};
+
+        if (batch.length === 0 || !isSampled || !settings.endpoint) {
+            return false;
+        }
+
+        const body = JSON.stringify({
+            pageId: pageId,
+            page: location.pathname + location.hash,
+            sampleRate: settings.sampleRate,
+            connection: navigator.connection ? navigator.connection.effectiveType : undefined,
+            sentAt: new Date().toISOString(),
+            metrics: batch
+        });
+
+        let sent = false;
+        if (navigator.sendBeacon) {
+            sent = navigator.sendBeacon(settings.endpoint, body);
+            /* A plain string goes as text/plain, which any server can
+               accept without the extra "may I?" (CORS preflight) request
+               that a beacon can't make */
+        }
+
+        if (!sent && window.fetch) {
+            fetch(settings.endpoint, { method: 'POST', body: body, keepalive: true }).catch(() => {});
+            /* keepalive = carry on sending even if the page closes */
+            sent = true;
+        }
+
+        if (overlay) {
+            overlay.querySelector('.rum-overlay-status').textContent =
+                'Sent ' + batch.length + (batch.length === 1 ? ' metric' : ' metrics') + ' at ' + new Date().toLocaleTimeString('en-GB');
+        }
+        return sent;
+    }
+
+    /* ===== DEBUG OVERLAY ===== */
+
+    function formatValue(metric) {
+        return metric.name === 'CLS' ? metric.value.toFixed(3) : metric.value + ' ms';
+    }
+
+    function drawOverlay() {
+        if (!overlay) {
+            return;
+        }
+
+        overlay.querySelector('dl').innerHTML = ['LCP', 'CLS', 'INP', 'TTFB', 'Navigation']
+            .map(name => {
+                const metric = metrics[name];
+                return `
+                    <dt>${name === 'Navigation' ? 'Load' : name}</dt>
+                    <dd class="${metric && metric.rating ? 'is-' + metric.rating : ''}">${metric ? escapeHtml(formatValue(metric)) : '…'}</dd>
+                `;
+            }).join('');
+    }
+
+    function createOverlay() {
+        overlay = document.createElement('aside');
+        overlay.className = 'rum-overlay';
+        overlay.setAttribute('aria-label', 'Performance numbers (debug)');
+        overlay.innerHTML = `
+            <button type="button" class="rum-overlay-close" aria-label="Hide performance numbers">×</button>
+            <p><strong>RUM</strong> ${isSampled ? 'sampled' : 'not sampled'}${settings.endpoint ? '' : ', no endpoint'}</p>
+            <dl></dl>
+            <p class="rum-overlay-status">Sent when this tab is hidden</p>
+        `;
+
+        overlay.querySelector('.rum-overlay-close').addEventListener('click', function() {
+            overlay.remove();
+            overlay = null;
+        });
+
+        document.body.appendChild(overlay);
+        drawOverlay();
+    }
+
+    /* ===== PUBLIC FUNCTION: init ===== */
+
+    function init(rumOptions) {
+        settings = Object.assign({ endpoint: null, sampleRate: 1, debug: false }, rumOptions);
+        isSampled = Math.random() < settings.sampleRate;
+        /* Decided once per page view - either all of its metrics are sent, or none */
+
+        if (!isSampled && !settings.debug) {
+            return;
+            /* Not measuring this visit at all - no work for the browser */
+        }
+
+        if (settings.debug) {
+            createOverlay();
+        }
+
+        if (!('PerformanceObserver' in window)) {
+            return;
+        }
+
+        watchLcp();
+        watchCls();
+        watchInp();
+
+        if (document.readyState === 'complete') {
+            readNavigation();
+        } else {
+            window.addEventListener('load', function() {
+                setTimeout(readNavigation, 0);
+                /* loadEventEnd is only filled in once the load event has
+                   FINISHED - so wait until just after it */
+            });
+        }
+
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                flush();
+            }
+        });
+        window.addEventListener('pagehide', flush);
+        /* pagehide as well, for Safari, which doesn't always fire
+           visibilitychange when a page is closed */
+    }
+
+    return {
+        init: init,
+        flush: flush
+    };
+})();
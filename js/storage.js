@@ -0,0 +1,68 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - BROWSER STORAGE
+   localStorage when the browser lets us use it, memory when it doesn't
+   ========================================= */
+
+/* WHY?
+   Most of the site remembers things in localStorage: bookings, the
+   signed-in account, preferences, the compare list... But some browsers
+   (e.g. Safari private mode) throw an error when you use it, and a full
+   one throws when you save. Then we fall back to memory, so the site
+   still works for as long as the page is open.
+
+   Every module gets its storage from here, rather than each one having
+   its own copy of the same try/catch.
+
+   HOW TO USE:
+   BrowserStorage.get()           → localStorage, or the page's memory store
+                                    if localStorage can't be used
+   BrowserStorage.createMemory()  → a new, empty memory store (handy for tests:
+                                    MockAuthBackend.create({ storage: BrowserStorage.createMemory() }))
+
+   Both have the same getItem / setItem / removeItem as localStorage.
+
+   This file needs nothing else, and is loaded first of all (in the
+   <head> of index.html), so every other script can use it.
+*/
+
+const BrowserStorage = (function() {
+    let memory = null;
+    /* The fallback, made the first time it's needed. Shared, so every
+       module sees the same saved data - just like localStorage. */
+
+    /* ===== PUBLIC FUNCTION: createMemory =====
+       Something that behaves like localStorage but only lives in memory */
+
+    function createMemory() {
+        const items = {};
+
+        return {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: key => { delete items[key]; }
+        };
+    }
+
+    /* ===== PUBLIC FUNCTION: get ===== */
+
+    function get() {
+        try {
+            const test = '__fse_test__';
+            window.localStorage.setItem(test, test);
+            window.localStorage.removeItem(test);
+            /* Reading isn't enough - Safari private mode only fails on saving */
+
+            return window.localStorage;
+        } catch (error) {
+            if (!memory) {
+                memory = createMemory();
+            }
+            return memory;
+        }
+    }
+
+    return {
+        get: get,
+        createMemory: createMemory
+    };
+})();
@@ -0,0 +1,149 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - TOASTS
+   Small pop-up messages in the corner that disappear by themselves
+   ========================================= */
+
+/* WHAT IS A TOAST?
+   A short message that slides in (like toast popping out of a toaster),
+   stays for a few seconds, then goes away. Unlike alert(), it doesn't
+   stop the page - the user can carry on while it's showing.
+
+   LEVELS (each has its own colour):
+   success = something worked        ("Booking confirmed")
+   info    = good to know            ("Saved - will send when online")
+   warning = needs attention         ("Your session expires soon")
+   error   = something went wrong    ("Couldn't reach the server")
+
+   HOW TO USE:
+   Toast.success('Booking confirmed!');
+   Toast.error('Something went wrong', { duration: 10000 });
+   Toast.show('Hello', { level: 'info' });
+
+   WITH A BUTTON:
+   Toast.info('A new version is available.', {
+       action: { label: 'Reload', onClick: function() { ... } },
+       sticky: true        ← stays until clicked or closed (no countdown)
+   });
+
+   DETAILS:
+   - New toasts stack on top of older ones (up to MAX_TOASTS at once)
+   - Hovering over (or tabbing into) a toast pauses its countdown,
+     so people get time to read it
+   - Errors are announced straight away by screen readers (role="alert"),
+     everything else politely when the reader is free (role="status")
+*/
+
+const Toast = (function() {
+    const DEFAULT_DURATION = 5000;      /* 5 seconds */
+    const MAX_TOASTS = 4;
+
+    let stack = null;
+
+    /* ===== FUNCTION: getStack =====
+       The container all toasts go into - created the first time it's needed */
+
+    function getStack() {
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.className = 'toast-stack';
+            document.body.appendChild(stack);
+        }
+        return stack;
+    }
+
+    /* ===== FUNCTION: dismiss =====
+       Remove a toast. The 'is-leaving' class lets the CSS fade it out first. */
+
+    function dismiss(toast) {
+        if (toast.classList.contains('is-leaving')) {
+            return;
+        }
+
+        clearTimeout(toast.timer);
+        toast.classList.add('is-leaving');
+        setTimeout(() => toast.remove(), 300);
+        /* 300ms = the length of the fade-out in the CSS */
+    }
+
+    /* ===== PUBLIC FUNCTION: show ===== */
+
+    function show(message, toastOptions) {
+        const settings = toastOptions || {};
+        const level = settings.level || 'info';
+        const duration = settings.duration || DEFAULT_DURATION;
+        const action = settings.action;
+
+        const toast = document.createElement('div');
+        toast.className = 'toast toast-' + level;
+        toast.setAttribute('role', level === 'error' ? 'alert' : 'status');
+        toast.innerHTML = `
+            <p class="toast-message">${escapeHtml(message)}</p>
+            ${action ? `<button type="button" class="toast-action">${escapeHtml(action.label)}</button>` : ''}
+            <button type="button" class="toast-close" aria-label="Dismiss notification">&times;</button>
+        `;
+
+        /* ----- Countdown with pause -----
+           We remember how much time is left, so pausing and resuming
+           carries on from where it stopped instead of starting again */
+
+        let remaining = duration;
+        let startedAt = 0;
+        let running = false;
+        /* 'running' stops hover AND focus pausing (or resuming) it twice */
+
+        const start = () => {
+            if (running || settings.sticky) {
+                return;
+            }
+            running = true;
+            startedAt = Date.now();
+            toast.timer = setTimeout(() => dismiss(toast), remaining);
+        };
+        const pause = () => {
+            if (!running) {
+                return;
+            }
+            running = false;
+            clearTimeout(toast.timer);
+            remaining -= Date.now() - startedAt;
+        };
+
+        toast.addEventListener('mouseenter', pause);
+        toast.addEventListener('mouseleave', start);
+        toast.addEventListener('focusin', pause);
+        toast.addEventListener('focusout', start);
+
+        toast.querySelector('.toast-close').addEventListener('click', function() {
+            dismiss(toast);
+        });
+
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', function() {
+                dismiss(toast);
+                action.onClick();
+            });
+        }
+
+        const container = getStack();
+        container.prepend(toast);
+        /* prepend = add at the top, so the newest toast is first */
+
+        const visible = container.querySelectorAll('.toast:not(.is-leaving)');
+        if (visible.length > MAX_TOASTS) {
+            dismiss(visible[visible.length - 1]);
+            /* Too many - remove the oldest (the last one in the list) */
+        }
+
+        start();
+        return toast;
+    }
+
+    return {
+        show: show,
+        success: (message, toastOptions) => show(message, Object.assign({}, toastOptions, { level: 'success' })),
+        info: (message, toastOptions) => show(message, Object.assign({}, toastOptions, { level: 'info' })),
+        warning: (message, toastOptions) => show(message, Object.assign({}, toastOptions, { level: 'warning' })),
+        error: (message, toastOptions) => show(message, Object.assign({}, toastOptions, { level: 'error' })),
+        dismiss: dismiss
+    };
+})();
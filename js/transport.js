@@ -0,0 +1,255 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - TRANSPORT
+   Sends form data to the server, and keeps it safe while offline
+   ========================================= */
+
+/* WHAT IS A "TRANSPORT"?
+   The part of the site that actually delivers data to our server.
+   Forms don't talk to the server themselves - they hand their data
+   to Transport.send() and wait for the answer.
+
+   WHAT HAPPENS WHEN THE USER IS OFFLINE?
+   Mobile signal at the track comes and goes. Instead of losing an
+   enquiry, we put it in an "outbox" saved in localStorage, and try
+   again later:
+   - as soon as the browser says it's back online ('online' event)
+   - every minute while anything is waiting
+   - the next time the site is opened
+
+   BACKGROUND SYNC:
+   In browsers that have it, the service worker (sw.js) catches a send
+   that fails for lack of signal and keeps it itself. The browser then
+   sends it once the connection is back - even if the site has been
+   closed by then. main.js turns this on with
+   Transport.configure({ backgroundSync: true }) once the worker is
+   running. The service worker answers 202 with an X-Queued header, and
+   send() reports that as 'queued' too.
+
+   HOW TO USE:
+   Transport.send('/api/enquiries', { name: 'Sam', message: 'Hi!' })
+       .then(result => {
+           result.status === 'sent'    → the server has it
+           result.status === 'queued'  → saved in the outbox, will retry
+       })
+       .catch(error => {
+           → the server said no (e.g. bad data) - show error.message
+       });
+
+   WHICH FAILURES ARE RETRIED?
+   - No connection at all (fetch throws)        → queued
+   - Server error, 5xx (our problem, temporary) → queued
+   - Client error, 4xx (the data was rejected)  → NOT queued, rejected
+     Sending the same bad data again would just fail again.
+*/
+
+const Transport = (function() {
+    const OUTBOX_KEY = 'fse.outbox';
+
+    const settings = {
+        fetch: (url, init) => window.fetch(url, init),
+        storage: null,
+        retryInterval: 60000,       /* 60,000ms = 1 minute */
+        backgroundSync: false       /* true = let the service worker queue failed sends */
+    };
+
+    let retryTimer = null;
+    let flushing = null;            /* The flush in progress, if any */
+
+    /* ===== OUTBOX STORAGE ===== */
+
+    function getStorage() {
+        if (!settings.storage) {
+            settings.storage = BrowserStorage.get();
+            /* localStorage blocked (private mode) = the outbox is kept in memory */
+        }
+        return settings.storage;
+    }
+
+    function loadOutbox() {
+        try {
+            return JSON.parse(getStorage().getItem(OUTBOX_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function saveOutbox(items) {
+        getStorage().setItem(OUTBOX_KEY, JSON.stringify(items));
+    }
+
+    function enqueue(endpoint, payload) {
+        const items = loadOutbox();
+
+        items.push({
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            endpoint: endpoint,
+            payload: payload,
+            queuedAt: new Date().toISOString(),
+            attempts: 0
+        });
+
+        saveOutbox(items);
+        scheduleRetry();
+    }
+
+    /* ===== FUNCTION: post =====
+       One attempt at sending. Resolves with the server's answer,
+       or rejects - error.retry says whether it's worth trying again. */
+
+    function post(endpoint, payload) {
+        return settings.fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        }).then(response => {
+            if (response.ok) {
+                return response;
+            }
+
+            const error = new Error(response.status >= 500
+                ? 'Our server is having trouble right now.'
+                : 'Sorry, we couldn\'t accept that. Please check your details and try again.');
+            error.status = response.status;
+            error.retry = response.status >= 500;
+            throw error;
+        }, networkError => {
+            const error = new Error('You appear to be offline.');
+            error.retry = true;
+            error.cause = networkError;
+            throw error;
+        });
+    }
+
+    /* ===== FUNCTION: isQueuedByWorker =====
+       Did the service worker keep it for Background Sync, rather than
+       the server actually receiving it? */
+
+    function isQueuedByWorker(response) {
+        return Boolean(response.headers && response.headers.get('X-Queued'));
+    }
+
+    /* ===== PUBLIC FUNCTION: send ===== */
+
+    function send(endpoint, payload) {
+        if (navigator.onLine === false && !settings.backgroundSync) {
+            /* The browser already knows there's no connection - don't even try.
+               (With Background Sync we DO try: the service worker will queue it.) */
+            enqueue(endpoint, payload);
+            return Promise.resolve({ status: 'queued' });
+        }
+
+        return post(endpoint, payload).then(response => ({
+            status: isQueuedByWorker(response) ? 'queued' : 'sent',
+            response: response
+        }), error => {
+            if (error.retry) {
+                enqueue(endpoint, payload);
+                return { status: 'queued' };
+            }
+            throw error;
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: flush =====
+       Try to send everything in the outbox, oldest first.
+
+       WHY ONE AT A TIME?
+       If the first one fails because we're still offline, the rest
+       will too - so we stop there and wait for the next retry. */
+
+    function flush() {
+        if (flushing) {
+            return flushing;
+            /* Already flushing - don't send the same items twice */
+        }
+
+        let sent = 0;
+
+        const sendNext = () => {
+            const items = loadOutbox();
+            if (items.length === 0) {
+                return sent;
+            }
+
+            const item = items[0];
+
+            return post(item.endpoint, item.payload).then(() => {
+                sent++;
+                saveOutbox(loadOutbox().filter(i => i.id !== item.id));
+                return sendNext();
+            }, error => {
+                if (error.retry) {
+                    item.attempts++;
+                    saveOutbox(loadOutbox().map(i => (i.id === item.id ? item : i)));
+                    return sent;
+                }
+
+                /* Rejected by the server - retrying won't help, so drop it */
+                saveOutbox(loadOutbox().filter(i => i.id !== item.id));
+                return sendNext();
+            });
+        };
+
+        flushing = Promise.resolve().then(sendNext).then(count => {
+            flushing = null;
+            if (pending() > 0) {
+                scheduleRetry();
+            }
+            return count;
+        });
+
+        return flushing;
+    }
+
+    /* ===== RETRY TIMER ===== */
+
+    function scheduleRetry() {
+        if (retryTimer) {
+            return;
+        }
+
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, settings.retryInterval);
+    }
+
+    /* ===== PUBLIC FUNCTION: pending =====
+       How many items are waiting in the outbox */
+
+    function pending() {
+        return loadOutbox().length;
+    }
+
+    /* ===== PUBLIC FUNCTION: configure =====
+       Change the settings - mainly so tests can use a pretend fetch
+       and storage instead of the real ones */
+
+    function configure(newSettings) {
+        Object.assign(settings, newSettings);
+    }
+
+    /* ===== PUBLIC FUNCTION: start =====
+       Begin retrying: now, and whenever the connection comes back */
+
+    function start() {
+        window.addEventListener('online', function() {
+            flush();
+        });
+
+        if (pending() > 0) {
+            flush();
+        }
+    }
+
+    return {
+        send: send,
+        flush: flush,
+        pending: pending,
+        configure: configure,
+        start: start
+    };
+})();
@@ -0,0 +1,452 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - GIFT VOUCHERS
+   Buy a voucher, check a code, and use it when booking
+   ========================================= */
+
+/* TWO KINDS OF VOUCHER:
+   1. EXPERIENCE voucher = "3 laps in the McLaren 720S"
+      Worth the price of those laps, and can only be used on that car -
+      in a package, it only pays for that car's part of the price.
+   2. VALUE voucher = "£150 to spend"
+      Can be used on any car. Anything not spent stays on the voucher
+      (the "balance") for next time.
+
+   WHAT DOES A VOUCHER LOOK LIKE?
+   {
+       code: 'FSE-GIFT-7K3M-Q9PX',
+       type: 'experience',            ← or 'value'
+       carId: 'mclaren-720s',         ← experience vouchers only
+       laps: 3,                       ← experience vouchers only
+       value: 297,                    ← what it was worth when bought
+       balance: 297,                  ← what's left to spend
+       recipient: 'Jamie',
+       purchaserEmail: 'sam@example.com',
+       paymentId: 'pay_...',          ← the card payment for it (js/checkout.js)
+       createdAt: '2026-10-19T...',
+       expiresAt: '2027-10-19T...'    ← vouchers last VALID_MONTHS months
+   }
+
+   PAYING FOR ONE:
+   The purchase form hands over to the checkout (js/checkout.js) for
+   the full value - the voucher is only created once that's paid.
+
+   WHERE ARE THEY KEPT?
+   Not here: in a voucher backend, passed to init(), which makes the
+   codes and keeps the balances - so a voucher bought on one device
+   can be spent on another. For now it's a PRETEND one that lives in
+   the browser (js/mock-voucher-backend.js) - see the warning there.
+
+   THE REDEMPTION LINK:
+   Each voucher comes with a link like
+   https://sammycodes.com/?voucher=FSE-GIFT-7K3M-Q9PX
+   Opening it reads the code with getUrlParameter('voucher') (main.js)
+   and applies it to the next booking automatically.
+
+   HOW TO USE:
+   Vouchers.init(purchaseForm, checkForm, { backend: MockVoucherBackend.create() });
+   Vouchers.priceOf({ type: 'value', value: 150 })   → 150 (what it costs)
+
+   These talk to the backend, so they return Promises:
+   Vouchers.purchase({ type: 'value', value: 150, recipient: 'Jamie' }, payment)
+                                    → the new voucher (payment = the paid payment from the checkout)
+   Vouchers.check(code)             → { valid: true, balance: 150, expiresAt: ..., voucher }
+   Vouchers.quote(code, booking)    → how much it would take off a booking (nothing spent)
+   Vouchers.redeem(code, booking)   → actually spends it
+   Vouchers.refund(code, reference) → puts back what a cancelled booking spent
+*/
+
+const Vouchers = (function() {
+    const MIN_VALUE = 25;
+    const MAX_VALUE = 2000;
+    /* Limits for value vouchers, in pounds */
+
+    let backend = null;
+    /* Set by init() - see js/mock-voucher-backend.js */
+
+    /* ===== FUNCTION: normaliseCode =====
+       " fse-gift-7k3m q9px " → "FSE-GIFT-7K3M-Q9PX"
+       So codes still match however people type them */
+
+    function normaliseCode(code) {
+        const raw = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const body = raw.replace(/^FSEGIFT/, '');
+
+        if (body.length !== 8) {
+            return raw;
+        }
+        return 'FSE-GIFT-' + body.slice(0, 4) + '-' + body.slice(4);
+    }
+
+    /* ===== PUBLIC FUNCTION: priceExperience =====
+       What an experience voucher costs: laps × the car's price per lap */
+
+    function priceExperience(carId, laps) {
+        const car = Fleet.getById(carId);
+        return car ? car.pricePerLap * laps : 0;
+    }
+
+    /* ===== PUBLIC FUNCTION: priceOf =====
+       What a voucher with these details costs. Throws an Error with a
+       message for the user if the details don't make sense. */
+
+    function priceOf(details) {
+        if (details.type === 'experience') {
+            const laps = Number(details.laps);
+
+            if (!Fleet.getById(details.carId)) {
+                throw new Error('Please choose a car for the experience.');
+            }
+            if (!Number.isInteger(laps) || laps < 1 || laps > 10) {
+                throw new Error('Please choose between 1 and 10 laps.');
+            }
+            return priceExperience(details.carId, laps);
+        }
+
+        const value = Math.round(Number(details.value) * 100) / 100;
+        /* Round to whole pence */
+
+        if (!(value >= MIN_VALUE && value <= MAX_VALUE)) {
+            throw new Error('Voucher values must be between ' + formatCurrency(MIN_VALUE, 'GBP') +
+                ' and ' + formatCurrency(MAX_VALUE, 'GBP') + '.');
+        }
+        return value;
+    }
+
+    /* ===== PUBLIC FUNCTION: purchase =====
+       Ask the backend for a new voucher, once it's been paid for.
+       Rejects like priceOf() if the details don't make sense, and
+       without a successful payment of the full price. */
+
+    function purchase(details, payment) {
+        let value;
+        try {
+            value = priceOf(details);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return backend.issue(Object.assign({}, details, { value: value }), payment);
+    }
+
+    /* ===== PUBLIC FUNCTION: describe =====
+       A short description: "3 laps in the McLaren 720S" or "£150.00 gift voucher" */
+
+    function describe(voucher) {
+        if (voucher.type === 'experience') {
+            const car = Fleet.getById(voucher.carId);
+            return voucher.laps + (voucher.laps === 1 ? ' lap' : ' laps') +
+                ' in the ' + (car ? Fleet.displayName(car) : 'car of your choice');
+        }
+        return formatCurrency(voucher.value) + ' gift voucher';
+    }
+
+    /* ===== PUBLIC FUNCTION: redemptionLink =====
+       The link to send to the lucky recipient */
+
+    function redemptionLink(voucher) {
+        return location.origin + location.pathname + '?voucher=' + encodeURIComponent(voucher.code);
+    }
+
+    /* ===== PUBLIC FUNCTION: check =====
+       Is this code any good? Always resolves - never rejects.
+       { valid, reason, balance, expiresAt, voucher } */
+
+    function check(code) {
+        return backend.find(normaliseCode(code)).then(voucher => {
+            if (!voucher) {
+                return { valid: false, reason: 'We couldn\'t find a voucher with that code.' };
+            }
+
+            const result = {
+                valid: true,
+                reason: '',
+                balance: voucher.balance,
+                expiresAt: voucher.expiresAt,
+                voucher: voucher
+            };
+
+            if (new Date(voucher.expiresAt) < new Date()) {
+                result.valid = false;
+                result.reason = 'This voucher expired on ' + new Date(voucher.expiresAt).toLocaleDateString('en-GB') + '.';
+            } else if (voucher.balance <= 0) {
+                result.valid = false;
+                result.reason = 'This voucher has already been used.';
+            }
+
+            return result;
+        }, () => ({
+            valid: false,
+            reason: 'We couldn\'t check your voucher just now - please try again in a moment.'
+        }));
+    }
+
+    /* ===== FUNCTION: coveredPrice =====
+       The most a voucher can take off a booking. A value voucher can pay
+       for all of it. An experience voucher only pays for its own car -
+       in a package of several cars, that's the car's line in the
+       package quote, not the whole package. */
+
+    function coveredPrice(voucher, booking) {
+        if (voucher.type !== 'experience' || !booking.package) {
+            return booking.price;
+        }
+
+        const line = booking.package.lines.find(item => item.type === 'car' && item.carId === voucher.carId);
+        return line ? Math.min(line.amount, booking.price) : 0;
+    }
+
+    /* ===== PUBLIC FUNCTION: quote =====
+       How much this voucher would take off a booking, WITHOUT using it.
+       booking = { carId, price } - or carIds and package (the package
+       quote from js/pricing.js) for a package of several cars
+       Resolves to { ok, amount, message } */
+
+    function quote(code, booking) {
+        return check(code).then(result => {
+            if (!result.valid) {
+                return { ok: false, amount: 0, message: result.reason };
+            }
+
+            const voucher = result.voucher;
+
+            if (voucher.type === 'experience' && (booking.carIds || [booking.carId]).indexOf(voucher.carId) === -1) {
+                const car = Fleet.getById(voucher.carId);
+                return {
+                    ok: false,
+                    amount: 0,
+                    message: 'This voucher is for the ' + (car ? Fleet.displayName(car) : 'another car') + '.'
+                };
+            }
+
+            const amount = Math.min(voucher.balance, coveredPrice(voucher, booking));
+            /* Never take off more than what the voucher covers costs */
+
+            return {
+                ok: true,
+                amount: amount,
+                code: voucher.code,
+                message: describe(voucher) + ': ' + formatCurrency(amount) + ' off.'
+            };
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: redeem =====
+       Spend the voucher on a booking. Checks again first, in case it was
+       used somewhere else since it was quoted - and the backend checks
+       once more as it spends it.
+       Resolves to the same shape as quote(). */
+
+    function redeem(code, booking) {
+        return quote(code, booking).then(result => {
+            if (!result.ok) {
+                return result;
+            }
+
+            return backend.spend(result.code, { reference: booking.reference, amount: result.amount })
+                .then(() => result, error => ({ ok: false, amount: 0, message: error.message }));
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: refund =====
+       A booking paid (partly) with this voucher was cancelled - put
+       what it spent back on the voucher */
+
+    function refund(code, reference) {
+        return backend.refund(code, reference);
+    }
+
+    /* =========================================
+       THE VOUCHER SECTION ON THE PAGE
+       ========================================= */
+
+    /* ===== FUNCTION: showPurchased =====
+       Show the new code, what it's worth and the link to share */
+
+    function showPurchased(voucher, opener) {
+        const link = redemptionLink(voucher);
+
+        const dialog = Modal.open({
+            title: 'Your gift voucher',
+            opener: opener,
+            focusTitle: true,
+            content: `
+                <div class="voucher-card">
+                    <p class="voucher-card-for">${voucher.recipient ? 'For ' + escapeHtml(voucher.recipient) : 'Gift voucher'}</p>
+                    <p class="voucher-card-what">${escapeHtml(describe(voucher))}</p>
+                    <p class="voucher-card-code">${escapeHtml(voucher.code)}</p>
+                    <p>Worth <strong>${Currency.priceHtml(voucher.value)}</strong>,
+                        valid until ${escapeHtml(new Date(voucher.expiresAt).toLocaleDateString('en-GB'))}</p>
+                </div>
+                <label class="voucher-link">
+                    <span>Send this link to redeem it:</span>
+                    <input type="text" readonly value="${escapeHtml(link)}">
+                </label>
+                <button type="button" class="voucher-copy">Copy link</button>
+            `
+        });
+
+        const input = dialog.body.querySelector('.voucher-link input');
+
+        dialog.body.querySelector('.voucher-copy').addEventListener('click', function() {
+            input.select();
+
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(link).then(() => Toast.success('Link copied.'));
+            }
+        });
+    }
+
+    /* ===== FUNCTION: showCheckResult ===== */
+
+    function showCheckResult(output, result) {
+        if (!result.valid && !result.voucher) {
+            output.className = 'voucher-result is-error';
+            output.textContent = result.reason;
+            return;
+        }
+
+        const voucher = result.voucher;
+
+        output.className = 'voucher-result ' + (result.valid ? 'is-valid' : 'is-error');
+        output.innerHTML = `
+            <strong>${escapeHtml(result.valid ? 'Valid voucher' : result.reason)}</strong>
+            <span>${escapeHtml(describe(voucher))}</span>
+            <span>Balance: <b>${Currency.priceHtml(voucher.balance)}</b></span>
+            <span>Expires: ${escapeHtml(new Date(voucher.expiresAt).toLocaleDateString('en-GB'))}</span>
+        `;
+    }
+
+    /* ===== PUBLIC FUNCTION: init =====
+       Wire up the purchase and check forms in the Gift Vouchers section.
+       Like the contact form, call this AFTER main.js has attached form
+       validation, so invalid forms never get this far. */
+
+    function init(purchaseForm, checkForm, voucherOptions) {
+        backend = voucherOptions.backend;
+
+        if (purchaseForm) {
+            const carSelect = purchaseForm.elements.carId;
+            const estimate = purchaseForm.querySelector('.voucher-estimate');
+
+            Fleet.getAll().forEach(car => {
+                const option = document.createElement('option');
+                option.value = car.id;
+                option.textContent = Fleet.displayName(car);
+                carSelect.appendChild(option);
+            });
+
+            /* Show only the fields for the chosen type, and a live price */
+            const update = () => {
+                const type = purchaseForm.elements.type.value;
+
+                purchaseForm.querySelectorAll('[data-voucher-type]').forEach(group => {
+                    const isActive = group.dataset.voucherType === type;
+                    group.hidden = !isActive;
+
+                    group.querySelectorAll('[data-rules]').forEach(field => {
+                        if (isActive) {
+                            field.dataset.validate = field.dataset.rules;
+                        } else {
+                            delete field.dataset.validate;
+                            /* Hidden fields must not stop the form submitting */
+                        }
+                    });
+                });
+
+                const price = type === 'experience'
+                    ? priceExperience(carSelect.value, Number(purchaseForm.elements.laps.value))
+                    : Number(purchaseForm.elements.value.value) || 0;
+
+                estimate.innerHTML = Currency.chargedPriceHtml(price);
+                /* In their currency, with the pounds we'll charge alongside */
+            };
+
+            purchaseForm.addEventListener('input', update);
+            purchaseForm.addEventListener('change', update);
+            update();
+
+            Preferences.subscribe(function(key) {
+                if (key === 'currency') {
+                    update();
+                    /* Show (or hide) the pounds alongside */
+                }
+            });
+
+            purchaseForm.addEventListener('submit', function(e) {
+                if (e.defaultPrevented) {
+                    return;
+                }
+                e.preventDefault();
+
+                const fields = purchaseForm.elements;
+                const submitButton = purchaseForm.querySelector('button[type="submit"]');
+                const details = {
+                    type: fields.type.value,
+                    carId: fields.carId.value,
+                    laps: fields.laps.value,
+                    value: fields.value.value,
+                    recipient: fields.recipient.value.trim(),
+                    purchaserEmail: fields.purchaserEmail.value.trim()
+                };
+
+                let price;
+                try {
+                    price = priceOf(details);
+                } catch (error) {
+                    Toast.error(error.message);
+                    return;
+                }
+
+                Checkout.open({
+                    amount: price,
+                    reference: 'GIFT-' + Date.now().toString(36).toUpperCase(),
+                    description: (details.type === 'experience' ? 'Gift voucher: ' : '') + describe({
+                        type: details.type,
+                        carId: details.carId,
+                        laps: Number(details.laps),
+                        value: price
+                    }) + (details.recipient ? ' for ' + details.recipient : ''),
+                    opener: submitButton,
+                    onPaid: payment => {
+                        purchase(details, payment).then(voucher => {
+                            purchaseForm.reset();
+                            update();
+                            showPurchased(voucher, submitButton);
+                        }).catch(error => {
+                            Toast.error('You\'ve paid, but we couldn\'t make your voucher (' + error.message +
+                                ') - please contact us with payment reference ' + payment.id + '.', { sticky: true });
+                        });
+                    }
+                });
+                /* Paid in full - no deposits on presents */
+            });
+        }
+
+        if (checkForm) {
+            const output = checkForm.querySelector('.voucher-result');
+
+            checkForm.addEventListener('submit', function(e) {
+                if (e.defaultPrevented) {
+                    return;
+                }
+                e.preventDefault();
+
+                check(checkForm.elements.code.value).then(result => showCheckResult(output, result));
+            });
+        }
+    }
+
+    return {
+        priceOf: priceOf,
+        purchase: purchase,
+        priceExperience: priceExperience,
+        describe: describe,
+        redemptionLink: redemptionLink,
+        normaliseCode: normaliseCode,
+        check: check,
+        quote: quote,
+        redeem: redeem,
+        refund: refund,
+        init: init
+    };
+})();
@@ -0,0 +1,579 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - RISK WAIVER
+   Every driver's waiver and declarations, signed on screen
+   ========================================= */
+
+/* WHAT IS IT?
+   Before getting in a car, every driver has to agree to the risk
+   waiver, declare that their licence is valid and they're fit to
+   drive, and sign. This used to be done on paper at the track.
+
+   HOW DOES IT WORK?
+   1. The form is already in index.html, but hidden (like the contact form)
+   2. Opening #/waiver calls Waiver.mount(), which moves the form into
+      that page and shows it
+   3. The terms sit in a scrolling box. The "I have read the terms" box
+      can only be ticked once they've scrolled to the end.
+   4. The signature is drawn on a <canvas> with a finger, pen or mouse.
+      Anyone who can't draw (e.g. keyboard-only) can type their name
+      instead, and it's written in as a signature.
+   5. On submit, the form validation in main.js runs FIRST - like every
+      form in index.html - and cancels the submit if anything's missing.
+      The signature counts as a field: a hidden input holds the drawing.
+   6. The signed waiver is saved, sent to the track (Transport.send() -
+      only if init() was given an endpoint, and there's no server for
+      waivers yet), and offered as a download: a web page with the terms, the answers,
+      the signature and the time it was signed. Open it and Print → Save
+      as PDF for a PDF.
+
+   WHAT DOES A SIGNED WAIVER LOOK LIKE?
+   {
+       id: 'WVR-LQ3K9-7XD',
+       reference: 'FSE-LQ3K9-4TZ',      ← the booking, if they gave it
+       driver: { name, dob, licence },
+       declarations: { readTerms: true, licenceValid: true, medicallyFit: true, noAlcohol: true },
+       termsVersion: '2026-10',         ← data-version on the terms box
+       signature: 'data:image/png;base64,...',
+       signatureMethod: 'drawn',        ← or 'typed'
+       signedAt: '2026-10-19T13:32:05.123Z'
+   }
+
+   WHAT'S KEPT IN THE BROWSER?
+   Only a receipt - { id, reference, name, termsVersion, signatureMethod,
+   signedAt } - in localStorage (fse.waivers), so staff can see who has
+   signed. The date of birth, licence number and signature are NOT kept:
+   this is often a shared or family computer, and anyone using it could
+   read them. The full waiver goes to the track (if there's an endpoint)
+   and into the download, and is forgotten once the form is emptied
+   ("Sign for another driver", or leaving the page).
+
+   HOW TO USE:
+   Waiver.init(document.querySelector('.waiver-form'), { endpoint: null });   ← AFTER main.js adds validation
+                                                          (endpoint = where to send it, null = don't)
+   const leave = Waiver.mount(someDiv);                    ← the #/waiver page
+   Waiver.prefill({ reference: 'FSE-...', name: 'Sam Adams' })
+   Waiver.forBooking('FSE-LQ3K9-4TZ')   → the waivers signed for that booking
+*/
+
+const Waiver = (function() {
+    const STORAGE_KEY = 'fse.waivers';
+    const DECLARATIONS = ['readTerms', 'licenceValid', 'medicallyFit', 'noAlcohol'];
+
+    let form = null;
+    let home = null;        /* Where the form lives in the page when it's not shown */
+    let pad = null;         /* The signature pad */
+    let termsRead = false;
+    let downloadUrl = null; /* The last signed copy offered for download */
+    let endpoint = null;    /* Where signed waivers are sent - null = nowhere yet */
+
+    /* ===== STORAGE ===== */
+
+    let storage = null;
+
+    function getStorage() {
+        if (!storage) {
+            storage = BrowserStorage.get();
+        }
+        return storage;
+    }
+
+    function loadAll() {
+        try {
+            return JSON.parse(getStorage().getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /* Just enough to show it's been signed - see WHAT'S KEPT IN THE BROWSER? */
+    function receiptOf(waiver) {
+        return {
+            id: waiver.id,
+            reference: waiver.reference,
+            name: waiver.driver ? waiver.driver.name : waiver.name,
+            termsVersion: waiver.termsVersion,
+            signatureMethod: waiver.signatureMethod,
+            signedAt: waiver.signedAt
+        };
+    }
+
+    function saveAll(waivers) {
+        try {
+            getStorage().setItem(STORAGE_KEY, JSON.stringify(waivers.map(receiptOf)));
+        } catch (error) {
+            /* Storage full - the copy sent to the track and the download still have it */
+        }
+    }
+
+    function save(waiver) {
+        saveAll(loadAll().concat(waiver));
+    }
+
+    /* ===== FUNCTION: createSignaturePad =====
+       Turn a <canvas> into something you can sign on.
+
+       POINTER EVENTS:
+       'pointerdown', 'pointermove' and 'pointerup' fire for a mouse,
+       a finger AND a pen, so one set of listeners covers them all.
+       (touch-action: none in the CSS stops a finger scrolling the page
+       instead of drawing.)
+
+       onChange(dataUrl) runs after every stroke - with '' once cleared. */
+
+    function createSignaturePad(canvas, onChange) {
+        const context = canvas.getContext('2d');
+        let drawing = false;
+        let isEmpty = true;
+
+        /* Where the pointer is, in canvas pixels */
+        function pointFrom(e) {
+            const box = canvas.getBoundingClientRect();
+            return { x: e.clientX - box.left, y: e.clientY - box.top };
+        }
+
+        function setPen() {
+            context.lineWidth = 2.5;
+            context.lineCap = 'round';      /* Round ends, so quick dots still show */
+            context.lineJoin = 'round';
+            context.strokeStyle = '#111111';
+        }
+
+        /* ----- PUBLIC: resize -----
+           Match the drawing area to the size the canvas is shown at.
+           Clears it - call it when the canvas first appears. */
+
+        function resize() {
+            const ratio = window.devicePixelRatio || 1;
+            const width = canvas.offsetWidth;
+            const height = canvas.offsetHeight;
+
+            if (width === 0 || (canvas.width === Math.round(width * ratio) && canvas.height === Math.round(height * ratio))) {
+                return;
+                /* Not on screen yet, or already the right size */
+            }
+
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+            context.setTransform(ratio, 0, 0, ratio, 0, 0);
+            /* WHY × devicePixelRatio?
+               Phone screens pack 2 or 3 real pixels into each CSS pixel.
+               A canvas with only CSS-pixel resolution looks blurry on
+               them, so we give it more pixels and scale the drawing up. */
+
+            setPen();
+            clear();
+        }
+
+        function clear() {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            if (!isEmpty) {
+                isEmpty = true;
+                onChange('');
+            }
+        }
+
+        /* ----- PUBLIC: writeName -----
+           A typed name, written across the pad in handwriting style */
+
+        function writeName(name) {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+
+            if (!name) {
+                clear();
+                return;
+            }
+
+            const height = canvas.offsetHeight;
+            context.fillStyle = '#111111';
+            context.font = 'italic ' + Math.round(height * 0.35) + 'px "Brush Script MT", "Segoe Script", cursive';
+            context.textBaseline = 'middle';
+            context.fillText(name, 16, height / 2, canvas.offsetWidth - 32);
+            /* The last argument = squash long names to fit */
+
+            isEmpty = false;
+            onChange(canvas.toDataURL('image/png'));
+        }
+
+        canvas.addEventListener('pointerdown', function(e) {
+            e.preventDefault();
+            drawing = true;
+
+            if (canvas.setPointerCapture && e.pointerId !== undefined) {
+                canvas.setPointerCapture(e.pointerId);
+                /* Keep getting the moves even if the finger slides off the edge */
+            }
+
+            const point = pointFrom(e);
+            context.beginPath();
+            context.moveTo(point.x, point.y);
+            context.lineTo(point.x + 0.1, point.y);
+            context.stroke();
+            /* The tiny line makes a dot, for a tap with no movement */
+        });
+
+        canvas.addEventListener('pointermove', function(e) {
+            if (!drawing) {
+                return;
+            }
+
+            const point = pointFrom(e);
+            context.lineTo(point.x, point.y);
+            context.stroke();
+        });
+
+        function endStroke() {
+            if (!drawing) {
+                return;
+            }
+            drawing = false;
+            isEmpty = false;
+            onChange(canvas.toDataURL('image/png'));
+            /* toDataURL = the picture as text ("data:image/png;base64,..."),
+               which can go in a form field, localStorage or an <img src> */
+        }
+
+        canvas.addEventListener('pointerup', endStroke);
+        canvas.addEventListener('pointercancel', endStroke);
+
+        setPen();
+
+        return {
+            resize: resize,
+            clear: clear,
+            writeName: writeName
+        };
+    }
+
+    /* ===== FUNCTION: checkTermsRead =====
+       Have they scrolled to the bottom of the terms? (Or do the terms
+       fit on screen without scrolling at all?) */
+
+    function checkTermsRead() {
+        const terms = form.querySelector('.waiver-terms');
+
+        if (termsRead || terms.offsetHeight === 0) {
+            return;
+            /* Already read, or not on screen so we can't tell */
+        }
+
+        if (terms.scrollTop + terms.clientHeight >= terms.scrollHeight - 4) {
+            /* - 4 = a few pixels' leeway; some browsers stop just short */
+            termsRead = true;
+            form.elements.readTerms.disabled = false;
+            form.querySelector('.waiver-terms-hint').textContent = 'Thanks for reading the terms.';
+        }
+    }
+
+    /* ===== FUNCTION: formatSignedAt =====
+       "19 October 2026 at 14:32:05 (UK time)" - always in UK time,
+       wherever the phone thinks it is, because that's where the track is */
+
+    function formatSignedAt(isoString) {
+        return new Date(isoString).toLocaleString('en-GB', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            timeZone: 'Europe/London'
+        }).replace(', ', ' at ') + ' (UK time)';
+    }
+
+    /* ===== PUBLIC FUNCTION: recordHtml =====
+       The signed copy: a complete web page that works on its own */
+
+    function recordHtml(waiver) {
+        const terms = form.querySelector('.waiver-terms').cloneNode(true);
+        terms.querySelectorAll('.waiver-terms-end').forEach(element => element.remove());
+
+        const declarations = DECLARATIONS.map(name => {
+            const label = form.elements[name].closest('label').querySelector('span').textContent.trim();
+            return `<li>${waiver.declarations[name] ? '&#9745;' : '&#9744;'} ${escapeHtml(label)}</li>`;
+            /* &#9745; = ☑ ticked box, &#9744; = ☐ empty box */
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Signed risk waiver - ${escapeHtml(waiver.driver.name)}</title>
+<style>
+    body { font-family: Arial, sans-serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #111111; line-height: 1.5; }
+    h1 { font-size: 1.5rem; border-bottom: 3px solid #d4af37; padding-bottom: 8px; }
+    h4 { margin: 16px 0 4px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 20px; }
+    dt { font-weight: bold; }
+    ul { list-style: none; padding: 0; }
+    .signature { border: 1px solid #cccccc; max-width: 100%; }
+    .small { color: #555555; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>Fermanagh Supercar Experience - signed risk waiver</h1>
+<dl>
+    <dt>Driver</dt><dd>${escapeHtml(waiver.driver.name)}</dd>
+    <dt>Date of birth</dt><dd>${escapeHtml(waiver.driver.dob)}</dd>
+    <dt>Licence number</dt><dd>${escapeHtml(waiver.driver.licence)}</dd>
+    <dt>Booking reference</dt><dd>${escapeHtml(waiver.reference || 'Not given')}</dd>
+    <dt>Waiver number</dt><dd>${escapeHtml(waiver.id)}</dd>
+</dl>
+<h2>Terms (version ${escapeHtml(waiver.termsVersion)})</h2>
+${terms.innerHTML}
+<h2>Declarations</h2>
+<ul>${declarations}</ul>
+<h2>Signature</h2>
+<p><img class="signature" src="${escapeHtml(waiver.signature)}" alt="Signature of ${escapeHtml(waiver.driver.name)}"></p>
+<p>Signed ${escapeHtml(waiver.signatureMethod === 'typed' ? 'by typing their name' : 'by hand on screen')}
+    on <strong>${escapeHtml(formatSignedAt(waiver.signedAt))}</strong></p>
+<p class="small">Timestamp (UTC): ${escapeHtml(waiver.signedAt)}</p>
+</body>
+</html>
+`;
+    }
+
+    /* ===== FUNCTION: readWaiver =====
+       The form's answers as a signed waiver object */
+
+    function readWaiver() {
+        const fields = form.elements;
+        const now = new Date();
+        const declarations = {};
+
+        DECLARATIONS.forEach(name => {
+            declarations[name] = fields[name].checked;
+        });
+
+        return {
+            id: 'WVR-' + now.getTime().toString(36).toUpperCase().slice(-5) + '-' +
+                Math.random().toString(36).slice(2, 5).toUpperCase(),
+            reference: fields.reference.value.trim().toUpperCase(),
+            driver: {
+                name: fields.name.value.trim(),
+                dob: fields.dob.value,
+                licence: fields.licence.value.replace(/\s/g, '').toUpperCase()
+            },
+            declarations: declarations,
+            termsVersion: form.querySelector('.waiver-terms').dataset.version || '',
+            signature: fields.signature.value,
+            signatureMethod: fields.typedSignature.value.trim() ? 'typed' : 'drawn',
+            signedAt: now.toISOString()
+        };
+    }
+
+    /* ===== FUNCTION: showSigned =====
+       Swap the form for "Signed!" and the download link */
+
+    function showSigned(waiver) {
+        if (downloadUrl) {
+            URL.revokeObjectURL(downloadUrl);
+            /* Free the previous copy's memory */
+        }
+
+        downloadUrl = URL.createObjectURL(new Blob([recordHtml(waiver)], { type: 'text/html' }));
+        /* A Blob is a file made in the browser - createObjectURL gives
+           it an address a link can point at */
+
+        const done = document.createElement('div');
+        done.className = 'waiver-done';
+        done.innerHTML = `
+            <h2 tabindex="-1">Waiver signed</h2>
+            <p>Thanks ${escapeHtml(waiver.driver.name)} - signed on ${escapeHtml(formatSignedAt(waiver.signedAt))}.</p>
+            <p>Your waiver number is <strong>${escapeHtml(waiver.id)}</strong>.</p>
+            <p>
+                <a class="page-button" href="${downloadUrl}" download="waiver-${escapeHtml(waiver.id)}.html">Download your signed copy</a>
+                <button type="button" class="page-button waiver-another">Sign for another driver</button>
+            </p>
+        `;
+
+        form.hidden = true;
+        form.parentNode.insertBefore(done, form);
+        done.querySelector('h2').focus();
+
+        done.querySelector('.waiver-another').addEventListener('click', function() {
+            done.remove();
+            reset();
+            form.hidden = false;
+            form.elements.name.focus();
+        });
+    }
+
+    /* ===== FUNCTION: reset =====
+       Empty the form for the next driver - keeping the booking
+       reference, since friends often sign one after another */
+
+    function reset() {
+        const reference = form.elements.reference.value;
+
+        if (downloadUrl) {
+            URL.revokeObjectURL(downloadUrl);
+            downloadUrl = null;
+            /* The last driver's signed copy - don't keep it in memory for the next one */
+        }
+
+        form.reset();
+        form.elements.reference.value = reference;
+        pad.clear();
+        form.elements.signature.value = '';
+
+        termsRead = false;
+        form.elements.readTerms.disabled = true;
+        form.querySelector('.waiver-terms').scrollTop = 0;
+        form.querySelector('.waiver-terms-hint').textContent = 'Scroll to the end of the terms to continue.';
+        form.querySelectorAll('.is-valid, .is-invalid').forEach(field => field.classList.remove('is-valid', 'is-invalid'));
+        form.querySelectorAll('.field-error').forEach(message => {
+            message.textContent = '';
+        });
+        checkTermsRead();
+    }
+
+    /* ===== FUNCTION: handleSubmit ===== */
+
+    function handleSubmit(e) {
+        if (e.defaultPrevented) {
+            return;
+            /* Validation in main.js found a problem and cancelled the submit */
+        }
+
+        e.preventDefault();
+
+        const waiver = readWaiver();
+        const status = form.querySelector('.form-status');
+
+        save(waiver);
+        showSigned(waiver);
+        status.textContent = '';
+
+        if (!endpoint) {
+            return;
+        }
+
+        Transport.send(endpoint, waiver).then(result => {
+            if (result.status === 'queued') {
+                Toast.info('You seem to be offline. Your waiver is saved and will be sent to the track as soon as you\'re back online.');
+            }
+        }).catch(() => {
+            status.textContent = 'We couldn\'t send your waiver to the track - please bring your signed copy on the day.';
+        });
+    }
+
+    /* ===== PUBLIC FUNCTION: init =====
+       Get the form ready. Call this AFTER main.js has added its
+       validation listener, so validation gets to run first. */
+
+    function init(formElement, waiverOptions) {
+        form = formElement;
+        endpoint = (waiverOptions && waiverOptions.endpoint) || null;
+
+        if (loadAll().some(waiver => waiver.driver || waiver.signature)) {
+            saveAll(loadAll());
+            /* Waivers saved before we stopped keeping personal details -
+               cut them down to receipts too */
+        }
+
+        if (!form) {
+            return;
+        }
+        home = { parent: form.parentNode, next: form.nextSibling };
+
+        const canvas = form.querySelector('.signature-pad');
+
+        canvas.addEventListener('pointerdown', function() {
+            if (form.elements.typedSignature.value) {
+                form.elements.typedSignature.value = '';
+                pad.clear();
+                /* Drawing after typing - the drawing replaces the typed name */
+            }
+        });
+        /* Added before the pad's own listeners, so it runs first */
+
+        pad = createSignaturePad(canvas, function(dataUrl) {
+            const field = form.elements.signature;
+            field.value = dataUrl;
+
+            if (field.getAttribute('aria-invalid') === 'true' || dataUrl) {
+                FormValidation.validateField(field);
+                /* A hidden input never gets 'input' events - check it by hand */
+            }
+        });
+
+        form.querySelector('.waiver-terms').addEventListener('scroll', checkTermsRead);
+
+        form.querySelector('.signature-clear').addEventListener('click', function() {
+            form.elements.typedSignature.value = '';
+            pad.clear();
+        });
+
+        form.elements.typedSignature.addEventListener('input', function(e) {
+            pad.writeName(e.target.value.trim());
+        });
+
+        form.addEventListener('submit', handleSubmit);
+    }
+
+    /* ===== PUBLIC FUNCTION: prefill =====
+       Fill in what we already know, e.g. straight after booking */
+
+    function prefill(details) {
+        if (!form) {
+            return;
+        }
+        if (details.reference) {
+            form.elements.reference.value = details.reference;
+        }
+        if (details.name && !form.elements.name.value) {
+            form.elements.name.value = details.name;
+        }
+    }
+
+    /* ===== PUBLIC FUNCTION: mount =====
+       Show the form inside 'container' (the #/waiver page).
+       Returns the function that puts it back when they leave. */
+
+    function mount(container) {
+        container.innerHTML = `
+            <section class="page waiver-page">
+                <h1>Risk waiver and driver declaration</h1>
+                <p>Every driver has to sign this before getting in a car. Signing now
+                    saves time at the track - it takes about five minutes.</p>
+            </section>
+        `;
+
+        if (!form) {
+            return null;
+        }
+
+        container.querySelector('.waiver-page').appendChild(form);
+        form.hidden = false;
+
+        pad.resize();
+        checkTermsRead();
+        /* Both need the form on screen to measure it */
+
+        return function leave() {
+            const done = container.querySelector('.waiver-done');
+            if (done) {
+                done.remove();
+                reset();
+                /* Signed - start fresh next time */
+            }
+
+            form.hidden = true;
+            home.parent.insertBefore(form, home.next);
+        };
+    }
+
+    /* ===== PUBLIC FUNCTION: forBooking ===== */
+
+    function forBooking(reference) {
+        return loadAll().filter(waiver => waiver.reference === String(reference || '').toUpperCase());
+    }
+
+    return {
+        init: init,
+        prefill: prefill,
+        mount: mount,
+        forBooking: forBooking,
+        recordHtml: recordHtml
+    };
+})();
@@ -33,6 +33,131 @@ document.addEventListener('DOMContentLoaded', function() {
        - function() { } = the code to run when that event happens
     */
     
+    /* ===== CURRENCY SELECTOR =====
+       The £ / € / $ drop-down in the navbar (see js/currency.js)
+       
+       Prices are always stored in pounds. Picking a currency saves it
+       in Preferences, and every price on the page redraws itself.
+       The choice is remembered for their next visit.
+    */
+    
+    const currencySelect = document.querySelector('.currency-picker select');
+    
+    if (currencySelect) {
+        Currency.initSelector(currencySelect);
+    }
+    
+    /* ===== THEME BUTTON =====
+       The ☾ button in the navbar switches between the light and dark
+       theme (see js/appearance.js). The theme itself was already set
+       in the <head>, before the page was drawn - this just makes the
+       button work and remembers the choice.
+    */
+    
+    Appearance.initToggle(document.querySelector('.theme-toggle'));
+    
+    /* ===== DRAW THE FLEET =====
+       Fill the "Our Cars" list from the car records in js/fleet.js
+       
+       The fleet filters below may draw the list again (fewer cars,
+       another order) whenever the visitor changes a filter - so code
+       for the cards listens on the <ul>, not on each card
+    */
+    
+    const fleetList = document.querySelector('.vehicle-info ul');
+    /* The empty <ul> in the "Our Cars" section */
+    
+    if (fleetList) {
+        Fleet.render(fleetList);
+        /* One <li> per car - see Fleet.render() */
+    }
+    
+    const availability = Availability.createLocalSource();
+    /* 
+       Where track-day availability comes from (see js/availability.js)
+       
+       WHY CREATE IT HERE?
+       Everything that books or shows sessions should share ONE source,
+       so a booking made in one place is instantly seen everywhere else
+       
+       For now it saves in the browser (localStorage). To use a real
+       booking server, swap this line for a source that talks to it.
+    */
+    
+    /* ===== FLEET FILTERS =====
+       The search box and drop-downs above "Our Cars" (js/fleet-filters.js)
+       
+       They redraw the car list straight away - no page reload - and
+       keep the address bar up to date, so a filtered list can be shared.
+       Opening ?make=Ferrari shows just the Ferraris.
+    */
+    
+    if (fleetList) {
+        FleetFilters.init(document.querySelector('.fleet-filters'), {
+            list: fleetList,
+            availability: availability
+        });
+    }
+    
+    /* ===== COMPARE CARS =====
+       A "Compare" button on every car card, and a tray along the
+       bottom of the screen collecting up to 3 cars (js/compare.js).
+       The side-by-side table is its own page: #/compare (see the PAGE
+       ROUTER below)
+    */
+    
+    Compare.initTray();
+    
+    if (fleetList) {
+        Compare.decorate(fleetList);
+    }
+    
+    /* ===== CUSTOMER ACCOUNTS =====
+       Bookings keeps every confirmed booking, so customers can see,
+       cancel and move them on the Account page (js/bookings.js)
+       
+       Account.init() checks whether someone is still signed in from
+       last time. The backend is a PRETEND one that lives in the browser
+       (js/mock-auth-backend.js) - swap it for a real server's later.
+       
+       STAFF: on your own computer (localhost) you can make a staff
+       account for trying the staff page (#/admin), with a password you
+       choose - see STAFF ACCOUNTS in js/mock-auth-backend.js. The live
+       site gets none: the staff page is a mock that only checks a role
+       saved in this browser, so real staff accounts have to wait for a
+       real server.
+    */
+    
+    const isLocalSite = ['localhost', '127.0.0.1'].indexOf(window.location.hostname) !== -1;
+    /* true while testing on your own computer - RUM (below) uses it too */
+    
+    const bookings = Bookings.createStore({ availability: availability, vouchers: Vouchers });
+    /* vouchers = so a cancelled booking's gift voucher gets its money back */
+    
+    Account.init({
+        backend: MockAuthBackend.create({
+            staff: isLocalSite ? MockAuthBackend.localStaff() : []
+        })
+    });
+    
+    /* ===== PAYMENTS =====
+       Bookings and gift vouchers are paid for through the checkout
+       (js/checkout.js). Like the accounts backend, the payment gateway
+       is a PRETEND one for now (js/mock-payment-gateway.js) - no money
+       moves. Swap in a real gateway's provider here later.
+       
+       latency = wait 600ms before answering, so "paying" looks and
+       feels like it would with a real network in between
+    */
+    
+    Checkout.init({ provider: MockPaymentGateway.create({ latency: 600 }) });
+    
+    const lapTimes = LapTimes.createStore();
+    /* Lap times imported from the track's timing system (by staff, on
+       the staff page), for the leaderboard on the Racing page.
+       They're only saved in the browser they were imported into - see
+       WHERE ARE THEY SAVED? in js/lap-times.js */
+    
     /* ===== SMOOTH SCROLLING FOR ANCHOR LINKS ===== 
        When you click a link that goes to a section on the same page,
        it smoothly scrolls to that section instead of jumping instantly
@@ -86,6 +211,16 @@ document.addEventListener('DOMContentLoaded', function() {
                'e' = the event object (contains info about the click)
             */
             
+            if (this.getAttribute('href').startsWith('#/')) {
+                return;
+                /* 
+                   Links like <a href="#/racing"> go to another VIEW, not a
+                   section on this page - leave them to the PAGE ROUTER (below).
+                   (querySelector('#/racing') would also throw an error,
+                   because "/" isn't allowed in an id selector)
+                */
+            }
+            
             e.preventDefault();
             /* 
                preventDefault = "don't do the default action"
@@ -145,12 +280,15 @@ document.addEventListener('DOMContentLoaded', function() {
                        We're telling it HOW to scroll
                     */
                     
-                    behavior: 'smooth',
+                    behavior: Appearance.scrollBehavior(),
                     /* 
                        behavior: 'smooth' = animate the scroll smoothly
                        alternative: 'auto' = instant jump (default)
                        
                        This is what creates the nice visual effect!
+                       Appearance.scrollBehavior() gives 'smooth' - or
+                       'auto' for visitors who've asked for less motion
+                       (see js/appearance.js)
                     */
                     
                     block: 'start'
@@ -169,22 +307,30 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     /* ===== NAVBAR ACTIVE LINK HIGHLIGHTING =====
-       When you're on a page section, highlight the corresponding nav link
+       Highlight the nav link for the page you're on
        
        VISUAL EFFECT:
-       - User scrolls to "Cars" section
-       - "Cars" link in navbar gets highlighted automatically
-       - User scrolls to "Contact" section
-       - "Contact" link gets highlighted instead
+       - User clicks "Racing" → the Racing page shows
+       - "Racing" link in navbar gets highlighted
+       - User presses the browser's Back button → back to Home
+       - "Home" link gets highlighted instead
        
        HOW IT WORKS:
-       1. Check which section is currently visible
-       2. Find the nav link that points to that section
-       3. Add an 'active' class to highlight it
-       4. Remove 'active' from all other links
+       The PAGE ROUTER (further down) calls highlightNavLink() every
+       time it shows a page, with that page's route, e.g. '/racing'
+       1. Find the nav link whose href is '#' + the route ('#/racing')
+       2. Add an 'active' class to highlight it
+       3. Remove 'active' from all other links
+       
+       WHY NOT USE THE SCROLL POSITION?
+       Each nav link goes to a different page (a "view"), not to a
+       section further down one long page. How far you've scrolled
+       can't tell you which page you're on - the route can.
+       (Inside the Home page, SECTION HIGHLIGHTING below does use what's
+       on screen, for the "On this page" links)
        
        WHY USEFUL?
-       Helps user know where they are on the page
+       Helps user know where they are on the site
     */
     
     const navLinks = document.querySelectorAll('.nav-links a');
@@ -194,149 +340,110 @@ document.addEventListener('DOMContentLoaded', function() {
        
        Example: if HTML has:
        <ul class="nav-links">
-           <li><a href="#hero">Home</a></li>
-           <li><a href="#cars">Cars</a></li>
+           <li><a href="#/">Home</a></li>
+           <li><a href="#/racing">Racing</a></li>
        </ul>
        Then navLinks will contain both <a> elements
     */
     
-    window.addEventListener('scroll', function() {
-        /* 
-           window.addEventListener('scroll', ...) = "when user scrolls the page"
-           This function runs continuously as user scrolls
-           
-           WHY 'window'?
-           window = the entire browser/page
-           Scrolling is a property of the whole page, not just one element
-        */
-        
-        let current = '';
-        /* 
-           'let current' = create a variable that can change
-           We'll store the name of the current section here
-           
-           DIFFERENCE: let vs const
-           const = can't change after creation
-           let = can change as needed
-           
-           START VALUE: '' (empty string)
-           We'll fill it with actual section class as we loop through
-        */
-        
-        const sections = document.querySelectorAll('section');
-        /* 
-           Get all <section> elements on the page
-           Each section represents a different part: Hero, Info, Cars, etc.
-           
-           WHY SECTIONS?
-           In your HTML, each major content area is a <section>
-           We're checking which <section> is currently visible
-        */
+    function highlightNavLink(route) {
+        /* route = the route being shown, e.g. '/racing' */
         
-        sections.forEach(section => {
-            /* For each section, check if it's currently visible */
+        navLinks.forEach(link => {
+            const isCurrent = link.getAttribute('href') === '#' + route;
             
-            const sectionTop = section.offsetTop;
+            link.classList.toggle('active', isCurrent);
             /* 
-               offsetTop = "distance from top of page to this element"
-               
-               EXAMPLE:
-               If page is 3000px tall:
-               - Hero section starts at 0px
-               - Cars section starts at 1500px
-               - Contact section starts at 2500px
+               toggle('active', true) = add the class
+               toggle('active', false) = remove it
                
-               sectionTop tells us where each section begins
+               In the CSS, a.active is gold with a full underline
             */
             
-            if (pageYOffset >= sectionTop - 200) {
-                /* 
-                   pageYOffset = "how far down the page has the user scrolled?"
-                   
-                   EXPLANATION:
-                   - pageYOffset = 0 = user is at top of page
-                   - pageYOffset = 500 = user has scrolled down 500px
-                   - pageYOffset = 2000 = user has scrolled down 2000px
-                   
-                   THE CONDITION: pageYOffset >= sectionTop - 200
-                   
-                   This checks: "has user scrolled to within 200px of section start?"
-                   
-                   WHY '-200'?
-                   Without the -200, you'd need to scroll all the way to the section
-                   The -200 makes it highlight BEFORE you reach the section
-                   Creates a more responsive feeling
-                   
-                   EXAMPLE:
-                   Cars section starts at 1500px
-                   So we highlight when user reaches: 1500 - 200 = 1300px
-                   User sees highlighting before they see the section
-                */
-                
-                current = section.getAttribute('class');
-                /* 
-                   Get the class name of this section
-                   
-                   EXAMPLE:
-                   <section class="cars">
-                   getAttribute('class') returns: "cars"
-                   
-                   We save this in the 'current' variable
-                   Now we know which section the user is viewing
-                */
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'page');
+                /* Tells screen readers "this link is the page you're on"
+                   (the 'active' class only changes how it LOOKS) */
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
+    }
+
+    /* ===== SECTION HIGHLIGHTING ("SCROLL-SPY") =====
+       On the Home page, the "On this page" links under the navbar
+       (Cars, Packages...) highlight the section you're looking at
+       
+       HOW IT WORKS:
+       Each link's href is '#' + a section's id, e.g. href="#cars" goes
+       with <section id="cars">. We only ever compare them EXACTLY, so
+       "cars" can never match a section called "supercars".
+       
+       WHAT IS AN IntersectionObserver?
+       Something the browser gives us that watches elements and tells
+       us when they come into or go out of view. The browser does the
+       watching, so there's no work done on every scroll event, and no
+       measuring of where each section is on the page.
+       
+       WHICH SECTION COUNTS AS "CURRENT"?
+       rootMargin shrinks the area being watched to a thin band about
+       a third of the way down the screen (just below the navbar).
+       Whichever section is crossing that band is the one you're reading.
+    */
+    
+    const sectionNav = document.querySelector('.section-nav');
+    const sectionLinks = sectionNav ? Array.from(sectionNav.querySelectorAll('a[href^="#"]')) : [];
+    
+    const spiedSections = sectionLinks
+        .map(link => document.getElementById(link.getAttribute('href').slice(1)))
+        .filter(section => section);
+    /* 
+       href="#cars" → slice(1) → 'cars' → <section id="cars">
+       getElementById() takes the id as it is - no selector rules to trip over
+       filter() drops links whose section doesn't exist
+    */
+    
+    const sectionsInBand = new Set();   /* ids of sections crossing the band right now */
+    
+    function highlightSectionLink() {
+        const current = spiedSections.find(section => sectionsInBand.has(section.id));
+        /* find() goes in page order, so if two sections touch the band, the upper one wins */
         
-        navLinks.forEach(link => {
-            /* For each navigation link... */
+        sectionLinks.forEach(link => {
+            const isCurrent = Boolean(current) && link.getAttribute('href') === '#' + current.id;
             
-            link.classList.remove('active');
-            /* 
-               classList = list of CSS classes on an element
-               remove('active') = remove the 'active' class from this link
-               
-               WHY?
-               We want only ONE link highlighted at a time
-               So we first remove 'active' from ALL links
-               Then we add it back to the correct one
-               
-               EXAMPLE FLOW:
-               Before: <a href="#cars" class="active">Cars</a>
-               After remove: <a href="#cars" class="">Cars</a>
-               (the class attribute is now empty)
-            */
+            link.classList.toggle('active', isCurrent);
             
-            if (link.getAttribute('href').includes(current)) {
-                /* 
-                   Check: "does this link's href contain the current section name?"
-                   
-                   EXAMPLE:
-                   current = "cars"
-                   link href = "#cars"
-                   Does "#cars" include "cars"? YES
-                   
-                   includes() = "check if text contains this substring"
-                   
-                   Another example:
-                   current = "info"
-                   link href = "#cars"
-                   Does "#cars" include "info"? NO
-                   
-                   So this link won't get highlighted
-                */
-                
-                link.classList.add('active');
-                /* 
-                   Add the 'active' class to highlight this link
-                   
-                   In your CSS, you'd style it like:
-                   a.active { color: gold; }
-                   
-                   So when 'active' class is added, it turns gold
-                */
+            if (isCurrent) {
+                link.setAttribute('aria-current', 'location');
+                /* 'location' (not 'page') = "you are HERE within this page" */
+            } else {
+                link.removeAttribute('aria-current');
             }
         });
-    });
+    }
+    
+    if ('IntersectionObserver' in window && spiedSections.length > 0) {
+        const sectionObserver = new IntersectionObserver(function(entries) {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    sectionsInBand.add(entry.target.id);
+                } else {
+                    sectionsInBand.delete(entry.target.id);
+                }
+            });
+            /* entries = only the sections that just went in or out of the band */
+            
+            highlightSectionLink();
+        }, {
+            rootMargin: '-30% 0px -60% 0px'
+            /* top right bottom left: ignore the top 30% and bottom 60% of
+               the screen, leaving a band from 30% to 40% of the way down */
+        });
+        
+        spiedSections.forEach(section => sectionObserver.observe(section));
+    }
+    /* Very old browsers without IntersectionObserver just get no highlight */
 
     /* ===== BUTTON CLICK HANDLERS =====
        Make buttons do something when clicked
@@ -357,15 +464,121 @@ document.addEventListener('DOMContentLoaded', function() {
        3. Provide a function to run when event happens
     */
     
+    /* ===== SENDING THINGS TO THE TRACK =====
+       Where finished bookings, signed waivers and enquiries are posted,
+       through the offline outbox (js/transport.js), so the track has
+       them too.
+       
+       The site is static (GitHub Pages), so there's no server for them
+       yet: all null = don't send. Bookings and waivers are still saved
+       in this browser, and enquiries offer an email link to
+       TRACK_EMAIL instead. Put the addresses in here once the server
+       exists.
+    */
+    
+    const TRACK_ENDPOINTS = {
+        bookings: null,
+        waivers: null,
+        enquiries: null
+    };
+    
+    const TRACK_EMAIL = 'enquiries@sammycodes.com';
+    
     /* ===== GET CAR BUTTON ===== */
     
-    const getCarButton = document.querySelector('.vehicle-info button');
+    function openBookingWizard(opener, bookingPackage) {
+        /* 
+           Open the booking wizard in a dialog
+           
+           Used by the "Get one Now!" button below AND by
+           "Book this package" in the package builder
+           
+           Parameters:
+           - opener = the button that was clicked (focus goes back to it)
+           - bookingPackage = optional quote from the package builder
+        */
+        
+        const dialog = Modal.open({
+            title: 'Book your experience',
+            className: 'booking-modal',
+            opener: opener,
+            onClose: () => BookingWizard.close()
+        });
+        /* 
+           Open a modal dialog to hold the wizard (see js/modal.js)
+           
+           - opener = focus goes back to this button when the dialog closes
+           - onClose = if the user presses Escape or the × button,
+             close the wizard too (it remembers where they got to)
+        */
+        
+        BookingWizard.open({
+            cars: Fleet.getAll(),
+            availability: availability,
+            mount: dialog.body,
+            voucherCode: voucherCode,
+            package: bookingPackage,
+            onClose: () => dialog.close(),
+            onComplete: booking => {
+                const user = Account.currentUser();
+                bookings.add(Object.assign({}, booking, { accountId: user ? user.id : null }));
+                /* Saved so it shows under "My bookings" on the Account page */
+                
+                Toast.success('Booking confirmed! Your reference is ' + booking.reference + '.');
+                
+                Waiver.prefill({ reference: booking.reference, name: booking.driver.name });
+                /* Ready for the "sign it now" link on the confirmation */
+                
+                if (TRACK_ENDPOINTS.bookings) {
+                    Transport.send(TRACK_ENDPOINTS.bookings, booking).then(result => {
+                        if (result.status === 'queued') {
+                            Toast.info('You seem to be offline. We\'ll send your booking details to the track as soon as you\'re back online.');
+                        }
+                    }).catch(() => {
+                        Toast.warning('Your booking is confirmed, but we couldn\'t pass it on to the track. ' +
+                            'Please quote ' + booking.reference + ' when you arrive.');
+                    });
+                }
+                /* 
+                   Let the track know - through the offline outbox, like
+                   the contact form, so a booking made with no signal
+                   isn't lost (see js/transport.js). Only once there's
+                   somewhere to send it (TRACK_ENDPOINTS above)
+                */
+            }
+        });
+        /* 
+           Open the booking wizard inside the dialog (see js/booking-wizard.js)
+           
+           OPTIONS:
+           - cars = the cars the user can choose from (from js/fleet.js)
+           - availability = which sessions still have places (shared source above)
+           - mount = where to draw the wizard (inside the dialog)
+           - voucherCode = gift voucher from a ?voucher= link (see GIFT VOUCHER LINKS further down)
+           - package = a quote from the package builder (or undefined for a normal booking)
+           - onClose = the wizard's Cancel/Done buttons close the dialog
+           - onComplete = runs once the booking is confirmed
+           
+           WHY A WIZARD AND A TOAST INSTEAD OF alert()?
+           An alert can only show a message, and it freezes the whole
+           page until OK is clicked. The wizard lets the user actually
+           book, and the toast just appears in the corner and goes away
+        */
+    }
+    
+    const getCarButton = document.querySelector('.vehicle-info > button');
     /* 
        querySelector = find ONE element
-       '.vehicle-info button' = "find a button inside an element with class 'vehicle-info'"
+       '.vehicle-info > button' = "find a button DIRECTLY inside an element with class 'vehicle-info'"
+       
+       WHY THE > ?
+       Without it, buttons nested deeper (like "Clear filters" in the
+       fleet filters, or the car cards' Compare buttons) would count too,
+       and querySelector would return the first of those instead
        
        EXAMPLE HTML:
        <div class="vehicle-info">
+           <form class="fleet-filters">...<button>Clear filters</button></form>  ← NOT this one
            <button>Get one Now!</button>   ← This button gets selected
        </div>
     */
@@ -387,23 +600,23 @@ document.addEventListener('DOMContentLoaded', function() {
         getCarButton.addEventListener('click', function() {
             /* When the button is clicked, run this function */
             
-            alert('Thank you for your interest! Please contact us for available vehicles.');
-            /* 
-               alert() = show a popup message to the user
-               
-               WHAT IS alert?
-               Simple popup window that stops the page until user clicks OK
-               
-               WHEN TO USE:
-               Important messages, warnings, confirmations
-               
-               BETTER ALTERNATIVES:
-               - Modals (fancy popups)
-               - Toast notifications (small messages)
-               - Update page content directly
-               
-               We use alert here because it's simple and works everywhere
-            */
+            openBookingWizard(getCarButton);
+        });
+    }
+    
+    /* ===== PACKAGE BUILDER =====
+       Pick laps in each car, extras and number of drivers, and see
+       the price (see js/package-builder.js - prices are in js/pricing.js)
+       
+       "Book this package" opens the same booking wizard as the
+       "Get one Now!" button, with the package already filled in
+    */
+    
+    const packageForm = document.querySelector('.package-builder');
+    
+    if (packageForm) {
+        PackageBuilder.init(packageForm, {
+            onBook: (quote, opener) => openBookingWizard(opener, quote)
         });
     }
     
@@ -423,8 +636,13 @@ document.addEventListener('DOMContentLoaded', function() {
         contactButton.addEventListener('click', function() {
             /* When clicked... */
             
-            alert('We will contact you soon! Check your email for our response.');
-            /* Show a confirmation message */
+            ContactForm.open(contactButton);
+            /* 
+               Show the enquiry form in a dialog (see js/contact-form.js)
+               It's set up further down, after FORM VALIDATION
+               
+               contactButton = where keyboard focus returns when it closes
+            */
         });
     }
 
@@ -445,6 +663,11 @@ document.addEventListener('DOMContentLoaded', function() {
         link.addEventListener('click', function() {
             /* When the link is clicked... */
             
+            if (Appearance.reducedMotion()) {
+                return;
+                /* No blink for visitors who've asked for less motion */
+            }
+            
             this.style.opacity = '0.7';
             /* 
                this = the current link being clicked
@@ -488,119 +711,514 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 
     /* ===== FORM VALIDATION =====
-       Check form inputs when user submits the form
+       Check form inputs as the user fills them in, and again on submit
        
        WHAT IS FORM VALIDATION?
        Making sure user filled in all required fields correctly
        
        EXAMPLES:
-       - Email field must have @ symbol
-       - Password must be at least 8 characters
-       - Name field can't be empty
+       - Email field must look like an email address
+       - Phone number must be a UK number
+       - Date of birth must make you old enough to drive
+       
+       HOW DOES A FIELD SAY WHAT IT NEEDS?
+       With a data-validate attribute in the HTML:
+       <input name="email" data-validate="required email">
+       
+       The rules themselves live in js/form-validation.js
        
        WHEN DOES THIS RUN?
-       When user clicks submit button on a form
+       - When the user leaves a field (blur)
+       - When user clicks submit button on a form
+       
+       WHAT DOES THE USER SEE?
+       A message right under each field that needs fixing
+       (instead of one alert() that doesn't say WHICH field is wrong)
+    */
+    
+    const forms = document.querySelectorAll('form');
+    /* 
+       Find every <form> on the page
+       querySelectorAll returns an empty list if there are none,
+       so the forEach below simply does nothing
+    */
+    
+    forms.forEach(form => {
+        FormValidation.attach(form);
+        /* 
+           Start checking this form
+           
+           This adds form.addEventListener('submit', ...) for us:
+           if any field fails its rules, the submit is cancelled
+           with e.preventDefault() and the first problem gets focus
+           
+           Forms created later by JavaScript (like the booking wizard)
+           call FormValidation.attach() themselves
+        */
+    });
+
+    /* ===== CONTACT FORM =====
+       Send enquiries from the contact form to our server
+       
+       WHY HERE, AFTER FORM VALIDATION?
+       Listeners run in the order they were added. The validation
+       listener above was added first, so it checks the fields first
+       and cancels the submit if something's wrong. The contact form
+       only sends if nothing was cancelled.
+    */
+    
+    const contactForm = document.querySelector('.contact-form');
+    
+    if (contactForm) {
+        ContactForm.init(contactForm, { endpoint: TRACK_ENDPOINTS.enquiries, email: TRACK_EMAIL });
+    }
+    
+    /* ===== RISK WAIVER =====
+       Drivers sign their waiver online, on its own page: #/waiver
+       (see js/waiver.js, and the PAGE ROUTER below)
+       
+       The form is in index.html like the contact form, so the
+       validation above checks it first - the same reason this comes
+       after FORM VALIDATION
     */
     
-    const form = document.querySelector('form');
+    Waiver.init(document.querySelector('.waiver-form'), { endpoint: TRACK_ENDPOINTS.waivers });
+    
+    /* ===== CAN I DRIVE THEM? =====
+       Date of birth, licence, height and weight, checked against each
+       car's rules (js/eligibility.js). Cars they can't drive are greyed
+       out in "Our Cars", with the reason on the card.
+       
+       After FORM VALIDATION for the same reason as the contact form
+    */
+    
+    if (fleetList) {
+        Eligibility.init(document.querySelector('.eligibility-form'), {
+            list: fleetList
+        });
+    }
+    
+    Transport.start();
     /* 
-       Try to find a <form> element on the page
-       querySelector returns null if form doesn't exist
+       Send anything left in the offline outbox from a previous visit,
+       and keep retrying whenever the connection comes back
+       (see js/transport.js)
     */
     
-    if (form) {
-        /* If a form exists on this page... */
+    /* ===== OFFLINE SUPPORT (SERVICE WORKER) =====
+       Register sw.js, which saves the site on the phone so it opens
+       even with no signal at the track (read the top of sw.js first)
+       
+       THREE JOBS HERE:
+       1. Register it - the browser installs it in the background
+       2. When a NEW version has installed, offer a "Reload" button
+          (a toast) instead of swapping files under the user's feet
+       3. Turn on Background Sync in js/transport.js, if the browser has it
+    */
+    
+    if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+        /* 
+           Service workers only run on https:// (or http://localhost).
+           Opening index.html straight from a folder (file://) can't use one.
+        */
+        
+        let reloadRequested = false;
+        
+        function offerUpdate(worker) {
+            Toast.info('A new version of the site is available.', {
+                sticky: true,
+                action: {
+                    label: 'Reload',
+                    onClick: function() {
+                        reloadRequested = true;
+                        worker.postMessage({ type: 'SKIP_WAITING' });
+                        /* Tell the waiting version to take over - see 'controllerchange' below */
+                    }
+                }
+            });
+        }
         
-        form.addEventListener('submit', function(e) {
+        window.addEventListener('load', function() {
             /* 
-               'submit' event = when user clicks submit button
-               'e' = the submit event (contains info about submission)
+               WHY WAIT FOR 'load'?
+               Installing downloads every file in the shell. Waiting until
+               the page has finished loading keeps that from slowing it down.
             */
             
-            const inputs = this.querySelectorAll('input, textarea');
+            navigator.serviceWorker.register('sw.js').then(registration => {
+                if ('sync' in registration) {
+                    Transport.configure({ backgroundSync: true });
+                }
+                
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    offerUpdate(registration.waiting);
+                    /* Installed on an earlier visit, still waiting to take over */
+                }
+                
+                registration.addEventListener('updatefound', function() {
+                    const worker = registration.installing;
+                    
+                    worker.addEventListener('statechange', function() {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            offerUpdate(worker);
+                        }
+                        /* 
+                           No controller = this is the FIRST install, so
+                           there's no old version to replace - nothing to say
+                        */
+                    });
+                });
+            }).catch(error => {
+                console.warn('Offline support is unavailable: ' + error.message);
+                /* The site still works - just not offline */
+            });
+        });
+        
+        navigator.serviceWorker.addEventListener('controllerchange', function() {
+            if (reloadRequested) {
+                reloadRequested = false;
+                window.location.reload();
+                /* The new version is in charge - reload to get its files */
+            }
+        });
+        
+        navigator.serviceWorker.addEventListener('message', function(e) {
+            if (e.data && e.data.type === 'OUTBOX_SENT') {
+                Toast.success(e.data.count === 1
+                    ? 'You\'re back online - what you sent earlier has now been delivered.'
+                    : 'You\'re back online - ' + e.data.count + ' things you sent earlier have now been delivered.');
+            }
+            /* Background Sync sent what was saved while offline */
+        });
+    }
+
+    /* ===== GIFT VOUCHERS =====
+       Buying and checking vouchers (see js/vouchers.js)
+       Set up after FORM VALIDATION for the same reason as the contact form
+    */
+    
+    Vouchers.init(
+        document.querySelector('.voucher-purchase'),
+        document.querySelector('.voucher-check'),
+        { backend: MockVoucherBackend.create({ latency: 300 }) }
+    );
+    /* 
+       The backend keeps the vouchers and their balances. It's a PRETEND
+       one for now (js/mock-voucher-backend.js): a voucher only works in
+       the browser it was bought in, until there's a real server
+    */
+    
+    /* ===== GIFT VOUCHER LINKS =====
+       Someone opened a link like sammycodes.com/?voucher=FSE-GIFT-7K3M-Q9PX
+       
+       We read the code with getUrlParameter() (at the bottom of this file),
+       tell them whether it's valid, and hand it to the booking wizard
+       so it's applied when they book
+    */
+    
+    const voucherCode = getUrlParameter('voucher');
+    /* "" if there's no ?voucher= in the address */
+    
+    if (voucherCode) {
+        Vouchers.check(voucherCode).then(voucherCheck => {
+            if (voucherCheck.valid) {
+                Toast.info('Your gift voucher (' + Vouchers.describe(voucherCheck.voucher) + ') will be applied when you book.', { duration: 8000 });
+            } else {
+                Toast.warning(voucherCheck.reason, { duration: 8000 });
+            }
+        });
+        /* The voucher server answers "later", hence .then() */
+        
+        const voucherCodeInput = document.querySelector('.voucher-check input[name="code"]');
+        if (voucherCodeInput) {
+            voucherCodeInput.value = voucherCode;
+            /* Fill in the "Check a voucher" box too */
+        }
+    }
+    
+    /* ===== PAGE ROUTER =====
+       Shows a different page for each nav link - without loading
+       a new HTML file
+       
+       WHY?
+       The whole site is ONE file (index.html). The Account, Racing and
+       About links used to point at HTML files that don't exist. Now each
+       link just changes the part of the address after the #, and we
+       swap what's shown inside <main>.
+       
+       ROUTES:
+       sammycodes.com/#/          → Home (the sections already in index.html)
+       sammycodes.com/#/racing    → Racing
+       sammycodes.com/#/about     → About
+       sammycodes.com/#/account   → Account
+       sammycodes.com/#/compare   → Compare cars (not in the navbar -
+                                    the compare tray links to it)
+       sammycodes.com/#/waiver    → Risk waiver (linked from the booking
+                                    confirmation)
+       sammycodes.com/#/admin     → Staff page (not linked anywhere -
+                                    staff accounts only)
+       sammycodes.com/#/anything  → "Page not found"
+       
+       WHY THE # ?
+       The part after # never gets sent to the server, so GitHub Pages
+       only ever has to find index.html - and sammycodes.com/#/racing
+       still opens the Racing page when it's bookmarked or shared
+       (a "deep link"). Addresses without the # (sammycodes.com/racing,
+       using the History API) would need the server to send index.html
+       for every address, which GitHub Pages can't do.
+       
+       BACK AND FORWARD BUTTONS:
+       Whenever the part after # changes - from clicking a link OR from
+       the browser's Back/Forward buttons - the browser fires a
+       'hashchange' event. We listen for it and show the matching page.
+       
+       Plain anchors with no slash (like #contact) aren't routes, so
+       they still just scroll to that part of the Home page.
+       
+       ADDING A PAGE:
+       Add it to ROUTES with a render function. The function fills in
+       'container', and can return a function that tidies up when the
+       user leaves the page (see renderRacingView).
+    */
+    
+    const homeView = document.querySelector('.home-view');
+    const routeView = document.querySelector('.route-view');
+    /* 
+       homeView = the Home page sections (hidden on other pages)
+       routeView = the empty box every other page is drawn into
+    */
+    
+    const ROUTES = {
+        '/': { title: 'Home' },
+        '/racing': { title: 'Racing', render: renderRacingView },
+        '/about': { title: 'About', render: renderAboutView },
+        '/account': { title: 'Account', render: renderAccountView },
+        '/compare': { title: 'Compare cars', render: renderCompareView },
+        '/waiver': { title: 'Risk waiver', render: renderWaiverView },
+        '/admin': { title: 'Staff', render: renderAdminView }
+    };
+    /* Home has no render function - it's already in the page */
+    
+    const NOT_FOUND = { title: 'Page not found', render: renderNotFoundView };
+    
+    const siteTitle = document.title;
+    let currentRoute = null;    /* The route on screen, e.g. '/racing' */
+    let leaveView = null;       /* Tidy-up function for the page on screen, if it has one */
+    
+    function routeFromHash() {
+        const hash = window.location.hash;
+        
+        if (!hash.startsWith('#/')) {
+            return '/';
+            /* No hash at all, or a plain anchor like #contact → Home */
+        }
+        
+        return hash.slice(1).replace(/\/+$/, '') || '/';
+        /* 
+           slice(1) = drop the '#'               '#/racing/' → '/racing/'
+           replace() = drop any slashes at the end → '/racing'
+           || '/' = '#/' on its own becomes '' after that, so use '/'
+        */
+    }
+    
+    function hashAnchor() {
+        const hash = window.location.hash;
+        
+        if (hash.length < 2 || hash.startsWith('#/')) {
+            return null;
+        }
+        
+        return document.getElementById(decodeURIComponent(hash.slice(1)));
+        /* '#cars' → the element with id="cars" (or null if there isn't one) */
+    }
+    
+    function showRoute() {
+        const route = routeFromHash();
+        
+        if (route === currentRoute) {
+            return;
+            /* Already showing it (e.g. the hash changed to #contact on Home) */
+        }
+        
+        const isFirstLoad = currentRoute === null;
+        const page = ROUTES[route] || NOT_FOUND;
+        
+        if (leaveView) {
+            leaveView();
+            leaveView = null;
+        }
+        
+        if (page.render) {
+            routeView.innerHTML = '';
+            leaveView = page.render(routeView, route) || null;
+            homeView.hidden = true;
+            routeView.hidden = false;
+        } else {
+            routeView.hidden = true;
+            routeView.innerHTML = '';
+            homeView.hidden = false;
+        }
+        
+        currentRoute = route;
+        document.title = route === '/' ? siteTitle : page.title + ' | ' + siteTitle;
+        /* The browser tab and history list say which page it is */
+        
+        highlightNavLink(route);
+        /* See NAVBAR ACTIVE LINK HIGHLIGHTING above.
+           The "Page not found" page matches no link, so none is highlighted */
+        
+        if (sectionNav) {
+            sectionNav.hidden = Boolean(page.render);
+            /* "On this page" links only make sense on the Home page */
+        }
+        
+        const anchor = hashAnchor();
+        
+        if (!isFirstLoad && anchor) {
+            anchor.scrollIntoView();
             /* 
-               Find all text inputs and textareas in this form
-               'input, textarea' = "find inputs OR textareas"
-               
-               EXAMPLE:
-               <form>
-                   <input type="text" placeholder="Name">
-                   <textarea>Message</textarea>
-                   <button type="submit">Send</button>
-               </form>
-               
-               inputs would find: the input and textarea
+               A link like <a href="#cars"> on another page: Home is
+               shown again, then we go to that section of it - the
+               browser couldn't, because Home was hidden when it tried
             */
+        } else if (!isFirstLoad) {
+            window.scrollTo(0, 0);
             
-            let isValid = true;
+            const heading = (page.render ? routeView : homeView).querySelector('h1');
+            if (heading) {
+                heading.setAttribute('tabindex', '-1');
+                heading.focus();
+            }
             /* 
-               Assume form is valid to start
-               If we find any empty fields, we'll change this to false
+               Start the new page at the top, and move keyboard focus to
+               its heading - a screen reader then reads out the page's name,
+               just like it would after loading a new HTML file
                
-               'let' because this value will change as we check fields
+               tabindex="-1" = the heading can be focused from code,
+               but Tab still skips it
             */
-            
-            inputs.forEach(input => {
-                /* For each form input... */
+        }
+    }
+    
+    /* ----- The pages ----- */
+    
+    function renderRacingView(container) {
+        const times = Availability.SESSION_TIMES;
+        
+        container.innerHTML = `
+            <section class="page racing-page">
+                <h1>Racing</h1>
+                <p>Track days run every Friday, Saturday and Sunday, with ${times.length} sessions a day
+                    starting at ${times.slice(0, -1).join(', ')} and ${times[times.length - 1]}.
+                    Every session starts with a safety briefing from one of our instructors.</p>
+                <h2>Places left</h2>
+                <p>Choose a highlighted day to see how many places are left in each car.</p>
+                <div class="racing-calendar"></div>
+                <button type="button" class="page-button">Book a session</button>
                 
-                if (input.value.trim() === '') {
-                    /* 
-                       input.value = what the user typed
-                       .trim() = remove spaces from start and end
-                       === '' = equals empty string
-                       
-                       EXAMPLE:
-                       If user typed: "  John  "
-                       input.value = "  John  "
-                       input.value.trim() = "John"
-                       "John" === '' ? FALSE (it's not empty)
-                       
-                       If user typed: "    " (just spaces)
-                       input.value = "    "
-                       input.value.trim() = ""
-                       "" === '' ? TRUE (it's empty after removing spaces)
-                       
-                       So we catch both empty fields AND fields with just spaces
-                    */
-                    
-                    input.style.borderColor = 'red';
-                    /* 
-                       Show error: turn the field's border red
-                       User can see which field is empty
-                    */
-                    
-                    isValid = false;
-                    /* 
-                       Mark entire form as invalid
-                       If ANY field is empty, the form is bad
-                    */
-                } else {
-                    input.style.borderColor = 'green';
-                    /* 
-                       If field is filled: show success with green border
-                       Positive feedback to user
-                    */
-                }
+                <h2>Leaderboard</h2>
+                <div class="racing-shared-lap"></div>
+                <p>Every driver's fastest lap, timed to the thousandth of a second.
+                    Use Share to send someone your personal-best card.</p>
+                <div class="racing-leaderboard"></div>
+            </section>
+        `;
+        
+        const calendar = AvailabilityCalendar.create(container.querySelector('.racing-calendar'), {
+            source: availability
+        });
+        /* The same calendar as the booking wizard, with no car chosen,
+           so each session lists the places left in every car */
+        
+        const bookButton = container.querySelector('.page-button');
+        bookButton.addEventListener('click', function() {
+            openBookingWizard(bookButton);
+        });
+        
+        const leaderboard = Leaderboard.create(container.querySelector('.racing-leaderboard'), {
+            store: lapTimes
+        });
+        
+        const sharedLap = getUrlParameter('lap');
+        /* Someone opened a shared personal-best link: ...?lap=<id>#/racing */
+        
+        if (sharedLap) {
+            lapTimes.personalBest(sharedLap).then(best => {
+                container.querySelector('.racing-shared-lap').innerHTML = best
+                    ? Leaderboard.renderCard(best)
+                    : '<p>We couldn\'t find that lap. Lap times are only kept in the browser they were ' +
+                      'imported into for now, so shared links don\'t work on other devices yet.</p>';
             });
-            
-            if (!isValid) {
-                /* 
-                   If isValid is false (meaning validation failed):
-                   ! means "NOT" so !isValid means "not valid"
-                */
-                
-                e.preventDefault();
-                /* 
-                   preventDefault = "don't submit the form"
-                   Prevents data from being sent with empty fields
-                */
-                
-                alert('Please fill in all fields');
-                /* Tell user what went wrong */
-            }
+        }
+        
+        return function leave() {
+            calendar.destroy();
+            leaderboard.destroy();
+            /* Stop them listening for new bookings and laps once they're gone */
+        };
+    }
+    
+    function renderAboutView(container) {
+        const story = homeView.querySelector('.story p');
+        const vision = homeView.querySelector('.future-goals p');
+        /* Borrow the text from the Home page, so it only needs writing once */
+        
+        container.innerHTML = `
+            <section class="page about-page">
+                <h1>About us</h1>
+                <h2>Our backstory</h2>
+                <p>${escapeHtml(story ? story.textContent : '')}</p>
+                <h2>Our vision</h2>
+                <p>${escapeHtml(vision ? vision.textContent : '')}</p>
+                <button type="button" class="page-button">Contact us</button>
+            </section>
+        `;
+        
+        const contactUsButton = container.querySelector('.page-button');
+        contactUsButton.addEventListener('click', function() {
+            ContactForm.open(contactUsButton);
         });
     }
-
+    
+    function renderAccountView(container) {
+        return AccountPage.render(container, { bookings: bookings, availability: availability });
+        /* Signing in, "My bookings" and profile - see js/account-page.js.
+           It returns its own clean-up function, like the Racing page */
+    }
+    
+    function renderCompareView(container) {
+        return Compare.renderPage(container);
+        /* The side-by-side table - see js/compare.js */
+    }
+    
+    function renderWaiverView(container) {
+        return Waiver.mount(container);
+        /* The form from index.html, moved into this page - see js/waiver.js.
+           Leaving puts it back, like the contact form's dialog does */
+    }
+    
+    function renderAdminView(container) {
+        return AdminPage.render(container, { bookings: bookings, availability: availability, laps: lapTimes });
+        /* Timeline, check-in, fleet status and importing lap times - see js/admin-page.js.
+           It checks for a staff account itself */
+    }
+    
+    function renderNotFoundView(container, route) {
+        container.innerHTML = `
+            <section class="page not-found-page">
+                <h1>Page not found</h1>
+                <p>Sorry, there's no page at <code>#${escapeHtml(route)}</code>.</p>
+                <p><a href="#/">Back to the home page</a></p>
+            </section>
+        `;
+    }
+    
+    window.addEventListener('hashchange', showRoute);
+    /* Links, Back and Forward all change the hash */
+    
+    showRoute();
+    /* Show the right page for the address the site was opened at */
+    
     /* ===== HOVER EFFECTS ON CAR CARDS =====
        Add visual feedback when you hover over car items
        
@@ -616,61 +1234,115 @@ document.addEventListener('DOMContentLoaded', function() {
        Makes the interface feel responsive
     */
     
-    const carItems = document.querySelectorAll('.vehicle-info ul li');
-    /* 
-       Find all car list items
-       '.vehicle-info ul li' = "find all <li> inside <ul> inside .vehicle-info"
-       
-       EXAMPLE HTML:
-       <div class="vehicle-info">
-           <ul>
-               <li>Ferrari 488 GTB</li>     ← These get selected
-               <li>Lamborghini Huracan</li> ← These get selected
-               <li>Porsche 911 Turbo S</li> ← These get selected
-           </ul>
-       </div>
-    */
-    
-    carItems.forEach(item => {
-        /* For each car item... */
+    function setCardScale(e, scale) {
+        const item = e.target.closest('li');
         
-        item.addEventListener('mouseenter', function() {
-            /* 
-               'mouseenter' = when mouse first moves onto the element
-               (different from 'mouseover' - doesn't bubble up to parent elements)
-            */
-            
-            this.style.transform = 'scale(1.02)';
+        if (!item || (e.relatedTarget && item.contains(e.relatedTarget)) || Appearance.reducedMotion()) {
+            return;
             /* 
-               transform = modify the element's appearance
-               scale(1.02) = make it 102% of original size (2% bigger)
+               relatedTarget = where the mouse came from (mouseover)
+               or is going to (mouseout)
                
-               MATH:
-               1.0 = original size (100%)
-               1.1 = 110% size (10% bigger)
-               1.02 = 102% size (2% bigger)
-               0.9 = 90% size (10% smaller)
+               If that's INSIDE the same card, the mouse only moved
+               between the photo and the text - it didn't enter or
+               leave the card, so nothing should change
                
-               VISUAL EFFECT:
-               Card slightly grows when mouse hovers over it
-               Creates a "lift" or "focus" effect
+               And no zooming at all for visitors who've asked their
+               device for less motion (see js/appearance.js)
             */
-        });
+        }
         
-        item.addEventListener('mouseleave', function() {
-            /* 
-               'mouseleave' = when mouse moves away from element
-               Opposite of mouseenter
-            */
-            
-            this.style.transform = 'scale(1)';
-            /* 
-               Return to normal size
-               scale(1) = 100% of original size (normal)
-            */
-        });
-    });
+        item.style.transform = 'scale(' + scale + ')';
+        /* 
+           transform = modify the element's appearance
+           scale(1.02) = make it 102% of original size (2% bigger)
+           
+           MATH:
+           1.0 = original size (100%)
+           1.1 = 110% size (10% bigger)
+           1.02 = 102% size (2% bigger)
+           0.9 = 90% size (10% smaller)
+           
+           VISUAL EFFECT:
+           Card slightly grows when mouse hovers over it
+           Creates a "lift" or "focus" effect
+        */
+    }
+    
+    if (fleetList) {
+        fleetList.addEventListener('mouseover', e => setCardScale(e, 1.02));
+        /* 
+           'mouseover' = when the mouse moves onto an element
+           
+           WHY NOT 'mouseenter' ON EACH CARD?
+           The fleet filters throw the cards away and draw new ones,
+           and listeners on the old cards would go with them.
+           mouseover BUBBLES UP (mouseenter doesn't), so one listener
+           on the <ul> hears it for every card, old or new.
+           This is called "event delegation".
+           
+           EXAMPLE HTML (drawn by Fleet.render() at the top of this file):
+           <div class="vehicle-info">
+               <ul>                                                              ← Listener is here
+                   <li class="car-card" data-car-id="ferrari-488-gtb">...</li>     ← e.target.closest('li') finds these
+                   <li class="car-card" data-car-id="lamborghini-huracan">...</li>
+               </ul>
+           </div>
+        */
+        
+        fleetList.addEventListener('mouseout', e => setCardScale(e, 1));
+        /* 
+           'mouseout' = when the mouse moves off an element
+           scale(1) = back to 100% of original size (normal)
+        */
+    }
 
+    /* ===== SCROLL PIPELINE =====
+       ONE scroll listener for everything that needs to know how far
+       down the page the user is
+       
+       WHY NOT JUST window.addEventListener('scroll', ...) EACH TIME?
+       The scroll event can fire dozens of times between two frames
+       being drawn. Every listener doing its own work on every event
+       wastes effort the user will never see, and makes scrolling janky.
+       
+       HOW IT WORKS:
+       1. Code that cares calls onScroll(function(scrollY) { ... })
+       2. The ONE real listener just asks for the next animation frame
+          (requestAnimationFrame = "run this just before the screen is
+          next drawn") - and ignores more events until then
+       3. On that frame, every function gets window.scrollY once
+       
+       passive: true = we promise never to call preventDefault(), so the
+       browser can start scrolling straight away without waiting for us
+       
+       (SECTION HIGHLIGHTING near the top of this file doesn't need this
+       at all - it uses an IntersectionObserver, which the browser runs for us)
+    */
+    
+    const scrollWatchers = [];
+    let scrollFramePending = false;
+    
+    function onScroll(watcher) {
+        scrollWatchers.push(watcher);
+        watcher(window.scrollY);
+        /* Run it once now, for wherever the page starts (e.g. after a reload) */
+    }
+    
+    window.addEventListener('scroll', function() {
+        if (scrollFramePending) {
+            return;
+            /* Already waiting for the next frame */
+        }
+        
+        scrollFramePending = true;
+        window.requestAnimationFrame(function() {
+            scrollFramePending = false;
+            const scrollY = window.scrollY;
+            scrollWatchers.forEach(watcher => watcher(scrollY));
+        });
+    }, { passive: true });
+    
     /* ===== SCROLL-TO-TOP BUTTON =====
        Create a button that appears when you scroll down,
        clicking it takes you back to the top
@@ -760,21 +1432,15 @@ document.addEventListener('DOMContentLoaded', function() {
        Now the button is actually visible on the page!
     */
     
-    window.addEventListener('scroll', function() {
-        /* When the user scrolls... */
-        
-        if (window.pageYOffset > 300) {
-            /* 
-               pageYOffset = how far down page user has scrolled
-               If greater than 300 pixels...
-            */
-            
-            scrollToTopButton.style.display = 'block';
-            /* Show the button */
-        } else {
-            scrollToTopButton.style.display = 'none';
-            /* Hide the button if user is near the top */
-        }
+    onScroll(function(scrollY) {
+        scrollToTopButton.style.display = scrollY > 300 ? 'block' : 'none';
+        /* 
+           Show the button once the user is more than 300 pixels down,
+           hide it again near the top
+           
+           onScroll() is the SCROLL PIPELINE above - it hands us
+           window.scrollY (how far down the page the user has scrolled)
+        */
     });
     
     scrollToTopButton.addEventListener('click', function() {
@@ -791,14 +1457,17 @@ document.addEventListener('DOMContentLoaded', function() {
                left: 0 = horizontal scroll (for wide pages)
             */
             
-            behavior: 'smooth'
-            /* Smooth animation instead of instant jump */
+            behavior: Appearance.scrollBehavior()
+            /* Smooth animation instead of instant jump (unless they want less motion) */
         });
     });
     
     /* Add hover effect to scroll button */
     scrollToTopButton.addEventListener('mouseenter', function() {
         /* When mouse hovers over the button... */
+        if (Appearance.reducedMotion()) {
+            return;
+        }
         this.style.transform = 'scale(1.1)';
         /* Make it 10% bigger */
     });
@@ -821,199 +1490,196 @@ document.addEventListener('DOMContentLoaded', function() {
        - Better performance on slow connections
        
        HOW IT WORKS:
-       1. Set image src to empty or placeholder
-       2. Put real image URL in data-src attribute
-       3. Use JavaScript to detect when image comes into view
-       4. When visible, move URL from data-src to src (loads image)
+       1. Put the real image URL in data-src instead of src
+       2. js/lazy-images.js watches for the image coming near the screen
+       3. Then it moves data-src into src, and the image downloads
        
        EXAMPLE HTML:
        <img data-src="car1.jpg" alt="Car">
-       JavaScript will change it to:
+       becomes, once you scroll near it:
        <img src="car1.jpg" alt="Car">
-    */
-    
-    const images = document.querySelectorAll('img[data-src]');
-    /* 
-       Find all images that have a data-src attribute
-       'img[data-src]' = "img elements with data-src attribute"
        
-       Note: In your current HTML, you might not have data-src yet
-       You'd need to add it like: <img data-src="path/to/image.jpg" src="">
+       js/lazy-images.js also handles different image sizes for
+       different screens (data-srcset), <picture> tags, a blurred
+       preview while loading, and missing images - see the top of it
     */
     
-    if ('IntersectionObserver' in window) {
-        /* 
-           Check if browser supports IntersectionObserver
-           (most modern browsers do, but older ones don't)
-           
-           'IntersectionObserver' in window = "is IntersectionObserver available?"
-           
-           WHY CHECK?
-           For browsers that don't support it, this code would crash
-           This check prevents errors on old browsers
-        */
-        
-        const imageObserver = new IntersectionObserver((entries, observer) => {
-            /* 
-               IntersectionObserver = automatically watches elements
-               Tells us when elements come into/out of view
-               
-               (entries, observer) = two parameters:
-               - entries = list of elements that changed visibility
-               - observer = the observer object (for controlling it)
-               
-               => = arrow function syntax (shorthand)
-            */
-            
-            entries.forEach(entry => {
-                /* For each element that changed visibility... */
-                
-                if (entry.isIntersecting) {
-                    /* 
-                       entry.isIntersecting = is this element visible in viewport?
-                       true = yes, visible
-                       false = no, not visible
-                    */
-                    
-                    const img = entry.target;
-                    /* entry.target = the actual element being observed */
-                    
-                    img.src = img.dataset.src;
-                    /* 
-                       Load the image by copying data-src to src
-                       
-                       dataset.src = access the data-src attribute
-                       When you set data-src in HTML, JavaScript accesses it as dataset.src
-                       
-                       EXAMPLE:
-                       HTML: <img data-src="car.jpg">
-                       JavaScript: img.dataset.src gets "car.jpg"
-                       Then: img.src = "car.jpg" loads the image
-                    */
-                    
-                    img.classList.add('loaded');
-                    /* 
-                       Add 'loaded' class to indicate image is loading
-                       You could style this in CSS for fade-in effects:
-                       img.loaded { opacity: 1; transition: opacity 0.3s; }
-                    */
-                    
-                    observer.unobserve(img);
-                    /* 
-                       Stop watching this image
-                       Since it's loaded, no need to watch it anymore
-                       Saves performance
-                    */
-                }
-            });
-        });
-        
-        images.forEach(img => imageObserver.observe(img));
+    LazyImages.init({
+        rootMargin: '300px 0px'
         /* 
-           Start watching all images
-           observe(img) = "start watching this image for visibility changes"
+           Start loading when an image is within 300px of the screen
+           (above or below), so it's usually ready by the time it's seen.
+           Bigger = fewer half-loaded images, but more downloaded for nothing
         */
-    }
+    });
+    /* 
+       Old browsers without IntersectionObserver just load every image
+       straight away, and car cards drawn later (e.g. after filtering)
+       are picked up automatically
+    */
 
     /* ===== NAVIGATION BURGER MENU (Mobile) =====
-       If you have a hamburger menu button, this makes it work
-       
-       WHAT IS A HAMBURGER MENU?
-       Three horizontal lines (≡) that open/close mobile navigation
-       Very common on mobile websites
-       
-       HOW IT WORKS:
-       1. User clicks hamburger button
-       2. Mobile menu appears/disappears (toggle)
-       3. User clicks a link in menu
-       4. Menu closes automatically
-       
-       HOW TO USE THIS CODE:
-       You need HTML like:
-       <button class="hamburger"></button>
-       <nav>links here</nav>
-       
-       Then CSS to hide nav on small screens and show it with .active class
+       On narrow screens the nav links are tucked away behind a
+       "hamburger" button - three horizontal lines (≡) that open the menu
+       
+       WHY ADD THE BUTTON FROM JAVASCRIPT?
+       The button is only useful if this code is running to make it work.
+       Adding it here means that if JavaScript fails, there's no dead
+       button - the links just stay on show, like on a wide screen.
+       It's only added while the screen is narrow (768px or less, the
+       same size as the "Small screens" CSS), and taken away again if
+       the screen gets wider (e.g. a tablet turned sideways).
+       
+       WHILE THE MENU IS OPEN:
+       - aria-expanded="true" on the button tells screen readers it's open,
+         and aria-controls says WHICH element it opens
+       - Tab only moves between the navbar's links and buttons
+         (Modal.trapFocus - the same trap the pop-up dialogs use)
+       - Escape, or a tap anywhere outside the navbar, closes it
+       - The page behind can't scroll (body gets the class nav-open)
+       
+       Closing with Escape or the button puts focus back on the button,
+       so keyboard users carry on from where they were.
+       
+       The slide-in animation is switched off in the CSS for people who
+       have asked their device for less motion (prefers-reduced-motion).
     */
     
-    const hamburger = document.querySelector('.hamburger');
-    /* 
-       Find the hamburger button
-       '.hamburger' = element with class="hamburger"
-       
-       EXAMPLE HTML:
-       <button class="hamburger">
-           <span></span>
-           <span></span>
-           <span></span>
-       </button>
-    */
+    const navbar = document.querySelector('.navbar');
+    const navMenu = navbar ? navbar.querySelector('.nav-links') : null;
+    /* The <ul> of links the button opens and closes */
     
-    const nav = document.querySelector('header nav');
-    /* 
-       Find the navigation menu
-       'header nav' = the <nav> element inside <header>
-    */
-    
-    if (hamburger && nav) {
+    if (navbar && navMenu && window.matchMedia) {
+        const narrowScreen = window.matchMedia('(max-width: 768px)');
         /* 
-           If both hamburger and nav exist...
-           We use && (AND) to check both conditions
-           
-           && means: "if first is true AND second is true, then..."
-           If either is false, the code inside doesn't run
+           matchMedia() = ask the same question as a CSS @media rule,
+           from JavaScript. narrowScreen.matches is true or false, and
+           it fires 'change' whenever the answer changes.
         */
         
-        hamburger.addEventListener('click', function() {
-            /* When hamburger button is clicked... */
+        let hamburger = null;       /* The button, while the screen is narrow */
+        let releaseFocus = null;    /* Switches the focus trap off - set while the menu is open */
+        
+        navMenu.id = navMenu.id || 'site-menu';
+        /* aria-controls needs an id to point at */
+        
+        function isMenuOpen() {
+            return releaseFocus !== null;
+        }
+        
+        function openMenu() {
+            hamburger.setAttribute('aria-expanded', 'true');
+            navMenu.classList.add('is-open');
+            document.body.classList.add('nav-open');
+            /* See MOBILE MENU in the CSS: shows the links, stops the page scrolling */
             
-            hamburger.classList.toggle('active');
-            /* 
-               toggle = "switch between on and off"
-               addClass if not present, remove if present
-               
-               EXAMPLE:
-               First click: <button class="hamburger active"></button>
-               Second click: <button class="hamburger"></button>
-               Third click: <button class="hamburger active"></button>
-               
-               WHY USEFUL?
-               In CSS, you'd style:
-               .hamburger { } = closed state
-               .hamburger.active { } = open state (three lines become X)
-            */
+            releaseFocus = Modal.trapFocus(navbar);
             
-            nav.classList.toggle('active');
-            /* Toggle the nav menu open/close the same way */
-        });
+            const firstLink = navMenu.querySelector('a');
+            if (firstLink) {
+                firstLink.focus();
+            }
+        }
         
-        /* Close menu when a link is clicked */
-        const navItems = nav.querySelectorAll('a');
-        /* Find all links in the nav */
+        function closeMenu(returnFocus) {
+            if (!isMenuOpen()) {
+                return;
+            }
+            
+            releaseFocus();
+            releaseFocus = null;
+            
+            hamburger.setAttribute('aria-expanded', 'false');
+            navMenu.classList.remove('is-open');
+            document.body.classList.remove('nav-open');
+            
+            if (returnFocus) {
+                hamburger.focus();
+            }
+        }
         
-        navItems.forEach(item => {
-            /* For each nav link... */
+        function addHamburger() {
+            hamburger = document.createElement('button');
+            hamburger.type = 'button';
+            hamburger.className = 'hamburger';
+            hamburger.setAttribute('aria-label', 'Menu');
+            hamburger.setAttribute('aria-controls', navMenu.id);
+            hamburger.setAttribute('aria-expanded', 'false');
+            hamburger.innerHTML = '<span></span><span></span><span></span>';
+            /* The three lines - the CSS turns them into an X while it's open */
             
-            item.addEventListener('click', function() {
-                /* When a nav link is clicked... */
-                
-                hamburger.classList.remove('active');
-                /* Remove 'active' from hamburger (close button) */
-                
-                nav.classList.remove('active');
-                /* Remove 'active' from nav (close menu) */
-                
+            hamburger.addEventListener('click', function() {
+                if (isMenuOpen()) {
+                    closeMenu(true);
+                } else {
+                    openMenu();
+                }
+            });
+            
+            navbar.appendChild(hamburger);
+            navbar.classList.add('has-menu-toggle');
+            /* The CSS only hides the links when this class is there */
+        }
+        
+        function removeHamburger() {
+            closeMenu(false);
+            hamburger.remove();
+            hamburger = null;
+            navbar.classList.remove('has-menu-toggle');
+        }
+        
+        function fitScreen() {
+            if (narrowScreen.matches && !hamburger) {
+                addHamburger();
+            } else if (!narrowScreen.matches && hamburger) {
+                removeHamburger();
+            }
+        }
+        
+        navMenu.addEventListener('click', function(e) {
+            if (e.target.closest('a')) {
+                closeMenu(false);
                 /* 
-                   WHY?
-                   User clicks a link, wants to go to that section
-                   Menu should automatically close
-                   If menu stayed open, it would block the content
-                   
-                   ANALOGY:
-                   Like closing a door after walking through it
+                   Going to another page - close the menu so it doesn't
+                   cover it. Focus isn't moved back to the button: the
+                   router moves it to the new page's heading instead.
                 */
-            });
+            }
+        });
+        
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && isMenuOpen()) {
+                e.preventDefault();
+                closeMenu(true);
+            }
         });
+        
+        document.addEventListener('click', function(e) {
+            if (isMenuOpen() && !navbar.contains(e.target)) {
+                e.preventDefault();
+                e.stopPropagation();
+                closeMenu(false);
+                /* 
+                   A tap outside the menu (on the dimmed page) ONLY closes
+                   it - it doesn't also follow a link that happened to be
+                   underneath
+                */
+            }
+        }, true);
+        /* 
+           true = "capture": this listener runs on the way DOWN to the
+           element that was tapped, before anything on the page sees
+           the click, so it can stop it
+        */
+        
+        if (narrowScreen.addEventListener) {
+            narrowScreen.addEventListener('change', fitScreen);
+        } else {
+            narrowScreen.addListener(fitScreen);
+            /* Older Safari only has the old name for the same thing */
+        }
+        
+        fitScreen();
     }
 
     /* ===== PAGE LOAD ANIMATION =====
@@ -1035,120 +1701,88 @@ document.addEventListener('DOMContentLoaded', function() {
        Shows content is loading intentionally, not just appearing
     */
     
-    document.body.style.opacity = '0';
-    /* 
-       Start with invisible page
-       opacity: 0 = 0% visible (fully transparent)
-       opacity: 1 = 100% visible (fully opaque)
-       opacity: 0.5 = 50% visible (semi-transparent)
+    if (!Appearance.reducedMotion()) {
+        /* 
+           Visitors who've asked their device for less motion just get
+           the page straight away (see js/appearance.js)
+        */
+        
+        document.body.style.opacity = '0';
+        /* 
+           Start with invisible page
+           opacity: 0 = 0% visible (fully transparent)
+           opacity: 1 = 100% visible (fully opaque)
+           opacity: 0.5 = 50% visible (semi-transparent)
        
-       document.body = the <body> element (entire page)
-    */
+           document.body = the <body> element (entire page)
+        */
     
-    setTimeout(() => {
-        /* Wait 100 milliseconds, then... */
+        setTimeout(() => {
+            /* Wait 100 milliseconds, then... */
         
-        document.body.style.transition = 'opacity 0.5s ease';
-        /* 
-           Add smooth transition to body
+            document.body.style.transition = 'opacity 0.5s ease';
+            /* 
+               Add smooth transition to body
            
-           BREAKDOWN:
-           'opacity' = animate this property
-           '0.5s' = over 0.5 seconds
-           'ease' = smooth easing (starts slow, speeds up, ends slow)
+               BREAKDOWN:
+               'opacity' = animate this property
+               '0.5s' = over 0.5 seconds
+               'ease' = smooth easing (starts slow, speeds up, ends slow)
            
-           OTHER EASING OPTIONS:
-           'linear' = constant speed
-           'ease-in' = slow start, fast end
-           'ease-out' = fast start, slow end
-           'ease-in-out' = slow start and end, fast middle
-        */
+               OTHER EASING OPTIONS:
+               'linear' = constant speed
+               'ease-in' = slow start, fast end
+               'ease-out' = fast start, slow end
+               'ease-in-out' = slow start and end, fast middle
+            */
         
-        document.body.style.opacity = '1';
-        /* Fade in to fully visible */
+            document.body.style.opacity = '1';
+            /* Fade in to fully visible */
         
-        /* 
-           WHAT HAPPENS:
-           1. opacity = 0 (invisible)
-           2. Set transition rule
-           3. opacity = 1 (visible)
-           Browser sees: "opacity changed from 0 to 1, and there's a transition rule"
-           So it animates the change over 0.5 seconds instead of instant
-        */
-    }, 100);
-    /* After 100 milliseconds */
+            /* 
+               WHAT HAPPENS:
+               1. opacity = 0 (invisible)
+               2. Set transition rule
+               3. opacity = 1 (visible)
+               Browser sees: "opacity changed from 0 to 1, and there's a transition rule"
+               So it animates the change over 0.5 seconds instead of instant
+            */
+        }, 100);
+        /* After 100 milliseconds */
+    }
 
     /* ===== PERFORMANCE MONITORING =====
-       Log page performance to console (useful for debugging)
+       Measure how fast the site is for REAL visitors, on their own
+       phones and connections (see js/rum.js for what's measured)
        
-       WHAT IS PERFORMANCE MONITORING?
-       Measuring how long the page takes to load
-       Helps identify slow pages that need optimization
-       
-       HOW IT WORKS:
-       JavaScript has a performance.timing object
-       It records timestamps of various page load stages:
-       - navigationStart = when user navigated to page
-       - loadEventEnd = when everything finished loading
+       WHAT WE MEASURE:
+       The Core Web Vitals (LCP, CLS, INP) plus TTFB and the load
+       broken into steps - collected by the browser itself through
+       PerformanceObserver, and sent in one batch when the page is hidden
        
-       We calculate: loadEventEnd - navigationStart = total time
+       WHY NOT performance.timing ANY MORE?
+       It's deprecated (being removed from browsers), and "page loaded
+       in 1234ms" doesn't say whether the page FELT fast - the Web
+       Vitals do. Logging to the console only ever told US, too.
        
        HOW TO VIEW:
-       Open browser console (F12) and look for the log message
-       Example output: "Page loaded in 1234ms"
+       Add ?rum=debug to the address to see the numbers in a box in
+       the corner. Run tools/rum-collector.js to receive them locally.
     */
     
-    window.addEventListener('load', function() {
-        /* 
-           'load' event = when EVERYTHING has finished loading
-           (images, stylesheets, scripts, all resources)
-           
-           Different from DOMContentLoaded:
-           - DOMContentLoaded = just HTML structure loaded
-           - load = everything including images, stylesheets, etc.
-           
-           'load' fires later but is more complete
-        */
-        
-        const perfData = window.performance.timing;
+    Rum.init({
+        endpoint: isLocalSite ? 'http://localhost:8787/rum' : null,
         /* 
-           performance.timing = object with timestamps
-           
-           PROPERTIES:
-           navigationStart = when navigation started
-           loadEventEnd = when page fully loaded
-           Many more exist (you can log perfData to see all)
+           Where the numbers go. On your own computer, that's the
+           stand-in collector (node tools/rum-collector.js).
+           There's no collector for the live site yet - put its
+           address here in place of null when there is.
         */
         
-        const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-        /* 
-           Calculate total load time
-           
-           EXAMPLE:
-           navigationStart = 1000 (1000ms since page epoch)
-           loadEventEnd = 3234 (3234ms since page epoch)
-           pageLoadTime = 3234 - 1000 = 2234ms (about 2.2 seconds)
-        */
+        sampleRate: isLocalSite ? 1 : 0.1,
+        /* Every visit while testing, 1 in 10 on the live site */
         
-        console.log('Page loaded in ' + pageLoadTime + 'ms');
-        /* 
-           Log the result to console
-           
-           'console.log()' = print message to browser console
-           '+' = concatenate (join) strings together
-           
-           OUTPUT: "Page loaded in 2234ms"
-           
-           HOW TO VIEW:
-           F12 or Ctrl+Shift+I = open browser developer tools
-           Go to "Console" tab to see the message
-           
-           WHY USEFUL?
-           Track performance over time
-           Identify if page got slower
-           Compare different versions
-           Debug loading issues
-        */
+        debug: getUrlParameter('rum') === 'debug'
     });
 
     /* ===== END OF JAVASCRIPT ===== */
@@ -1264,33 +1898,103 @@ function getUrlParameter(name) {
     */
 }
 
+/* ===== FUNCTION: setUrlParameter =====
+   The opposite of getUrlParameter - change one value in the address
+   
+   HOW TO USE:
+   setUrlParameter('make', 'Ferrari')  → example.com?make=Ferrari
+   setUrlParameter('make', '')         → removes make= from the address
+   
+   The page does NOT reload, and the #part (like #/racing) is kept.
+   
+   WHY USEFUL?
+   Put what the user has chosen (filters, sorting) in the address,
+   so copying the address shares exactly the view they're looking at
+*/
+
+function setUrlParameter(name, value) {
+    const params = new URLSearchParams(location.search);
+    /* 
+       URLSearchParams = the browser's own tool for reading and
+       changing the ?a=1&b=2 part, with all the encoding done for us
+       (spaces become +, which getUrlParameter turns back into spaces)
+    */
+    
+    if (value === '' || value === null || value === undefined) {
+        params.delete(name);
+    } else {
+        params.set(name, value);
+    }
+    
+    const query = params.toString();
+    
+    history.replaceState(history.state, '', location.pathname + (query ? '?' + query : '') + location.hash);
+    /* 
+       history.replaceState() = change the address in the address bar
+       WITHOUT loading a new page
+       
+       WHY replaceState AND NOT pushState?
+       pushState would add a history entry for every filter you touch,
+       so the Back button would step through them one at a time.
+       replaceState just updates the current entry.
+    */
+}
+
 /* ===== FUNCTION: formatCurrency =====
-   Format a number as currency
+   Format an amount in POUNDS as a price in the visitor's currency
    
    HOW TO USE:
-   formatCurrency(1234.5) → returns "$1234.50"
-   formatCurrency(999) → returns "$999.00"
+   formatCurrency(1234.5) → returns "£1,234.50"  (visitor chose pounds)
+   formatCurrency(1234.5) → returns "€1,419.68"  (visitor chose euro)
+   formatCurrency(95, 'GBP') → always "£95.00", whatever they chose
+   formatCurrency(-20) → returns "-£20.00"
+   formatCurrency('95') → returns "£95.00" (numbers in text are fine)
+   formatCurrency('abc') → returns "–" (not a price)
    
    WHY USEFUL?
    Display prices consistently
    Always show 2 decimal places
-   Add currency symbol
+   Right symbol, in the right place, with thousands separators
+   
+   The currency choice and exchange rates live in js/currency.js
 */
 
-function formatCurrency(amount) {
-    /* Parameter: amount = number to format */
+function formatCurrency(amount, currencyCode) {
+    /* Parameters:
+       amount = price in pounds (a number, or a number in a string)
+       currencyCode = optional - 'GBP', 'EUR', ... (default: the visitor's choice) */
+    
+    const isBlank = amount === null || amount === undefined || amount === '' || typeof amount === 'boolean';
+    const value = Number(amount);
+    
+    if (isBlank || !isFinite(value)) {
+        return '–';
+        /* 
+           Number('abc') = NaN, Number(Infinity) = Infinity - neither is a price.
+           Number(''), Number(null) and Number(true) give 0 or 1, which would
+           look like a real price, so those count as "not a price" too.
+        */
+    }
+    
+    const code = Currency.isSupported(currencyCode) ? currencyCode : Currency.current();
+    const converted = Currency.convert(value, code);
     
-    return '$' + amount.toFixed(2);
+    const rounded = Math.sign(converted) * Math.round(Math.abs(converted) * 100) / 100 || 0;
     /* 
-       toFixed(2) = format to 2 decimal places
+       Round to whole pence/cents ourselves so that:
+       - halves round AWAY from zero for negatives too (-2.345 → -2.35)
+       - a tiny negative like -0.001 becomes 0, not "-£0.00"
        
-       EXAMPLES:
-       (1234.5).toFixed(2) → "1234.50"
-       (999).toFixed(2) → "999.00"
-       (1234.567).toFixed(2) → "1234.57" (rounds up)
-       
-       + '$' = add dollar sign in front
-       Result: "$1234.50"
+       || 0 = turn -0 (minus zero, which exists in JavaScript!) into 0
+    */
+    
+    return Currency.formatter(code).format(rounded);
+    /* 
+       Intl.NumberFormat does the hard part - it knows that:
+       en-GB + GBP → "£1,234.50"
+       en-IE + EUR → "€1,234.50"
+       en-US + USD → "$1,234.50"
+       and where the minus sign goes: "-£20.00"
     */
 }
 
@@ -1425,4 +2129,64 @@ function debounce(func, wait) {
     };
 }
 
+/* ===== FUNCTION: escapeHtml =====
+   Make text safe to put inside HTML
+   
+   WHY USEFUL?
+   If a user types <b>Sam</b> as their name and we put it straight
+   into innerHTML, the browser treats it as real HTML (or worse, a script)
+   
+   HOW TO USE:
+   escapeHtml('<b>Sam</b>') → returns "&lt;b&gt;Sam&lt;/b&gt;"
+   The browser then shows the text exactly as typed
+*/
+
+function escapeHtml(value) {
+    /* Parameter: value = anything we want to show as plain text */
+    
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    /* 
+       Replace each special HTML character with its "entity" version
+       & must go first, otherwise we'd double-escape the others
+    */
+}
+
+/* ===== FUNCTION: downloadFile =====
+   Save some text as a file, as if it had been downloaded
+   
+   WHY USEFUL?
+   The staff page's manifest (.csv) and the "Add to calendar" file
+   (.ics) are made right here in the browser - there's no server to
+   download them from
+   
+   HOW TO USE:
+   downloadFile('manifest.csv', 'Name,Car\r\n...', 'text/csv')
+   The browser saves it (or asks where to), like any download
+*/
+
+function downloadFile(filename, text, type) {
+    /* Parameters: filename = what it's saved as, text = what's in it,
+       type = what kind of file it is (its "MIME type") */
+    
+    const url = URL.createObjectURL(new Blob([text], { type: type + ';charset=utf-8' }));
+    /* A Blob = a file held in memory; the URL points at it */
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    /* download = "save this, don't open it" */
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    /* Let the memory go once the download has started */
+}
+
 /* ===== END OF UTILITY FUNCTIONS ===== */
@@ -0,0 +1,334 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - SERVICE WORKER
+   Keeps the site working when the signal at the track drops out
+   ========================================= */
+
+/* WHAT IS A SERVICE WORKER?
+   A script the browser runs SEPARATELY from the page. Once installed,
+   every request the site makes (pages, scripts, photos, form sends)
+   goes through it first, and it decides where the answer comes from:
+   the network, or a copy saved earlier in a "cache".
+   It keeps running for a short while after the page is closed, too.
+
+   It's registered in main.js (see OFFLINE SUPPORT there). It must sit
+   next to index.html, because it can only look after files in its own
+   folder and below.
+
+   WHAT DOES IT DO?
+   1. PRECACHE - on install, save the "shell": index.html, the CSS, every
+      script and the logo. With those saved, the site opens with no signal.
+   2. PHOTOS - "stale-while-revalidate": show the saved copy at once, and
+      fetch a fresh one in the background for next time.
+   3. PAGES - try the network first (so it's always up to date), then the
+      saved copy, then offline.html if we have nothing at all.
+   4. FORMS - a booking or enquiry sent with no signal is kept here, and
+      sent by the browser when the signal comes back (Background Sync),
+      even if the site has been closed by then.
+
+   RELEASING A NEW VERSION:
+   Change VERSION below whenever index.html, a script or the CSS change.
+   The browser notices sw.js has changed, installs the new version
+   alongside the old one, and the page offers a "Reload" button
+   (main.js). Forget, and visitors keep the old files from the cache!
+
+   If you add a script to index.html, add it to SHELL too.
+*/
+
+const VERSION = 'v29';
+const SHELL_CACHE = 'fse-shell-' + VERSION;
+const IMAGE_CACHE = 'fse-images';
+/* Photos don't change with each release, so their cache isn't versioned */
+
+const MAX_IMAGES = 60;
+/* Oldest photos are thrown away after this many, so the cache can't fill the phone */
+
+const SHELL = [
+    './',
+    'index.html',
+    'offline.html',
+    'styles-commented.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'js/storage.js',
+    'js/preferences.js',
+    'js/appearance.js',
+    'js/fleet.js',
+    'js/availability.js',
+    'js/currency.js',
+    'js/availability-calendar.js',
+    'js/pricing.js',
+    'js/package-builder.js',
+    'js/calendar-export.js',
+    'js/booking-wizard.js',
+    'js/toast.js',
+    'js/modal.js',
+    'js/form-validation.js',
+    'js/eligibility.js',
+    'js/mock-payment-gateway.js',
+    'js/checkout.js',
+    'js/mock-voucher-backend.js',
+    'js/vouchers.js',
+    'js/transport.js',
+    'js/contact-form.js',
+    'js/waiver.js',
+    'js/bookings.js',
+    'js/mock-auth-backend.js',
+    'js/account.js',
+    'js/account-page.js',
+    'js/admin-page.js',
+    'js/lap-times.js',
+    'js/leaderboard.js',
+    'js/rum.js',
+    'js/lazy-images.js',
+    'js/fleet-filters.js',
+    'js/compare.js',
+    'main.js'
+];
+/* Same order as the <script> tags in index.html (the first three are in its <head>) */
+
+const LOGO = new URL('../logo.png', self.registration.scope).href;
+/* index.html loads the logo from "../logo.png" - worked out the same way here */
+
+const SYNC_TAG = 'fse-outbox';
+const QUEUE_DB = 'fse-sync';
+const QUEUE_STORE = 'requests';
+
+/* ===== INSTALL: save the shell ===== */
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => {
+            cache.add(LOGO).catch(() => {});
+            /* The logo lives outside this folder - if it's missing, the
+               site should still work offline, just without it */
+
+            return cache.addAll(SHELL);
+            /* If ANY of these fail, the install fails and the old version
+               (or none) stays in charge - never half a site */
+        })
+    );
+    /* waitUntil = "don't finish installing until this Promise is done" */
+});
+
+/* ===== ACTIVATE: tidy up old versions ===== */
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys().then(names => Promise.all(
+            names
+                .filter(name => name.indexOf('fse-shell-') === 0 && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))
+        )).then(() => self.clients.claim())
+        /* claim = start looking after pages that are already open,
+           without waiting for them to be reloaded */
+    );
+});
+
+/* ===== "RELOAD" PRESSED =====
+   A new version waits until every tab using the old one is closed.
+   The Reload button in main.js asks it to take over straight away. */
+
+self.addEventListener('message', function(event) {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/* ===== FETCH: where each answer comes from ===== */
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        return;
+        /* Other websites (e.g. the RUM collector) - leave them alone */
+    }
+
+    if (request.method === 'POST' && url.pathname.indexOf('/api/') !== -1) {
+        if (self.registration.sync) {
+            event.respondWith(sendOrQueue(request));
+        }
+        return;
+        /* Without Background Sync, js/transport.js keeps its own outbox */
+    }
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(pageFromNetwork(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request));
+    } else {
+        event.respondWith(
+            caches.match(request).then(saved => saved || fetch(request))
+            /* Scripts and CSS: the saved shell, so every file is from the same version */
+        );
+    }
+});
+
+/* ===== FUNCTION: pageFromNetwork ===== */
+
+function pageFromNetwork(request) {
+    return fetch(request).catch(() =>
+        caches.match(request, { ignoreSearch: true }).then(saved =>
+            saved || caches.match('offline.html')
+        )
+    );
+    /* ignoreSearch = ?compare=... or ?voucher=... links still find the
+       saved index.html - the page reads those itself */
+}
+
+/* ===== FUNCTION: staleWhileRevalidate ===== */
+
+function staleWhileRevalidate(request) {
+    return caches.open(IMAGE_CACHE).then(cache =>
+        cache.match(request).then(saved => {
+            const fresh = fetch(request).then(response => {
+                if (response.ok) {
+                    cache.put(request, response.clone()).then(() => trimCache(cache));
+                    /* clone() - a response can only be read once: one copy
+                       for the cache, one for the page */
+                }
+                return response;
+            });
+
+            if (saved) {
+                fresh.catch(() => {});
+                /* Offline - the saved copy is all we need, no error */
+                return saved;
+            }
+
+            return fresh;
+            /* Never saved before: wait for the network. If that fails,
+               the page's lazy loader shows "Photo coming soon" */
+        })
+    );
+}
+
+function trimCache(cache) {
+    return cache.keys().then(keys => {
+        if (keys.length > MAX_IMAGES) {
+            return cache.delete(keys[0]).then(() => trimCache(cache));
+            /* keys() lists the oldest first */
+        }
+    });
+}
+
+/* ===== BACKGROUND SYNC =====
+   Form sends with no signal are saved in IndexedDB - a database in the
+   browser that, unlike localStorage, service workers can use. */
+
+function openQueue() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(QUEUE_DB, 1);
+
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+            /* First time only: make the table. autoIncrement numbers them
+               1, 2, 3... so they're sent in the order they were made */
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+    });
+}
+
+/* Run one change (or read) on the queue, as a Promise */
+function withQueue(mode, work) {
+    return openQueue().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(QUEUE_STORE, mode);
+        const request = work(transaction.objectStore(QUEUE_STORE));
+
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/* ===== FUNCTION: sendOrQueue ===== */
+
+function sendOrQueue(request) {
+    const copy = request.clone();
+    /* Sending uses up the body - keep a copy in case we have to save it */
+
+    return fetch(request).catch(() =>
+        copy.text().then(body => withQueue('readwrite', store => store.add({
+            url: copy.url,
+            contentType: copy.headers.get('Content-Type'),
+            body: body,
+            queuedAt: new Date().toISOString()
+        })))
+            .then(() => self.registration.sync.register(SYNC_TAG))
+            .then(() => new Response(JSON.stringify({ queued: true }), {
+                status: 202,
+                headers: { 'Content-Type': 'application/json', 'X-Queued': 'background-sync' }
+            }))
+        /* 202 = "Accepted - not done yet". X-Queued tells js/transport.js
+           it's waiting here, not at the server */
+    );
+}
+
+/* ===== FUNCTION: replayQueue =====
+   Send everything saved, oldest first. If the network fails again,
+   throw - the browser then tries the whole sync again later. */
+
+function replayQueue() {
+    let sent = 0;
+
+    function sendNext() {
+        return withQueue('readonly', store => store.getAll()).then(items => {
+            if (items.length === 0) {
+                return;
+            }
+
+            const item = items[0];
+
+            return fetch(item.url, {
+                method: 'POST',
+                headers: { 'Content-Type': item.contentType || 'application/json', 'Accept': 'application/json' },
+                body: item.body
+            }).then(response => {
+                if (response.status >= 500) {
+                    throw new Error('Server error ' + response.status + ' - try again later');
+                }
+
+                if (response.ok) {
+                    sent++;
+                }
+                /* 4xx = the server rejected it. Sending it again won't
+                   help, so it's removed like a sent one */
+
+                return withQueue('readwrite', store => store.delete(item.id)).then(sendNext);
+            });
+        });
+    }
+
+    return sendNext().then(() => tellPages(sent), error => {
+        tellPages(sent);
+        throw error;
+    });
+}
+
+function tellPages(sent) {
+    if (sent === 0) {
+        return;
+    }
+
+    self.clients.matchAll({ type: 'window' }).then(pages => {
+        pages.forEach(page => page.postMessage({ type: 'OUTBOX_SENT', count: sent }));
+    });
+    /* Any open tabs can say "your enquiry has been sent" */
+}
+
+self.addEventListener('sync', function(event) {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(replayQueue());
+    }
+});
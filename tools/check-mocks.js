@@ -0,0 +1,318 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - MOCK CHECKS
+   Runs the pretend backends through each thing they can do
+   ========================================= */
+
+/* WHAT IS THIS?
+   The mock payment gateway (js/mock-payment-gateway.js) and the mock
+   sign-in server (js/mock-auth-backend.js) are there for development
+   and offline tests. This script is those tests: it loads the mocks
+   into Node, the same way the browser would, and checks each one
+   gives the answers the site expects.
+
+   It only uses what comes with Node.js, so there's nothing to install,
+   and it never touches the network or a real browser.
+
+   HOW TO USE:
+   node tools/check-mocks.js
+
+   Each check prints a ✓ or a ✗ with what went wrong. If any fail,
+   it exits with code 1, so it can be run before a deploy.
+
+   ADDING A CHECK:
+   check('what it should do', () => somethingThatReturnsAPromise());
+   Throw (or reject) to fail - assert does that for you.
+*/
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const webcrypto = require('crypto').webcrypto;
+
+/* ===== LOADING THE SCRIPTS =====
+   One shared "window" for all of them, like <script> tags on a page:
+   a const made in one file can be used by the next */
+
+const page = vm.createContext({
+    crypto: webcrypto,
+    TextEncoder: TextEncoder,
+    setTimeout: setTimeout,
+    console: console
+});
+page.window = page;
+
+function load(file) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), page, { filename: file });
+}
+
+load('js/storage.js');
+load('js/mock-payment-gateway.js');
+load('js/mock-auth-backend.js');
+
+const BrowserStorage = vm.runInContext('BrowserStorage', page);
+const MockPaymentGateway = vm.runInContext('MockPaymentGateway', page);
+const MockAuthBackend = vm.runInContext('MockAuthBackend', page);
+
+/* ===== THE CHECKER ===== */
+
+const checks = [];
+
+function check(name, run) {
+    checks.push({ name: name, run: run });
+}
+
+/* The Error's code, for checks that expect a rejection */
+function rejectionCode(promise) {
+    return promise.then(
+        () => { throw new Error('Expected it to fail, but it worked'); },
+        error => error.code
+    );
+}
+
+/* ===== MOCK PAYMENT GATEWAY ===== */
+
+function gateway(gatewayOptions) {
+    return MockPaymentGateway.create(Object.assign({ storage: BrowserStorage.createMemory() }, gatewayOptions));
+}
+
+function paymentRequest(cardNumber, idempotencyKey) {
+    return {
+        idempotencyKey: idempotencyKey || 'pay-check-' + cardNumber,
+        amount: 59.25,
+        currency: 'GBP',
+        reference: 'FSE-CHECK-1',
+        description: 'Deposit',
+        card: { name: 'Sam Adams', number: cardNumber, expiry: '12/30', cvc: '123' }
+    };
+}
+
+check('payment: a good card is paid', () => {
+    return gateway().createPayment(paymentRequest('4242 4242 4242 4242')).then(payment => {
+        assert.strictEqual(payment.status, 'succeeded');
+        assert.strictEqual(payment.amount, 59.25);
+        assert.strictEqual(payment.card.brand, 'Visa');
+        assert.strictEqual(payment.card.last4, '4242');
+    });
+});
+
+check('payment: a declined card says why, and isn\'t an error', () => {
+    return gateway().createPayment(paymentRequest('4000 0000 0000 9995')).then(payment => {
+        assert.strictEqual(payment.status, 'declined');
+        assert.match(payment.declineMessage, /enough money/);
+    });
+});
+
+check('payment: outcome "decline" declines any card', () => {
+    return gateway({ outcome: 'decline' }).createPayment(paymentRequest('4242424242424242')).then(payment => {
+        assert.strictEqual(payment.status, 'declined');
+    });
+});
+
+check('payment: 3-D Secure - approved at the bank, then paid', () => {
+    const mock = gateway({ challengeResult: 'approve' });
+
+    return mock.createPayment(paymentRequest('4000 0027 6000 3184')).then(payment => {
+        assert.strictEqual(payment.status, 'requires_action');
+        return mock.authenticate(payment.id, null);
+    }).then(payment => {
+        assert.strictEqual(payment.status, 'succeeded');
+    });
+});
+
+check('payment: 3-D Secure - rejected at the bank, then declined', () => {
+    const mock = gateway({ outcome: 'challenge', challengeResult: 'reject' });
+
+    return mock.createPayment(paymentRequest('4242424242424242')).then(payment => {
+        assert.strictEqual(payment.status, 'requires_action');
+        return mock.authenticate(payment.id, null);
+    }).then(payment => {
+        assert.strictEqual(payment.status, 'declined');
+        assert.notStrictEqual(payment.declineMessage, '');
+    });
+});
+
+check('payment: the same idempotency key twice only charges once', () => {
+    const storage = BrowserStorage.createMemory();
+    const mock = gateway({ storage: storage });
+    const request = paymentRequest('4242424242424242', 'pay-double-click');
+
+    return Promise.all([mock.createPayment(request), mock.createPayment(request)]).then(payments => {
+        assert.strictEqual(payments[0].id, payments[1].id);
+        assert.strictEqual(JSON.parse(storage.getItem('fse.mock-payments')).payments.length, 1);
+    });
+});
+
+check('payment: a lost answer, retried with the same key, finds the first charge', () => {
+    const storage = BrowserStorage.createMemory();
+    const request = paymentRequest('4242424242424242', 'pay-lost-answer');
+
+    return rejectionCode(gateway({ storage: storage, outcome: 'timeout' }).createPayment(request)).then(code => {
+        assert.strictEqual(code, 'NETWORK');
+        return gateway({ storage: storage }).createPayment(request);
+    }).then(payment => {
+        assert.strictEqual(payment.status, 'succeeded');
+        assert.strictEqual(JSON.parse(storage.getItem('fse.mock-payments')).payments.length, 1);
+    });
+});
+
+check('payment: the same key with a different amount is refused', () => {
+    const mock = gateway();
+    const request = paymentRequest('4242424242424242', 'pay-changed');
+
+    return mock.createPayment(request).then(() => {
+        return rejectionCode(mock.createPayment(Object.assign({}, request, { amount: 99 })));
+    }).then(code => {
+        assert.strictEqual(code, 'IDEMPOTENCY_MISMATCH');
+    });
+});
+
+/* ===== MOCK AUTH BACKEND ===== */
+
+const customer = {
+    email: 'Sam@Example.com ',
+    password: 'correct horse',
+    profile: { name: 'Sam Adams', licence: 'adams 606153 sa9ab' }
+};
+
+check('accounts: signing up signs you in, as a customer', () => {
+    return MockAuthBackend.create({ storage: BrowserStorage.createMemory() }).register(customer).then(result => {
+        assert.ok(result.token);
+        assert.strictEqual(result.user.email, 'sam@example.com');
+        assert.strictEqual(result.user.role, 'customer');
+        assert.strictEqual(result.user.profile.licence, 'ADAMS606153SA9AB');
+        assert.strictEqual(result.user.passwordHash, undefined);
+    });
+});
+
+check('accounts: the same email can\'t sign up twice, and short passwords are refused', () => {
+    const backend = MockAuthBackend.create({ storage: BrowserStorage.createMemory() });
+
+    return backend.register(customer).then(() => {
+        return rejectionCode(backend.register(Object.assign({}, customer, { email: 'sam@example.com' })));
+    }).then(code => {
+        assert.strictEqual(code, 'EMAIL_TAKEN');
+        return rejectionCode(backend.register({ email: 'jo@example.com', password: 'short' }));
+    }).then(code => {
+        assert.strictEqual(code, 'INVALID');
+    });
+});
+
+check('accounts: signing in needs the right password', () => {
+    const backend = MockAuthBackend.create({ storage: BrowserStorage.createMemory() });
+
+    return backend.register(customer).then(() => {
+        return rejectionCode(backend.login('sam@example.com', 'wrong password'));
+    }).then(code => {
+        assert.strictEqual(code, 'BAD_CREDENTIALS');
+        return rejectionCode(backend.login('nobody@example.com', 'correct horse'));
+    }).then(code => {
+        assert.strictEqual(code, 'BAD_CREDENTIALS');
+        return backend.login('sam@example.com', 'correct horse');
+    }).then(result => {
+        assert.strictEqual(result.user.profile.name, 'Sam Adams');
+    });
+});
+
+check('accounts: a saved session still works after a reload', () => {
+    const storage = BrowserStorage.createMemory();
+
+    return MockAuthBackend.create({ storage: storage }).register(customer).then(result => {
+        return MockAuthBackend.create({ storage: storage }).getUser(result.token);
+        /* A new backend on the same storage = the page loaded again */
+    }).then(user => {
+        assert.strictEqual(user.email, 'sam@example.com');
+    });
+});
+
+check('accounts: the profile can be changed, and is cleaned up', () => {
+    const backend = MockAuthBackend.create({ storage: BrowserStorage.createMemory() });
+    let token = null;
+
+    return backend.register(customer).then(result => {
+        token = result.token;
+        return backend.updateProfile(token, {
+            name: '  Sam Adams-Jones ',
+            emergencyContact: { name: 'Jo Adams', phone: ' 07700 900123 ' }
+        });
+    }).then(user => {
+        assert.strictEqual(user.profile.name, 'Sam Adams-Jones');
+        assert.strictEqual(user.profile.emergencyContact.phone, '07700 900123');
+        return backend.getUser(token);
+    }).then(user => {
+        assert.strictEqual(user.profile.name, 'Sam Adams-Jones');
+    });
+});
+
+check('accounts: signing out ends the session', () => {
+    const backend = MockAuthBackend.create({ storage: BrowserStorage.createMemory() });
+    let token = null;
+
+    return backend.register(customer).then(result => {
+        token = result.token;
+        return backend.logout(token);
+    }).then(() => {
+        return rejectionCode(backend.getUser(token));
+    }).then(code => {
+        assert.strictEqual(code, 'SESSION_EXPIRED');
+        return rejectionCode(backend.updateProfile(token, { name: 'Someone else' }));
+    }).then(code => {
+        assert.strictEqual(code, 'SESSION_EXPIRED');
+    });
+});
+
+check('staff: no local staff account until you choose its password', () => {
+    assert.strictEqual(MockAuthBackend.localStaff(BrowserStorage.createMemory()).length, 0);
+});
+
+check('staff: the local staff account uses your password, and follows changes to it', () => {
+    const storage = BrowserStorage.createMemory();
+    const withPassword = password => {
+        storage.setItem('fse.local-staff-password', password);
+        return MockAuthBackend.create({ storage: storage, staff: MockAuthBackend.localStaff(storage) });
+    };
+    let oldToken = null;
+
+    return withPassword('first-password').login('staff@example.com', 'first-password').then(result => {
+        assert.strictEqual(result.user.role, 'staff');
+        oldToken = result.token;
+
+        const backend = withPassword('second-password');
+        return rejectionCode(backend.login('staff@example.com', 'first-password')).then(code => {
+            assert.strictEqual(code, 'BAD_CREDENTIALS');
+            return rejectionCode(backend.getUser(oldToken));
+        }).then(code => {
+            assert.strictEqual(code, 'SESSION_EXPIRED');
+            return backend.login('staff@example.com', 'second-password');
+        });
+    }).then(result => {
+        assert.strictEqual(result.user.role, 'staff');
+    });
+});
+
+check('staff: a staff account that isn\'t listed any more is removed', () => {
+    const storage = BrowserStorage.createMemory();
+    const staff = [{ email: 'desk@example.com', password: 'desk-password', name: 'Front desk' }];
+
+    return MockAuthBackend.create({ storage: storage, staff: staff }).login('desk@example.com', 'desk-password').then(() => {
+        return rejectionCode(MockAuthBackend.create({ storage: storage }).login('desk@example.com', 'desk-password'));
+    }).then(code => {
+        assert.strictEqual(code, 'BAD_CREDENTIALS');
+    });
+});
+
+/* ===== RUN THEM, ONE AFTER ANOTHER ===== */
+
+let failed = 0;
+
+checks.reduce((previous, item) => previous.then(() => {
+    return Promise.resolve().then(item.run).then(() => {
+        console.log('✓ ' + item.name);
+    }, error => {
+        failed++;
+        console.log('✗ ' + item.name + '\n    ' + error.message);
+    });
+}), Promise.resolve()).then(() => {
+    console.log('\n' + (checks.length - failed) + ' of ' + checks.length + ' checks passed');
+    process.exitCode = failed ? 1 : 0;
+});
@@ -0,0 +1,157 @@
+/* =========================================
+   FERMANAGH SUPERCAR EXPERIENCE - RUM COLLECTOR (LOCAL STAND-IN)
+   Receives the performance numbers sent by js/rum.js
+   ========================================= */
+
+/* WHAT IS THIS?
+   A tiny server to run on your own computer, so js/rum.js has
+   somewhere to send its metrics while you're testing - no internet
+   or real monitoring service needed. It's NOT for the live site.
+
+   It only uses what comes with Node.js, so there's nothing to install.
+
+   HOW TO USE:
+   1. node tools/rum-collector.js
+      (or: node tools/rum-collector.js --port 9000 --out rum.ndjson)
+   2. Open the site with ?rum=debug on the end, from a local server,
+      e.g. http://localhost:8000/?rum=debug
+      (main.js sends to http://localhost:8787/rum when it's running locally)
+   3. Switch to another tab - the batch is sent when the page is hidden
+   4. Each metric is printed here as it arrives. For a summary, open
+      http://localhost:8787/summary
+
+   --out file = also save every batch to that file, one JSON per line
+*/
+
+const http = require('http');
+const fs = require('fs');
+
+/* ===== SETTINGS (from the command line) ===== */
+
+function option(name, fallback) {
+    const index = process.argv.indexOf('--' + name);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const PORT = Number(option('port', 8787));
+const OUT_FILE = option('out', null);
+const MAX_BODY = 64 * 1024;
+/* A batch is a few hundred bytes - anything bigger isn't from js/rum.js */
+
+const received = {};
+/* metric name → every value received, for the summary */
+
+/* ===== FUNCTION: percentile =====
+   percentile([1, 2, 3, 4], 75) → 3. Web Vitals are judged at the 75th:
+   "3 out of 4 visits were at least this good" */
+
+function percentile(values, p) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+function summary() {
+    const result = {};
+
+    Object.keys(received).forEach(name => {
+        const values = received[name];
+        result[name] = {
+            count: values.length,
+            p50: percentile(values, 50),
+            p75: percentile(values, 75),
+            p95: percentile(values, 95)
+        };
+    });
+
+    return result;
+}
+
+/* ===== FUNCTION: store =====
+   Keep one batch, and print a line for each metric in it */
+
+function store(batch) {
+    if (!batch || !Array.isArray(batch.metrics)) {
+        throw new Error('Expected { metrics: [...] }');
+    }
+
+    batch.metrics.forEach(metric => {
+        if (typeof metric.name !== 'string' || typeof metric.value !== 'number') {
+            return;
+        }
+
+        (received[metric.name] = received[metric.name] || []).push(metric.value);
+        console.log([
+            new Date().toLocaleTimeString('en-GB'),
+            batch.page,
+            metric.name.padEnd(10),
+            String(metric.value).padStart(8),
+            metric.rating || ''
+        ].join('  '));
+    });
+
+    if (OUT_FILE) {
+        fs.appendFileSync(OUT_FILE, JSON.stringify(Object.assign({ receivedAt: new Date().toISOString() }, batch)) + '\n');
+    }
+}
+
+/* ===== THE SERVER ===== */
+
+const server = http.createServer(function(request, response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    /* The site is on a different port (or domain), so the browser
+       needs permission to send here - these headers give it */
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (request.method === 'GET' && request.url === '/summary') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(summary(), null, 2));
+        return;
+    }
+
+    if (request.method !== 'POST' || request.url !== '/rum') {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+
+    request.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            response.writeHead(413);
+            response.end();
+            request.destroy();
+        }
+    });
+
+    request.on('end', () => {
+        if (response.writableEnded) {
+            return;
+        }
+
+        try {
+            store(JSON.parse(body));
+            /* sendBeacon sends text/plain, so parse it ourselves whatever the type */
+            response.writeHead(204);
+        } catch (error) {
+            console.warn('Ignored a bad batch: ' + error.message);
+            response.writeHead(400);
+        }
+        response.end();
+    });
+});
+
+server.listen(PORT, function() {
+    console.log('RUM collector listening on http://localhost:' + PORT + '/rum' +
+        (OUT_FILE ? ' (saving to ' + OUT_FILE + ')' : ''));
+    console.log('Summary at http://localhost:' + PORT + '/summary - press Ctrl+C to stop');
+});